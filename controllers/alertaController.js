@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const Alerta = require('../models/Alerta');
+const Notificacao = require('../models/Notificacao');
+const alertaService = require('../services/alertaService');
+
+class AlertaController {
+  /**
+   * Cadastra um alerta de preço para uma placa ou modelo
+   * POST /api/alertas
+   */
+  async criar(req, res, next) {
+    try {
+      const erro = await alertaService.validar(req.body || {});
+
+      if (erro) {
+        return res.status(400).json({
+          error: 'Alerta inválido',
+          message: erro
+        });
+      }
+
+      const { alerta, segredo } = await alertaService.criar(req.body, req.cliente._id);
+      const dados = alerta.toObject();
+      delete dados.webhookSegredo;
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ...dados,
+          // Exibido apenas na criação; usado para validar a assinatura dos webhooks
+          webhookSegredo: segredo
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lista os alertas do cliente
+   * GET /api/alertas?ativo=true
+   */
+  async listar(req, res, next) {
+    try {
+      const query = { cliente: req.cliente._id };
+      if (req.query.ativo !== undefined) {
+        query.ativo = req.query.ativo === 'true';
+      }
+
+      const alertas = await Alerta.find(query).sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: alertas
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Detalhes de um alerta
+   * GET /api/alertas/:id
+   */
+  async detalhar(req, res, next) {
+    try {
+      const alerta = await this.buscarAlerta(req, res);
+      if (!alerta) return;
+
+      res.json({
+        success: true,
+        data: alerta
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Desativa um alerta (o histórico é mantido)
+   * DELETE /api/alertas/:id
+   */
+  async remover(req, res, next) {
+    try {
+      const alerta = await this.buscarAlerta(req, res);
+      if (!alerta) return;
+
+      alerta.ativo = false;
+      await alerta.save();
+
+      res.json({
+        success: true,
+        data: alerta
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Verifica o alerta imediatamente (consome cota como uma consulta)
+   * POST /api/alertas/:id/verificar
+   */
+  async verificarAgora(req, res, next) {
+    try {
+      const alerta = await this.buscarAlerta(req, res, '+webhookSegredo');
+      if (!alerta) return;
+
+      const resultado = await alertaService.verificar(alerta);
+
+      res.json({
+        success: true,
+        data: resultado
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Histórico de notificações de um alerta
+   * GET /api/alertas/:id/historico?limit=20&page=1
+   */
+  async historico(req, res, next) {
+    try {
+      const alerta = await this.buscarAlerta(req, res);
+      if (!alerta) return;
+
+      const { limit = 20, page = 1 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const notificacoes = await Notificacao.find({ alerta: alerta._id })
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip(skip);
+
+      const total = await Notificacao.countDocuments({ alerta: alerta._id });
+
+      res.json({
+        success: true,
+        data: notificacoes,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Busca um alerta do cliente pelo id da URL, respondendo 400/404 quando necessário
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   * @param {string} [campos] - Seleção adicional (ex.: "+webhookSegredo")
+   * @returns {Promise<Object|null>} - Alerta ou null se a resposta já foi enviada
+   */
+  async buscarAlerta(req, res, campos) {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({
+        error: 'Id de alerta inválido'
+      });
+      return null;
+    }
+
+    const consulta = Alerta.findOne({ _id: id, cliente: req.cliente._id });
+    const alerta = await (campos ? consulta.select(campos) : consulta);
+
+    if (!alerta) {
+      res.status(404).json({
+        error: 'Alerta não encontrado'
+      });
+      return null;
+    }
+
+    return alerta;
+  }
+}
+
+module.exports = new AlertaController();
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Anuncio = require('../models/Anuncio');
+const { filtroPlaca } = require('../utils/placa');
+const { montarIntervalo, escaparRegex, parametroNaoEscalar } = require('../utils/filtros');
+
+// Campos aceitos em ?ordenar= (prefixo "-" para ordem decrescente)
+const CAMPOS_ORDENACAO = ['preco', 'quilometragem', 'dataPublicacao', 'coletadoEm'];
+
+class AnuncioController {
+  /**
+   * Lista anúncios coletados com filtros e ordenação
+   * GET /api/anuncios
+   */
+  async listar(req, res, next) {
+    try {
+      const naoEscalar = parametroNaoEscalar(req.query);
+      if (naoEscalar) {
+        return res.status(400).json({
+          error: 'Filtro inválido',
+          message: `Informe ${naoEscalar} uma única vez, como texto`
+        });
+      }
+
+      const query = this.montarFiltros(req.query);
+
+      if (req.query.placa) {
+        query.placa = filtroPlaca(req.query.placa);
+      }
+      if (req.query.consulta) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.consulta)) {
+          return res.status(400).json({
+            error: 'Id de consulta inválido'
+          });
+        }
+        query.consulta = req.query.consulta;
+      }
+
+      await this.responderListagem(req, res, query);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lista os anúncios que compõem os preços de uma consulta
+   * GET /api/consulta/:placa/anuncios?jobId=...
+   */
+  async listarPorConsulta(req, res, next) {
+    try {
+      const { placa } = req.params;
+      const { jobId } = req.query;
+
+      const naoEscalar = parametroNaoEscalar(req.query);
+      if (naoEscalar) {
+        return res.status(400).json({
+          error: 'Filtro inválido',
+          message: `Informe ${naoEscalar} uma única vez, como texto`
+        });
+      }
+
+      if (jobId && !mongoose.Types.ObjectId.isValid(jobId)) {
+        return res.status(400).json({
+          error: 'jobId inválido'
+        });
+      }
+
+      const consulta = jobId
+        ? await Vehicle.findOne({ _id: jobId, placa: filtroPlaca(placa) }).select('_id')
+        : await Vehicle.findLatestByPlaca(placa).select('_id');
+
+      if (!consulta) {
+        return res.status(404).json({
+          error: 'Consulta não encontrada'
+        });
+      }
+
+      const query = this.montarFiltros(req.query);
+      query.consulta = consulta._id;
+
+      await this.responderListagem(req, res, query);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Monta os filtros comuns a partir da query string
+   * @param {Object} params - req.query
+   * @returns {Object} - Filtro do MongoDB
+   */
+  montarFiltros(params) {
+    const { marca, modelo, anoModelo, fonte, uf, cidade, busca } = params;
+    const query = {};
+
+    if (marca) query.marca = marca;
+    if (modelo) query.modelo = modelo;
+    if (anoModelo) query.anoModelo = anoModelo;
+    if (fonte) query.fonte = fonte;
+    if (uf) query.uf = uf.toUpperCase();
+    if (cidade) query.cidade = new RegExp(`^${escaparRegex(cidade)}$`, 'i');
+    if (busca) query.titulo = new RegExp(escaparRegex(busca), 'i');
+    if (params.descartado !== undefined) query.descartado = params.descartado === 'true';
+
+    const preco = montarIntervalo(params.precoMin, params.precoMax);
+    if (preco) query.preco = preco;
+
+    const quilometragem = montarIntervalo(params.kmMin, params.kmMax);
+    if (quilometragem) query.quilometragem = quilometragem;
+
+    return query;
+  }
+
+  /**
+   * Executa a consulta paginada e responde
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   * @param {Object} query - Filtro do MongoDB
+   */
+  async responderListagem(req, res, query) {
+    const { limit = 50, page = 1, ordenar = 'preco' } = req.query;
+
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const skip = (pageNum - 1) * limitNum;
+
+    const campo = ordenar.replace(/^-/, '');
+    if (!CAMPOS_ORDENACAO.includes(campo)) {
+      return res.status(400).json({
+        error: 'Ordenação inválida',
+        message: `Use um dos campos: ${CAMPOS_ORDENACAO.join(', ')} (prefixo "-" para decrescente)`
+      });
+    }
+    const sort = { [campo]: ordenar.startsWith('-') ? -1 : 1, _id: 1 };
+
+    const anuncios = await Anuncio.find(query)
+      .sort(sort)
+      .limit(limitNum)
+      .skip(skip)
+      .lean();
+
+    const total = await Anuncio.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: anuncios,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+  }
+}
+
+module.exports = new AnuncioController();
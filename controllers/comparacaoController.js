@@ -0,0 +1,38 @@
+const comparacaoService = require('../services/comparacaoService');
+const { temCota, responderCotaExcedida } = require('../middleware/autenticacao');
+
+class ComparacaoController {
+  /**
+   * Compara veículos lado a lado pelas placas
+   * GET /api/comparar?placas=ABC1234,DEF5G67
+   */
+  async comparar(req, res, next) {
+    try {
+      const placas = comparacaoService.extrairPlacas(req.query.placas);
+
+      if (placas.length < comparacaoService.minimoPlacas || placas.length > comparacaoService.maximoPlacas) {
+        return res.status(400).json({
+          error: 'Quantidade de placas inválida',
+          message: `Informe de ${comparacaoService.minimoPlacas} a ${comparacaoService.maximoPlacas} placas diferentes separadas por vírgula (?placas=ABC1234,DEF5G67)`
+        });
+      }
+
+      // Cada placa consome uma consulta da cota
+      if (!temCota(req.cota, placas.length)) {
+        return responderCotaExcedida(res, req.cota);
+      }
+
+      const comparacao = await comparacaoService.comparar(placas, req.cliente._id);
+
+      res.json({
+        success: true,
+        data: comparacao,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ComparacaoController();
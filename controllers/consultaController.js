@@ -1,6 +1,44 @@
+const mongoose = require('mongoose');
 const Vehicle = require('../models/Vehicle');
-const apiPlacasService = require('../services/apiPlacasService');
+const consultaService = require('../services/consultaService');
 const olxService = require('../services/olxService');
+const marketplaceService = require('../services/marketplaceService');
+const normalizacaoService = require('../services/normalizacaoService');
+const avaliacaoService = require('../services/avaliacaoService');
+const cacheService = require('../services/cacheService');
+const historicoPrecoService = require('../services/historicoPrecoService');
+const fipeService = require('../services/fipeService');
+const relatorioService = require('../services/relatorioService');
+const privacidadeService = require('../services/privacidadeService');
+const estatisticaService = require('../services/estatisticaService');
+const versaoMercadoService = require('../services/versaoMercadoService');
+const riscoService = require('../services/riscoService');
+const { filtroPlaca, normalizarPlaca, validarPlaca } = require('../utils/placa');
+const { ErroPlacaInvalida } = require('../utils/erros');
+const { abrirStream } = require('../utils/sse');
+const { montarIntervalo, escaparRegex, parametroNaoEscalar } = require('../utils/filtros');
+const { codificarCursor, decodificarCursor, filtroAposCursor } = require('../utils/cursor');
+
+// Tempo máximo de espera pelos preços do OLX quando ?aguardarOlx=true
+const OLX_TIMEOUT_AGUARDAR_MS = parseInt(process.env.OLX_TIMEOUT_AGUARDAR_MS) || 15000;
+
+// Tempo máximo de espera pelos preços de mercado no stream da consulta
+const CONSULTA_STREAM_TIMEOUT_MS = parseInt(process.env.CONSULTA_STREAM_TIMEOUT_MS) || 60000;
+
+// Dia no formato AAAA-MM-DD
+const FORMATO_DIA = /^\d{4}-\d{2}-\d{2}$/;
+
+// Ano com quatro dígitos
+const FORMATO_ANO = /^\d{4}$/;
+
+// Campos aceitos em ?ordenar= na listagem de consultas (nome público → campo do Vehicle)
+const CAMPOS_ORDENACAO_CONSULTAS = {
+  dataConsulta: 'dataConsulta',
+  valorFipe: 'valorFipeNumero',
+  anoModelo: 'anoModelo',
+  marca: 'marca',
+  placa: 'placa'
+};
 
 class ConsultaController {
   /**
@@ -18,150 +56,462 @@ class ConsultaController {
         });
       }
 
-      // Verifica se já existe consulta recente (últimas 24 horas)
-      let consultaRecente = null;
-      try {
-        consultaRecente = await Vehicle.findLatestByPlaca(placa);
-      } catch (dbError) {
-        console.warn('Aviso: Não foi possível consultar o cache do MongoDB:', dbError.message);
-        // Continua mesmo sem cache
+      const { veiculoData, veiculoId } = await consultaService.obterVeiculo(placa, { clienteId: req.cliente._id });
+
+      await this.responderComPrecosOlx(req, res, veiculoData, veiculoId);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Força nova consulta na API (ignora cache)
+   * GET /api/consulta/:placa/forcar
+   */
+  async forcarConsulta(req, res, next) {
+    try {
+      const { placa } = req.params;
+
+      if (!placa) {
+        return res.status(400).json({
+          error: 'Placa é obrigatória'
+        });
       }
 
-      const agora = new Date();
-      const umDiaAtras = new Date(agora.getTime() - 24 * 60 * 60 * 1000);
+      // Consulta na API
+      const { veiculoData, veiculoId } = await consultaService.obterVeiculo(placa, { forcar: true, clienteId: req.cliente._id });
+
+      await this.responderComPrecosOlx(req, res, veiculoData, veiculoId);
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      let veiculoData;
+  /**
+   * Status da busca de preços de mercado (OLX e demais marketplaces habilitados)
+   * da última consulta (ou da consulta informada)
+   * GET /api/consulta/:placa/olx?jobId=...
+   */
+  async statusOlx(req, res, next) {
+    try {
+      const { placa } = req.params;
+      const { jobId } = req.query;
 
-      if (consultaRecente && consultaRecente.dataConsulta > umDiaAtras) {
-        // Usa dados do cache
-        veiculoData = consultaRecente.toObject();
-        veiculoData.fonte = 'cache';
-      } else {
-        // Consulta na API
-        veiculoData = await apiPlacasService.consultarPlaca(placa);
-        veiculoData.fonte = 'api';
-
-        // Tenta salvar no banco de dados (não bloqueia se falhar)
-        try {
-          const veiculo = new Vehicle(veiculoData);
-          await veiculo.save();
-        } catch (dbError) {
-          console.warn('Aviso: Não foi possível salvar no MongoDB:', dbError.message);
-          // Continua mesmo sem salvar
+      let consulta;
+      if (jobId) {
+        if (!mongoose.Types.ObjectId.isValid(jobId)) {
+          return res.status(400).json({
+            error: 'jobId inválido'
+          });
         }
+        consulta = await Vehicle.findOne({ _id: jobId, placa: filtroPlaca(placa) })
+          .select('-dadosCompletos -dadosFipe');
+      } else {
+        consulta = await Vehicle.findLatestByPlaca(placa)
+          .select('-dadosCompletos -dadosFipe');
       }
 
-      // Adiciona URL do OLX se houver dados suficientes
-      const urlOlx = olxService.gerarUrlOlx(veiculoData);
-      if (urlOlx) {
-        veiculoData.urlOlx = urlOlx;
+      if (!consulta) {
+        return res.status(404).json({
+          error: 'Consulta não encontrada'
+        });
       }
 
-      // Responde imediatamente sem esperar pelos preços do OLX
       res.json({
         success: true,
-        data: veiculoData,
+        data: {
+          jobId: consulta._id,
+          placa: consulta.placa,
+          status: consulta.statusOlx || (consulta.precosOlx ? 'concluido' : null),
+          precosOlx: consulta.precosOlx,
+          precosMercado: consulta.precosMercado,
+          erro: consulta.erroOlx,
+          iniciadoEm: consulta.olxIniciadoEm,
+          atualizadoEm: consulta.olxAtualizadoEm,
+          versao: consulta.mercadoVersao || null
+        },
         timestamp: new Date().toISOString()
       });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Busca preços no OLX de forma assíncrona (não bloqueia a resposta)
-      if (urlOlx) {
-        olxService.buscarPrecosOlx(veiculoData)
-          .then(precosOlx => {
-            if (precosOlx) {
-              // Atualiza no banco de dados para próxima consulta
-              Vehicle.findOneAndUpdate(
-                { placa: veiculoData.placa },
-                { precosOlx: precosOlx },
-                { new: true }
-              ).catch(err => {
-                if (process.env.NODE_ENV === 'development') {
-                  console.warn('Não foi possível salvar preços do OLX:', err.message);
-                }
-              });
-            }
-          })
-          .catch(error => {
-            // Silenciosamente ignora erros de scraping
-            if (process.env.NODE_ENV === 'development') {
-              console.warn('Aviso: Não foi possível buscar preços no OLX:', error.message);
-            }
-          });
+  /**
+   * Responde a consulta, iniciando a busca de preços nos marketplaces quando necessário.
+   * Com ?aguardarOlx=true espera pelo resultado até OLX_TIMEOUT_AGUARDAR_MS.
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   * @param {Object} veiculoData - Dados do veículo
+   * @param {ObjectId|null} veiculoId - Id da consulta salva
+   */
+  async responderComPrecosOlx(req, res, veiculoData, veiculoId) {
+    if (this.prepararMercado(veiculoData)) {
+      if (req.query.aguardarOlx === 'true') {
+        // Sem resultado dentro do prazo: a busca continua e pode ser acompanhada pelo jobId
+        const resultado = await consultaService.buscarPrecosMercado(veiculoData, veiculoId, OLX_TIMEOUT_AGUARDAR_MS);
+        this.aplicarResultadoMercado(veiculoData, resultado);
+      } else {
+        consultaService.iniciarBuscaMercado(veiculoData, veiculoId);
+      }
+    }
+
+    this.finalizarConsulta(veiculoData, veiculoId);
+
+    res.json({
+      success: true,
+      data: privacidadeService.proteger(veiculoData, req.cliente),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Acompanha uma consulta por Server-Sent Events, com um evento por etapa concluída:
+   * validacao, cache, cadastro, fipe, mercado_inicio, mercado_fonte (uma por marketplace),
+   * mercado, avaliacao e concluido (ou erro)
+   * GET /api/consulta/:placa/stream?forcar=true
+   */
+  async stream(req, res) {
+    const placa = normalizarPlaca(req.params.placa);
+    const stream = abrirStream(req, res);
+    let canal = null;
+    let aoConcluirFonte = null;
+
+    try {
+      const valida = validarPlaca(placa);
+      stream.enviar('validacao', { placa, valida });
+      if (!valida) {
+        throw new ErroPlacaInvalida();
+      }
+
+      const { veiculoData, veiculoId } = await consultaService.obterVeiculo(placa, {
+        forcar: req.query.forcar === 'true',
+        clienteId: req.cliente._id,
+        aoProgredir: (etapa, dados) => {
+          stream.enviar(etapa, etapa === 'cadastro' ? this.resumirCadastro(dados, req.cliente) : dados);
+        }
+      });
+
+      stream.enviar('fipe', {
+        melhor: avaliacaoService.selecionarMelhorFipe(veiculoData),
+        candidatos: (veiculoData.fipeLocal || veiculoData.dadosFipe || []).length,
+        tabelaLocal: Boolean(veiculoData.fipeLocal)
+      });
+
+      // Inscreve antes de iniciar a busca para não perder a primeira fonte
+      if (veiculoId) {
+        canal = `mercado:${veiculoId}`;
+        aoConcluirFonte = (fonte, resultado) => {
+          stream.enviar('mercado_fonte', versaoMercadoService.resumirFontes({ [fonte]: resultado })[0]);
+        };
+        consultaService.eventos.on(canal, aoConcluirFonte);
       }
+
+      if (this.prepararMercado(veiculoData)) {
+        stream.enviar('mercado_inicio', {
+          jobId: veiculoId,
+          fontes: Object.keys(veiculoData.urlsMercado || {}),
+          urls: veiculoData.urlsMercado || {}
+        });
+        this.aplicarResultadoMercado(
+          veiculoData,
+          await consultaService.buscarPrecosMercado(veiculoData, veiculoId, CONSULTA_STREAM_TIMEOUT_MS)
+        );
+      }
+
+      const mercado = avaliacaoService.analisarMercado(veiculoData);
+      stream.enviar('mercado', {
+        status: veiculoData.statusOlx || (veiculoData.precosOlx ? 'concluido' : null),
+        erro: veiculoData.erroOlx || null,
+        resumo: mercado,
+        fontes: versaoMercadoService.resumirFontes(veiculoData.precosMercado),
+        urlStatus: veiculoId ? `/api/consulta/${veiculoData.placa}/olx?jobId=${veiculoId}` : null
+      });
+
+      this.finalizarConsulta(veiculoData, veiculoId);
+
+      stream.enviar('avaliacao', veiculoData.valorReal);
+      stream.enviar('concluido', privacidadeService.proteger(veiculoData, req.cliente));
+    } catch (error) {
+      const status = error.status || error.statusCode || 500;
+      if (status >= 500) {
+        console.error('Erro no stream da consulta:', error);
+      }
+      stream.enviar('erro', {
+        error: error.message,
+        codigo: error.codigo || (status < 500 ? 'REQUISICAO_INVALIDA' : 'ERRO_INTERNO'),
+        status
+      });
+    } finally {
+      if (canal) {
+        consultaService.eventos.off(canal, aoConcluirFonte);
+      }
+      stream.encerrar();
+    }
+  }
+
+  /**
+   * Dados cadastrais enviados no stream antes da FIPE e do mercado
+   * @param {Object} veiculoData - Dados do veículo
+   * @param {Object} cliente - Cliente autenticado
+   * @returns {Object}
+   */
+  resumirCadastro(veiculoData, cliente) {
+    const protegido = privacidadeService.proteger(veiculoData, cliente);
+    return {
+      placa: protegido.placa,
+      fonte: protegido.fonte,
+      marca: protegido.marca,
+      modelo: protegido.modelo,
+      ano: protegido.ano,
+      anoModelo: protegido.anoModelo,
+      cor: protegido.cor,
+      uf: protegido.uf,
+      municipio: protegido.municipio,
+      situacao: protegido.situacao,
+      restricoes: protegido.restricoes,
+      risco: protegido.risco,
+      chassi: protegido.chassi,
+      renavam: protegido.renavam,
+      dataConsulta: protegido.dataConsulta,
+      cache: protegido.cache
+    };
+  }
+
+  /**
+   * Completa a consulta com URLs de busca, normalização e modeloId e indica se os
+   * preços nos marketplaces precisam ser buscados (nesse caso a consulta fica pendente)
+   * @param {Object} veiculoData - Dados do veículo (alterado)
+   * @returns {boolean}
+   */
+  prepararMercado(veiculoData) {
+    // Adiciona URLs de busca se houver dados suficientes
+    const urlsMercado = marketplaceService.gerarUrls(veiculoData);
+    const urlOlx = olxService.gerarUrlOlx(veiculoData);
+    if (urlOlx) {
+      veiculoData.urlOlx = urlOlx;
+    }
+    if (Object.keys(urlsMercado).length > 0) {
+      veiculoData.urlsMercado = urlsMercado;
+    }
+
+    // Mapeamento de marca/modelo usado nas buscas, com a confiança da correspondência
+    veiculoData.normalizacao = normalizacaoService.normalizar(veiculoData);
+
+    // Identificador do modelo para GET /api/modelos/:id/historico-precos
+    veiculoData.modeloId = historicoPrecoService.gerarModeloId(veiculoData);
+
+    // Preços além da janela de revalidação não são servidos; os obsoletos continuam
+    // na resposta enquanto a nova busca roda em segundo plano
+    if (cacheService.avaliar(veiculoData.olxAtualizadoEm, 'mercado') === 'expirado') {
+      veiculoData.precosOlx = null;
+      veiculoData.precosMercado = null;
+    }
+
+    if (Object.keys(urlsMercado).length === 0 || !consultaService.precisaBuscarPrecos(veiculoData)) {
+      return false;
+    }
+
+    veiculoData.statusOlx = 'pendente';
+    return true;
+  }
+
+  /**
+   * Copia o resultado da busca de preços de mercado para a consulta
+   * @param {Object} veiculoData - Dados do veículo (alterado)
+   * @param {Object|null} resultado - Resultado da busca (null: ainda pendente)
+   */
+  aplicarResultadoMercado(veiculoData, resultado) {
+    if (!resultado) return;
+
+    veiculoData.statusOlx = resultado.status;
+    veiculoData.precosOlx = resultado.precosOlx;
+    veiculoData.precosMercado = resultado.precosMercado;
+    veiculoData.erroOlx = resultado.erro;
+  }
+
+  /**
+   * Acrescenta o acompanhamento da busca de mercado e o valor real estimado
+   * @param {Object} veiculoData - Dados do veículo (alterado)
+   * @param {ObjectId|null} veiculoId - Id da consulta salva
+   */
+  finalizarConsulta(veiculoData, veiculoId) {
+    veiculoData.olx = {
+      jobId: veiculoId,
+      status: veiculoData.statusOlx || (veiculoData.precosOlx ? 'concluido' : null),
+      urlStatus: veiculoId ? `/api/consulta/${veiculoData.placa}/olx?jobId=${veiculoId}` : null
+    };
+
+    // Estimativa com os dados disponíveis no momento (FIPE e preços de mercado)
+    veiculoData.valorReal = avaliacaoService.calcularValorReal(veiculoData);
+  }
+
+  /**
+   * Valor real estimado a partir da última consulta de uma placa
+   * GET /api/consulta/:placa/valor-real
+   */
+  async valorReal(req, res, next) {
+    try {
+      const { placa } = req.params;
+
+      const consulta = await Vehicle.findLatestByPlaca(placa);
+
+      if (!consulta) {
+        return res.status(404).json({
+          error: 'Consulta não encontrada',
+          message: 'Consulte a placa antes de solicitar o valor real'
+        });
+      }
+
+      const veiculoData = consulta.toObject();
+      await fipeService.complementar(veiculoData);
+
+      const valorReal = avaliacaoService.calcularValorReal(veiculoData);
+
+      if (!valorReal) {
+        return res.status(404).json({
+          error: 'Dados insuficientes',
+          message: 'Não há valor FIPE nem preços de mercado para estimar o valor real'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          placa: consulta.placa,
+          marca: consulta.marca,
+          modelo: consulta.modelo,
+          anoModelo: consulta.anoModelo,
+          dataConsulta: consulta.dataConsulta,
+          valorReal
+        },
+        timestamp: new Date().toISOString()
+      });
     } catch (error) {
       next(error);
     }
   }
 
   /**
-   * Força nova consulta na API (ignora cache)
-   * GET /api/consulta/:placa/forcar
+   * Avaliação da última consulta de uma placa ajustada pela quilometragem, conservação,
+   * opcionais e UF informados; cada avaliação fica salva para auditoria
+   * POST /api/consulta/:placa/avaliacao
    */
-  async forcarConsulta(req, res, next) {
+  async avaliar(req, res, next) {
     try {
       const { placa } = req.params;
 
-      if (!placa) {
+      const erro = avaliacaoService.validarCondicoes(req.body || {});
+      if (erro) {
         return res.status(400).json({
-          error: 'Placa é obrigatória'
+          error: 'Avaliação inválida',
+          message: erro
         });
       }
 
-      // Consulta na API
-      const veiculoData = await apiPlacasService.consultarPlaca(placa);
-      veiculoData.fonte = 'api';
-
-      // Tenta salvar no banco de dados (não bloqueia se falhar)
-      try {
-        const veiculo = new Vehicle(veiculoData);
-        await veiculo.save();
-      } catch (dbError) {
-        console.warn('Aviso: Não foi possível salvar no MongoDB:', dbError.message);
-        // Continua mesmo sem salvar
+      const consulta = await Vehicle.findLatestByPlaca(placa);
+
+      if (!consulta) {
+        return res.status(404).json({
+          error: 'Consulta não encontrada',
+          message: 'Consulte a placa antes de solicitar a avaliação'
+        });
       }
 
-      // Adiciona URL do OLX se houver dados suficientes
-      const urlOlx = olxService.gerarUrlOlx(veiculoData);
-      if (urlOlx) {
-        veiculoData.urlOlx = urlOlx;
+      const veiculoData = consulta.toObject();
+      await fipeService.complementar(veiculoData);
+
+      const avaliacao = await avaliacaoService.avaliarCondicoes(veiculoData, req.body, req.cliente._id);
+
+      if (!avaliacao) {
+        return res.status(404).json({
+          error: 'Dados insuficientes',
+          message: 'Não há valor FIPE nem preços de mercado para avaliar o veículo'
+        });
       }
 
-      // Responde imediatamente sem esperar pelos preços do OLX
-      res.json({
+      res.status(201).json({
         success: true,
-        data: veiculoData,
+        data: {
+          ...avaliacao,
+          marca: consulta.marca,
+          modelo: consulta.modelo,
+          anoModelo: consulta.anoModelo,
+          valorBaseFormatado: olxService.formatarPreco(avaliacao.valorBase),
+          valorAjustadoFormatado: olxService.formatarPreco(avaliacao.valorAjustado)
+        },
         timestamp: new Date().toISOString()
       });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Busca preços no OLX de forma assíncrona (não bloqueia a resposta)
-      if (urlOlx) {
-        olxService.buscarPrecosOlx(veiculoData)
-          .then(precosOlx => {
-            if (precosOlx) {
-              // Atualiza no banco de dados para próxima consulta
-              Vehicle.findOneAndUpdate(
-                { placa: veiculoData.placa },
-                { precosOlx: precosOlx },
-                { new: true }
-              ).catch(err => {
-                console.warn('Não foi possível salvar preços do OLX:', err.message);
-              });
-            }
-          })
-          .catch(error => {
-            // Silenciosamente ignora erros de scraping
-            if (process.env.NODE_ENV === 'development') {
-              console.warn('Aviso: Não foi possível buscar preços no OLX:', error.message);
-            }
-          });
+  /**
+   * Avaliações salvas de uma placa (administradores veem as de todos os clientes)
+   * GET /api/consulta/:placa/avaliacoes?limit=10&page=1
+   */
+  async avaliacoes(req, res, next) {
+    try {
+      const { placa } = req.params;
+      const { limit = 10, page = 1 } = req.query;
+
+      const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+      const pageNum = Math.max(parseInt(page) || 1, 1);
+
+      const filtro = { placa: filtroPlaca(placa) };
+      if (!req.cliente.admin) filtro.cliente = req.cliente._id;
+
+      const { avaliacoes, total } = await avaliacaoService.listarAvaliacoes(filtro, { limit: limitNum, page: pageNum });
+
+      res.json({
+        success: true,
+        data: avaliacoes,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages: Math.ceil(total / limitNum)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Relatório de avaliação em PDF a partir da última consulta de uma placa
+   * GET /api/consulta/:placa/relatorio.pdf
+   */
+  async relatorio(req, res, next) {
+    try {
+      const { placa } = req.params;
+
+      const consulta = await Vehicle.findLatestByPlaca(placa);
+
+      if (!consulta) {
+        return res.status(404).json({
+          error: 'Consulta não encontrada',
+          message: 'Consulte a placa antes de gerar o relatório'
+        });
       }
+
+      const veiculoData = consulta.toObject();
+      await fipeService.complementar(veiculoData);
+
+      const pdf = await relatorioService.gerarPdf(veiculoData);
+
+      res.setHeader('Content-Disposition', `inline; filename="relatorio-${consulta.placa}.pdf"`);
+      res.type('application/pdf');
+      res.send(pdf);
     } catch (error) {
       next(error);
     }
   }
 
   /**
-   * Lista histórico de consultas de uma placa
+   * Lista histórico de consultas de uma placa, com as versões dos preços de mercado
+   * de cada consulta e a variação da mediana entre as coletas
    * GET /api/consulta/:placa/historico
    */
   async historico(req, res, next) {
@@ -173,18 +523,23 @@ class ConsultaController {
       const pageNum = parseInt(page);
       const skip = (pageNum - 1) * limitNum;
 
-      const consultas = await Vehicle.find({ placa: placa.toUpperCase() })
+      const consultas = await Vehicle.find({ placa: filtroPlaca(placa) })
         .sort({ dataConsulta: -1 })
         .limit(limitNum)
         .skip(skip)
         .select('-dadosCompletos -dadosFipe') // Remove campos grandes
         .lean();
 
-      const total = await Vehicle.countDocuments({ placa: placa.toUpperCase() });
+      const total = await Vehicle.countDocuments({ placa: filtroPlaca(placa) });
+
+      const versoes = await versaoMercadoService.listarPorConsultas(consultas.map(consulta => consulta._id));
 
       res.json({
         success: true,
-        data: consultas,
+        data: consultas.map(consulta => ({
+          ...privacidadeService.proteger(consulta, req.cliente),
+          versoesMercado: versoes.filter(versao => String(versao.consulta) === String(consulta._id))
+        })),
         pagination: {
           page: pageNum,
           limit: limitNum,
@@ -198,39 +553,70 @@ class ConsultaController {
   }
 
   /**
-   * Lista todas as consultas (com paginação)
-   * GET /api/consultas
+   * Lista as consultas com filtros, busca textual e paginação por cursor
+   * GET /api/consultas?marca=VW&anoMin=2015&fipeMax=50000&ordenar=-dataConsulta&cursor=...
    */
   async listarConsultas(req, res, next) {
     try {
-      const { limit = 20, page = 1, placa } = req.query;
+      const naoEscalar = parametroNaoEscalar(req.query);
+      if (naoEscalar) {
+        return res.status(400).json({
+          error: 'Filtro inválido',
+          message: `Informe ${naoEscalar} uma única vez, como texto`
+        });
+      }
 
-      const limitNum = parseInt(limit);
-      const pageNum = parseInt(page);
-      const skip = (pageNum - 1) * limitNum;
+      const { limit = 20, ordenar = '-dataConsulta', cursor } = req.query;
+
+      const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
 
-      const query = {};
-      if (placa) {
-        query.placa = placa.toUpperCase();
+      const nomeCampo = ordenar.replace(/^-/, '');
+      const campo = CAMPOS_ORDENACAO_CONSULTAS[nomeCampo];
+      if (!campo) {
+        return res.status(400).json({
+          error: 'Ordenação inválida',
+          message: `Use um dos campos: ${Object.keys(CAMPOS_ORDENACAO_CONSULTAS).join(', ')} (prefixo "-" para decrescente)`
+        });
       }
+      const direcao = ordenar.startsWith('-') ? -1 : 1;
 
+      const query = this.montarFiltrosConsultas(req.query);
+      if (query.erro) {
+        return res.status(400).json({
+          error: 'Filtro inválido',
+          message: query.erro
+        });
+      }
+
+      if (cursor) {
+        const posicao = decodificarCursor(cursor);
+        if (!posicao) {
+          return res.status(400).json({
+            error: 'Cursor inválido',
+            message: 'Use o valor de pagination.proximoCursor da página anterior'
+          });
+        }
+        query.$and = [filtroAposCursor(campo, direcao, posicao)];
+      }
+
+      // Um documento a mais indica se existe próxima página
       const consultas = await Vehicle.find(query)
-        .sort({ dataConsulta: -1 })
-        .limit(limitNum)
-        .skip(skip)
+        .sort({ [campo]: direcao, _id: direcao })
+        .limit(limitNum + 1)
         .select('-dadosCompletos -dadosFipe')
         .lean();
 
-      const total = await Vehicle.countDocuments(query);
+      const temMais = consultas.length > limitNum;
+      const pagina = consultas.slice(0, limitNum);
 
       res.json({
         success: true,
-        data: consultas,
+        data: pagina.map(consulta => privacidadeService.proteger(consulta, req.cliente)),
         pagination: {
-          page: pageNum,
           limit: limitNum,
-          total,
-          totalPages: Math.ceil(total / limitNum)
+          ordenar,
+          temMais,
+          proximoCursor: temMais ? codificarCursor(pagina[pagina.length - 1], campo) : null
         }
       });
     } catch (error) {
@@ -239,34 +625,127 @@ class ConsultaController {
   }
 
   /**
-   * Estatísticas gerais
-   * GET /api/estatisticas
+   * Monta o filtro da listagem de consultas a partir da query string
+   * @param {Object} params - req.query
+   * @returns {Object} - Filtro do MongoDB ou { erro } com a mensagem de validação
+   */
+  montarFiltrosConsultas(params) {
+    const { placa, marca, modelo, uf, municipio, situacao, busca, anoMin, anoMax, de, ate } = params;
+    const query = {};
+
+    if (placa) query.placa = filtroPlaca(placa);
+    // A API Placas devolve marca, modelo, UF e município em maiúsculas
+    if (marca) query.marca = marca.trim().toUpperCase();
+    if (modelo) query.modelo = new RegExp(`^${escaparRegex(modelo.trim().toUpperCase())}`);
+    if (uf) query.uf = uf.trim().toUpperCase();
+    if (municipio) query.municipio = municipio.trim().toUpperCase();
+    if (situacao) query.situacao = new RegExp(`^${escaparRegex(situacao.trim())}$`, 'i');
+    if (busca) query.$text = { $search: busca };
+
+    if (anoMin || anoMax) {
+      if ((anoMin && !FORMATO_ANO.test(anoMin)) || (anoMax && !FORMATO_ANO.test(anoMax))) {
+        return { erro: 'Use anoMin e anoMax com quatro dígitos (ex.: anoMin=2015&anoMax=2020)' };
+      }
+      query.anoModelo = {};
+      if (anoMin) query.anoModelo.$gte = anoMin;
+      if (anoMax) query.anoModelo.$lte = anoMax;
+    }
+
+    const { risco, riscoMin, rouboFurto, restricao } = params;
+    if (risco) {
+      const niveis = risco.split(',').map(nivel => nivel.trim().toLowerCase()).filter(Boolean);
+      const validos = riscoService.niveis.concat('indeterminado');
+      if (niveis.length === 0 || niveis.some(nivel => !validos.includes(nivel))) {
+        return { erro: `Use risco com um ou mais níveis separados por vírgula: ${validos.join(', ')}` };
+      }
+      query['risco.nivel'] = { $in: niveis };
+    }
+    if (riscoMin) {
+      if (!riscoService.niveis.includes(riscoMin)) {
+        return { erro: `Use riscoMin com um dos níveis: ${riscoService.niveis.join(', ')}` };
+      }
+      if (risco) {
+        return { erro: 'Use risco ou riscoMin, não os dois' };
+      }
+      query['risco.nivel'] = { $in: riscoService.niveisAPartirDe(riscoMin) };
+    }
+    if (rouboFurto !== undefined) {
+      if (!['true', 'false'].includes(rouboFurto)) {
+        return { erro: 'Use rouboFurto=true ou rouboFurto=false' };
+      }
+      query['risco.rouboFurto'] = rouboFurto === 'true';
+    }
+    if (restricao) {
+      if (!riscoService.tiposRestricao.includes(restricao)) {
+        return { erro: `Use restricao com um dos tipos: ${riscoService.tiposRestricao.join(', ')}` };
+      }
+      query['restricoes.tipo'] = restricao;
+    }
+
+    const valorFipe = montarIntervalo(params.fipeMin, params.fipeMax);
+    if (valorFipe) query.valorFipeNumero = valorFipe;
+
+    if (de || ate) {
+      if ((de && !FORMATO_DIA.test(de)) || (ate && !FORMATO_DIA.test(ate))) {
+        return { erro: 'Use de e ate no formato AAAA-MM-DD' };
+      }
+      query.dataConsulta = {};
+      if (de) query.dataConsulta.$gte = new Date(`${de}T00:00:00.000Z`);
+      if (ate) query.dataConsulta.$lt = new Date(new Date(`${ate}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000);
+    }
+
+    return query;
+  }
+
+  /**
+   * Estatísticas de uso e de mercado do período
+   * GET /api/estatisticas?de=AAAA-MM-DD&ate=AAAA-MM-DD&agrupamento=dia|semana|mes&segmento=marca|modelo|anoModelo&top=10
    */
   async estatisticas(req, res, next) {
     try {
-      const totalConsultas = await Vehicle.countDocuments();
-      const placasUnicas = await Vehicle.distinct('placa').then(placas => placas.length);
-      
-      const consultasHoje = await Vehicle.countDocuments({
-        dataConsulta: {
-          $gte: new Date(new Date().setHours(0, 0, 0, 0))
-        }
-      });
+      const hoje = new Date().toISOString().slice(0, 10);
+      const {
+        de = new Date(Date.now() - 29 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+        ate = hoje,
+        agrupamento = 'dia',
+        segmento = 'marca',
+        top = 10
+      } = req.query;
+
+      if (!FORMATO_DIA.test(de) || !FORMATO_DIA.test(ate) || de > ate) {
+        return res.status(400).json({
+          error: 'Período inválido',
+          message: 'Use ?de=AAAA-MM-DD&ate=AAAA-MM-DD com de anterior ou igual a ate'
+        });
+      }
 
-      const consultasUltimos7Dias = await Vehicle.countDocuments({
-        dataConsulta: {
-          $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
-        }
+      if (!estatisticaService.agrupamentos.includes(agrupamento)) {
+        return res.status(400).json({
+          error: 'Agrupamento inválido',
+          message: `Use agrupamento=${estatisticaService.agrupamentos.join('|')}`
+        });
+      }
+
+      if (!estatisticaService.segmentos.includes(segmento)) {
+        return res.status(400).json({
+          error: 'Segmento inválido',
+          message: `Use segmento=${estatisticaService.segmentos.join('|')}`
+        });
+      }
+
+      const estatisticas = await estatisticaService.obter({
+        de,
+        ate,
+        agrupamento,
+        segmento,
+        top: Math.min(Math.max(parseInt(top) || 10, 1), 50),
+        // O uso de outros clientes só é visível para administradores
+        clienteId: req.cliente.admin ? null : req.cliente._id
       });
 
       res.json({
         success: true,
-        data: {
-          totalConsultas,
-          placasUnicas,
-          consultasHoje,
-          consultasUltimos7Dias
-        }
+        data: estatisticas
       });
     } catch (error) {
       next(error);
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const filaService = require('../services/filaService');
+
+// Status aceitos no filtro da listagem
+const STATUS_TAREFA = ['pendente', 'processando', 'concluido', 'falhou', 'cancelado'];
+
+class FilaController {
+  /**
+   * Lista as tarefas da fila com a contagem por status
+   * GET /api/fila/tarefas?status=falhou&tipo=mercado&limit=20&page=1
+   */
+  async listar(req, res, next) {
+    try {
+      const { status, tipo, limit = 20, page = 1 } = req.query;
+
+      if (status && !STATUS_TAREFA.includes(status)) {
+        return res.status(400).json({
+          error: 'Status inválido',
+          message: `Use um dos status: ${STATUS_TAREFA.join(', ')}`
+        });
+      }
+
+      if (tipo && !filaService.listarTipos().includes(tipo)) {
+        return res.status(400).json({
+          error: 'Tipo inválido',
+          message: `Use um dos tipos: ${filaService.listarTipos().join(', ')}`
+        });
+      }
+
+      const limitNum = Math.min(parseInt(limit) || 20, 100);
+      const pageNum = parseInt(page) || 1;
+
+      const { tarefas, total, porStatus } = await filaService.listar({
+        status,
+        tipo,
+        limit: limitNum,
+        page: pageNum
+      });
+
+      res.json({
+        success: true,
+        data: tarefas,
+        porStatus,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages: Math.ceil(total / limitNum)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Detalhes de uma tarefa, com o histórico de erros
+   * GET /api/fila/tarefas/:id
+   */
+  async obter(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          error: 'Id de tarefa inválido'
+        });
+      }
+
+      const tarefa = await filaService.obter(id);
+
+      if (!tarefa) {
+        return res.status(404).json({
+          error: 'Tarefa não encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: tarefa,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Devolve à fila uma tarefa que falhou ou foi cancelada
+   * POST /api/fila/tarefas/:id/reprocessar
+   */
+  async reprocessar(req, res, next) {
+    await this.alterar(req, res, next, id => filaService.reprocessar(id));
+  }
+
+  /**
+   * Cancela uma tarefa pendente
+   * POST /api/fila/tarefas/:id/cancelar
+   */
+  async cancelar(req, res, next) {
+    await this.alterar(req, res, next, id => filaService.cancelar(id));
+  }
+
+  /**
+   * Aplica uma alteração de status e responde com a tarefa ou o motivo da recusa
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   * @param {Function} next - Próximo middleware
+   * @param {Function} alteracao - async (id) => { tarefa } ou { erro, status }
+   */
+  async alterar(req, res, next, alteracao) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          error: 'Id de tarefa inválido'
+        });
+      }
+
+      const resultado = await alteracao(id);
+
+      if (resultado.erro) {
+        return res.status(resultado.status).json({
+          error: resultado.erro
+        });
+      }
+
+      res.json({
+        success: true,
+        data: resultado.tarefa,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new FilaController();
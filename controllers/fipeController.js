@@ -0,0 +1,148 @@
+const fipeService = require('../services/fipeService');
+
+class FipeController {
+  /**
+   * Meses de referência importados
+   * GET /api/fipe/meses
+   */
+  async listarMeses(req, res, next) {
+    try {
+      const meses = await fipeService.listarMeses();
+
+      res.json({
+        success: true,
+        data: meses.map(mes => ({ mes, descricao: fipeService.formatarMesReferencia(mes) }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Marcas do mês de referência
+   * GET /api/fipe/marcas?mes=AAAA-MM
+   */
+  async listarMarcas(req, res, next) {
+    try {
+      const mes = await this.obterMes(req, res);
+      if (!mes) return;
+
+      const marcas = await fipeService.listarMarcas(mes);
+
+      res.json({
+        success: true,
+        data: { mesReferencia: mes, marcas }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Modelos de uma marca
+   * GET /api/fipe/marcas/:marca/modelos?mes=AAAA-MM
+   */
+  async listarModelos(req, res, next) {
+    try {
+      const mes = await this.obterMes(req, res);
+      if (!mes) return;
+
+      const modelos = await fipeService.listarModelos(req.params.marca.toLowerCase(), mes);
+
+      if (modelos.length === 0) {
+        return res.status(404).json({
+          error: 'Marca não encontrada na tabela FIPE',
+          message: 'Use o marcaSlug retornado em /api/fipe/marcas'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { mesReferencia: mes, marca: req.params.marca.toLowerCase(), modelos }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Anos-modelo e valores de um código FIPE
+   * GET /api/fipe/modelos/:codigoFipe/anos?mes=AAAA-MM
+   */
+  async listarAnos(req, res, next) {
+    try {
+      const mes = await this.obterMes(req, res);
+      if (!mes) return;
+
+      const anos = await fipeService.listarAnos(req.params.codigoFipe, mes);
+
+      if (anos.length === 0) {
+        return res.status(404).json({
+          error: 'Código FIPE não encontrado no mês de referência'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { mesReferencia: mes, anos }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Valor de um código FIPE/ano-modelo em todos os meses importados
+   * GET /api/fipe/modelos/:codigoFipe/anos/:anoModelo
+   */
+  async historicoValor(req, res, next) {
+    try {
+      const { codigoFipe } = req.params;
+      const anoModelo = parseInt(req.params.anoModelo);
+
+      if (!anoModelo) {
+        return res.status(400).json({
+          error: 'Ano-modelo inválido',
+          message: 'Informe o ano com quatro dígitos (32000 para zero km)'
+        });
+      }
+
+      const valores = await fipeService.historicoValor(codigoFipe, anoModelo);
+
+      if (valores.length === 0) {
+        return res.status(404).json({
+          error: 'Código FIPE/ano-modelo não encontrado'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { codigoFipe, anoModelo, valores }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Resolve o mês de referência de ?mes=, respondendo 404 quando não há tabela
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   * @returns {Promise<string|null>} - Mês AAAA-MM ou null se a resposta já foi enviada
+   */
+  async obterMes(req, res) {
+    const mes = await fipeService.resolverMes(req.query.mes);
+
+    if (!mes) {
+      res.status(404).json({
+        error: 'Tabela FIPE não importada para o período',
+        message: 'Importe a tabela com npm run fipe:importar -- <arquivo>'
+      });
+      return null;
+    }
+
+    return mes;
+  }
+}
+
+module.exports = new FipeController();
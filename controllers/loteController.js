@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const Lote = require('../models/Lote');
+const loteService = require('../services/loteService');
+const { temCota, responderCotaExcedida } = require('../middleware/autenticacao');
+
+class LoteController {
+  /**
+   * Cria um lote de consultas a partir de um array JSON ou CSV de placas
+   * POST /api/consultas/lote
+   */
+  async criar(req, res, next) {
+    try {
+      const placas = loteService.extrairPlacas(req.body);
+
+      if (!placas || placas.length === 0) {
+        return res.status(400).json({
+          error: 'Nenhuma placa informada',
+          message: 'Envie um array JSON de placas, { "placas": [...] } ou um CSV (Content-Type: text/csv) com as placas na primeira coluna'
+        });
+      }
+
+      if (placas.length > loteService.maximoPlacas) {
+        return res.status(400).json({
+          error: 'Lote muito grande',
+          message: `O lote aceita no máximo ${loteService.maximoPlacas} placas`
+        });
+      }
+
+      // Cada placa válida consome uma consulta da cota
+      if (!temCota(req.cota, loteService.contarValidas(placas))) {
+        return responderCotaExcedida(res, req.cota);
+      }
+
+      const lote = await loteService.criarLote(placas, req.cliente._id);
+
+      res.status(202).json({
+        success: true,
+        data: {
+          id: lote._id,
+          status: lote.status,
+          total: lote.total,
+          invalidas: lote.erros,
+          urlStatus: `/api/consultas/lote/${lote._id}`,
+          urlDownload: `/api/consultas/lote/${lote._id}/download?formato=csv`
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Andamento e resultado por linha de um lote
+   * GET /api/consultas/lote/:id
+   */
+  async status(req, res, next) {
+    try {
+      const lote = await this.buscarLote(req, res);
+      if (!lote) return;
+
+      res.json({
+        success: true,
+        data: lote
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download do resultado do lote em CSV ou XLSX
+   * GET /api/consultas/lote/:id/download?formato=csv|xlsx
+   */
+  async download(req, res, next) {
+    try {
+      const { formato = 'csv' } = req.query;
+
+      if (!['csv', 'xlsx'].includes(formato)) {
+        return res.status(400).json({
+          error: 'Formato inválido',
+          message: 'Use formato=csv ou formato=xlsx'
+        });
+      }
+
+      const lote = await this.buscarLote(req, res);
+      if (!lote) return;
+
+      // Lote com falha: baixa o resultado parcial (itens não processados ficam pendentes)
+      if (!['concluido', 'falhou'].includes(lote.status)) {
+        return res.status(409).json({
+          error: 'Lote ainda em processamento',
+          message: `${lote.processados} de ${lote.total} placas processadas`
+        });
+      }
+
+      const nomeArquivo = `lote-${lote._id}.${formato}`;
+      res.setHeader('Content-Disposition', `attachment; filename="${nomeArquivo}"`);
+
+      if (formato === 'xlsx') {
+        const buffer = await loteService.gerarXlsx(lote);
+        res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        return res.send(Buffer.from(buffer));
+      }
+
+      res.type('text/csv; charset=utf-8');
+      res.send(loteService.gerarCsv(lote));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Busca o lote pelo id da URL, respondendo 400/404 quando necessário
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   * @returns {Promise<Object|null>} - Lote ou null se a resposta já foi enviada
+   */
+  async buscarLote(req, res) {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({
+        error: 'Id de lote inválido'
+      });
+      return null;
+    }
+
+    // Administradores acessam lotes de qualquer cliente
+    const filtro = req.cliente.admin ? { _id: id } : { _id: id, cliente: req.cliente._id };
+    const lote = await Lote.findOne(filtro);
+
+    if (!lote) {
+      res.status(404).json({
+        error: 'Lote não encontrado'
+      });
+      return null;
+    }
+
+    return lote;
+  }
+}
+
+module.exports = new LoteController();
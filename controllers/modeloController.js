@@ -0,0 +1,47 @@
+const historicoPrecoService = require('../services/historicoPrecoService');
+
+class ModeloController {
+  /**
+   * Lista os modelos com histórico de preços
+   * GET /api/modelos
+   */
+  async listar(req, res, next) {
+    try {
+      const modelos = await historicoPrecoService.listarModelos();
+
+      res.json({
+        success: true,
+        data: modelos
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Série mensal de preços (FIPE e mercado) com a depreciação do modelo
+   * GET /api/modelos/:id/historico-precos?meses=24
+   */
+  async historicoPrecos(req, res, next) {
+    try {
+      const { id } = req.params;
+      const historico = await historicoPrecoService.obterHistorico(id, { meses: req.query.meses });
+
+      if (!historico) {
+        return res.status(404).json({
+          error: 'Nenhum histórico de preços para este modelo',
+          message: 'O id segue o formato marca-modelo-anoModelo (ex.: volkswagen-gol-2015), retornado em modeloId nas consultas'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: historico
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ModeloController();
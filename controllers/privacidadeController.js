@@ -0,0 +1,113 @@
+const privacidadeService = require('../services/privacidadeService');
+const agendadorRetencao = require('../services/agendadorRetencao');
+const { normalizarPlaca, validarPlaca } = require('../utils/placa');
+
+class PrivacidadeController {
+  /**
+   * Exclui todos os registros de uma placa (LGPD), com auditoria
+   * DELETE /api/privacidade/placas/:placa
+   */
+  async excluirPlaca(req, res, next) {
+    try {
+      const placa = normalizarPlaca(req.params.placa);
+
+      if (!validarPlaca(placa)) {
+        return res.status(400).json({
+          error: 'Placa inválida',
+          message: 'Informe a placa no formato AAA0X00 ou AAA9999'
+        });
+      }
+
+      const resultado = await privacidadeService.excluirPlaca(placa, {
+        clienteId: req.cliente._id,
+        motivo: req.body && req.body.motivo ? String(req.body.motivo).slice(0, 500) : null
+      });
+
+      res.json({
+        success: true,
+        data: resultado,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Trilha de auditoria das exclusões e da retenção
+   * GET /api/privacidade/auditoria?acao=exclusao_placa&placa=ABC1234
+   */
+  async auditoria(req, res, next) {
+    try {
+      const { acao, placa, limit = 20, page = 1 } = req.query;
+
+      const limitNum = Math.min(parseInt(limit) || 20, 100);
+      const pageNum = parseInt(page) || 1;
+
+      const { registros, total } = await privacidadeService.listarAuditoria({
+        acao,
+        placa,
+        limit: limitNum,
+        page: pageNum
+      });
+
+      res.json({
+        success: true,
+        data: registros,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages: Math.ceil(total / limitNum)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Política de retenção em vigor
+   * GET /api/privacidade/retencao
+   */
+  async politica(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        data: privacidadeService.obterPolitica()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Aplica a política de retenção imediatamente
+   * POST /api/privacidade/retencao/executar
+   */
+  async executarRetencao(req, res, next) {
+    try {
+      const registros = await agendadorRetencao.executar();
+
+      if (!registros) {
+        return res.status(409).json({
+          error: 'Retenção não executada',
+          message: 'Uma execução já está em andamento ou falhou; consulte os logs'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          politica: privacidadeService.obterPolitica(),
+          registros
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new PrivacidadeController();
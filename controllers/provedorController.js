@@ -0,0 +1,21 @@
+const provedorPlacasService = require('../services/provedorPlacasService');
+
+class ProvedorController {
+  /**
+   * Saúde e latência dos provedores de placa
+   * GET /api/provedores
+   */
+  async saude(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        data: provedorPlacasService.obterSaude(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ProvedorController();
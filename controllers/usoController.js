@@ -0,0 +1,88 @@
+const usoService = require('../services/usoService');
+
+// Formato aceito em ?de= e ?ate=
+const FORMATO_DIA = /^\d{4}-\d{2}-\d{2}$/;
+
+class UsoController {
+  /**
+   * Uso do cliente autenticado: consultas pelo cache x chamadas cobradas
+   * GET /api/uso?de=AAAA-MM-DD&ate=AAAA-MM-DD
+   */
+  async meuUso(req, res, next) {
+    try {
+      const periodo = this.lerPeriodo(req, res);
+      if (!periodo) return;
+
+      const [resumo] = await usoService.resumir({ ...periodo, cliente: req.cliente._id });
+
+      res.json({
+        success: true,
+        data: {
+          cliente: {
+            id: req.cliente._id,
+            nome: req.cliente.nome,
+            chavePrefixo: req.cliente.chavePrefixo
+          },
+          periodo,
+          total: resumo ? resumo.total : 0,
+          cache: resumo ? resumo.cache : 0,
+          api: resumo ? resumo.api : 0,
+          dias: resumo ? resumo.dias : [],
+          cota: {
+            limiteDiario: req.cliente.limiteDiario,
+            limiteMensal: req.cliente.limiteMensal,
+            ...req.cota
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Uso de todos os clientes (somente administradores)
+   * GET /api/uso/clientes?de=AAAA-MM-DD&ate=AAAA-MM-DD
+   */
+  async usoPorCliente(req, res, next) {
+    try {
+      const periodo = this.lerPeriodo(req, res);
+      if (!periodo) return;
+
+      const clientes = await usoService.resumir(periodo);
+
+      res.json({
+        success: true,
+        data: {
+          periodo,
+          clientes
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lê o período (?de= e ?ate=), por padrão o mês atual
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   * @returns {Object|null} - { de, ate } ou null se a resposta de erro já foi enviada
+   */
+  lerPeriodo(req, res) {
+    const hoje = usoService.obterDia();
+    const { de = `${hoje.slice(0, 7)}-01`, ate = hoje } = req.query;
+
+    if (!FORMATO_DIA.test(de) || !FORMATO_DIA.test(ate)) {
+      res.status(400).json({
+        error: 'Período inválido',
+        message: 'Use ?de=AAAA-MM-DD&ate=AAAA-MM-DD'
+      });
+      return null;
+    }
+
+    return { de, ate };
+  }
+}
+
+module.exports = new UsoController();
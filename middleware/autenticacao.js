@@ -0,0 +1,132 @@
+const Cliente = require('../models/Cliente');
+const usoService = require('../services/usoService');
+
+/**
+ * Extrai a chave de API do cabeçalho X-API-Key ou Authorization: Bearer
+ * @param {Object} req - Requisição
+ * @returns {string|null}
+ */
+function extrairChave(req) {
+  const chave = req.get('X-API-Key');
+  if (chave) return chave.trim();
+
+  const autorizacao = req.get('Authorization') || '';
+  const [tipo, valor] = autorizacao.split(' ');
+  return tipo === 'Bearer' && valor ? valor.trim() : null;
+}
+
+/**
+ * Define os cabeçalhos de cota (X-RateLimit-*) da janela mais restritiva
+ * @param {Object} res - Resposta
+ * @param {Object} cota - { limite, restante, reinicio, janela }
+ */
+function definirCabecalhosCota(res, cota) {
+  if (cota.limite === null) return;
+
+  res.set({
+    'X-RateLimit-Limit': String(cota.limite),
+    'X-RateLimit-Remaining': String(cota.restante),
+    'X-RateLimit-Reset': String(Math.ceil(cota.reinicio.getTime() / 1000)),
+    'X-RateLimit-Window': cota.janela
+  });
+}
+
+/**
+ * Autentica a requisição pela chave de API e carrega a cota do cliente
+ * (req.cliente e req.cota)
+ */
+async function autenticar(req, res, next) {
+  try {
+    const chave = extrairChave(req);
+
+    if (!chave) {
+      return res.status(401).json({
+        error: 'Chave de API não informada',
+        message: 'Envie a chave no cabeçalho X-API-Key ou Authorization: Bearer <chave>'
+      });
+    }
+
+    const cliente = await Cliente.findByChave(chave);
+
+    if (!cliente) {
+      return res.status(401).json({
+        error: 'Chave de API inválida'
+      });
+    }
+
+    if (!cliente.ativo) {
+      return res.status(403).json({
+        error: 'Chave de API desativada'
+      });
+    }
+
+    const consumo = await usoService.obterConsumo(cliente._id);
+    const cota = usoService.calcularCota(cliente, consumo);
+    definirCabecalhosCota(res, cota);
+
+    req.cliente = cliente;
+    req.cota = cota;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Bloqueia a requisição (429) se o cliente não tiver cota para a quantidade de consultas.
+ * É só uma checagem prévia: a cota é reservada de forma atômica em usoService.reservar,
+ * chamado pelo consultaService antes de cada consulta de placa.
+ * @param {number} quantidade - Consultas que a requisição vai consumir
+ * @returns {Function} - Middleware
+ */
+function exigirCota(quantidade = 1) {
+  return (req, res, next) => {
+    if (!temCota(req.cota, quantidade)) {
+      return responderCotaExcedida(res, req.cota);
+    }
+    next();
+  };
+}
+
+/**
+ * Indica se a cota comporta a quantidade de consultas
+ * @param {Object} cota - Cota calculada em autenticar
+ * @param {number} quantidade - Consultas pretendidas
+ * @returns {boolean}
+ */
+function temCota(cota, quantidade) {
+  return !cota || cota.limite === null || cota.restante >= quantidade;
+}
+
+/**
+ * Responde 429 com Retry-After até o reinício da janela
+ * @param {Object} res - Resposta
+ * @param {Object} cota - Cota calculada em autenticar
+ */
+function responderCotaExcedida(res, cota) {
+  res.set('Retry-After', String(Math.max(Math.ceil((cota.reinicio.getTime() - Date.now()) / 1000), 1)));
+  return res.status(429).json({
+    error: 'Cota de consultas excedida',
+    message: `Cota ${cota.janela} de ${cota.limite} consultas insuficiente (restam ${cota.restante}); renova em ${cota.reinicio.toISOString()}`
+  });
+}
+
+/**
+ * Restringe a rota a clientes administradores
+ */
+function exigirAdmin(req, res, next) {
+  if (!req.cliente || !req.cliente.admin) {
+    return res.status(403).json({
+      error: 'Acesso restrito a administradores'
+    });
+  }
+  next();
+}
+
+module.exports = {
+  autenticar,
+  exigirCota,
+  exigirAdmin,
+  temCota,
+  responderCotaExcedida
+};
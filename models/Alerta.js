@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// Condição que dispara o alerta
+const CondicaoSchema = new mongoose.Schema({
+  // mercado_mediana: mediana dos anúncios; fipe: valor FIPE; valor_estimado: valor real estimado
+  metrica: {
+    type: String,
+    enum: ['mercado_mediana', 'fipe', 'valor_estimado'],
+    required: true
+  },
+  // abaixo/acima: compara com o valor; queda/alta_percentual: variação sobre o valor de referência
+  operador: {
+    type: String,
+    enum: ['abaixo', 'acima', 'queda_percentual', 'alta_percentual'],
+    required: true
+  },
+  valor: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const AlertaSchema = new mongoose.Schema({
+  cliente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cliente',
+    required: true,
+    index: true
+  },
+  nome: {
+    type: String,
+    default: null
+  },
+  // placa: acompanha um veículo; modelo: acompanha marca/modelo/anoModelo
+  tipo: {
+    type: String,
+    enum: ['placa', 'modelo'],
+    required: true
+  },
+  placa: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
+  marca: {
+    type: String,
+    default: null
+  },
+  modelo: {
+    type: String,
+    default: null
+  },
+  anoModelo: {
+    type: String,
+    default: null
+  },
+  condicao: {
+    type: CondicaoSchema,
+    required: true
+  },
+  webhookUrl: {
+    type: String,
+    required: true
+  },
+  // Segredo da assinatura HMAC dos webhooks (não é retornado nas listagens)
+  webhookSegredo: {
+    type: String,
+    required: true,
+    select: false
+  },
+  intervaloHoras: {
+    type: Number,
+    default: 24
+  },
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+  // Valor da primeira verificação, base das condições percentuais
+  valorReferencia: {
+    type: Number,
+    default: null
+  },
+  ultimoValor: {
+    type: Number,
+    default: null
+  },
+  // Evita notificar de novo enquanto a condição continua atendida
+  condicaoAtendida: {
+    type: Boolean,
+    default: false
+  },
+  ultimaVerificacaoEm: {
+    type: Date,
+    default: null
+  },
+  proximaVerificacaoEm: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  ultimoErro: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+AlertaSchema.index({ ativo: 1, proximaVerificacaoEm: 1 });
+
+const Alerta = mongoose.model('Alerta', AlertaSchema);
+
+module.exports = Alerta;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const AnuncioSchema = new mongoose.Schema({
+  consulta: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true,
+    index: true
+  },
+  // Busca e versão dos preços de mercado que coletaram o anúncio (só a versão atual é mantida)
+  buscaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  versao: {
+    type: Number,
+    default: null
+  },
+  placa: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    index: true
+  },
+  fonte: {
+    type: String,
+    default: 'olx'
+  },
+  marca: {
+    type: String,
+    default: null
+  },
+  modelo: {
+    type: String,
+    default: null
+  },
+  anoModelo: {
+    type: String,
+    default: null
+  },
+  idExterno: {
+    type: String,
+    default: null
+  },
+  titulo: {
+    type: String,
+    default: null
+  },
+  preco: {
+    type: Number,
+    default: null
+  },
+  quilometragem: {
+    type: Number,
+    default: null
+  },
+  cidade: {
+    type: String,
+    default: null
+  },
+  uf: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
+  url: {
+    type: String,
+    default: null
+  },
+  dataPublicacao: {
+    type: Date,
+    default: null
+  },
+  descartado: {
+    type: Boolean,
+    default: false
+  },
+  motivoDescarte: {
+    type: String,
+    default: null
+  },
+  coletadoEm: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para os filtros mais comuns da listagem
+AnuncioSchema.index({ consulta: 1, preco: 1 });
+AnuncioSchema.index({ consulta: 1, versao: 1 });
+AnuncioSchema.index({ marca: 1, modelo: 1, anoModelo: 1, coletadoEm: -1 });
+
+const Anuncio = mongoose.model('Anuncio', AnuncioSchema);
+
+module.exports = Anuncio;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Trilha de auditoria das exclusões e anonimizações de dados pessoais (LGPD).
+// A placa não é guardada em claro: apenas mascarada e o hash da grafia canônica.
+const AuditoriaSchema = new mongoose.Schema({
+  acao: {
+    type: String,
+    enum: ['exclusao_placa', 'retencao'],
+    required: true,
+    index: true
+  },
+  // Administrador que solicitou (null para a retenção automática)
+  cliente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cliente',
+    default: null
+  },
+  placaMascarada: {
+    type: String,
+    default: null
+  },
+  // SHA-256 da placa canônica: permite confirmar a exclusão de uma placa sem armazená-la
+  placaHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+  motivo: {
+    type: String,
+    default: null
+  },
+  // Quantidade de registros afetados por coleção
+  registros: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+AuditoriaSchema.index({ createdAt: -1 });
+
+const Auditoria = mongoose.model('Auditoria', AuditoriaSchema);
+
+module.exports = Auditoria;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Um fator de ajuste aplicado sobre o valor base
+const FatorAvaliacaoSchema = new mongoose.Schema({
+  fator: String,
+  descricao: String,
+  percentual: Number,
+  valor: Number
+}, { _id: false });
+
+// Avaliação com quilometragem, conservação, opcionais e UF informados pelo cliente,
+// guardada com a entrada, a base e os fatores usados para auditoria
+const AvaliacaoSchema = new mongoose.Schema({
+  consulta: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true,
+    index: true
+  },
+  // Removida quando a consulta é anonimizada pela política de retenção
+  placa: {
+    type: String,
+    uppercase: true,
+    default: null,
+    index: true
+  },
+  cliente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cliente',
+    default: null,
+    index: true
+  },
+  entrada: {
+    quilometragem: Number,
+    conservacao: String,
+    opcionais: [String],
+    uf: String
+  },
+  // Valor real estimado (FIPE + mercado) antes dos ajustes
+  valorBase: {
+    type: Number,
+    required: true
+  },
+  // Quilometragem típica do veículo, com a origem (anúncios ou estimativa por idade)
+  quilometragemReferencia: {
+    valor: Number,
+    origem: String,
+    anuncios: Number,
+    // Depreciação a cada 10 mil km (fração), medida nos anúncios ou padrão
+    depreciacao10MilKm: Number
+  },
+  fatores: {
+    type: [FatorAvaliacaoSchema],
+    default: []
+  },
+  valorAjustado: {
+    type: Number,
+    required: true
+  },
+  intervalo: {
+    minimo: Number,
+    maximo: Number
+  },
+  confianca: {
+    type: String,
+    default: null
+  },
+  explicacao: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+AvaliacaoSchema.index({ placa: 1, createdAt: -1 });
+
+const Avaliacao = mongoose.model('Avaliacao', AvaliacaoSchema);
+
+module.exports = Avaliacao;
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const ClienteSchema = new mongoose.Schema({
+  nome: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Apenas o hash SHA-256 da chave é armazenado; a chave aparece uma única vez na criação
+  chaveHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Início da chave, para identificação em logs e listagens
+  chavePrefixo: {
+    type: String,
+    required: true
+  },
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+  admin: {
+    type: Boolean,
+    default: false
+  },
+  // Vê chassi e renavam sem máscara (administradores sempre veem)
+  dadosSensiveis: {
+    type: Boolean,
+    default: false
+  },
+  // Cotas de consultas (null = sem limite)
+  limiteDiario: {
+    type: Number,
+    default: null
+  },
+  limiteMensal: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Gera uma nova chave de API ("vr_" + 48 caracteres hexadecimais)
+ClienteSchema.statics.gerarChave = function() {
+  return `vr_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// Hash usado para armazenar e procurar a chave
+ClienteSchema.statics.calcularHash = function(chave) {
+  return crypto.createHash('sha256').update(chave).digest('hex');
+};
+
+// Método estático para buscar o cliente de uma chave de API
+ClienteSchema.statics.findByChave = function(chave) {
+  return this.findOne({ chaveHash: this.calcularHash(chave) });
+};
+
+const Cliente = mongoose.model('Cliente', ClienteSchema);
+
+module.exports = Cliente;
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const ItemLoteSchema = new mongoose.Schema({
+  linha: {
+    type: Number,
+    required: true
+  },
+  placaInformada: {
+    type: String,
+    default: null
+  },
+  placa: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pendente', 'sucesso', 'erro'],
+    default: 'pendente'
+  },
+  erro: {
+    type: String,
+    default: null
+  },
+  fonte: {
+    type: String,
+    default: null
+  },
+  consulta: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    default: null
+  },
+  marca: String,
+  modelo: String,
+  ano: String,
+  anoModelo: String,
+  cor: String,
+  uf: String,
+  municipio: String,
+  situacao: String,
+  // Nível de risco da consulta (riscoService)
+  risco: String,
+  valorFipe: String,
+  valorEstimado: Number
+}, {
+  _id: false
+});
+
+const LoteSchema = new mongoose.Schema({
+  cliente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cliente',
+    default: null,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pendente', 'processando', 'concluido', 'falhou'],
+    default: 'pendente',
+    index: true
+  },
+  // Motivo da falha do processamento (status 'falhou'); os itens já processados são mantidos
+  erroProcessamento: {
+    type: String,
+    default: null
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processados: {
+    type: Number,
+    default: 0
+  },
+  sucessos: {
+    type: Number,
+    default: 0
+  },
+  erros: {
+    type: Number,
+    default: 0
+  },
+  itens: {
+    type: [ItemLoteSchema],
+    default: []
+  },
+  iniciadoEm: {
+    type: Date,
+    default: null
+  },
+  concluidoEm: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const Lote = mongoose.model('Lote', LoteSchema);
+
+module.exports = Lote;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Histórico de disparos de alertas e da entrega dos webhooks
+const NotificacaoSchema = new mongoose.Schema({
+  alerta: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alerta',
+    required: true,
+    index: true
+  },
+  cliente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cliente',
+    required: true
+  },
+  evento: {
+    type: String,
+    default: 'alerta.disparado'
+  },
+  valor: {
+    type: Number,
+    default: null
+  },
+  valorReferencia: {
+    type: Number,
+    default: null
+  },
+  mensagem: {
+    type: String,
+    default: null
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  statusEntrega: {
+    type: String,
+    enum: ['enviada', 'falhou'],
+    required: true
+  },
+  tentativas: {
+    type: Number,
+    default: 0
+  },
+  respostaStatus: {
+    type: Number,
+    default: null
+  },
+  erro: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+NotificacaoSchema.index({ alerta: 1, createdAt: -1 });
+
+const Notificacao = mongoose.model('Notificacao', NotificacaoSchema);
+
+module.exports = Notificacao;
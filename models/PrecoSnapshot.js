@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Estatísticas de mercado registradas no snapshot
+const MercadoSnapshotSchema = new mongoose.Schema({
+  mediana: Number,
+  p25: Number,
+  p75: Number,
+  quantidadeAnuncios: Number,
+  fontes: [String]
+}, { _id: false });
+
+// Retrato numérico dos preços de um modelo em uma consulta
+// (um documento por consulta e dia, atualizado quando os preços de mercado chegam)
+const PrecoSnapshotSchema = new mongoose.Schema({
+  // Identificador do modelo: "<marca>-<modelo>-<anoModelo>" (ex.: "volkswagen-gol-2015")
+  modeloId: {
+    type: String,
+    required: true
+  },
+  marca: {
+    type: String,
+    required: true
+  },
+  modelo: {
+    type: String,
+    required: true
+  },
+  anoModelo: {
+    type: Number,
+    required: true
+  },
+  // Texto original da API Placas, para exibição
+  descricao: {
+    type: String,
+    default: null
+  },
+  consulta: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    default: null
+  },
+  // Dia do registro (AAAA-MM-DD)
+  dia: {
+    type: String,
+    required: true
+  },
+  codigoFipe: {
+    type: String,
+    default: null
+  },
+  valorFipe: {
+    type: Number,
+    default: null
+  },
+  mesReferenciaFipe: {
+    type: String,
+    default: null
+  },
+  mercado: {
+    type: MercadoSnapshotSchema,
+    default: null
+  },
+  valorEstimado: {
+    type: Number,
+    default: null
+  },
+  registradoEm: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+PrecoSnapshotSchema.index({ modeloId: 1, registradoEm: 1 });
+PrecoSnapshotSchema.index({ consulta: 1, dia: 1 }, { unique: true });
+
+const PrecoSnapshot = mongoose.model('PrecoSnapshot', PrecoSnapshotSchema);
+
+module.exports = PrecoSnapshot;
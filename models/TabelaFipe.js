@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Linha da tabela FIPE de referência: valor de um código/ano-modelo em um mês
+const TabelaFipeSchema = new mongoose.Schema({
+  codigoFipe: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Mês de referência no formato AAAA-MM
+  mesReferencia: {
+    type: String,
+    required: true
+  },
+  tipoVeiculo: {
+    type: String,
+    default: 'carro'
+  },
+  marca: {
+    type: String,
+    required: true
+  },
+  marcaSlug: {
+    type: String,
+    required: true
+  },
+  modelo: {
+    type: String,
+    required: true
+  },
+  // Modelo base normalizado ("Gol 1.0 Mi Total Flex 8V" → "gol"), usado na busca sem código
+  modeloSlug: {
+    type: String,
+    default: null
+  },
+  // 32000 indica veículo zero km na tabela FIPE
+  anoModelo: {
+    type: Number,
+    required: true
+  },
+  combustivel: {
+    type: String,
+    default: null
+  },
+  valor: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+TabelaFipeSchema.index({ codigoFipe: 1, anoModelo: 1, combustivel: 1, mesReferencia: 1 }, { unique: true });
+TabelaFipeSchema.index({ mesReferencia: 1, marcaSlug: 1, modeloSlug: 1, anoModelo: 1 });
+
+const TabelaFipe = mongoose.model('TabelaFipe', TabelaFipeSchema);
+
+module.exports = TabelaFipe;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Tarefas concluídas são removidas após este prazo; as que falharam ficam para inspeção
+const FILA_RETENCAO_CONCLUIDAS_DIAS = parseInt(process.env.FILA_RETENCAO_CONCLUIDAS_DIAS) || 7;
+
+const ErroTarefaSchema = new mongoose.Schema({
+  tentativa: Number,
+  mensagem: String,
+  em: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Trabalho em segundo plano (busca de preços, revalidação de cadastro) da fila em filaService
+const TarefaSchema = new mongoose.Schema({
+  tipo: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pendente', 'processando', 'concluido', 'falhou', 'cancelado'],
+    default: 'pendente'
+  },
+  dados: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Identifica o trabalho (ex.: mercado:<consulta>) para não enfileirar o mesmo duas vezes
+  chave: {
+    type: String,
+    default: null
+  },
+  // Igual à chave enquanto a tarefa está pendente ou processando (índice único parcial)
+  chaveAtiva: {
+    type: String,
+    default: undefined
+  },
+  tentativas: {
+    type: Number,
+    default: 0
+  },
+  maxTentativas: {
+    type: Number,
+    default: 3
+  },
+  // Próxima execução (adiada pelo backoff entre tentativas)
+  executarApos: {
+    type: Date,
+    default: Date.now
+  },
+  // Prazo da execução em andamento; depois dele a tarefa é considerada abandonada
+  bloqueadaAte: {
+    type: Date,
+    default: null
+  },
+  trabalhador: {
+    type: String,
+    default: null
+  },
+  iniciadaEm: {
+    type: Date,
+    default: null
+  },
+  finalizadaEm: {
+    type: Date,
+    default: null
+  },
+  resultado: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ultimoErro: {
+    type: String,
+    default: null
+  },
+  erros: {
+    type: [ErroTarefaSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+TarefaSchema.index({ tipo: 1, status: 1, executarApos: 1 });
+TarefaSchema.index({ status: 1, bloqueadaAte: 1 });
+TarefaSchema.index({ status: 1, createdAt: -1 });
+TarefaSchema.index({ chaveAtiva: 1 }, { unique: true, partialFilterExpression: { chaveAtiva: { $type: 'string' } } });
+TarefaSchema.index(
+  { finalizadaEm: 1 },
+  { expireAfterSeconds: FILA_RETENCAO_CONCLUIDAS_DIAS * 24 * 60 * 60, partialFilterExpression: { status: 'concluido' } }
+);
+
+const Tarefa = mongoose.model('Tarefa', TarefaSchema);
+
+module.exports = Tarefa;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Consumo diário de um cliente (um documento por cliente e dia, em UTC)
+const UsoSchema = new mongoose.Schema({
+  cliente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cliente',
+    required: true
+  },
+  // Dia no formato AAAA-MM-DD
+  dia: {
+    type: String,
+    required: true
+  },
+  // Mês no formato AAAA-MM (para a cota mensal)
+  mes: {
+    type: String,
+    required: true
+  },
+  // Consultas de placa realizadas (cache + api)
+  total: {
+    type: Number,
+    default: 0
+  },
+  // Respondidas pelo cache (sem custo)
+  cache: {
+    type: Number,
+    default: 0
+  },
+  // Chamadas cobradas na API Placas
+  api: {
+    type: Number,
+    default: 0
+  },
+  // Falhas dos provedores de placa (não entram no total nem na cota)
+  erros: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+UsoSchema.index({ cliente: 1, dia: 1 }, { unique: true });
+UsoSchema.index({ cliente: 1, mes: 1 });
+
+const Uso = mongoose.model('Uso', UsoSchema);
+
+module.exports = Uso;
@@ -1,9 +1,13 @@
 const mongoose = require('mongoose');
+const { filtroPlaca } = require('../utils/placa');
 
 const VehicleSchema = new mongoose.Schema({
+  // Removida quando a consulta é anonimizada pela política de retenção
   placa: {
     type: String,
-    required: true,
+    required: function() {
+      return !this.anonimizadoEm;
+    },
     uppercase: true,
     trim: true,
     index: true
@@ -48,10 +52,53 @@ const VehicleSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Restrições extraídas da situação e do bloco extra do provedor (riscoService)
+  restricoes: {
+    type: [{
+      _id: false,
+      tipo: String,
+      gravidade: {
+        type: String,
+        enum: ['nenhum', 'baixo', 'medio', 'alto', 'critico']
+      },
+      descricao: String,
+      origem: String
+    }],
+    default: []
+  },
+  // Nível de risco normalizado e avisos exibidos na consulta
+  risco: {
+    nivel: {
+      type: String,
+      enum: ['nenhum', 'baixo', 'medio', 'alto', 'critico', 'indeterminado', null],
+      default: null
+    },
+    rouboFurto: {
+      type: Boolean,
+      default: false
+    },
+    chassiRemarcado: {
+      type: Boolean,
+      default: false
+    },
+    avisos: {
+      type: [String],
+      default: []
+    },
+    analisadoEm: {
+      type: Date,
+      default: null
+    }
+  },
   valorFipe: {
     type: String,
     default: null
   },
+  // Valor FIPE numérico, para filtros e ordenação (preenchido ao salvar a consulta)
+  valorFipeNumero: {
+    type: Number,
+    default: null
+  },
   valorFipeScore: {
     type: Number,
     default: null
@@ -68,10 +115,51 @@ const VehicleSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: null
   },
+  precosMercado: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  statusOlx: {
+    type: String,
+    enum: ['pendente', 'concluido', 'sem_resultados', 'falhou', null],
+    default: null
+  },
+  erroOlx: {
+    type: String,
+    default: null
+  },
+  olxIniciadoEm: {
+    type: Date,
+    default: null
+  },
+  olxAtualizadoEm: {
+    type: Date,
+    default: null
+  },
+  // Busca de mercado em andamento ou mais recente; só ela grava o resultado na consulta
+  olxBuscaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Versão atual dos preços de mercado (histórico em VersaoMercado)
+  mercadoVersao: {
+    type: Number,
+    default: 0
+  },
+  // Provedor que respondeu a consulta (apiplacas, mock...)
+  provedor: {
+    type: String,
+    default: null
+  },
   mensagemRetorno: {
     type: String,
     default: null
   },
+  // Data em que placa, chassi, renavam e resposta bruta foram removidos (LGPD)
+  anonimizadoEm: {
+    type: Date,
+    default: null
+  },
   dataConsulta: {
     type: Date,
     default: Date.now,
@@ -88,9 +176,29 @@ const VehicleSchema = new mongoose.Schema({
 // Índice composto para consultas rápidas
 VehicleSchema.index({ placa: 1, dataConsulta: -1 });
 
+// Filtros e ordenações da listagem de consultas (paginação por cursor usa _id como desempate)
+VehicleSchema.index({ dataConsulta: -1, _id: -1 });
+VehicleSchema.index({ marca: 1, modelo: 1, anoModelo: 1, dataConsulta: -1 });
+VehicleSchema.index({ uf: 1, municipio: 1, dataConsulta: -1 });
+VehicleSchema.index({ situacao: 1, dataConsulta: -1 });
+VehicleSchema.index({ 'risco.nivel': 1, dataConsulta: -1 });
+VehicleSchema.index({ 'risco.rouboFurto': 1, dataConsulta: -1 });
+VehicleSchema.index({ 'restricoes.tipo': 1, dataConsulta: -1 });
+VehicleSchema.index({ valorFipeNumero: 1, _id: 1 });
+VehicleSchema.index({ anoModelo: 1, _id: 1 });
+VehicleSchema.index({ marca: 1, _id: 1 });
+VehicleSchema.index({ placa: 1, _id: 1 });
+
+// Busca textual (sem stemming: nomes de modelos não são palavras do português)
+VehicleSchema.index(
+  { marca: 'text', modelo: 'text', municipio: 'text', cor: 'text', situacao: 'text' },
+  { name: 'busca_texto', default_language: 'none' }
+);
+
 // Método estático para buscar última consulta de uma placa
+// (considera a grafia antiga e a Mercosul como o mesmo veículo)
 VehicleSchema.statics.findLatestByPlaca = function(placa) {
-  return this.findOne({ placa: placa.toUpperCase() })
+  return this.findOne({ placa: filtroPlaca(placa) })
     .sort({ dataConsulta: -1 });
 };
 
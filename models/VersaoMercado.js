@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Resumo de uma fonte de mercado em uma versão
+const FonteVersaoSchema = new mongoose.Schema({
+  fonte: String,
+  status: String,
+  url: String,
+  quantidadeAnuncios: Number,
+  menor: Number,
+  mediana: Number,
+  maior: Number,
+  erro: String
+}, { _id: false });
+
+// Cada busca de preços de mercado concluída de uma consulta gera uma versão,
+// com o momento da coleta e a URL de cada fonte
+const VersaoMercadoSchema = new mongoose.Schema({
+  consulta: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true
+  },
+  placa: {
+    type: String,
+    uppercase: true,
+    default: null,
+    index: true
+  },
+  // Sequencial por consulta (1, 2, 3...)
+  versao: {
+    type: Number,
+    required: true
+  },
+  // Identifica a busca que gerou a versão (a mesma gravada em Vehicle.olxBuscaId)
+  buscaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['concluido', 'sem_resultados', 'falhou'],
+    required: true
+  },
+  erro: {
+    type: String,
+    default: null
+  },
+  iniciadoEm: {
+    type: Date,
+    default: null
+  },
+  coletadoEm: {
+    type: Date,
+    required: true
+  },
+  // Estatísticas combinadas das fontes (sem outliers)
+  resumo: {
+    mediana: Number,
+    p25: Number,
+    p75: Number,
+    quantidadeAnuncios: Number
+  },
+  fontes: {
+    type: [FonteVersaoSchema],
+    default: []
+  },
+  // Dados completos da versão, como gravados na consulta
+  precosOlx: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  precosMercado: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+VersaoMercadoSchema.index({ consulta: 1, versao: 1 }, { unique: true });
+VersaoMercadoSchema.index({ placa: 1, coletadoEm: -1 });
+
+const VersaoMercado = mongoose.model('VersaoMercado', VersaoMercadoSchema);
+
+module.exports = VersaoMercado;
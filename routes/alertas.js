@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const alertaController = require('../controllers/alertaController');
+const { exigirCota } = require('../middleware/autenticacao');
+
+// Cadastra alerta
+router.post('/alertas', alertaController.criar.bind(alertaController));
+
+// Lista alertas do cliente
+router.get('/alertas', alertaController.listar.bind(alertaController));
+
+// Detalhes do alerta
+router.get('/alertas/:id', alertaController.detalhar.bind(alertaController));
+
+// Desativa alerta
+router.delete('/alertas/:id', alertaController.remover.bind(alertaController));
+
+// Verifica o alerta imediatamente
+router.post('/alertas/:id/verificar', exigirCota(), alertaController.verificarAgora.bind(alertaController));
+
+// Histórico de notificações
+router.get('/alertas/:id/historico', alertaController.historico.bind(alertaController));
+
+module.exports = router;
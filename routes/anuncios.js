@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const anuncioController = require('../controllers/anuncioController');
+
+// Lista anúncios coletados (filtros e ordenação)
+router.get('/anuncios', anuncioController.listar.bind(anuncioController));
+
+// Anúncios que compõem os preços de uma consulta
+router.get('/consulta/:placa/anuncios', anuncioController.listarPorConsulta.bind(anuncioController));
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const comparacaoController = require('../controllers/comparacaoController');
+
+// Comparação lado a lado de veículos por placa
+router.get('/comparar', comparacaoController.comparar.bind(comparacaoController));
+
+module.exports = router;
@@ -1,12 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const consultaController = require('../controllers/consultaController');
+const { exigirCota } = require('../middleware/autenticacao');
 
 // Consulta por placa
-router.get('/consulta/:placa', consultaController.consultar.bind(consultaController));
+router.get('/consulta/:placa', exigirCota(), consultaController.consultar.bind(consultaController));
+
+// Consulta por placa com o andamento de cada etapa (Server-Sent Events)
+router.get('/consulta/:placa/stream', exigirCota(), consultaController.stream.bind(consultaController));
 
 // Força nova consulta (ignora cache)
-router.get('/consulta/:placa/forcar', consultaController.forcarConsulta.bind(consultaController));
+router.get('/consulta/:placa/forcar', exigirCota(), consultaController.forcarConsulta.bind(consultaController));
+
+// Status da busca de preços no OLX
+router.get('/consulta/:placa/olx', consultaController.statusOlx.bind(consultaController));
+
+// Valor real estimado (FIPE + mercado)
+router.get('/consulta/:placa/valor-real', consultaController.valorReal.bind(consultaController));
+
+// Avaliação ajustada por quilometragem, conservação, opcionais e UF
+router.post('/consulta/:placa/avaliacao', consultaController.avaliar.bind(consultaController));
+
+// Avaliações salvas de uma placa
+router.get('/consulta/:placa/avaliacoes', consultaController.avaliacoes.bind(consultaController));
+
+// Relatório de avaliação em PDF
+router.get('/consulta/:placa/relatorio.pdf', consultaController.relatorio.bind(consultaController));
 
 // Histórico de consultas de uma placa
 router.get('/consulta/:placa/historico', consultaController.historico.bind(consultaController));
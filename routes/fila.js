@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const filaController = require('../controllers/filaController');
+const { exigirAdmin } = require('../middleware/autenticacao');
+
+// Tarefas da fila, com contagem por status (administradores)
+router.get('/fila/tarefas', exigirAdmin, filaController.listar.bind(filaController));
+
+// Detalhes de uma tarefa (administradores)
+router.get('/fila/tarefas/:id', exigirAdmin, filaController.obter.bind(filaController));
+
+// Reprocessa uma tarefa que falhou ou foi cancelada (administradores)
+router.post('/fila/tarefas/:id/reprocessar', exigirAdmin, filaController.reprocessar.bind(filaController));
+
+// Cancela uma tarefa pendente (administradores)
+router.post('/fila/tarefas/:id/cancelar', exigirAdmin, filaController.cancelar.bind(filaController));
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const fipeController = require('../controllers/fipeController');
+
+// Meses de referência importados
+router.get('/fipe/meses', fipeController.listarMeses.bind(fipeController));
+
+// Marcas do mês de referência
+router.get('/fipe/marcas', fipeController.listarMarcas.bind(fipeController));
+
+// Modelos de uma marca
+router.get('/fipe/marcas/:marca/modelos', fipeController.listarModelos.bind(fipeController));
+
+// Anos-modelo de um código FIPE
+router.get('/fipe/modelos/:codigoFipe/anos', fipeController.listarAnos.bind(fipeController));
+
+// Valor de um código FIPE/ano-modelo ao longo dos meses
+router.get('/fipe/modelos/:codigoFipe/anos/:anoModelo', fipeController.historicoValor.bind(fipeController));
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const loteController = require('../controllers/loteController');
+
+// Cria lote de consultas (JSON ou CSV)
+router.post(
+  '/consultas/lote',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  loteController.criar.bind(loteController)
+);
+
+// Andamento do lote
+router.get('/consultas/lote/:id', loteController.status.bind(loteController));
+
+// Download do resultado (CSV ou XLSX)
+router.get('/consultas/lote/:id/download', loteController.download.bind(loteController));
+
+module.exports = router;
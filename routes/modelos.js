@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const modeloController = require('../controllers/modeloController');
+
+// Modelos com histórico de preços
+router.get('/modelos', modeloController.listar.bind(modeloController));
+
+// Série de preços e depreciação de um modelo
+router.get('/modelos/:id/historico-precos', modeloController.historicoPrecos.bind(modeloController));
+
+module.exports = router;
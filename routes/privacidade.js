@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const privacidadeController = require('../controllers/privacidadeController');
+const { exigirAdmin } = require('../middleware/autenticacao');
+
+// Exclusão de todos os registros de uma placa (administradores)
+router.delete('/privacidade/placas/:placa', exigirAdmin, privacidadeController.excluirPlaca.bind(privacidadeController));
+
+// Trilha de auditoria (administradores)
+router.get('/privacidade/auditoria', exigirAdmin, privacidadeController.auditoria.bind(privacidadeController));
+
+// Política de retenção
+router.get('/privacidade/retencao', exigirAdmin, privacidadeController.politica.bind(privacidadeController));
+
+// Aplica a retenção imediatamente (administradores)
+router.post('/privacidade/retencao/executar', exigirAdmin, privacidadeController.executarRetencao.bind(privacidadeController));
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const provedorController = require('../controllers/provedorController');
+const { exigirAdmin } = require('../middleware/autenticacao');
+
+// Saúde dos provedores de placa (administradores)
+router.get('/provedores', exigirAdmin, provedorController.saude.bind(provedorController));
+
+module.exports = router;
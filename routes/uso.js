@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const usoController = require('../controllers/usoController');
+const { exigirAdmin } = require('../middleware/autenticacao');
+
+// Uso do cliente autenticado
+router.get('/uso', usoController.meuUso.bind(usoController));
+
+// Uso de todos os clientes (administradores)
+router.get('/uso/clientes', exigirAdmin, usoController.usoPorCliente.bind(usoController));
+
+module.exports = router;
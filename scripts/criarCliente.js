@@ -0,0 +1,46 @@
+/**
+ * Cria um cliente e exibe a chave de API gerada (exibida apenas uma vez)
+ *
+ * Uso: node scripts/criarCliente.js "Nome do cliente" [limiteDiario] [limiteMensal] [--admin] [--dados-sensiveis]
+ * Sem limites informados, usa COTA_DIARIA_PADRAO e COTA_MENSAL_PADRAO do .env (0 = sem limite).
+ * --dados-sensiveis permite ver chassi e renavam sem máscara.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Cliente = require('../models/Cliente');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const admin = args.includes('--admin');
+  const dadosSensiveis = args.includes('--dados-sensiveis');
+  const [nome, limiteDiario, limiteMensal] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!nome) {
+    console.error('Uso: node scripts/criarCliente.js "Nome do cliente" [limiteDiario] [limiteMensal] [--admin] [--dados-sensiveis]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI, { dbName: process.env.DB_NAME });
+
+  const chave = Cliente.gerarChave();
+  const cliente = await Cliente.create({
+    nome,
+    chaveHash: Cliente.calcularHash(chave),
+    chavePrefixo: chave.slice(0, 10),
+    admin,
+    dadosSensiveis,
+    limiteDiario: parseInt(limiteDiario ?? process.env.COTA_DIARIA_PADRAO) || null,
+    limiteMensal: parseInt(limiteMensal ?? process.env.COTA_MENSAL_PADRAO) || null
+  });
+
+  console.log(`✅ Cliente criado: ${cliente.nome} (${cliente._id})`);
+  console.log(`🔑 Chave de API: ${chave}`);
+  console.log('Guarde a chave agora; ela não pode ser recuperada depois.');
+
+  await mongoose.disconnect();
+}
+
+main().catch(error => {
+  console.error('❌ Erro ao criar cliente:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+/**
+ * Importa arquivos da tabela FIPE de referência (CSV ou JSON) para o MongoDB
+ *
+ * Uso: node scripts/importarFipe.js <arquivo> [<arquivo>...] [--mes=AAAA-MM]
+ * --mes define o mês de referência dos registros que não trazem a coluna MesReferencia.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const fipeService = require('../services/fipeService');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const opcaoMes = args.find(arg => arg.startsWith('--mes='));
+  const arquivos = args.filter(arg => !arg.startsWith('--'));
+
+  if (arquivos.length === 0) {
+    console.error('Uso: node scripts/importarFipe.js <arquivo> [<arquivo>...] [--mes=AAAA-MM]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI, { dbName: process.env.DB_NAME });
+
+  for (const arquivo of arquivos) {
+    const conteudo = fs.readFileSync(arquivo, 'utf8');
+    const registros = fipeService.lerArquivo(conteudo, path.basename(arquivo));
+    const resultado = await fipeService.importar(registros, {
+      mesReferencia: opcaoMes ? opcaoMes.split('=')[1] : null
+    });
+
+    console.log(`✅ ${arquivo}: ${resultado.importados} registros importados, ${resultado.ignorados} ignorados (meses: ${resultado.meses.join(', ') || '-'})`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(error => {
+  console.error('❌ Erro ao importar tabela FIPE:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+/**
+ * Preenche restrições e nível de risco (restricoes/risco) das consultas salvas antes
+ * da análise de risco, para que apareçam nos filtros risco, riscoMin, rouboFurto e restricao.
+ * Consultas cuja resposta bruta já foi descartada pela retenção são analisadas só pela situação.
+ *
+ * Uso: node scripts/preencherRisco.js
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const riscoService = require('../services/riscoService');
+
+// Atualizações enviadas por bulkWrite
+const TAMANHO_LOTE = 500;
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI, { dbName: process.env.DB_NAME });
+
+  const cursor = Vehicle.find({ 'risco.nivel': null })
+    .select('situacao dadosCompletos')
+    .lean()
+    .cursor();
+
+  let operacoes = [];
+  let atualizadas = 0;
+
+  for await (const consulta of cursor) {
+    const { restricoes, risco } = riscoService.analisar(consulta);
+
+    operacoes.push({
+      updateOne: { filter: { _id: consulta._id }, update: { $set: { restricoes, risco } } }
+    });
+
+    if (operacoes.length === TAMANHO_LOTE) {
+      atualizadas += (await Vehicle.bulkWrite(operacoes)).modifiedCount;
+      operacoes = [];
+    }
+  }
+
+  if (operacoes.length > 0) {
+    atualizadas += (await Vehicle.bulkWrite(operacoes)).modifiedCount;
+  }
+
+  console.log(`✅ ${atualizadas} consulta(s) atualizada(s)`);
+
+  await mongoose.disconnect();
+}
+
+main().catch(error => {
+  console.error('❌ Erro ao preencher o risco:', error.message);
+  process.exit(1);
+});
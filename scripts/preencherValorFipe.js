@@ -0,0 +1,52 @@
+/**
+ * Preenche o valor FIPE numérico (valorFipeNumero) das consultas salvas antes
+ * do campo existir, para que apareçam nos filtros fipeMin/fipeMax e na ordenação por valorFipe
+ *
+ * Uso: node scripts/preencherValorFipe.js
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const olxService = require('../services/olxService');
+
+// Atualizações enviadas por bulkWrite
+const TAMANHO_LOTE = 500;
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI, { dbName: process.env.DB_NAME });
+
+  const cursor = Vehicle.find({ valorFipe: { $ne: null }, valorFipeNumero: null })
+    .select('valorFipe')
+    .lean()
+    .cursor();
+
+  let operacoes = [];
+  let atualizadas = 0;
+
+  for await (const consulta of cursor) {
+    const valor = olxService.extrairPreco(consulta.valorFipe);
+    if (!valor) continue;
+
+    operacoes.push({
+      updateOne: { filter: { _id: consulta._id }, update: { $set: { valorFipeNumero: valor } } }
+    });
+
+    if (operacoes.length === TAMANHO_LOTE) {
+      atualizadas += (await Vehicle.bulkWrite(operacoes)).modifiedCount;
+      operacoes = [];
+    }
+  }
+
+  if (operacoes.length > 0) {
+    atualizadas += (await Vehicle.bulkWrite(operacoes)).modifiedCount;
+  }
+
+  console.log(`✅ ${atualizadas} consulta(s) atualizada(s)`);
+
+  await mongoose.disconnect();
+}
+
+main().catch(error => {
+  console.error('❌ Erro ao preencher o valor FIPE:', error.message);
+  process.exit(1);
+});
@@ -3,12 +3,31 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const consultaRoutes = require('./routes/consulta');
+const anuncioRoutes = require('./routes/anuncios');
+const loteRoutes = require('./routes/lote');
+const usoRoutes = require('./routes/uso');
+const modeloRoutes = require('./routes/modelos');
+const fipeRoutes = require('./routes/fipe');
+const alertaRoutes = require('./routes/alertas');
+const provedorRoutes = require('./routes/provedores');
+const comparacaoRoutes = require('./routes/comparacao');
+const privacidadeRoutes = require('./routes/privacidade');
+const filaRoutes = require('./routes/fila');
+const agendadorAlertas = require('./services/agendadorAlertas');
+const agendadorRetencao = require('./services/agendadorRetencao');
+const filaService = require('./services/filaService');
+const loteService = require('./services/loteService');
+const { autenticar } = require('./middleware/autenticacao');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middlewares
-app.use(cors());
+// CORS_ORIGENS: lista separada por vírgula; sem a variável, qualquer origem é aceita
+app.use(cors({
+  origin: process.env.CORS_ORIGENS ? process.env.CORS_ORIGENS.split(',').map(origem => origem.trim()) : true,
+  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Window', 'Retry-After']
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -28,8 +47,19 @@ mongoose.connect(process.env.MONGO_URI, {
   // Não encerra o processo para permitir que o servidor continue funcionando
 });
 
-// Rotas
+// Rotas (todas exigem chave de API)
+app.use('/api', autenticar);
 app.use('/api', consultaRoutes);
+app.use('/api', anuncioRoutes);
+app.use('/api', loteRoutes);
+app.use('/api', usoRoutes);
+app.use('/api', modeloRoutes);
+app.use('/api', fipeRoutes);
+app.use('/api', alertaRoutes);
+app.use('/api', provedorRoutes);
+app.use('/api', comparacaoRoutes);
+app.use('/api', privacidadeRoutes);
+app.use('/api', filaRoutes);
 
 // Rota de health check
 app.get('/health', (req, res) => {
@@ -40,11 +70,24 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Middleware de erro
+// Middleware de erro: erros de domínio (utils/erros.js) trazem status e código estável
 app.use((err, req, res, next) => {
-  console.error('Erro:', err);
-  res.status(err.status || 500).json({
-    error: err.message || 'Erro interno do servidor'
+  const status = err.status || err.statusCode || 500;
+
+  if (status >= 500) {
+    console.error('Erro:', err);
+  } else {
+    console.warn('Aviso:', err.message);
+  }
+
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
+  res.status(status).json({
+    error: err.message || 'Erro interno do servidor',
+    codigo: err.codigo || (status < 500 ? 'REQUISICAO_INVALIDA' : 'ERRO_INTERNO'),
+    ...(err.detalhes ? { detalhes: err.detalhes } : {})
   });
 });
 
@@ -52,6 +95,30 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`🚀 Servidor rodando na porta ${PORT}`);
   console.log(`📡 Ambiente: ${process.env.NODE_ENV || 'development'}`);
+
+  // Verificação periódica dos alertas de preço
+  if (process.env.ALERTAS_DESABILITADOS !== 'true') {
+    agendadorAlertas.iniciar();
+  }
+
+  // Retenção de dados (LGPD)
+  if (process.env.RETENCAO_DESABILITADA !== 'true') {
+    agendadorRetencao.iniciar();
+  }
+
+  // Fila de tarefas em segundo plano (busca de preços, revalidação do cadastro, lotes)
+  if (process.env.FILA_DESABILITADA !== 'true') {
+    filaService.iniciar();
+
+    // Lotes interrompidos (ou criados antes da fila) voltam a ser processados
+    loteService.retomarLotes()
+      .then(agendados => {
+        if (agendados > 0) console.log(`📦 ${agendados} lote(s) retomado(s)`);
+      })
+      .catch(error => {
+        console.warn('Aviso: Não foi possível retomar os lotes pendentes:', error.message);
+      });
+  }
 });
 
 module.exports = app;
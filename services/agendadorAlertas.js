@@ -0,0 +1,58 @@
+const alertaService = require('./alertaService');
+
+// Intervalo entre execuções do agendador
+const ALERTAS_VERIFICACAO_MS = parseInt(process.env.ALERTAS_VERIFICACAO_MS) || 60 * 1000;
+
+// Alertas verificados por execução
+const ALERTAS_POR_EXECUCAO = parseInt(process.env.ALERTAS_POR_EXECUCAO) || 20;
+
+/**
+ * Agendador que verifica periodicamente os alertas vencidos
+ */
+class AgendadorAlertas {
+  constructor() {
+    this.timer = null;
+    this.executando = false;
+  }
+
+  /**
+   * Inicia as verificações periódicas
+   */
+  iniciar() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.executar(), ALERTAS_VERIFICACAO_MS);
+    // Não impede o encerramento do processo
+    this.timer.unref();
+  }
+
+  /**
+   * Interrompe as verificações
+   */
+  parar() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Executa uma rodada de verificações (ignora se a anterior ainda estiver rodando)
+   * @returns {Promise<void>}
+   */
+  async executar() {
+    if (this.executando) return;
+    this.executando = true;
+
+    try {
+      const verificados = await alertaService.processarPendentes(ALERTAS_POR_EXECUCAO);
+      if (verificados > 0) {
+        console.log(`🔔 ${verificados} alerta(s) verificado(s)`);
+      }
+    } catch (error) {
+      console.warn('Aviso: Falha ao processar alertas:', error.message);
+    } finally {
+      this.executando = false;
+    }
+  }
+}
+
+module.exports = new AgendadorAlertas();
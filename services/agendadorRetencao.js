@@ -0,0 +1,58 @@
+const privacidadeService = require('./privacidadeService');
+
+// Intervalo entre execuções da política de retenção
+const RETENCAO_VERIFICACAO_MS = parseInt(process.env.RETENCAO_VERIFICACAO_MS) || 6 * 60 * 60 * 1000;
+
+/**
+ * Agendador que aplica periodicamente a política de retenção de dados (LGPD)
+ */
+class AgendadorRetencao {
+  constructor() {
+    this.timer = null;
+    this.executando = false;
+  }
+
+  /**
+   * Executa uma primeira vez e inicia as execuções periódicas
+   */
+  iniciar() {
+    if (this.timer) return;
+
+    this.executar();
+    this.timer = setInterval(() => this.executar(), RETENCAO_VERIFICACAO_MS);
+    // Não impede o encerramento do processo
+    this.timer.unref();
+  }
+
+  /**
+   * Interrompe as execuções
+   */
+  parar() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Aplica a retenção (ignora se a execução anterior ainda estiver rodando)
+   * @returns {Promise<Object|null>} - Registros afetados ou null se ignorada/falhou
+   */
+  async executar() {
+    if (this.executando) return null;
+    this.executando = true;
+
+    try {
+      const registros = await privacidadeService.aplicarRetencao();
+      if (Object.values(registros).some(total => total > 0)) {
+        console.log('🧹 Retenção de dados aplicada:', JSON.stringify(registros));
+      }
+      return registros;
+    } catch (error) {
+      console.warn('Aviso: Falha ao aplicar a retenção de dados:', error.message);
+      return null;
+    } finally {
+      this.executando = false;
+    }
+  }
+}
+
+module.exports = new AgendadorRetencao();
@@ -0,0 +1,336 @@
+const Alerta = require('../models/Alerta');
+const Cliente = require('../models/Cliente');
+const Notificacao = require('../models/Notificacao');
+const consultaService = require('./consultaService');
+const marketplaceService = require('./marketplaceService');
+const fipeService = require('./fipeService');
+const avaliacaoService = require('./avaliacaoService');
+const usoService = require('./usoService');
+const webhookService = require('./webhookService');
+const olxService = require('./olxService');
+const { normalizarPlaca, validarPlaca } = require('../utils/placa');
+const { validarUrlPublica } = require('../utils/rede');
+
+// Intervalo padrão e mínimo entre verificações de um alerta (horas)
+const INTERVALO_PADRAO_HORAS = parseFloat(process.env.ALERTAS_INTERVALO_PADRAO_HORAS) || 24;
+const INTERVALO_MINIMO_HORAS = 1;
+
+// Tempo em que um alerta fica reservado para uma verificação em andamento
+const RESERVA_MS = 10 * 60 * 1000;
+
+const METRICAS = ['mercado_mediana', 'fipe', 'valor_estimado'];
+const OPERADORES = ['abaixo', 'acima', 'queda_percentual', 'alta_percentual'];
+
+const DESCRICAO_METRICAS = {
+  mercado_mediana: 'Mediana do mercado',
+  fipe: 'Valor FIPE',
+  valor_estimado: 'Valor estimado'
+};
+
+/**
+ * Alertas de preço: acompanha uma placa ou um modelo e notifica por webhook
+ * quando a condição cadastrada passa a ser atendida
+ */
+class AlertaService {
+  /**
+   * Valida os dados de um novo alerta (a webhookUrl precisa apontar para um host público)
+   * @param {Object} dados - Corpo da requisição
+   * @returns {Promise<string|null>} - Mensagem de erro ou null se válido
+   */
+  async validar(dados) {
+    const { tipo, placa, marca, modelo, anoModelo, condicao, webhookUrl, intervaloHoras } = dados;
+
+    if (tipo === 'placa') {
+      if (!placa || !validarPlaca(normalizarPlaca(placa))) {
+        return 'Informe uma placa válida (AAA0X00 ou AAA9999)';
+      }
+    } else if (tipo === 'modelo') {
+      if (!marca || !modelo || !parseInt(anoModelo)) {
+        return 'Informe marca, modelo e anoModelo';
+      }
+    } else {
+      return 'tipo deve ser "placa" ou "modelo"';
+    }
+
+    if (!condicao || !METRICAS.includes(condicao.metrica) || !OPERADORES.includes(condicao.operador)) {
+      return `condicao deve ter metrica (${METRICAS.join(', ')}) e operador (${OPERADORES.join(', ')})`;
+    }
+
+    if (!(Number(condicao.valor) > 0)) {
+      return 'condicao.valor deve ser um número positivo';
+    }
+
+    if (!webhookUrl || typeof webhookUrl !== 'string') {
+      return 'Informe a webhookUrl';
+    }
+
+    if (intervaloHoras !== undefined && !(Number(intervaloHoras) >= INTERVALO_MINIMO_HORAS)) {
+      return `intervaloHoras deve ser no mínimo ${INTERVALO_MINIMO_HORAS}`;
+    }
+
+    // Por último: resolve o host no DNS
+    const erroUrl = await validarUrlPublica(webhookUrl);
+    if (erroUrl) {
+      return `webhookUrl inválida: ${erroUrl}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Cria o alerta com um segredo de webhook novo
+   * @param {Object} dados - Dados já validados
+   * @param {ObjectId} clienteId - Cliente dono do alerta
+   * @returns {Promise<Object>} - { alerta, segredo }
+   */
+  async criar(dados, clienteId) {
+    const segredo = webhookService.gerarSegredo();
+
+    const alerta = await Alerta.create({
+      cliente: clienteId,
+      nome: dados.nome || null,
+      tipo: dados.tipo,
+      placa: dados.tipo === 'placa' ? normalizarPlaca(dados.placa) : null,
+      marca: dados.tipo === 'modelo' ? dados.marca : null,
+      modelo: dados.tipo === 'modelo' ? dados.modelo : null,
+      anoModelo: dados.tipo === 'modelo' ? String(parseInt(dados.anoModelo)) : null,
+      condicao: {
+        metrica: dados.condicao.metrica,
+        operador: dados.condicao.operador,
+        valor: Number(dados.condicao.valor)
+      },
+      webhookUrl: dados.webhookUrl,
+      webhookSegredo: segredo,
+      intervaloHoras: Number(dados.intervaloHoras) || INTERVALO_PADRAO_HORAS
+    });
+
+    return { alerta, segredo };
+  }
+
+  /**
+   * Verifica os alertas vencidos, um por vez, reservando cada um antes de processar
+   * (evita verificação duplicada com mais de uma instância)
+   * @param {number} limite - Máximo de alertas por execução
+   * @returns {Promise<number>} - Alertas verificados
+   */
+  async processarPendentes(limite = 20) {
+    let verificados = 0;
+
+    while (verificados < limite) {
+      const agora = new Date();
+      const alerta = await Alerta.findOneAndUpdate(
+        { ativo: true, proximaVerificacaoEm: { $lte: agora } },
+        { $set: { proximaVerificacaoEm: new Date(agora.getTime() + RESERVA_MS) } },
+        { sort: { proximaVerificacaoEm: 1 }, new: true }
+      ).select('+webhookSegredo');
+
+      if (!alerta) break;
+
+      await this.verificar(alerta);
+      verificados += 1;
+    }
+
+    return verificados;
+  }
+
+  /**
+   * Mede o valor atual, avalia a condição e notifica na transição para "atendida"
+   * @param {Object} alerta - Documento do alerta (com webhookSegredo)
+   * @returns {Promise<Object>} - { valor, valorReferencia, atendida, notificacao }
+   */
+  async verificar(alerta) {
+    const agora = new Date();
+    alerta.ultimaVerificacaoEm = agora;
+    alerta.proximaVerificacaoEm = new Date(agora.getTime() + alerta.intervaloHoras * 60 * 60 * 1000);
+
+    try {
+      const valor = await this.medir(alerta);
+
+      if (alerta.valorReferencia === null) {
+        alerta.valorReferencia = valor;
+      }
+
+      const atendida = this.avaliarCondicao(alerta.condicao, valor, alerta.valorReferencia);
+      let notificacao = null;
+
+      if (atendida && !alerta.condicaoAtendida) {
+        notificacao = await this.notificar(alerta, valor);
+      }
+
+      alerta.ultimoValor = valor;
+      alerta.condicaoAtendida = atendida;
+      alerta.ultimoErro = null;
+      await alerta.save();
+
+      return { valor, valorReferencia: alerta.valorReferencia, atendida, notificacao };
+    } catch (error) {
+      console.warn('Aviso: Não foi possível verificar o alerta:', alerta._id.toString(), error.message);
+      alerta.ultimoErro = error.message;
+      await alerta.save();
+      return { valor: null, valorReferencia: alerta.valorReferencia, atendida: false, notificacao: null, erro: error.message };
+    }
+  }
+
+  /**
+   * Obtém o valor atual da métrica do alerta usando as mesmas consultas da API
+   * @param {Object} alerta - Documento do alerta
+   * @returns {Promise<number>}
+   */
+  async medir(alerta) {
+    const precisaMercado = alerta.condicao.metrica !== 'fipe';
+    let veiculoData;
+
+    if (alerta.tipo === 'placa') {
+      await this.verificarCota(alerta.cliente);
+
+      const resultado = await consultaService.obterVeiculo(alerta.placa, { clienteId: alerta.cliente });
+      veiculoData = resultado.veiculoData;
+
+      if (precisaMercado && consultaService.precisaBuscarPrecos(veiculoData)) {
+        const busca = await consultaService.buscarPrecosMercado(veiculoData, resultado.veiculoId);
+        // Sem resultado no prazo (tarefa ainda na fila), mede com os preços que a consulta já tiver
+        if (busca) {
+          veiculoData.precosOlx = busca.precosOlx;
+          veiculoData.precosMercado = busca.precosMercado;
+        }
+      }
+    } else {
+      veiculoData = { marca: alerta.marca, modelo: alerta.modelo, anoModelo: alerta.anoModelo };
+      await fipeService.complementar(veiculoData);
+
+      if (precisaMercado) {
+        const busca = await marketplaceService.buscarPrecos(veiculoData);
+        veiculoData.precosMercado = busca.precosMercado;
+      }
+    }
+
+    const valor = this.extrairMetrica(alerta.condicao.metrica, veiculoData);
+
+    if (!valor) {
+      throw new Error(`Sem dados suficientes para a métrica ${alerta.condicao.metrica}`);
+    }
+
+    return valor;
+  }
+
+  /**
+   * Impede a consulta de placa se o cliente não tiver cota
+   * @param {ObjectId} clienteId - Cliente dono do alerta
+   */
+  async verificarCota(clienteId) {
+    const cliente = await Cliente.findById(clienteId);
+    if (!cliente || !cliente.ativo) {
+      throw new Error('Cliente inativo');
+    }
+
+    const cota = usoService.calcularCota(cliente, await usoService.obterConsumo(cliente._id));
+    if (cota.limite !== null && cota.restante < 1) {
+      throw new Error(`Cota ${cota.janela} de consultas esgotada`);
+    }
+  }
+
+  /**
+   * Extrai o valor da métrica dos dados do veículo
+   * @param {string} metrica - Métrica do alerta
+   * @param {Object} veiculoData - Dados do veículo com FIPE e mercado
+   * @returns {number|null}
+   */
+  extrairMetrica(metrica, veiculoData) {
+    if (metrica === 'fipe') {
+      const fipe = avaliacaoService.selecionarMelhorFipe(veiculoData);
+      return fipe ? fipe.valor : null;
+    }
+
+    if (metrica === 'mercado_mediana') {
+      const mercado = avaliacaoService.analisarMercado(veiculoData);
+      return mercado ? Math.round(mercado.mediana) : null;
+    }
+
+    const valorReal = avaliacaoService.calcularValorReal(veiculoData);
+    return valorReal ? valorReal.valorEstimado : null;
+  }
+
+  /**
+   * Avalia a condição do alerta
+   * @param {Object} condicao - { metrica, operador, valor }
+   * @param {number} valor - Valor atual
+   * @param {number|null} referencia - Valor de referência (primeira verificação)
+   * @returns {boolean}
+   */
+  avaliarCondicao(condicao, valor, referencia) {
+    switch (condicao.operador) {
+      case 'abaixo':
+        return valor < condicao.valor;
+      case 'acima':
+        return valor > condicao.valor;
+      case 'queda_percentual':
+        return Boolean(referencia) && valor <= referencia * (1 - condicao.valor / 100);
+      case 'alta_percentual':
+        return Boolean(referencia) && valor >= referencia * (1 + condicao.valor / 100);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Envia o webhook do alerta e registra a notificação no histórico
+   * @param {Object} alerta - Documento do alerta (com webhookSegredo)
+   * @param {number} valor - Valor que disparou o alerta
+   * @returns {Promise<Object>} - Notificação registrada
+   */
+  async notificar(alerta, valor) {
+    const referencia = alerta.valorReferencia;
+    const variacaoPercentual = referencia ? Math.round((valor / referencia - 1) * 10000) / 100 : null;
+    const mensagem = this.montarMensagem(alerta, valor, variacaoPercentual);
+
+    const payload = {
+      evento: 'alerta.disparado',
+      alerta: {
+        id: alerta._id,
+        nome: alerta.nome,
+        tipo: alerta.tipo,
+        placa: alerta.placa,
+        marca: alerta.marca,
+        modelo: alerta.modelo,
+        anoModelo: alerta.anoModelo,
+        condicao: alerta.condicao
+      },
+      valor,
+      valorReferencia: referencia,
+      variacaoPercentual,
+      mensagem,
+      verificadoEm: alerta.ultimaVerificacaoEm
+    };
+
+    const entrega = await webhookService.enviar(alerta.webhookUrl, alerta.webhookSegredo, payload.evento, payload);
+
+    return Notificacao.create({
+      alerta: alerta._id,
+      cliente: alerta.cliente,
+      evento: payload.evento,
+      valor,
+      valorReferencia: referencia,
+      mensagem,
+      payload,
+      ...entrega
+    });
+  }
+
+  /**
+   * Descreve o disparo do alerta
+   * @param {Object} alerta - Documento do alerta
+   * @param {number} valor - Valor atual
+   * @param {number|null} variacaoPercentual - Variação sobre a referência
+   * @returns {string}
+   */
+  montarMensagem(alerta, valor, variacaoPercentual) {
+    const alvo = alerta.tipo === 'placa'
+      ? `placa ${alerta.placa}`
+      : `${alerta.marca} ${alerta.modelo} ${alerta.anoModelo}`;
+    const variacao = variacaoPercentual !== null ? ` (${variacaoPercentual > 0 ? '+' : ''}${variacaoPercentual}% desde o cadastro)` : '';
+
+    return `${DESCRICAO_METRICAS[alerta.condicao.metrica]} de ${alvo}: ${olxService.formatarPreco(valor)}${variacao}`;
+  }
+}
+
+module.exports = new AlertaService();
@@ -1,111 +1,296 @@
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
+const ProvedorPlacas = require('./provedorPlacas');
+const Disjuntor = require('../utils/disjuntor');
+const { normalizarPlaca } = require('../utils/placa');
+const {
+  ErroPlacaInvalida,
+  ErroPlacaNaoEncontrada,
+  ErroAutorizacaoProvedor,
+  ErroProvedorIndisponivel,
+  ErroTimeoutProvedor,
+  ErroCircuitoAberto
+} = require('../utils/erros');
 
-class ApiPlacasService {
+/**
+ * Provedor API Placas (wdapi2.com.br)
+ *
+ * Falhas transitórias (timeout, rede, 429, 5xx) são repetidas com backoff exponencial;
+ * falhas seguidas abrem o disjuntor, que suspende as chamadas por um tempo.
+ */
+class ApiPlacasService extends ProvedorPlacas {
   constructor() {
+    super('apiplacas');
+
     this.baseURL = process.env.API_BASE_URL || 'https://wdapi2.com.br';
     this.token = process.env.API_TOKEN;
-    
-    if (!this.token) {
-      throw new Error('API_TOKEN não configurado no .env');
-    }
+
+    // Intervalo mínimo entre chamadas à API (limita consultas em lote)
+    this.intervaloMinimo = parseInt(process.env.API_PLACAS_INTERVALO_MS) || 500;
+    this.filaChamadas = Promise.resolve();
+    this.ultimaChamada = 0;
+
+    // Tempo limite de cada tentativa
+    this.timeout = parseInt(process.env.API_PLACAS_TIMEOUT_MS) || 8000;
+
+    // Tentativas em falhas transitórias e espera base entre elas (dobra a cada tentativa)
+    this.tentativas = parseInt(process.env.API_PLACAS_TENTATIVAS) || 3;
+    this.backoffMs = parseInt(process.env.API_PLACAS_BACKOFF_MS) || 500;
+
+    this.disjuntor = new Disjuntor({
+      limiteFalhas: parseInt(process.env.API_PLACAS_DISJUNTOR_FALHAS) || 5,
+      tempoAbertoMs: parseInt(process.env.API_PLACAS_DISJUNTOR_ABERTO_MS) || 30000
+    });
+
+    // Diretório onde as respostas são gravadas para o provedor mock (opcional)
+    this.diretorioGravacao = process.env.API_PLACAS_GRAVAR_RESPOSTAS || null;
+  }
+
+  /**
+   * Sem API_TOKEN o provedor fica indisponível (o servidor sobe normalmente)
+   * @returns {boolean}
+   */
+  configurado() {
+    return Boolean(this.token);
   }
 
   /**
    * Consulta informações de um veículo pela placa
-   * @param {string} placa - Placa do veículo (formato: AAA0X00 ou AAA9999)
+   * @param {string} placaFormatada - Placa normalizada (formato: AAA0X00 ou AAA9999)
    * @returns {Promise<Object>} Dados do veículo
    */
-  async consultarPlaca(placa) {
+  async consultar(placaFormatada) {
+    if (!this.configurado()) {
+      throw new ErroProvedorIndisponivel('API_TOKEN não configurado no .env', { codigo: 'PROVEDOR_NAO_CONFIGURADO' });
+    }
+
+    if (!this.disjuntor.permitir()) {
+      throw new ErroCircuitoAberto(
+        `API Placas suspensa após ${this.disjuntor.falhasConsecutivas} falhas seguidas`,
+        { retryAfter: this.disjuntor.segundosParaTeste() }
+      );
+    }
+
     try {
-      // Remove espaços e converte para maiúsculo
-      const placaFormatada = placa.replace(/\s/g, '').toUpperCase();
-      
-      // Valida formato da placa
-      if (!this.validarPlaca(placaFormatada)) {
-        throw new Error('Formato de placa inválido. Use o formato AAA0X00 ou AAA9999');
+      const data = await this.requisitarComTentativas(placaFormatada);
+      const veiculoData = this.mapearResposta(data, placaFormatada);
+      this.disjuntor.registrarSucesso();
+      return veiculoData;
+    } catch (error) {
+      // Placa inválida ou inexistente é resposta normal da API, não falha do serviço
+      if (error instanceof ErroPlacaInvalida || error instanceof ErroPlacaNaoEncontrada) {
+        this.disjuntor.registrarSucesso();
+      } else if (error instanceof ErroAutorizacaoProvedor) {
+        // Token inválido ou sem créditos não diz nada sobre a saúde do serviço
+        this.disjuntor.liberar();
+      } else {
+        this.disjuntor.registrarFalha();
       }
+      throw error;
+    }
+  }
 
-      const url = `${this.baseURL}/consulta/${placaFormatada}/${this.token}`;
-      
+  /**
+   * Chama a API repetindo falhas transitórias com backoff exponencial e jitter
+   * @param {string} placaFormatada - Placa normalizada
+   * @returns {Promise<Object>} - Resposta bruta da API
+   */
+  async requisitarComTentativas(placaFormatada) {
+    for (let tentativa = 1; ; tentativa++) {
+      try {
+        return await this.requisitar(placaFormatada);
+      } catch (error) {
+        if (!error.transitorio || tentativa >= this.tentativas) {
+          throw error;
+        }
+
+        const espera = Math.round(this.backoffMs * 2 ** (tentativa - 1) * (0.5 + Math.random()));
+        console.warn(`Aviso: API Placas falhou (tentativa ${tentativa}/${this.tentativas}), nova tentativa em ${espera} ms:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, espera));
+      }
+    }
+  }
+
+  /**
+   * Faz uma chamada à API convertendo falhas em erros tipados
+   * @param {string} placaFormatada - Placa normalizada
+   * @returns {Promise<Object>} - Resposta bruta da API
+   */
+  async requisitar(placaFormatada) {
+    await this.aguardarVez();
+
+    const url = `${this.baseURL}/consulta/${placaFormatada}/${this.token}`;
+
+    try {
       const response = await axios.get(url, {
-        timeout: 30000, // 30 segundos
+        timeout: this.timeout,
         headers: {
           'Accept': 'application/json',
           'User-Agent': 'ValorReal-Backend/1.0'
         }
       });
 
-      const data = response.data;
-
-      // Verifica se há erro na resposta
-      if (data.mensagemRetorno && data.mensagemRetorno !== 'Sem erros.') {
-        throw new Error(data.mensagemRetorno);
+      this.gravarResposta(placaFormatada, response.data);
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        // Erro da API
+        throw this.converterErroHttp(error.response);
       }
-
-      // Processa dados da FIPE se disponível
-      let valorFipe = null;
-      let valorFipeScore = null;
-      let dadosFipe = null;
-
-      if (data.fipe && data.fipe.dados && data.fipe.dados.length > 0) {
-        // Ordena por score (maior score = melhor correspondência)
-        const fipeOrdenado = data.fipe.dados.sort((a, b) => 
-          (b.score || 0) - (a.score || 0)
-        );
-        
-        const melhorFipe = fipeOrdenado[0];
-        valorFipe = melhorFipe.texto_valor || null;
-        valorFipeScore = melhorFipe.score || null;
-        dadosFipe = data.fipe.dados;
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        throw new ErroTimeoutProvedor(`API Placas não respondeu em ${this.timeout} ms`);
       }
+      // Erro de conexão
+      throw new ErroProvedorIndisponivel('Erro ao conectar com a API Placas. Tente novamente.', {
+        transitorio: true,
+        detalhes: { causa: error.code || error.message }
+      });
+    }
+  }
 
-      // Monta objeto padronizado
-      const veiculoData = {
-        placa: data.placa || placaFormatada,
-        marca: data.marca || null,
-        modelo: data.modelo || null,
-        ano: data.ano || null,
-        anoModelo: data.anoModelo || null,
-        cor: data.cor || null,
-        chassi: data.chassi || null,
-        renavam: data.renavam || null,
-        uf: data.uf || null,
-        municipio: data.municipio || null,
-        situacao: data.situacao || null,
-        valorFipe,
-        valorFipeScore,
-        dadosFipe,
-        mensagemRetorno: data.mensagemRetorno || null,
-        dadosCompletos: data // Salva resposta completa para referência
-      };
+  /**
+   * Converte uma resposta HTTP de erro da API no erro de domínio correspondente
+   * @param {Object} response - Resposta de erro do axios
+   * @returns {ErroAplicacao}
+   */
+  converterErroHttp(response) {
+    const { status } = response;
+    const mensagemApi = response.data && response.data.mensagemRetorno;
+    const mensagem = `Erro na API Placas: ${status} - ${mensagemApi || response.statusText}`;
 
-      return veiculoData;
+    if (status === 400) {
+      return new ErroPlacaInvalida(mensagemApi || undefined);
+    }
+    if (status === 401 || status === 402 || status === 403) {
+      return new ErroAutorizacaoProvedor(mensagem);
+    }
+    if (status === 404 || status === 406) {
+      return new ErroPlacaNaoEncontrada(mensagemApi || undefined);
+    }
+    if (status === 429) {
+      return new ErroProvedorIndisponivel(mensagem, {
+        transitorio: true,
+        retryAfter: parseInt(response.headers && response.headers['retry-after']) || null
+      });
+    }
+    if (status === 408 || status === 504) {
+      return new ErroTimeoutProvedor(mensagem);
+    }
+
+    return new ErroProvedorIndisponivel(mensagem, { transitorio: status >= 500 });
+  }
+
+  /**
+   * Converte a resposta da API Placas no formato padronizado da consulta.
+   * Também usado pelo provedor mock, que serve respostas gravadas.
+   * @param {Object} data - Resposta da API
+   * @param {string} placaFormatada - Placa consultada
+   * @returns {Object} - Dados do veículo
+   */
+  mapearResposta(data, placaFormatada) {
+    // Verifica se há erro na resposta
+    if (data.mensagemRetorno && data.mensagemRetorno !== 'Sem erros.') {
+      throw this.converterMensagemRetorno(data.mensagemRetorno);
+    }
+
+    // Processa dados da FIPE se disponível
+    let valorFipe = null;
+    let valorFipeScore = null;
+    let dadosFipe = null;
+
+    if (data.fipe && data.fipe.dados && data.fipe.dados.length > 0) {
+      // Ordena por score (maior score = melhor correspondência)
+      const fipeOrdenado = data.fipe.dados.sort((a, b) => 
+        (b.score || 0) - (a.score || 0)
+      );
+      
+      const melhorFipe = fipeOrdenado[0];
+      valorFipe = melhorFipe.texto_valor || null;
+      valorFipeScore = melhorFipe.score || null;
+      dadosFipe = data.fipe.dados;
+    }
+
+    // Monta objeto padronizado
+    const veiculoData = {
+      placa: normalizarPlaca(data.placa) || placaFormatada,
+      marca: data.marca || null,
+      modelo: data.modelo || null,
+      ano: data.ano || null,
+      anoModelo: data.anoModelo || null,
+      cor: data.cor || null,
+      chassi: data.chassi || null,
+      renavam: data.renavam || null,
+      uf: data.uf || null,
+      municipio: data.municipio || null,
+      situacao: data.situacao || null,
+      valorFipe,
+      valorFipeScore,
+      dadosFipe,
+      mensagemRetorno: data.mensagemRetorno || null,
+      dadosCompletos: data // Salva resposta completa para referência
+    };
+
+    return veiculoData;
+  }
+
+  /**
+   * Converte a mensagemRetorno de erro da API no erro de domínio correspondente
+   * @param {string} mensagem - mensagemRetorno da API
+   * @returns {ErroAplicacao}
+   */
+  converterMensagemRetorno(mensagem) {
+    if (/encontrad|sem resultado|nenhum/i.test(mensagem)) {
+      return new ErroPlacaNaoEncontrada(mensagem);
+    }
+    if (/placa inv[aá]lida/i.test(mensagem)) {
+      return new ErroPlacaInvalida(mensagem);
+    }
+    if (/token|cr[eé]dito|saldo|expirad/i.test(mensagem)) {
+      return new ErroAutorizacaoProvedor(mensagem);
+    }
+    return new ErroProvedorIndisponivel(`Erro na API Placas: ${mensagem}`);
+  }
+
+  /**
+   * Situação do disjuntor para o endpoint de saúde
+   * @returns {Object}
+   */
+  descreverCircuito() {
+    return this.disjuntor.descrever();
+  }
+
+  /**
+   * Grava a resposta bruta no diretório do provedor mock (API_PLACAS_GRAVAR_RESPOSTAS)
+   * @param {string} placa - Placa consultada
+   * @param {Object} data - Resposta da API
+   */
+  gravarResposta(placa, data) {
+    if (!this.diretorioGravacao) return;
+
+    try {
+      fs.mkdirSync(this.diretorioGravacao, { recursive: true });
+      fs.writeFileSync(path.join(this.diretorioGravacao, `${placa}.json`), JSON.stringify(data, null, 2));
     } catch (error) {
-      if (error.response) {
-        // Erro da API
-        throw new Error(`Erro na API Placas: ${error.response.status} - ${error.response.statusText}`);
-      } else if (error.request) {
-        // Timeout ou erro de conexão
-        throw new Error('Erro ao conectar com a API Placas. Tente novamente.');
-      } else {
-        // Erro de validação ou outro
-        throw error;
-      }
+      console.warn('Aviso: Não foi possível gravar a resposta da API Placas:', error.message);
     }
   }
 
   /**
-   * Valida formato da placa
-   * @param {string} placa - Placa a ser validada
-   * @returns {boolean}
+   * Aguarda a vez na fila de chamadas respeitando o intervalo mínimo
+   * @returns {Promise<void>}
    */
-  validarPlaca(placa) {
-    // Formato antigo: AAA9999 (3 letras + 4 números)
-    // Formato novo: AAA0X00 (3 letras + 1 número + 1 letra + 2 números)
-    const formatoAntigo = /^[A-Z]{3}[0-9]{4}$/;
-    const formatoNovo = /^[A-Z]{3}[0-9][A-Z0-9][0-9]{2}$/;
-    
-    return formatoAntigo.test(placa) || formatoNovo.test(placa);
+  aguardarVez() {
+    const vez = this.filaChamadas.then(async () => {
+      const espera = this.ultimaChamada + this.intervaloMinimo - Date.now();
+      if (espera > 0) {
+        await new Promise(resolve => setTimeout(resolve, espera));
+      }
+      this.ultimaChamada = Date.now();
+    });
+
+    this.filaChamadas = vez;
+    return vez;
   }
 }
 
@@ -0,0 +1,558 @@
+const Anuncio = require('../models/Anuncio');
+const Avaliacao = require('../models/Avaliacao');
+const olxService = require('./olxService');
+const { mediana, percentil, removerOutliersIQR, regressaoLinear } = require('../utils/estatisticas');
+
+// Mínimo de anúncios para que o mercado entre no cálculo
+const MINIMO_ANUNCIOS = 3;
+
+// Quantidade de anúncios a partir da qual o mercado recebe peso máximo
+const ANUNCIOS_PESO_MAXIMO = 10;
+
+// Margem usada quando só existe o valor FIPE (±10%)
+const MARGEM_SOMENTE_FIPE = 0.10;
+
+// Margem mínima do intervalo de confiança (±3%)
+const MARGEM_MINIMA = 0.03;
+
+// Ajuste pelo estado de conservação informado
+const FATORES_CONSERVACAO = {
+  excelente: 0.05,
+  bom: 0,
+  regular: -0.08,
+  ruim: -0.18
+};
+
+// Ajuste por opcional informado (a soma é limitada a AJUSTE_OPCIONAIS_MAXIMO)
+const OPCIONAIS = {
+  teto_solar: { descricao: 'Teto solar', percentual: 0.02 },
+  bancos_couro: { descricao: 'Bancos de couro', percentual: 0.015 },
+  multimidia: { descricao: 'Central multimídia', percentual: 0.01 },
+  rodas_liga_leve: { descricao: 'Rodas de liga leve', percentual: 0.01 },
+  sensor_estacionamento: { descricao: 'Sensor de estacionamento', percentual: 0.005 },
+  camera_re: { descricao: 'Câmera de ré', percentual: 0.005 },
+  kit_gnv: { descricao: 'Kit GNV', percentual: -0.03 }
+};
+const AJUSTE_OPCIONAIS_MAXIMO = 0.06;
+
+const UFS = ['AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA', 'PB', 'PE',
+  'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO'];
+
+// Quilometragem anual típica, usada quando os anúncios não trazem quilometragem suficiente
+const KM_ANUAL_REFERENCIA = parseInt(process.env.AVALIACAO_KM_ANUAL) || 12000;
+
+// Depreciação a cada 10 mil km: padrão e limites da medida nos anúncios
+const DEPRECIACAO_10MIL_KM_PADRAO = 0.015;
+const DEPRECIACAO_10MIL_KM_MINIMA = 0.005;
+const DEPRECIACAO_10MIL_KM_MAXIMA = 0.05;
+
+// Mínimo de anúncios com quilometragem para medir a referência e a depreciação
+const MINIMO_ANUNCIOS_KM = 5;
+
+// Limites dos ajustes por quilometragem (±25%) e por UF (±10%)
+const AJUSTE_KM_MAXIMO = 0.25;
+const AJUSTE_UF_MAXIMO = 0.10;
+
+// Anúncios do mesmo modelo usados quando a consulta tem poucos anúncios
+const ANUNCIOS_REFERENCIA_DIAS = parseInt(process.env.AVALIACAO_ANUNCIOS_DIAS) || 30;
+const ANUNCIOS_REFERENCIA_MAXIMO = 500;
+
+/**
+ * Serviço que concilia FIPE e preços de mercado em um único "valor real"
+ */
+class AvaliacaoService {
+  /**
+   * Calcula o valor real estimado de um veículo
+   * @param {Object} veiculoData - Dados do veículo (dadosFipe, valorFipe, precosMercado/precosOlx)
+   * @returns {Object|null} - Valor estimado, intervalo de confiança e explicação, ou null sem dados
+   */
+  calcularValorReal(veiculoData) {
+    const fipe = this.selecionarMelhorFipe(veiculoData);
+    const mercado = this.analisarMercado(veiculoData);
+
+    if (!fipe && !mercado) {
+      return null;
+    }
+
+    // FIPE pesa conforme o score da correspondência (0 a 100)
+    const pesoFipe = fipe ? Math.min(Math.max((fipe.score || 50) / 100, 0.3), 1) : 0;
+
+    // Mercado pesa conforme a quantidade de anúncios aproveitados
+    const pesoMercado = mercado
+      ? Math.min(mercado.quantidadeAnuncios / ANUNCIOS_PESO_MAXIMO, 1)
+      : 0;
+
+    const pesoTotal = pesoFipe + pesoMercado;
+    const valorEstimado = ((fipe ? fipe.valor * pesoFipe : 0) +
+      (mercado ? mercado.mediana * pesoMercado : 0)) / pesoTotal;
+
+    // Intervalo: dispersão do mercado, ampliada se FIPE e mercado divergirem
+    let margem = MARGEM_SOMENTE_FIPE;
+    if (mercado) {
+      margem = Math.max((mercado.p75 - mercado.p25) / 2 / mercado.mediana, MARGEM_MINIMA);
+      if (fipe) {
+        margem = Math.max(margem, Math.abs(fipe.valor - mercado.mediana) / valorEstimado / 2);
+      }
+    }
+
+    const valor = Math.round(valorEstimado);
+    const minimo = Math.round(valorEstimado * (1 - margem));
+    const maximo = Math.round(valorEstimado * (1 + margem));
+
+    return {
+      valorEstimado: valor,
+      valorEstimadoFormatado: olxService.formatarPreco(valor),
+      intervalo: {
+        minimo,
+        maximo,
+        minimoFormatado: olxService.formatarPreco(minimo),
+        maximoFormatado: olxService.formatarPreco(maximo),
+        margemPercentual: Math.round(margem * 1000) / 10
+      },
+      confianca: this.classificarConfianca(fipe, mercado),
+      fontes: {
+        fipe: fipe ? { ...fipe, peso: this.arredondarPeso(pesoFipe / pesoTotal) } : null,
+        mercado: mercado ? { ...mercado, peso: this.arredondarPeso(pesoMercado / pesoTotal) } : null
+      },
+      explicacao: this.montarExplicacao(fipe, mercado, pesoFipe / pesoTotal, pesoMercado / pesoTotal)
+    };
+  }
+
+  /**
+   * Seleciona a entrada FIPE de maior score, priorizando a tabela FIPE local (fipeLocal)
+   * @param {Object} veiculoData - Dados do veículo
+   * @returns {Object|null} - { valor, score, codigoFipe, modelo, mesReferencia, origem } ou null
+   */
+  selecionarMelhorFipe(veiculoData) {
+    let candidatos = Array.isArray(veiculoData.dadosFipe) ? veiculoData.dadosFipe : [];
+    if (Array.isArray(veiculoData.fipeLocal) && veiculoData.fipeLocal.length > 0) {
+      candidatos = veiculoData.fipeLocal;
+    }
+
+    const melhor = candidatos
+      .filter(item => olxService.extrairPreco(item.texto_valor))
+      .sort((a, b) => (b.score || 0) - (a.score || 0))[0];
+
+    if (melhor) {
+      return {
+        valor: olxService.extrairPreco(melhor.texto_valor),
+        score: melhor.score || null,
+        codigoFipe: melhor.codigo_fipe || null,
+        modelo: melhor.texto_modelo || null,
+        mesReferencia: melhor.mes_referencia || null,
+        origem: melhor.origem || 'api_placas'
+      };
+    }
+
+    // Consultas antigas podem ter apenas o valor textual
+    const valor = olxService.extrairPreco(veiculoData.valorFipe);
+    if (valor) {
+      return {
+        valor,
+        score: veiculoData.valorFipeScore || null,
+        codigoFipe: null,
+        modelo: null,
+        mesReferencia: null,
+        origem: 'api_placas'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Analisa os preços de anúncios de todas as fontes removendo outliers
+   * @param {Object} veiculoData - Dados do veículo (precosMercado ou, em consultas antigas, precosOlx)
+   * @returns {Object|null} - Estatísticas do mercado ou null se a amostra for insuficiente
+   */
+  analisarMercado(veiculoData) {
+    const fontes = this.coletarFontesMercado(veiculoData);
+
+    if (fontes.length === 0) {
+      return null;
+    }
+
+    // Uma fonte com relatório de descartes já vem sem outliers do adaptador;
+    // várias fontes juntas passam por nova filtragem entre si
+    let mantidos;
+    let descartados;
+    if (fontes.length === 1 && fontes[0].descartados) {
+      mantidos = fontes[0].precos;
+      descartados = fontes[0].descartados.precos;
+    } else {
+      const todos = fontes.reduce((precos, fonte) => precos.concat(fonte.precos), []);
+      ({ mantidos, descartados } = removerOutliersIQR(todos));
+      descartados = fontes
+        .reduce((lista, fonte) => lista.concat(fonte.descartados ? fonte.descartados.precos : []), [])
+        .concat(descartados);
+    }
+
+    if (mantidos.length < MINIMO_ANUNCIOS) {
+      return null;
+    }
+
+    return {
+      mediana: mediana(mantidos),
+      p25: percentil(mantidos, 25),
+      p75: percentil(mantidos, 75),
+      quantidadeAnuncios: mantidos.length,
+      anunciosDescartados: descartados.length,
+      fontes: fontes.map(fonte => fonte.nome)
+    };
+  }
+
+  /**
+   * Lista as fontes de mercado com preços disponíveis
+   * @param {Object} veiculoData - Dados do veículo
+   * @returns {Object[]} - [{ nome, precos, descartados }]
+   */
+  coletarFontesMercado(veiculoData) {
+    const origem = veiculoData.precosMercado || (veiculoData.precosOlx ? { olx: veiculoData.precosOlx } : {});
+
+    return Object.keys(origem)
+      .filter(nome => origem[nome] && Array.isArray(origem[nome].precos) && origem[nome].precos.length > 0)
+      .map(nome => ({
+        nome,
+        precos: origem[nome].precos,
+        descartados: origem[nome].descartados || null
+      }));
+  }
+
+  /**
+   * Classifica a confiança da estimativa
+   * @param {Object|null} fipe - Dados FIPE selecionados
+   * @param {Object|null} mercado - Estatísticas do mercado
+   * @returns {string} - 'alta', 'media' ou 'baixa'
+   */
+  classificarConfianca(fipe, mercado) {
+    if (fipe && mercado && mercado.quantidadeAnuncios >= ANUNCIOS_PESO_MAXIMO) {
+      return 'alta';
+    }
+    if (fipe && mercado) {
+      return 'media';
+    }
+    return 'baixa';
+  }
+
+  /**
+   * Descreve quais dados influenciaram a estimativa
+   * @param {Object|null} fipe - Dados FIPE selecionados
+   * @param {Object|null} mercado - Estatísticas do mercado
+   * @param {number} pesoFipe - Participação da FIPE (0 a 1)
+   * @param {number} pesoMercado - Participação do mercado (0 a 1)
+   * @returns {string[]} - Frases explicativas
+   */
+  montarExplicacao(fipe, mercado, pesoFipe, pesoMercado) {
+    const explicacao = [];
+
+    if (fipe) {
+      explicacao.push(
+        `FIPE ${olxService.formatarPreco(fipe.valor)}` +
+        (fipe.score ? ` (score ${fipe.score})` : '') +
+        (fipe.origem === 'tabela_local' ? ` da tabela FIPE local (${fipe.mesReferencia})` : '') +
+        ` com peso de ${Math.round(pesoFipe * 100)}%`
+      );
+    } else {
+      explicacao.push('Sem valor FIPE disponível; estimativa baseada apenas no mercado');
+    }
+
+    if (mercado) {
+      explicacao.push(
+        `Mediana de ${mercado.quantidadeAnuncios} anúncios (${mercado.fontes.join(', ')}) ${olxService.formatarPreco(mercado.mediana)}` +
+        ` com peso de ${Math.round(pesoMercado * 100)}%`
+      );
+      if (mercado.anunciosDescartados > 0) {
+        explicacao.push(`${mercado.anunciosDescartados} anúncio(s) descartado(s) (outliers, duplicados ou preços implausíveis)`);
+      }
+    } else {
+      explicacao.push(`Menos de ${MINIMO_ANUNCIOS} anúncios válidos; mercado não considerado`);
+    }
+
+    return explicacao;
+  }
+
+  /**
+   * Valida os dados da avaliação com quilometragem e condições
+   * @param {Object} dados - Corpo da requisição
+   * @returns {string|null} - Mensagem de erro ou null se válido
+   */
+  validarCondicoes(dados) {
+    const { quilometragem, conservacao, opcionais, uf } = dados;
+
+    const km = Number(quilometragem);
+    if (quilometragem === undefined || quilometragem === null || quilometragem === '' || !Number.isFinite(km) || km < 0 || km > 2000000) {
+      return 'quilometragem deve ser um número entre 0 e 2.000.000';
+    }
+
+    if (conservacao !== undefined && !Object.keys(FATORES_CONSERVACAO).includes(conservacao)) {
+      return `conservacao deve ser ${Object.keys(FATORES_CONSERVACAO).join(', ')}`;
+    }
+
+    if (opcionais !== undefined) {
+      if (!Array.isArray(opcionais)) {
+        return 'opcionais deve ser uma lista';
+      }
+      // hasOwnProperty: nomes herdados de Object ("constructor", "toString") não são opcionais
+      const desconhecidos = opcionais.filter(opcional =>
+        typeof opcional !== 'string' || !Object.prototype.hasOwnProperty.call(OPCIONAIS, opcional));
+      if (desconhecidos.length > 0) {
+        return `Opcionais desconhecidos: ${desconhecidos.join(', ')}. Use ${Object.keys(OPCIONAIS).join(', ')}`;
+      }
+    }
+
+    if (uf !== undefined && !UFS.includes(String(uf).trim().toUpperCase())) {
+      return 'uf deve ser a sigla de um estado (ex.: SP)';
+    }
+
+    return null;
+  }
+
+  /**
+   * Avalia a última consulta com quilometragem e condições informadas e salva a avaliação
+   * @param {Object} veiculoData - Consulta salva (Vehicle.toObject()), já complementada com a FIPE local
+   * @param {Object} dados - Dados validados por validarCondicoes
+   * @param {ObjectId|null} clienteId - Cliente que pediu a avaliação
+   * @returns {Promise<Object|null>} - Avaliação salva ou null sem FIPE nem mercado
+   */
+  async avaliarCondicoes(veiculoData, dados, clienteId) {
+    const entrada = {
+      quilometragem: Math.round(Number(dados.quilometragem)),
+      conservacao: dados.conservacao || 'bom',
+      opcionais: [...new Set(dados.opcionais || [])],
+      // Sem UF informada, vale a do emplacamento
+      uf: dados.uf ? String(dados.uf).trim().toUpperCase() : (veiculoData.uf || null)
+    };
+
+    const anuncios = await this.buscarAnunciosReferencia(veiculoData);
+    const resultado = this.calcularValorAjustado(veiculoData, entrada, anuncios);
+    if (!resultado) return null;
+
+    const avaliacao = await Avaliacao.create({
+      consulta: veiculoData._id,
+      placa: veiculoData.placa,
+      cliente: clienteId || null,
+      entrada,
+      ...resultado
+    });
+
+    return avaliacao.toObject();
+  }
+
+  /**
+   * Anúncios com preço usados como referência de quilometragem e de preço por UF: os da
+   * consulta ou, se forem poucos, os do mesmo modelo e ano coletados nos últimos ANUNCIOS_REFERENCIA_DIAS
+   * @param {Object} veiculoData - Consulta salva
+   * @returns {Promise<Object[]>} - [{ preco, quilometragem, uf }]
+   */
+  async buscarAnunciosReferencia(veiculoData) {
+    const campos = 'preco quilometragem uf';
+    const base = { descartado: false, preco: { $gt: 0 } };
+
+    const anuncios = await Anuncio.find({ ...base, consulta: veiculoData._id }).select(campos).lean();
+    const comKm = anuncios.filter(anuncio => anuncio.quilometragem > 0);
+
+    if (comKm.length >= MINIMO_ANUNCIOS_KM || !veiculoData.marca || !veiculoData.modelo || !veiculoData.anoModelo) {
+      return anuncios;
+    }
+
+    return Anuncio.find({
+      ...base,
+      marca: veiculoData.marca,
+      modelo: veiculoData.modelo,
+      anoModelo: veiculoData.anoModelo,
+      coletadoEm: { $gte: new Date(Date.now() - ANUNCIOS_REFERENCIA_DIAS * 24 * 60 * 60 * 1000) }
+    })
+      .sort({ coletadoEm: -1 })
+      .limit(ANUNCIOS_REFERENCIA_MAXIMO)
+      .select(campos)
+      .lean();
+  }
+
+  /**
+   * Ajusta o valor real estimado pela quilometragem, conservação, opcionais e UF.
+   * Os fatores são aplicados em sequência sobre o valor já ajustado.
+   * @param {Object} veiculoData - Dados do veículo
+   * @param {Object} entrada - { quilometragem, conservacao, opcionais, uf }
+   * @param {Object[]} anuncios - Anúncios de referência ({ preco, quilometragem, uf })
+   * @returns {Object|null} - { valorBase, quilometragemReferencia, fatores, valorAjustado, intervalo, confianca, explicacao }
+   */
+  calcularValorAjustado(veiculoData, entrada, anuncios) {
+    const base = this.calcularValorReal(veiculoData);
+    if (!base) return null;
+
+    let valor = base.valorEstimado;
+    const fatores = [];
+    const aplicar = (fator, descricao, percentual) => {
+      const ajuste = Math.round(valor * percentual);
+      valor += ajuste;
+      fatores.push({ fator, descricao, percentual: Math.round(percentual * 1000) / 10, valor: ajuste });
+    };
+
+    const referencia = this.estimarQuilometragemReferencia(veiculoData, anuncios);
+    if (referencia) {
+      const diferenca = entrada.quilometragem - referencia.valor;
+      const percentual = this.limitar(-diferenca / 10000 * referencia.depreciacao10MilKm, AJUSTE_KM_MAXIMO);
+      aplicar(
+        'quilometragem',
+        `${entrada.quilometragem.toLocaleString('pt-BR')} km contra ${referencia.valor.toLocaleString('pt-BR')} km de referência` +
+        ` (${(referencia.depreciacao10MilKm * 100).toFixed(1).replace('.', ',')}% a cada 10 mil km)`,
+        percentual
+      );
+    }
+
+    aplicar('conservacao', `Estado de conservação ${entrada.conservacao}`, FATORES_CONSERVACAO[entrada.conservacao]);
+
+    if (entrada.opcionais.length > 0) {
+      const soma = entrada.opcionais.reduce((total, opcional) => total + OPCIONAIS[opcional].percentual, 0);
+      aplicar(
+        'opcionais',
+        entrada.opcionais.map(opcional => OPCIONAIS[opcional].descricao).join(', '),
+        this.limitar(soma, AJUSTE_OPCIONAIS_MAXIMO)
+      );
+    }
+
+    const regional = entrada.uf ? this.calcularAjusteRegional(entrada.uf, anuncios) : null;
+    if (regional) {
+      aplicar('uf', `Mediana dos anúncios em ${entrada.uf} contra a de todos os anúncios (${regional.anuncios} em ${entrada.uf})`, regional.percentual);
+    }
+
+    // O intervalo acompanha o ajuste total
+    const proporcao = valor / base.valorEstimado;
+
+    return {
+      valorBase: base.valorEstimado,
+      quilometragemReferencia: referencia,
+      fatores,
+      valorAjustado: valor,
+      intervalo: {
+        minimo: Math.round(base.intervalo.minimo * proporcao),
+        maximo: Math.round(base.intervalo.maximo * proporcao)
+      },
+      confianca: base.confianca,
+      explicacao: this.explicarAjustes(base, referencia, regional, entrada)
+    };
+  }
+
+  /**
+   * Quilometragem típica do veículo: mediana dos anúncios (com a depreciação por km medida
+   * por regressão linear do preço) ou, sem anúncios suficientes, KM_ANUAL_REFERENCIA por ano de uso
+   * @param {Object} veiculoData - Dados do veículo
+   * @param {Object[]} anuncios - Anúncios de referência
+   * @returns {Object|null} - { valor, origem ('anuncios' ou 'idade'), anuncios, depreciacao10MilKm } ou null sem ano
+   */
+  estimarQuilometragemReferencia(veiculoData, anuncios) {
+    const comKm = anuncios.filter(anuncio => anuncio.quilometragem > 0 && anuncio.preco > 0);
+
+    if (comKm.length >= MINIMO_ANUNCIOS_KM) {
+      const regressao = regressaoLinear(comKm.map(anuncio => ({ x: anuncio.quilometragem, y: anuncio.preco })));
+      const precoMediano = mediana(comKm.map(anuncio => anuncio.preco));
+
+      // Inclinação negativa: o preço cai com a quilometragem. Sem queda, vale o padrão.
+      const medida = regressao ? -regressao.inclinacao * 10000 / precoMediano : 0;
+      const depreciacao = medida > 0
+        ? Math.min(Math.max(medida, DEPRECIACAO_10MIL_KM_MINIMA), DEPRECIACAO_10MIL_KM_MAXIMA)
+        : DEPRECIACAO_10MIL_KM_PADRAO;
+
+      return {
+        valor: Math.round(mediana(comKm.map(anuncio => anuncio.quilometragem))),
+        origem: 'anuncios',
+        anuncios: comKm.length,
+        depreciacao10MilKm: Math.round(depreciacao * 10000) / 10000
+      };
+    }
+
+    const ano = parseInt(veiculoData.anoModelo || veiculoData.ano);
+    if (!ano) return null;
+
+    return {
+      valor: Math.max(new Date().getFullYear() - ano, 0) * KM_ANUAL_REFERENCIA,
+      origem: 'idade',
+      anuncios: comKm.length,
+      depreciacao10MilKm: DEPRECIACAO_10MIL_KM_PADRAO
+    };
+  }
+
+  /**
+   * Diferença entre a mediana dos anúncios da UF e a de todos os anúncios
+   * @param {string} uf - Sigla da UF
+   * @param {Object[]} anuncios - Anúncios de referência
+   * @returns {Object|null} - { percentual, anuncios } ou null sem anúncios suficientes dentro e fora da UF
+   */
+  calcularAjusteRegional(uf, anuncios) {
+    const precos = anuncios.filter(anuncio => anuncio.preco > 0);
+    const daUf = precos.filter(anuncio => anuncio.uf === uf);
+
+    if (daUf.length < MINIMO_ANUNCIOS || precos.length - daUf.length < MINIMO_ANUNCIOS) {
+      return null;
+    }
+
+    const percentual = mediana(daUf.map(anuncio => anuncio.preco)) / mediana(precos.map(anuncio => anuncio.preco)) - 1;
+    return { percentual: this.limitar(percentual, AJUSTE_UF_MAXIMO), anuncios: daUf.length };
+  }
+
+  /**
+   * Descreve a base e as referências usadas nos ajustes
+   * @param {Object} base - Resultado de calcularValorReal
+   * @param {Object|null} referencia - Quilometragem de referência
+   * @param {Object|null} regional - Ajuste por UF
+   * @param {Object} entrada - Dados informados
+   * @returns {string[]} - Frases explicativas
+   */
+  explicarAjustes(base, referencia, regional, entrada) {
+    const explicacao = [`Valor base ${base.valorEstimadoFormatado} (FIPE e mercado)`];
+
+    if (!referencia) {
+      explicacao.push('Sem ano do veículo nem anúncios com quilometragem; quilometragem não considerada');
+    } else if (referencia.origem === 'anuncios') {
+      explicacao.push(`Quilometragem de referência: mediana de ${referencia.anuncios} anúncios com quilometragem`);
+    } else {
+      explicacao.push(`Menos de ${MINIMO_ANUNCIOS_KM} anúncios com quilometragem; referência de ${KM_ANUAL_REFERENCIA.toLocaleString('pt-BR')} km por ano de uso`);
+    }
+
+    if (entrada.uf && !regional) {
+      explicacao.push(`Anúncios insuficientes para comparar ${entrada.uf} com as demais UFs; sem ajuste regional`);
+    }
+
+    return explicacao;
+  }
+
+  /**
+   * Lista as avaliações de uma placa, das mais recentes para as mais antigas
+   * @param {Object} filtro - Filtro do MongoDB (placa e, para quem não é administrador, cliente)
+   * @param {Object} paginacao - { limit, page }
+   * @returns {Promise<Object>} - { avaliacoes, total }
+   */
+  async listarAvaliacoes(filtro, { limit = 10, page = 1 } = {}) {
+    const [avaliacoes, total] = await Promise.all([
+      Avaliacao.find(filtro)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Avaliacao.countDocuments(filtro)
+    ]);
+
+    return { avaliacoes, total };
+  }
+
+  /**
+   * Limita um percentual a ±maximo
+   * @param {number} percentual - Fração (ex.: -0.12)
+   * @param {number} maximo - Limite absoluto
+   * @returns {number}
+   */
+  limitar(percentual, maximo) {
+    return Math.min(Math.max(percentual, -maximo), maximo);
+  }
+
+  /**
+   * Arredonda um peso para duas casas decimais
+   * @param {number} peso - Peso entre 0 e 1
+   * @returns {number}
+   */
+  arredondarPeso(peso) {
+    return Math.round(peso * 100) / 100;
+  }
+}
+
+module.exports = new AvaliacaoService();
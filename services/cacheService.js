@@ -0,0 +1,104 @@
+// Tempo de vida (horas) de cada grupo de campos da consulta
+const TTL_HORAS = {
+  // Dados cadastrais da API Placas (marca, modelo, cor, chassi...)
+  cadastro: parseFloat(process.env.CACHE_TTL_CADASTRO_HORAS) || 24 * 30,
+  // Valores FIPE retornados junto com o cadastro
+  fipe: parseFloat(process.env.CACHE_TTL_FIPE_HORAS) || 24 * 7,
+  // Preços de mercado (OLX e demais marketplaces)
+  mercado: parseFloat(process.env.CACHE_TTL_MERCADO_HORAS) || 24
+};
+
+// Depois de expirar, por quanto tempo o dado ainda é servido enquanto é revalidado em segundo plano
+const REVALIDACAO_HORAS = parseFloat(process.env.CACHE_REVALIDACAO_HORAS) || 24;
+
+// Ordem de gravidade das situações do cache
+const SITUACOES = ['fresco', 'obsoleto', 'expirado'];
+
+const HORA_MS = 60 * 60 * 1000;
+
+/**
+ * Política de cache das consultas: TTL por grupo de campos, stale-while-revalidate
+ * e compartilhamento de buscas simultâneas (uma única chamada externa por chave)
+ */
+class CacheService {
+  constructor() {
+    // Buscas em andamento por chave (ex.: "placa:ABC1234")
+    this.emAndamento = new Map();
+  }
+
+  /**
+   * TTL de um grupo em milissegundos
+   * @param {string} grupo - 'cadastro', 'fipe' ou 'mercado'
+   * @returns {number}
+   */
+  obterTtl(grupo) {
+    return TTL_HORAS[grupo] * HORA_MS;
+  }
+
+  /**
+   * Situação de um dado do grupo atualizado em uma data
+   * @param {Date|string|null} atualizadoEm - Data da última atualização
+   * @param {string} grupo - 'cadastro', 'fipe' ou 'mercado'
+   * @returns {string} - 'fresco' (dentro do TTL), 'obsoleto' (pode ser servido enquanto revalida) ou 'expirado'
+   */
+  avaliar(atualizadoEm, grupo) {
+    if (!atualizadoEm) return 'expirado';
+
+    const idade = Date.now() - new Date(atualizadoEm).getTime();
+    const ttl = this.obterTtl(grupo);
+
+    if (idade < ttl) return 'fresco';
+    if (idade < ttl + REVALIDACAO_HORAS * HORA_MS) return 'obsoleto';
+    return 'expirado';
+  }
+
+  /**
+   * Situação de uma consulta salva da API Placas (cadastro e FIPE vêm na mesma chamada,
+   * então vale o grupo em pior situação)
+   * @param {Object} consulta - Documento Vehicle
+   * @returns {string} - 'fresco', 'obsoleto' ou 'expirado'
+   */
+  avaliarConsulta(consulta) {
+    const situacoes = ['cadastro', 'fipe'].map(grupo => this.avaliar(consulta.dataConsulta, grupo));
+    return situacoes.reduce((pior, situacao) =>
+      SITUACOES.indexOf(situacao) > SITUACOES.indexOf(pior) ? situacao : pior
+    );
+  }
+
+  /**
+   * Descreve o cache de uma consulta para a resposta da API
+   * @param {Object} consulta - Documento Vehicle
+   * @returns {Object} - { situacao, atualizadoEm, expiraEm }
+   */
+  descrever(consulta) {
+    const atualizadoEm = new Date(consulta.dataConsulta);
+    const ttl = Math.min(this.obterTtl('cadastro'), this.obterTtl('fipe'));
+
+    return {
+      situacao: this.avaliarConsulta(consulta),
+      atualizadoEm,
+      expiraEm: new Date(atualizadoEm.getTime() + ttl)
+    };
+  }
+
+  /**
+   * Executa a busca uma única vez por chave: chamadas simultâneas recebem o mesmo resultado
+   * @param {string} chave - Identificador da busca
+   * @param {Function} executar - Função assíncrona que faz a busca
+   * @returns {Promise<Object>} - { resultado, compartilhado } (compartilhado = aproveitou busca em andamento)
+   */
+  async compartilhar(chave, executar) {
+    if (this.emAndamento.has(chave)) {
+      return { resultado: await this.emAndamento.get(chave), compartilhado: true };
+    }
+
+    const busca = Promise.resolve()
+      .then(executar)
+      .finally(() => this.emAndamento.delete(chave));
+    this.emAndamento.set(chave, busca);
+
+    return { resultado: await busca, compartilhado: false };
+  }
+}
+
+module.exports = new CacheService();
@@ -0,0 +1,238 @@
+const consultaService = require('./consultaService');
+const cacheService = require('./cacheService');
+const avaliacaoService = require('./avaliacaoService');
+const olxService = require('./olxService');
+const { normalizarPlaca, validarPlaca, placasEquivalentes } = require('../utils/placa');
+const { ErroPlacaInvalida } = require('../utils/erros');
+
+// Quantidade de placas aceitas em uma comparação
+const COMPARACAO_MINIMO_PLACAS = 2;
+const COMPARACAO_MAXIMO_PLACAS = parseInt(process.env.COMPARACAO_MAXIMO_PLACAS) || 5;
+
+// Tempo máximo de espera pelos preços de mercado que precisarem ser buscados
+const COMPARACAO_TIMEOUT_MERCADO_MS = parseInt(process.env.OLX_TIMEOUT_AGUARDAR_MS) || 15000;
+
+// Campos alinhados lado a lado, na ordem da resposta
+const CAMPOS = [
+  { campo: 'marca', rotulo: 'Marca', obter: veiculo => veiculo.marca },
+  { campo: 'modelo', rotulo: 'Modelo', obter: veiculo => veiculo.modelo },
+  { campo: 'ano', rotulo: 'Ano de fabricação', obter: veiculo => veiculo.ano },
+  { campo: 'anoModelo', rotulo: 'Ano do modelo', obter: veiculo => veiculo.anoModelo },
+  { campo: 'cor', rotulo: 'Cor', obter: veiculo => veiculo.cor },
+  { campo: 'uf', rotulo: 'UF', obter: veiculo => veiculo.uf },
+  { campo: 'risco.nivel', rotulo: 'Nível de risco', obter: veiculo => veiculo.risco && veiculo.risco.nivel },
+  { campo: 'valorFipe', rotulo: 'Valor FIPE', obter: veiculo => veiculo.valorFipe },
+  { campo: 'mercado.mediana', rotulo: 'Mediana do mercado', obter: veiculo => veiculo.mercado && veiculo.mercado.mediana },
+  { campo: 'mercado.p25', rotulo: 'Mercado (percentil 25)', obter: veiculo => veiculo.mercado && veiculo.mercado.p25 },
+  { campo: 'mercado.p75', rotulo: 'Mercado (percentil 75)', obter: veiculo => veiculo.mercado && veiculo.mercado.p75 },
+  { campo: 'mercado.quantidadeAnuncios', rotulo: 'Anúncios considerados', obter: veiculo => veiculo.mercado && veiculo.mercado.quantidadeAnuncios },
+  { campo: 'valorEstimado', rotulo: 'Valor real estimado', obter: veiculo => veiculo.valorEstimado }
+];
+
+/**
+ * Comparação lado a lado de veículos por placa, usando a mesma lógica de cache
+ * ou consulta da rota de consulta
+ */
+class ComparacaoService {
+  get minimoPlacas() {
+    return COMPARACAO_MINIMO_PLACAS;
+  }
+
+  get maximoPlacas() {
+    return COMPARACAO_MAXIMO_PLACAS;
+  }
+
+  /**
+   * Separa, normaliza e remove placas repetidas (inclusive grafias antiga/Mercosul do mesmo veículo)
+   * @param {string|string[]} entrada - "ABC1234,DEF5G67" ou array de placas
+   * @returns {string[]} - Placas normalizadas
+   */
+  extrairPlacas(entrada) {
+    const lista = (Array.isArray(entrada) ? entrada.join(',') : String(entrada || ''))
+      .split(',')
+      .map(placa => normalizarPlaca(placa))
+      .filter(Boolean);
+
+    const placas = [];
+    lista.forEach(placa => {
+      const equivalentes = placasEquivalentes(placa);
+      if (!placas.some(existente => equivalentes.includes(existente))) {
+        placas.push(placa);
+      }
+    });
+
+    return placas;
+  }
+
+  /**
+   * Consulta as placas e monta a comparação
+   * @param {string[]} placas - Placas normalizadas
+   * @param {ObjectId} clienteId - Cliente a quem o uso é atribuído
+   * @returns {Promise<Object>} - { veiculos, campos, maisBarato, erros }
+   */
+  async comparar(placas, clienteId) {
+    const invalida = placas.find(placa => !validarPlaca(placa));
+    if (invalida) {
+      throw new ErroPlacaInvalida(`Formato de placa inválido: ${invalida}. Use o formato AAA0X00 ou AAA9999`);
+    }
+
+    const resultados = await Promise.all(placas.map(placa => this.obterVeiculo(placa, clienteId)));
+
+    const veiculos = resultados.filter(resultado => !resultado.erro);
+    const erros = resultados.filter(resultado => resultado.erro);
+
+    const maisBarato = this.calcularDiferencas(veiculos);
+
+    return {
+      veiculos,
+      campos: this.alinharCampos(veiculos),
+      maisBarato,
+      erros
+    };
+  }
+
+  /**
+   * Obtém os dados de um veículo com estatísticas de mercado e valor estimado.
+   * Falhas de uma placa não interrompem a comparação das demais.
+   * @param {string} placa - Placa normalizada
+   * @param {ObjectId} clienteId - Cliente a quem o uso é atribuído
+   * @returns {Promise<Object>} - Resumo do veículo ou { placa, erro, codigo }
+   */
+  async obterVeiculo(placa, clienteId) {
+    try {
+      const { veiculoData, veiculoId } = await consultaService.obterVeiculo(placa, { clienteId });
+      await this.completarPrecosMercado(veiculoData, veiculoId);
+
+      const mercado = avaliacaoService.analisarMercado(veiculoData);
+      const valorReal = avaliacaoService.calcularValorReal(veiculoData);
+      const fipe = avaliacaoService.selecionarMelhorFipe(veiculoData);
+
+      return {
+        placa: veiculoData.placa,
+        consultaId: veiculoId,
+        fonte: veiculoData.fonte,
+        marca: veiculoData.marca,
+        modelo: veiculoData.modelo,
+        ano: veiculoData.ano,
+        anoModelo: veiculoData.anoModelo,
+        cor: veiculoData.cor,
+        uf: veiculoData.uf,
+        risco: veiculoData.risco
+          ? {
+            nivel: veiculoData.risco.nivel,
+            rouboFurto: veiculoData.risco.rouboFurto,
+            avisos: veiculoData.risco.avisos
+          }
+          : null,
+        valorFipe: fipe ? fipe.valor : null,
+        mercado: mercado
+          ? {
+            mediana: mercado.mediana,
+            p25: mercado.p25,
+            p75: mercado.p75,
+            quantidadeAnuncios: mercado.quantidadeAnuncios,
+            fontes: mercado.fontes
+          }
+          : null,
+        statusMercado: veiculoData.statusOlx || (veiculoData.precosOlx ? 'concluido' : null),
+        valorEstimado: valorReal ? valorReal.valorEstimado : null,
+        valorEstimadoFormatado: valorReal ? valorReal.valorEstimadoFormatado : null,
+        confianca: valorReal ? valorReal.confianca : null
+      };
+    } catch (error) {
+      return { placa, erro: error.message, codigo: error.codigo || 'ERRO_INTERNO' };
+    }
+  }
+
+  /**
+   * Descarta preços de mercado expirados e, se necessário, busca novos aguardando
+   * até COMPARACAO_TIMEOUT_MERCADO_MS (sem resultado no prazo, a busca continua em segundo plano)
+   * @param {Object} veiculoData - Dados do veículo (alterado)
+   * @param {ObjectId|null} veiculoId - Id da consulta salva
+   */
+  async completarPrecosMercado(veiculoData, veiculoId) {
+    if (cacheService.avaliar(veiculoData.olxAtualizadoEm, 'mercado') === 'expirado') {
+      veiculoData.precosOlx = null;
+      veiculoData.precosMercado = null;
+    }
+
+    if (!consultaService.precisaBuscarPrecos(veiculoData)) return;
+
+    veiculoData.statusOlx = 'pendente';
+    const resultado = await consultaService.buscarPrecosMercado(veiculoData, veiculoId, COMPARACAO_TIMEOUT_MERCADO_MS);
+
+    if (resultado) {
+      veiculoData.statusOlx = resultado.status;
+      veiculoData.precosOlx = resultado.precosOlx;
+      veiculoData.precosMercado = resultado.precosMercado;
+    }
+  }
+
+  /**
+   * Calcula a diferença de preço de cada veículo para o mais barato.
+   * O preço de referência é o valor estimado ou, sem ele, o valor FIPE.
+   * @param {Object[]} veiculos - Resumos dos veículos (alterados)
+   * @returns {string|null} - Placa do mais barato
+   */
+  calcularDiferencas(veiculos) {
+    const comPreco = veiculos.filter(veiculo => this.obterPrecoReferencia(veiculo) !== null);
+    if (comPreco.length === 0) return null;
+
+    const maisBarato = comPreco.reduce((menor, veiculo) =>
+      this.obterPrecoReferencia(veiculo) < this.obterPrecoReferencia(menor) ? veiculo : menor
+    );
+    const base = this.obterPrecoReferencia(maisBarato);
+
+    veiculos.forEach(veiculo => {
+      const preco = this.obterPrecoReferencia(veiculo);
+      veiculo.maisBarato = veiculo === maisBarato;
+
+      if (preco === null) {
+        veiculo.diferencaMaisBarato = null;
+        return;
+      }
+
+      const diferenca = preco - base;
+      veiculo.diferencaMaisBarato = {
+        valor: diferenca,
+        valorFormatado: olxService.formatarPreco(diferenca),
+        percentual: base > 0 ? Math.round(diferenca / base * 1000) / 10 : null,
+        referencia: veiculo.valorEstimado !== null ? 'valorEstimado' : 'valorFipe'
+      };
+    });
+
+    return maisBarato.placa;
+  }
+
+  /**
+   * Preço usado para comparar: valor estimado ou valor FIPE
+   * @param {Object} veiculo - Resumo do veículo
+   * @returns {number|null}
+   */
+  obterPrecoReferencia(veiculo) {
+    if (veiculo.valorEstimado !== null) return veiculo.valorEstimado;
+    return veiculo.valorFipe !== null ? veiculo.valorFipe : null;
+  }
+
+  /**
+   * Alinha os veículos campo a campo, indicando onde há diferença
+   * @param {Object[]} veiculos - Resumos dos veículos
+   * @returns {Object[]} - [{ campo, rotulo, valores: [{ placa, valor }], diferente }]
+   */
+  alinharCampos(veiculos) {
+    return CAMPOS.map(({ campo, rotulo, obter }) => {
+      const valores = veiculos.map(veiculo => {
+        const valor = obter(veiculo);
+        return { placa: veiculo.placa, valor: valor === undefined ? null : valor };
+      });
+
+      const distintos = new Set(valores.map(({ valor }) =>
+        typeof valor === 'string' ? valor.trim().toUpperCase() : valor
+      ));
+
+      return { campo, rotulo, valores, diferente: distintos.size > 1 };
+    });
+  }
+}
+
+module.exports = new ComparacaoService();
@@ -0,0 +1,571 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Anuncio = require('../models/Anuncio');
+const provedorPlacasService = require('./provedorPlacasService');
+const marketplaceService = require('./marketplaceService');
+const usoService = require('./usoService');
+const cacheService = require('./cacheService');
+const historicoPrecoService = require('./historicoPrecoService');
+const fipeService = require('./fipeService');
+const olxService = require('./olxService');
+const versaoMercadoService = require('./versaoMercadoService');
+const filaService = require('./filaService');
+const riscoService = require('./riscoService');
+const { placasEquivalentes, normalizarPlaca } = require('../utils/placa');
+
+// Busca pendente há mais tempo que isso é considerada abandonada (ex.: reinício do servidor)
+const OLX_PENDENTE_EXPIRA_MS = 2 * 60 * 1000;
+
+// Tempo máximo que quem pediu a busca de mercado espera pela tarefa na fila
+const MERCADO_AGUARDAR_MAXIMO_MS = parseInt(process.env.MERCADO_AGUARDAR_MAXIMO_MS) || 2 * 60 * 1000;
+
+/**
+ * Serviço com a lógica de cache ou consulta nos provedores de placa e de busca de preços
+ * de mercado, compartilhada pelas consultas individuais, em lote e pelos alertas
+ */
+class ConsultaService {
+  constructor() {
+    // Progresso das buscas de mercado por consulta (evento `mercado:<veiculoId>`),
+    // acompanhado pelo stream da consulta
+    this.eventos = new EventEmitter();
+    this.eventos.setMaxListeners(0);
+
+    // Tarefas em segundo plano (filaService): busca de preços e revalidação do cadastro
+    filaService.registrar('mercado', tarefa => this.processarBuscaMercado(tarefa), {
+      concorrencia: parseInt(process.env.FILA_CONCORRENCIA_MERCADO) || 2,
+      tentativas: parseInt(process.env.FILA_TENTATIVAS_MERCADO) || 3,
+      aoCancelar: tarefa => this.atualizarStatusOlx(tarefa.dados.veiculoId, {
+        statusOlx: 'falhou',
+        erroOlx: 'Busca cancelada',
+        olxAtualizadoEm: new Date()
+      })
+    });
+    filaService.registrar('revalidacao', tarefa => this.processarRevalidacao(tarefa), {
+      concorrencia: parseInt(process.env.FILA_CONCORRENCIA_REVALIDACAO) || 2
+    });
+  }
+
+  /**
+   * Obtém os dados do veículo, complementa com a tabela FIPE local e registra
+   * o snapshot de preços do modelo
+   * @param {string} placa - Placa do veículo
+   * @param {Object} opcoes - { forcar: ignora o cache, clienteId: cliente a quem o uso é atribuído,
+   *   aoProgredir: chamada com (etapa, dados) ao concluir as etapas 'cache' e 'cadastro' }
+   * @returns {Promise<Object>} - { veiculoData, veiculoId }
+   */
+  async obterVeiculo(placa, opcoes = {}) {
+    const resposta = await this.resolverVeiculo(placa, opcoes);
+    this.notificarProgresso(opcoes, 'cadastro', resposta.veiculoData);
+
+    await fipeService.complementar(resposta.veiculoData);
+
+    // Não bloqueia a resposta
+    historicoPrecoService.registrar(resposta.veiculoData, resposta.veiculoId);
+
+    return resposta;
+  }
+
+  /**
+   * Obtém os dados do veículo do cache ou dos provedores de placa.
+   *
+   * Consulta fresca é servida do cache; obsoleta é servida do cache enquanto é
+   * revalidada em segundo plano; expirada (ou forcar) vai à API. Se a API falhar,
+   * dados cadastrais ainda dentro do TTL são servidos com aviso.
+   * @param {string} placa - Placa do veículo
+   * @param {Object} opcoes - { forcar, clienteId, aoProgredir } (ver obterVeiculo)
+   * @returns {Promise<Object>} - { veiculoData, veiculoId }
+   */
+  async resolverVeiculo(placa, opcoes = {}) {
+    // Reserva a cota antes de consultar: requisições simultâneas do cliente não passam do limite
+    const reserva = await usoService.reservar(opcoes.clienteId);
+
+    let consultaRecente = null;
+    try {
+      consultaRecente = await Vehicle.findLatestByPlaca(placa);
+    } catch (dbError) {
+      console.warn('Aviso: Não foi possível consultar o cache do MongoDB:', dbError.message);
+      // Continua mesmo sem cache
+    }
+
+    const situacao = consultaRecente ? cacheService.avaliarConsulta(consultaRecente) : 'expirado';
+    const usarCache = !opcoes.forcar && situacao !== 'expirado';
+
+    this.notificarProgresso(opcoes, 'cache', {
+      encontrado: usarCache,
+      situacao: consultaRecente ? situacao : null,
+      forcar: Boolean(opcoes.forcar),
+      revalidando: usarCache && situacao === 'obsoleto'
+    });
+
+    if (usarCache) {
+      const resposta = this.responderDoCache(consultaRecente);
+
+      if (situacao === 'obsoleto') {
+        // Stale-while-revalidate: responde já e atualiza em segundo plano (fila de tarefas)
+        resposta.veiculoData.cache.revalidando = true;
+        this.agendarRevalidacao(placa);
+      }
+
+      await usoService.registrar(opcoes.clienteId, 'cache', reserva);
+      return resposta;
+    }
+
+    let resultado;
+    let compartilhado;
+    try {
+      ({ resultado, compartilhado } = await this.consultarApi(placa));
+    } catch (error) {
+      // Placa inválida ou inexistente não é falha do provedor
+      if (error.status !== 400 && error.status !== 404) {
+        await usoService.registrarErro(opcoes.clienteId);
+      }
+
+      if (!opcoes.forcar && consultaRecente && cacheService.avaliar(consultaRecente.dataConsulta, 'cadastro') !== 'expirado') {
+        console.warn('Aviso: Provedores de placa indisponíveis, usando cadastro em cache:', error.message);
+        const resposta = this.responderDoCache(consultaRecente);
+        resposta.veiculoData.cache.aviso = `Provedores de placa indisponíveis; dados de ${consultaRecente.dataConsulta.toISOString()}`;
+        await usoService.registrar(opcoes.clienteId, 'cache', reserva);
+        return resposta;
+      }
+
+      // Consulta sem resposta não consome cota
+      await usoService.liberar(opcoes.clienteId, reserva);
+      throw error;
+    }
+
+    // Cada chamador recebe a própria cópia (a resposta é complementada depois)
+    const veiculoData = structuredClone(resultado.veiculoData);
+    veiculoData.cache = { situacao: 'fresco', compartilhado };
+
+    // Quem aproveitou uma chamada em andamento não gerou custo na API
+    await usoService.registrar(opcoes.clienteId, compartilhado ? 'cache' : 'api', reserva);
+
+    return { veiculoData, veiculoId: resultado.veiculoId };
+  }
+
+  /**
+   * Repassa o andamento da consulta a quem o acompanha (falhas do ouvinte não interrompem a consulta)
+   * @param {Object} opcoes - Opções de obterVeiculo
+   * @param {string} etapa - Etapa concluída
+   * @param {Object} dados - Dados da etapa
+   */
+  notificarProgresso(opcoes, etapa, dados) {
+    if (!opcoes.aoProgredir) return;
+
+    try {
+      opcoes.aoProgredir(etapa, dados);
+    } catch (error) {
+      console.warn(`Aviso: Falha ao notificar a etapa ${etapa} da consulta:`, error.message);
+    }
+  }
+
+  /**
+   * Monta a resposta a partir de uma consulta salva
+   * @param {Object} consulta - Documento Vehicle
+   * @returns {Object} - { veiculoData, veiculoId }
+   */
+  responderDoCache(consulta) {
+    const veiculoData = consulta.toObject();
+    veiculoData.fonte = 'cache';
+    veiculoData.cache = cacheService.descrever(consulta);
+    // Consultas salvas antes da análise de risco (ou ainda não preenchidas pelo script)
+    if (!veiculoData.risco || !veiculoData.risco.nivel) {
+      Object.assign(veiculoData, riscoService.analisar(veiculoData));
+    }
+    return { veiculoData, veiculoId: consulta._id };
+  }
+
+  /**
+   * Consulta os provedores de placa e salva o resultado. Consultas simultâneas da mesma
+   * placa (em qualquer grafia) compartilham uma única chamada.
+   * @param {string} placa - Placa do veículo
+   * @returns {Promise<Object>} - { resultado: { veiculoData, veiculoId }, compartilhado }
+   */
+  consultarApi(placa) {
+    const chave = `placa:${placasEquivalentes(placa).sort()[0]}`;
+
+    return cacheService.compartilhar(chave, async () => {
+      const veiculoData = await provedorPlacasService.consultarPlaca(placa);
+      veiculoData.fonte = 'api';
+      Object.assign(veiculoData, riscoService.analisar(veiculoData));
+      const veiculoId = await this.salvarConsulta(veiculoData);
+      return { veiculoData, veiculoId };
+    });
+  }
+
+  /**
+   * Indica se a consulta precisa buscar preços de mercado (sem preços ou fora do TTL de mercado)
+   * @param {Object} veiculoData - Dados do veículo
+   * @returns {boolean}
+   */
+  precisaBuscarPrecos(veiculoData) {
+    // Evita disparar outra busca enquanto uma recente ainda está em andamento
+    if (veiculoData.statusOlx === 'pendente' && veiculoData.olxIniciadoEm) {
+      return Date.now() - new Date(veiculoData.olxIniciadoEm).getTime() > OLX_PENDENTE_EXPIRA_MS;
+    }
+
+    if (veiculoData.precosMercado || veiculoData.precosOlx) {
+      return cacheService.avaliar(veiculoData.olxAtualizadoEm, 'mercado') !== 'fresco';
+    }
+
+    return true;
+  }
+
+  /**
+   * Agenda a revalidação do cadastro de uma placa na fila de tarefas
+   * (sem banco, revalida diretamente em segundo plano)
+   * @param {string} placa - Placa do veículo
+   */
+  agendarRevalidacao(placa) {
+    const placaFormatada = normalizarPlaca(placa);
+    const canonica = placasEquivalentes(placaFormatada).sort()[0];
+
+    filaService.enfileirar('revalidacao', { placa: placaFormatada }, { chave: `revalidacao:${canonica}` })
+      .catch(error => {
+        console.warn('Aviso: Não foi possível enfileirar a revalidação; revalidando diretamente:', error.message);
+        this.consultarApi(placa).catch(erroApi => {
+          console.warn('Aviso: Não foi possível revalidar o cache:', erroApi.message);
+        });
+      });
+  }
+
+  /**
+   * Processa uma tarefa de revalidação: consulta os provedores e salva a nova consulta
+   * @param {Object} tarefa - Tarefa com dados { placa }
+   * @returns {Promise<Object>} - { veiculoId }
+   */
+  async processarRevalidacao(tarefa) {
+    const { resultado } = await this.consultarApi(tarefa.dados.placa);
+    return { veiculoId: resultado.veiculoId };
+  }
+
+  /**
+   * Inicia a busca de preços de mercado sem esperar o resultado: enfileira a tarefa
+   * ou, sem consulta salva (ou sem banco), busca diretamente em segundo plano
+   * @param {Object} veiculoData - Dados do veículo
+   * @param {ObjectId|null} veiculoId - Id da consulta salva
+   */
+  iniciarBuscaMercado(veiculoData, veiculoId) {
+    if (!veiculoId) {
+      this.executarBuscaMercado(veiculoData, veiculoId);
+      return;
+    }
+
+    this.agendarBuscaMercado(veiculoId).catch(error => {
+      console.warn('Aviso: Não foi possível enfileirar a busca de preços; buscando diretamente:', error.message);
+      this.executarBuscaMercado(veiculoData, veiculoId);
+    });
+  }
+
+  /**
+   * Busca preços nos marketplaces habilitados pela fila de tarefas e espera o resultado
+   * até o prazo. Pedidos da mesma consulta compartilham uma única tarefa.
+   * Sem consulta salva (ou sem banco), busca diretamente.
+   * @param {Object} veiculoData - Dados do veículo
+   * @param {ObjectId|null} veiculoId - Id da consulta salva
+   * @param {number} [prazoMs] - Tempo máximo de espera (padrão MERCADO_AGUARDAR_MAXIMO_MS)
+   * @returns {Promise<Object|null>} - { status, precosOlx, precosMercado, erro },
+   *   ou null se a busca não terminar no prazo e continuar em segundo plano (nunca rejeita)
+   */
+  async buscarPrecosMercado(veiculoData, veiculoId, prazoMs = MERCADO_AGUARDAR_MAXIMO_MS) {
+    if (!veiculoId) {
+      return this.limitarEspera(this.executarBuscaMercado(veiculoData, veiculoId), prazoMs);
+    }
+
+    let tarefa;
+    try {
+      ({ tarefa } = await this.agendarBuscaMercado(veiculoId));
+    } catch (error) {
+      console.warn('Aviso: Não foi possível enfileirar a busca de preços; buscando diretamente:', error.message);
+      return this.limitarEspera(this.executarBuscaMercado(veiculoData, veiculoId), prazoMs);
+    }
+
+    try {
+      const finalizada = await filaService.aguardar(tarefa._id, prazoMs);
+      if (!finalizada) return null;
+
+      const consulta = await Vehicle.findById(veiculoId)
+        .select('statusOlx precosOlx precosMercado erroOlx')
+        .lean();
+
+      return {
+        status: consulta ? consulta.statusOlx : 'falhou',
+        precosOlx: consulta ? consulta.precosOlx : null,
+        precosMercado: consulta ? consulta.precosMercado : null,
+        erro: consulta ? consulta.erroOlx : finalizada.ultimoErro
+      };
+    } catch (error) {
+      console.warn('Aviso: Não foi possível acompanhar a busca de preços:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Espera uma promessa até o prazo
+   * @param {Promise<Object>} promessa - Busca em andamento
+   * @param {number} prazoMs - Tempo máximo de espera
+   * @returns {Promise<Object|null>} - Resultado ou null se o prazo acabar
+   */
+  async limitarEspera(promessa, prazoMs) {
+    let timer;
+    const resultado = await Promise.race([
+      promessa,
+      new Promise(resolve => {
+        timer = setTimeout(resolve, prazoMs, null);
+      })
+    ]);
+    clearTimeout(timer);
+    return resultado;
+  }
+
+  /**
+   * Enfileira a busca de preços de mercado de uma consulta (reaproveita a tarefa ativa)
+   * e marca a consulta como pendente
+   * @param {ObjectId} veiculoId - Id da consulta salva
+   * @returns {Promise<Object>} - { tarefa, criada }
+   */
+  async agendarBuscaMercado(veiculoId) {
+    const agendamento = await filaService.enfileirar('mercado', { veiculoId }, { chave: `mercado:${veiculoId}` });
+
+    if (agendamento.criada) {
+      await this.atualizarStatusOlx(veiculoId, {
+        statusOlx: 'pendente',
+        erroOlx: null,
+        olxIniciadoEm: new Date()
+      });
+    }
+
+    return agendamento;
+  }
+
+  /**
+   * Processa uma tarefa de busca de preços de mercado. Antes da última tentativa,
+   * a falha é repassada à fila (nova tentativa) sem marcar a consulta como falha.
+   * @param {Object} tarefa - Tarefa com dados { veiculoId }
+   * @returns {Promise<Object>} - { status, erro }
+   */
+  async processarBuscaMercado(tarefa) {
+    const veiculoData = await Vehicle.findById(tarefa.dados.veiculoId).select('-dadosCompletos').lean();
+
+    // Consulta excluída (LGPD/retenção) depois do agendamento
+    if (!veiculoData) {
+      return { status: 'ignorado', erro: 'Consulta não encontrada' };
+    }
+
+    await fipeService.complementar(veiculoData);
+
+    const { status, erro } = await this.executarBuscaMercado(veiculoData, veiculoData._id, {
+      relancarFalha: tarefa.tentativas < tarefa.maxTentativas
+    });
+
+    return { status, erro };
+  }
+
+  /**
+   * Executa a busca de preços de mercado de uma consulta. Cada busca recebe um buscaId
+   * gravado na consulta: o resultado (preços, anúncios, versão e snapshot do histórico) só é
+   * gravado se ela ainda for a busca mais recente daquela consulta, e cada resultado gravado
+   * gera uma nova versão em VersaoMercado.
+   * @param {Object} veiculoData - Dados do veículo
+   * @param {ObjectId|null} veiculoId - Id da consulta salva
+   * @param {Object} opcoes - { relancarFalha: rejeita em vez de gravar a falha (haverá nova tentativa) }
+   * @returns {Promise<Object>} - { status, precosOlx, precosMercado, erro } (só rejeita com relancarFalha)
+   */
+  async executarBuscaMercado(veiculoData, veiculoId, opcoes = {}) {
+    const buscaId = new mongoose.Types.ObjectId();
+    const iniciadoEm = new Date();
+
+    await this.atualizarStatusOlx(veiculoId, {
+      statusOlx: 'pendente',
+      erroOlx: null,
+      olxIniciadoEm: iniciadoEm,
+      olxBuscaId: buscaId
+    });
+
+    let busca;
+    try {
+      busca = await marketplaceService.buscarPrecos(veiculoData, (fonte, resultado) => {
+        if (!veiculoId) return;
+        try {
+          this.eventos.emit(`mercado:${veiculoId}`, fonte, resultado);
+        } catch (error) {
+          console.warn('Aviso: Falha ao notificar o progresso da busca de mercado:', error.message);
+        }
+      });
+    } catch (error) {
+      busca = { status: 'falhou', precosMercado: null, anuncios: [], erro: error.message };
+    }
+
+    const { status, precosMercado, anuncios, erro } = busca;
+
+    if (erro) {
+      console.warn('Aviso: Não foi possível buscar preços de mercado:', erro);
+    }
+
+    if (status === 'falhou' && opcoes.relancarFalha) {
+      // A consulta continua pendente; a fila agenda nova tentativa
+      await this.atualizarStatusOlx(veiculoId, { erroOlx: erro }, buscaId);
+      throw new Error(erro);
+    }
+
+    const coletadoEm = new Date();
+    const versao = await this.reservarVersaoMercado(veiculoId, buscaId);
+
+    // precosOlx continua disponível para clientes que só conhecem o OLX
+    const olx = precosMercado && precosMercado.olx;
+    const precosOlx = olx && olx.valores
+      ? { ...olx, urlOlx: olx.url, coletadoEm, versao }
+      : null;
+
+    // Busca substituída por outra mais recente (ou consulta não salva): nada é gravado
+    if (!versao) {
+      return { status, precosOlx, precosMercado, erro };
+    }
+
+    // Os anúncios individuais vão para a coleção própria, não para a consulta.
+    // Uma busca que falhou mantém os anúncios da versão anterior.
+    if (status !== 'falhou') {
+      this.salvarAnuncios(veiculoData, veiculoId, anuncios, { buscaId, versao });
+    }
+
+    await this.atualizarStatusOlx(veiculoId, {
+      statusOlx: status,
+      precosOlx,
+      precosMercado,
+      erroOlx: erro,
+      olxAtualizadoEm: coletadoEm
+    }, buscaId);
+
+    versaoMercadoService.registrar({
+      consultaId: veiculoId,
+      placa: veiculoData.placa,
+      versao,
+      buscaId,
+      status,
+      erro,
+      iniciadoEm,
+      coletadoEm,
+      precosOlx,
+      precosMercado
+    });
+
+    // Completa o snapshot de preços do modelo com as estatísticas de mercado
+    if (status !== 'falhou') {
+      historicoPrecoService.registrar({ ...veiculoData, precosOlx, precosMercado }, veiculoId);
+    }
+
+    return { status, precosOlx, precosMercado, erro };
+  }
+
+  /**
+   * Reserva o próximo número de versão dos preços de mercado da consulta, se a busca
+   * ainda for a mais recente dela (não bloqueia se falhar)
+   * @param {ObjectId|null} veiculoId - Id da consulta salva
+   * @param {ObjectId} buscaId - Busca que terminou
+   * @returns {Promise<number|null>} - Número da versão ou null (busca substituída ou sem banco)
+   */
+  async reservarVersaoMercado(veiculoId, buscaId) {
+    if (!veiculoId) return null;
+
+    try {
+      const consulta = await Vehicle.findOneAndUpdate(
+        { _id: veiculoId, olxBuscaId: buscaId },
+        { $inc: { mercadoVersao: 1 } },
+        { new: true, projection: { mercadoVersao: 1 } }
+      ).lean();
+
+      if (!consulta) {
+        console.warn(`Aviso: Busca de mercado ${buscaId} substituída por outra mais recente; resultado descartado`);
+        return null;
+      }
+      return consulta.mercadoVersao;
+    } catch (dbError) {
+      console.warn('Aviso: Não foi possível reservar a versão dos preços de mercado:', dbError.message);
+      return null;
+    }
+  }
+
+  /**
+   * Salva os anúncios de uma versão dos preços de mercado, substituindo os das versões
+   * anteriores da consulta (não bloqueia se falhar)
+   * @param {Object} veiculoData - Dados do veículo
+   * @param {ObjectId|null} veiculoId - Id da consulta salva
+   * @param {Object[]} anuncios - Anúncios extraídos pelos adaptadores (com fonte)
+   * @param {Object} origem - { buscaId, versao } da busca que os coletou
+   * @returns {Promise<void>}
+   */
+  async salvarAnuncios(veiculoData, veiculoId, anuncios, origem) {
+    if (!veiculoId) return;
+
+    const documentos = anuncios.map(anuncio => ({
+      ...anuncio,
+      consulta: veiculoId,
+      buscaId: origem.buscaId,
+      versao: origem.versao,
+      placa: veiculoData.placa,
+      marca: veiculoData.marca,
+      modelo: veiculoData.modelo,
+      anoModelo: veiculoData.anoModelo
+    }));
+
+    try {
+      if (documentos.length > 0) {
+        await Anuncio.insertMany(documentos);
+      }
+
+      await Anuncio.deleteMany({
+        consulta: veiculoId,
+        $or: [{ versao: { $lt: origem.versao } }, { versao: null }]
+      });
+
+      // Uma busca mais nova gravou os anúncios antes desta terminar: os desta saem
+      if (await Anuncio.exists({ consulta: veiculoId, versao: { $gt: origem.versao } })) {
+        await Anuncio.deleteMany({ consulta: veiculoId, versao: origem.versao });
+      }
+    } catch (err) {
+      console.warn('Não foi possível salvar anúncios:', err.message);
+    }
+  }
+
+  /**
+   * Atualiza os campos de status do OLX na consulta (não bloqueia se falhar)
+   * @param {ObjectId|null} veiculoId - Id da consulta salva
+   * @param {Object} campos - Campos a atualizar
+   * @param {ObjectId} [buscaId] - Só atualiza se esta ainda for a busca mais recente da consulta
+   * @returns {Promise<void>}
+   */
+  atualizarStatusOlx(veiculoId, campos, buscaId) {
+    if (!veiculoId) return Promise.resolve();
+
+    const filtro = buscaId ? { _id: veiculoId, olxBuscaId: buscaId } : { _id: veiculoId };
+
+    return Vehicle.updateOne(filtro, campos)
+      .then(() => {})
+      .catch(err => {
+        console.warn('Não foi possível salvar preços do OLX:', err.message);
+      });
+  }
+
+  /**
+   * Salva a consulta no banco de dados (não bloqueia se falhar)
+   * @param {Object} veiculoData - Dados do veículo
+   * @returns {Promise<ObjectId|null>} - Id do documento salvo ou null
+   */
+  async salvarConsulta(veiculoData) {
+    try {
+      const veiculo = new Vehicle({
+        ...veiculoData,
+        valorFipeNumero: olxService.extrairPreco(veiculoData.valorFipe)
+      });
+      await veiculo.save();
+      return veiculo._id;
+    } catch (dbError) {
+      console.warn('Aviso: Não foi possível salvar no MongoDB:', dbError.message);
+      // Continua mesmo sem salvar
+      return null;
+    }
+  }
+}
+
+module.exports = new ConsultaService();
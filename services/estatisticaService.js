@@ -0,0 +1,236 @@
+const Vehicle = require('../models/Vehicle');
+const Uso = require('../models/Uso');
+const PrecoSnapshot = require('../models/PrecoSnapshot');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Formato do período de cada agrupamento da série temporal (semana ISO: 2024-W05)
+const FORMATOS_AGRUPAMENTO = {
+  dia: '%Y-%m-%d',
+  semana: '%G-W%V',
+  mes: '%Y-%m'
+};
+
+// Campos aceitos como segmento da média FIPE
+const SEGMENTOS = {
+  marca: '$marca',
+  modelo: { $concat: ['$marca', '-', '$modelo'] },
+  anoModelo: '$anoModelo'
+};
+
+/**
+ * Estatísticas de uso e de mercado calculadas com aggregation pipelines
+ */
+class EstatisticaService {
+  get agrupamentos() {
+    return Object.keys(FORMATOS_AGRUPAMENTO);
+  }
+
+  get segmentos() {
+    return Object.keys(SEGMENTOS);
+  }
+
+  /**
+   * Calcula todas as estatísticas do período
+   * @param {Object} filtros - { de, ate (AAAA-MM-DD), agrupamento, segmento, top, clienteId (uso de um cliente; null = todos) }
+   * @returns {Promise<Object>}
+   */
+  async obter(filtros) {
+    const inicio = new Date(`${filtros.de}T00:00:00.000Z`);
+    const fim = new Date(new Date(`${filtros.ate}T00:00:00.000Z`).getTime() + DIA_MS);
+    const periodo = { $gte: inicio, $lt: fim };
+
+    const [resumo, serie, marcas, modelos, ufs, fipePorSegmento, mercado] = await Promise.all([
+      this.resumir(),
+      this.montarSerie(filtros),
+      this.ranking(periodo, '$marca', filtros.top),
+      this.ranking(periodo, { $concat: [{ $ifNull: ['$marca', ''] }, ' ', { $ifNull: ['$modelo', ''] }] }, filtros.top),
+      this.ranking(periodo, '$uf', filtros.top),
+      this.calcularFipePorSegmento(periodo, filtros.segmento, filtros.top),
+      this.resumirBuscasMercado(periodo)
+    ]);
+
+    return {
+      ...resumo,
+      periodo: { de: filtros.de, ate: filtros.ate, agrupamento: filtros.agrupamento },
+      consultas: serie,
+      top: { marcas, modelos, ufs },
+      fipePorSegmento: { segmento: filtros.segmento, grupos: fipePorSegmento },
+      mercado
+    };
+  }
+
+  /**
+   * Contadores gerais (mantidos por compatibilidade com a resposta anterior)
+   * @returns {Promise<Object>} - { totalConsultas, placasUnicas, consultasHoje, consultasUltimos7Dias }
+   */
+  async resumir() {
+    const hoje = new Date(new Date().setHours(0, 0, 0, 0));
+    const seteDias = new Date(Date.now() - 7 * DIA_MS);
+
+    const [resultado] = await Vehicle.aggregate([
+      {
+        $facet: {
+          total: [{ $count: 'n' }],
+          placas: [{ $match: { placa: { $ne: null } } }, { $group: { _id: '$placa' } }, { $count: 'n' }],
+          hoje: [{ $match: { dataConsulta: { $gte: hoje } } }, { $count: 'n' }],
+          seteDias: [{ $match: { dataConsulta: { $gte: seteDias } } }, { $count: 'n' }]
+        }
+      }
+    ]);
+
+    const contar = lista => (lista.length > 0 ? lista[0].n : 0);
+
+    return {
+      totalConsultas: contar(resultado.total),
+      placasUnicas: contar(resultado.placas),
+      consultasHoje: contar(resultado.hoje),
+      consultasUltimos7Dias: contar(resultado.seteDias)
+    };
+  }
+
+  /**
+   * Série de consultas por período (cache + API), com taxa de acerto do cache e de erro da API
+   * @param {Object} filtros - { de, ate, agrupamento, clienteId }
+   * @returns {Promise<Object>} - { serie: [...], totais }
+   */
+  async montarSerie(filtros) {
+    const match = { dia: { $gte: filtros.de, $lte: filtros.ate } };
+    if (filtros.clienteId) match.cliente = filtros.clienteId;
+
+    const grupos = await Uso.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: FORMATOS_AGRUPAMENTO[filtros.agrupamento],
+              date: { $dateFromString: { dateString: '$dia', format: '%Y-%m-%d' } }
+            }
+          },
+          total: { $sum: '$total' },
+          cache: { $sum: '$cache' },
+          api: { $sum: '$api' },
+          erros: { $sum: { $ifNull: ['$erros', 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const serie = grupos.map(({ _id, ...valores }) => ({ periodo: _id, ...this.calcularTaxas(valores) }));
+
+    const totais = serie.reduce((soma, item) => {
+      soma.total += item.total;
+      soma.cache += item.cache;
+      soma.api += item.api;
+      soma.erros += item.erros;
+      return soma;
+    }, { total: 0, cache: 0, api: 0, erros: 0 });
+
+    return { serie, totais: this.calcularTaxas(totais) };
+  }
+
+  /**
+   * Acrescenta as taxas de acerto do cache e de erro da API (percentuais)
+   * @param {Object} valores - { total, cache, api, erros }
+   * @returns {Object}
+   */
+  calcularTaxas(valores) {
+    const chamadas = valores.api + valores.erros;
+    return {
+      ...valores,
+      taxaCache: valores.total > 0 ? this.percentual(valores.cache / valores.total) : null,
+      taxaErroApi: chamadas > 0 ? this.percentual(valores.erros / chamadas) : null
+    };
+  }
+
+  /**
+   * Valores mais frequentes nas consultas à API do período
+   * @param {Object} periodo - Filtro de dataConsulta
+   * @param {string|Object} expressao - Campo ou expressão agrupada
+   * @param {number} top - Quantidade de itens
+   * @returns {Promise<Object[]>} - [{ valor, consultas }]
+   */
+  ranking(periodo, expressao, top) {
+    return Vehicle.aggregate([
+      { $match: { dataConsulta: periodo } },
+      { $group: { _id: expressao, consultas: { $sum: 1 } } },
+      { $match: { _id: { $nin: [null, '', ' '] } } },
+      { $sort: { consultas: -1, _id: 1 } },
+      { $limit: top },
+      { $project: { _id: 0, valor: '$_id', consultas: 1 } }
+    ]);
+  }
+
+  /**
+   * Valor FIPE médio por segmento nos snapshots de preço do período
+   * @param {Object} periodo - Filtro de registradoEm
+   * @param {string} segmento - 'marca', 'modelo' ou 'anoModelo'
+   * @param {number} top - Quantidade de grupos (os mais consultados)
+   * @returns {Promise<Object[]>} - [{ segmento, valorFipeMedio, menor, maior, snapshots }]
+   */
+  calcularFipePorSegmento(periodo, segmento, top) {
+    return PrecoSnapshot.aggregate([
+      { $match: { registradoEm: periodo, valorFipe: { $gt: 0 } } },
+      {
+        $group: {
+          _id: SEGMENTOS[segmento],
+          valorFipeMedio: { $avg: '$valorFipe' },
+          menor: { $min: '$valorFipe' },
+          maior: { $max: '$valorFipe' },
+          snapshots: { $sum: 1 }
+        }
+      },
+      { $sort: { snapshots: -1, _id: 1 } },
+      { $limit: top },
+      {
+        $project: {
+          _id: 0,
+          segmento: '$_id',
+          valorFipeMedio: { $round: ['$valorFipeMedio', 0] },
+          menor: 1,
+          maior: 1,
+          snapshots: 1
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Situação das buscas de preços de mercado iniciadas no período e taxa de sucesso
+   * (concluída ou sem resultados conta como sucesso; falha conta como erro)
+   * @param {Object} periodo - Filtro de olxIniciadoEm
+   * @returns {Promise<Object>} - { buscas, porStatus, taxaSucesso }
+   */
+  async resumirBuscasMercado(periodo) {
+    const grupos = await Vehicle.aggregate([
+      { $match: { olxIniciadoEm: periodo, statusOlx: { $ne: null } } },
+      { $group: { _id: '$statusOlx', total: { $sum: 1 } } }
+    ]);
+
+    const porStatus = { concluido: 0, sem_resultados: 0, falhou: 0, pendente: 0 };
+    grupos.forEach(grupo => {
+      porStatus[grupo._id] = grupo.total;
+    });
+
+    const sucessos = porStatus.concluido + porStatus.sem_resultados;
+    const finalizadas = sucessos + porStatus.falhou;
+
+    return {
+      buscas: finalizadas + porStatus.pendente,
+      porStatus,
+      taxaSucesso: finalizadas > 0 ? this.percentual(sucessos / finalizadas) : null
+    };
+  }
+
+  /**
+   * Converte uma fração em percentual com uma casa decimal
+   * @param {number} fracao - Valor entre 0 e 1
+   * @returns {number}
+   */
+  percentual(fracao) {
+    return Math.round(fracao * 1000) / 10;
+  }
+}
+
+module.exports = new EstatisticaService();
@@ -0,0 +1,458 @@
+const os = require('os');
+const { EventEmitter } = require('events');
+const Tarefa = require('../models/Tarefa');
+
+// Intervalo entre as verificações de tarefas prontas
+const FILA_INTERVALO_MS = parseInt(process.env.FILA_INTERVALO_MS) || 1000;
+
+// Padrões de cada tipo (podem ser sobrescritos no registro do tipo)
+const FILA_TENTATIVAS = parseInt(process.env.FILA_TENTATIVAS) || 3;
+const FILA_BACKOFF_MS = parseInt(process.env.FILA_BACKOFF_MS) || 30000;
+
+// Tempo máximo de uma execução; depois dele a tarefa volta para a fila (ex.: reinício do servidor)
+const FILA_BLOQUEIO_MS = parseInt(process.env.FILA_BLOQUEIO_MS) || 5 * 60 * 1000;
+
+// Status em que a tarefa ainda vai (ou está para) rodar
+const STATUS_ATIVOS = ['pendente', 'processando'];
+
+/**
+ * Fila persistente de tarefas em segundo plano no MongoDB.
+ *
+ * Cada tipo de tarefa é registrado com seu processador e um limite de concorrência.
+ * Falhas são repetidas com backoff exponencial; esgotadas as tentativas (ou em erro
+ * de requisição, status < 500), a tarefa fica com status 'falhou' (dead letter)
+ * até ser reprocessada pela rota administrativa. Vários servidores podem processar
+ * a mesma fila: cada tarefa é reservada atomicamente.
+ */
+class FilaService {
+  constructor() {
+    this.tipos = {};
+    this.ativas = {};
+    this.timer = null;
+    this.verificando = false;
+    this.trabalhador = `${os.hostname()}:${process.pid}`;
+
+    // Fins de tarefa que não puderam ser gravados (banco fora do ar); regravados a cada rodada
+    this.finalizacoesPendentes = [];
+
+    // Fim de cada tarefa processada neste servidor (evento `fim:<id>`)
+    this.eventos = new EventEmitter();
+    this.eventos.setMaxListeners(0);
+  }
+
+  /**
+   * Registra um tipo de tarefa
+   * @param {string} tipo - Nome do tipo (ex.: 'mercado')
+   * @param {Function} processar - async (tarefa) => resultado; rejeitar agenda nova tentativa
+   * @param {Object} opcoes - { concorrencia, tentativas, backoffMs, aoCancelar: async (tarefa) => void }
+   */
+  registrar(tipo, processar, opcoes = {}) {
+    this.tipos[tipo] = {
+      processar,
+      concorrencia: opcoes.concorrencia || 1,
+      tentativas: opcoes.tentativas || FILA_TENTATIVAS,
+      backoffMs: opcoes.backoffMs || FILA_BACKOFF_MS,
+      aoCancelar: opcoes.aoCancelar || null
+    };
+    this.ativas[tipo] = 0;
+  }
+
+  /**
+   * Tipos registrados
+   * @returns {string[]}
+   */
+  listarTipos() {
+    return Object.keys(this.tipos);
+  }
+
+  /**
+   * Inicia o processamento periódico da fila
+   */
+  iniciar() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.verificar(), FILA_INTERVALO_MS);
+    // Não impede o encerramento do processo
+    this.timer.unref();
+  }
+
+  /**
+   * Interrompe o processamento (as execuções em andamento terminam normalmente)
+   */
+  parar() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Enfileira uma tarefa. Com chave, uma tarefa ainda ativa com a mesma chave é reaproveitada.
+   * @param {string} tipo - Tipo registrado
+   * @param {Object} dados - Dados entregues ao processador
+   * @param {Object} opcoes - { chave, executarApos }
+   * @returns {Promise<Object>} - { tarefa, criada }
+   */
+  async enfileirar(tipo, dados, opcoes = {}) {
+    const config = this.tipos[tipo];
+    if (!config) {
+      throw new Error(`Tipo de tarefa não registrado: ${tipo}`);
+    }
+
+    try {
+      const tarefa = await Tarefa.create({
+        tipo,
+        dados,
+        chave: opcoes.chave || null,
+        chaveAtiva: opcoes.chave || undefined,
+        maxTentativas: config.tentativas,
+        executarApos: opcoes.executarApos || new Date()
+      });
+
+      // Não espera a próxima verificação periódica
+      if (this.timer) setImmediate(() => this.verificar());
+
+      return { tarefa, criada: true };
+    } catch (error) {
+      if (error.code !== 11000 || !opcoes.chave) throw error;
+
+      const existente = await Tarefa.findOne({ chaveAtiva: opcoes.chave });
+      if (!existente) throw error;
+      return { tarefa: existente, criada: false };
+    }
+  }
+
+  /**
+   * Espera o fim de uma tarefa: pelo evento, se for processada neste servidor,
+   * ou consultando o banco a cada FILA_INTERVALO_MS
+   * @param {ObjectId} tarefaId - Id da tarefa
+   * @param {number} prazoMs - Tempo máximo de espera
+   * @returns {Promise<Object|null>} - Tarefa finalizada ou null se o prazo acabar
+   */
+  async aguardar(tarefaId, prazoMs) {
+    const limite = Date.now() + prazoMs;
+    const evento = `fim:${tarefaId}`;
+
+    while (Date.now() < limite) {
+      const tarefa = await Tarefa.findById(tarefaId).lean();
+      if (!tarefa || !STATUS_ATIVOS.includes(tarefa.status)) {
+        return tarefa;
+      }
+
+      let aoFinalizar;
+      let timer;
+      await new Promise(resolve => {
+        aoFinalizar = resolve;
+        timer = setTimeout(resolve, Math.min(FILA_INTERVALO_MS, Math.max(limite - Date.now(), 0)));
+        this.eventos.once(evento, aoFinalizar);
+      });
+      clearTimeout(timer);
+      this.eventos.off(evento, aoFinalizar);
+    }
+
+    return null;
+  }
+
+  /**
+   * Uma rodada: devolve à fila as tarefas abandonadas e inicia as prontas até o
+   * limite de concorrência de cada tipo (ignora se a anterior ainda estiver rodando)
+   * @returns {Promise<void>}
+   */
+  async verificar() {
+    if (this.verificando) return;
+    this.verificando = true;
+
+    try {
+      // Antes de recuperar as abandonadas, para não repetir tarefas que já terminaram
+      await this.gravarFinalizacoesPendentes();
+      await this.recuperarAbandonadas();
+
+      for (const tipo of this.listarTipos()) {
+        while (this.ativas[tipo] < this.tipos[tipo].concorrencia) {
+          const tarefa = await this.reservar(tipo);
+          if (!tarefa) break;
+
+          this.ativas[tipo] += 1;
+          this.executar(tarefa)
+            .catch(error => {
+              console.warn(`Aviso: Falha ao executar a tarefa ${tipo} ${tarefa._id}:`, error.message);
+            })
+            .finally(() => {
+              this.ativas[tipo] -= 1;
+            });
+        }
+      }
+    } catch (error) {
+      console.warn('Aviso: Falha ao verificar a fila de tarefas:', error.message);
+    } finally {
+      this.verificando = false;
+    }
+  }
+
+  /**
+   * Reserva atomicamente a próxima tarefa pronta de um tipo
+   * @param {string} tipo - Tipo registrado
+   * @returns {Promise<Object|null>}
+   */
+  reservar(tipo) {
+    const agora = new Date();
+
+    return Tarefa.findOneAndUpdate(
+      { tipo, status: 'pendente', executarApos: { $lte: agora } },
+      {
+        $set: {
+          status: 'processando',
+          trabalhador: this.trabalhador,
+          iniciadaEm: agora,
+          bloqueadaAte: new Date(agora.getTime() + FILA_BLOQUEIO_MS)
+        },
+        $inc: { tentativas: 1 }
+      },
+      { sort: { executarApos: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Executa uma tarefa reservada e registra o resultado ou a falha
+   * @param {Object} tarefa - Documento reservado
+   * @returns {Promise<void>}
+   */
+  async executar(tarefa) {
+    const config = this.tipos[tarefa.tipo];
+    // Só quem ainda detém a reserva grava o fim (cancelada ou recuperada no meio: ignora)
+    const reserva = { _id: tarefa._id, status: 'processando', trabalhador: this.trabalhador };
+
+    // Só o processador decide entre sucesso e nova tentativa; falhas ao gravar o fim
+    // são tratadas em registrarFim, sem reprocessar a tarefa
+    let resultado;
+    let falha = null;
+    try {
+      resultado = await config.processar(tarefa);
+    } catch (error) {
+      falha = error;
+    }
+
+    if (!falha) {
+      await this.registrarFim(tarefa, reserva, {
+        $set: { status: 'concluido', resultado: resultado === undefined ? null : resultado, finalizadaEm: new Date(), bloqueadaAte: null },
+        $unset: { chaveAtiva: 1 }
+      });
+      return;
+    }
+
+    // Erros de requisição (placa inválida, não encontrada) não melhoram com nova tentativa
+    const definitivo = (falha.status && falha.status < 500) || tarefa.tentativas >= tarefa.maxTentativas;
+    const erro = { tentativa: tarefa.tentativas, mensagem: falha.message, em: new Date() };
+
+    if (definitivo) {
+      console.warn(`Aviso: Tarefa ${tarefa.tipo} ${tarefa._id} falhou após ${tarefa.tentativas} tentativa(s):`, falha.message);
+      await this.registrarFim(tarefa, reserva, {
+        $set: { status: 'falhou', ultimoErro: falha.message, finalizadaEm: new Date(), bloqueadaAte: null },
+        $push: { erros: erro },
+        $unset: { chaveAtiva: 1 }
+      });
+    } else {
+      await this.registrarFim(tarefa, reserva, {
+        $set: {
+          status: 'pendente',
+          ultimoErro: falha.message,
+          executarApos: new Date(Date.now() + this.calcularEspera(config.backoffMs, tarefa.tentativas)),
+          bloqueadaAte: null
+        },
+        $push: { erros: erro }
+      });
+    }
+  }
+
+  /**
+   * Grava o fim de uma execução. Se o banco falhar, guarda a gravação para a próxima
+   * rodada (a reserva continua valendo até FILA_BLOQUEIO_MS, então a tarefa não é repetida).
+   * @param {Object} tarefa - Documento reservado
+   * @param {Object} filtro - Filtro da reserva
+   * @param {Object} atualizacao - Atualização do fim
+   * @returns {Promise<void>}
+   */
+  async registrarFim(tarefa, filtro, atualizacao) {
+    try {
+      await Tarefa.updateOne(filtro, atualizacao);
+      this.eventos.emit(`fim:${tarefa._id}`);
+    } catch (dbError) {
+      console.warn(`Aviso: Não foi possível gravar o fim da tarefa ${tarefa.tipo} ${tarefa._id}; nova tentativa na próxima rodada:`, dbError.message);
+      this.finalizacoesPendentes.push({ tarefaId: tarefa._id, filtro, atualizacao });
+    }
+  }
+
+  /**
+   * Regrava os fins de tarefa que falharam, na ordem (para na primeira falha)
+   * @returns {Promise<void>}
+   */
+  async gravarFinalizacoesPendentes() {
+    while (this.finalizacoesPendentes.length > 0) {
+      const { tarefaId, filtro, atualizacao } = this.finalizacoesPendentes[0];
+      await Tarefa.updateOne(filtro, atualizacao);
+      this.finalizacoesPendentes.shift();
+      this.eventos.emit(`fim:${tarefaId}`);
+    }
+  }
+
+  /**
+   * Prorroga a reserva de uma tarefa longa por mais FILA_BLOQUEIO_MS, para que ela não seja
+   * tratada como abandonada enquanto ainda roda
+   * @param {Object} tarefa - Documento reservado
+   * @returns {Promise<boolean>} - false se a tarefa não pertence mais a este servidor (cancelada ou recuperada)
+   */
+  async renovar(tarefa) {
+    const resultado = await Tarefa.updateOne(
+      { _id: tarefa._id, status: 'processando', trabalhador: this.trabalhador },
+      { $set: { bloqueadaAte: new Date(Date.now() + FILA_BLOQUEIO_MS) } }
+    );
+    return resultado.matchedCount > 0;
+  }
+
+  /**
+   * Espera antes da próxima tentativa: dobra a cada tentativa, com variação aleatória de até 20%
+   * @param {number} backoffMs - Espera base
+   * @param {number} tentativa - Tentativa que falhou (1, 2, ...)
+   * @returns {number}
+   */
+  calcularEspera(backoffMs, tentativa) {
+    const espera = backoffMs * 2 ** (tentativa - 1);
+    return Math.round(espera + espera * 0.2 * Math.random());
+  }
+
+  /**
+   * Devolve à fila as tarefas com execução vencida (servidor reiniciado ou travado);
+   * sem tentativas restantes, elas falham
+   * @returns {Promise<void>}
+   */
+  async recuperarAbandonadas() {
+    const agora = new Date();
+    const abandonada = { status: 'processando', bloqueadaAte: { $lt: agora } };
+    const erro = { mensagem: 'Execução abandonada (tempo de bloqueio esgotado)', em: agora };
+
+    await Tarefa.updateMany(
+      { ...abandonada, $expr: { $gte: ['$tentativas', '$maxTentativas'] } },
+      {
+        $set: { status: 'falhou', ultimoErro: erro.mensagem, finalizadaEm: agora, bloqueadaAte: null },
+        $push: { erros: erro },
+        $unset: { chaveAtiva: 1 }
+      }
+    );
+
+    await Tarefa.updateMany(
+      abandonada,
+      {
+        $set: { status: 'pendente', ultimoErro: erro.mensagem, executarApos: agora, bloqueadaAte: null },
+        $push: { erros: erro }
+      }
+    );
+  }
+
+  /**
+   * Lista as tarefas, das mais recentes para as mais antigas, com a contagem por status
+   * @param {Object} filtros - { status, tipo, limit, page }
+   * @returns {Promise<Object>} - { tarefas, total, porStatus }
+   */
+  async listar({ status, tipo, limit = 20, page = 1 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (tipo) query.tipo = tipo;
+
+    const [tarefas, total, grupos] = await Promise.all([
+      Tarefa.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Tarefa.countDocuments(query),
+      Tarefa.aggregate([
+        { $match: tipo ? { tipo } : {} },
+        { $group: { _id: '$status', total: { $sum: 1 } } }
+      ])
+    ]);
+
+    const porStatus = { pendente: 0, processando: 0, concluido: 0, falhou: 0, cancelado: 0 };
+    grupos.forEach(grupo => {
+      porStatus[grupo._id] = grupo.total;
+    });
+
+    return { tarefas, total, porStatus };
+  }
+
+  /**
+   * Obtém uma tarefa
+   * @param {ObjectId} id - Id da tarefa
+   * @returns {Promise<Object|null>}
+   */
+  obter(id) {
+    return Tarefa.findById(id).lean();
+  }
+
+  /**
+   * Devolve à fila uma tarefa que falhou ou foi cancelada, com as tentativas zeradas
+   * @param {ObjectId} id - Id da tarefa
+   * @returns {Promise<Object>} - { tarefa } ou { erro, status } se não puder ser reprocessada
+   */
+  async reprocessar(id) {
+    const tarefa = await Tarefa.findById(id);
+    if (!tarefa) return { erro: 'Tarefa não encontrada', status: 404 };
+
+    if (STATUS_ATIVOS.includes(tarefa.status) || tarefa.status === 'concluido') {
+      return { erro: `Tarefa com status ${tarefa.status} não pode ser reprocessada`, status: 409 };
+    }
+
+    try {
+      const atualizada = await Tarefa.findOneAndUpdate(
+        { _id: id, status: tarefa.status },
+        {
+          $set: {
+            status: 'pendente',
+            tentativas: 0,
+            executarApos: new Date(),
+            finalizadaEm: null,
+            chaveAtiva: tarefa.chave || undefined
+          }
+        },
+        { new: true }
+      );
+
+      if (!atualizada) return { erro: 'A tarefa mudou de status; tente novamente', status: 409 };
+      return { tarefa: atualizada };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return { erro: `Já existe uma tarefa ativa para ${tarefa.chave}`, status: 409 };
+    }
+  }
+
+  /**
+   * Cancela uma tarefa pendente (a que está em execução não é interrompida)
+   * @param {ObjectId} id - Id da tarefa
+   * @returns {Promise<Object>} - { tarefa } ou { erro, status } se não puder ser cancelada
+   */
+  async cancelar(id) {
+    const tarefa = await Tarefa.findOneAndUpdate(
+      { _id: id, status: 'pendente' },
+      { $set: { status: 'cancelado', finalizadaEm: new Date() }, $unset: { chaveAtiva: 1 } },
+      { new: true }
+    );
+
+    if (!tarefa) {
+      const existente = await Tarefa.findById(id).select('status').lean();
+      return existente
+        ? { erro: `Tarefa com status ${existente.status} não pode ser cancelada`, status: 409 }
+        : { erro: 'Tarefa não encontrada', status: 404 };
+    }
+
+    const config = this.tipos[tarefa.tipo];
+    if (config && config.aoCancelar) {
+      try {
+        await config.aoCancelar(tarefa);
+      } catch (error) {
+        console.warn(`Aviso: Falha ao finalizar o cancelamento da tarefa ${tarefa._id}:`, error.message);
+      }
+    }
+
+    this.eventos.emit(`fim:${tarefa._id}`);
+    return { tarefa };
+  }
+}
+
+module.exports = new FilaService();
@@ -0,0 +1,400 @@
+const TabelaFipe = require('../models/TabelaFipe');
+const normalizacaoService = require('./normalizacaoService');
+const olxService = require('./olxService');
+const { lerCsv } = require('../utils/csv');
+const { mediana } = require('../utils/estatisticas');
+const { normalizarTexto } = require('../utils/texto');
+
+const MESES = [
+  'janeiro', 'fevereiro', 'marco', 'abril', 'maio', 'junho',
+  'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'
+];
+
+// Nomes de coluna aceitos nos arquivos (comparados sem acentos, espaços e underscores)
+const COLUNAS = {
+  codigoFipe: ['codigofipe', 'codigo', 'fipe', 'fipecode', 'codefipe'],
+  mesReferencia: ['mesreferencia', 'referencia', 'mes', 'referencemonth'],
+  tipoVeiculo: ['tipoveiculo', 'tipo', 'vehicletype'],
+  marca: ['marca', 'textomarca', 'brand'],
+  modelo: ['modelo', 'textomodelo', 'model'],
+  anoModelo: ['anomodelo', 'ano', 'modelyear', 'year'],
+  combustivel: ['combustivel', 'fuel'],
+  valor: ['valor', 'textovalor', 'preco', 'price']
+};
+
+// Tipos de veículo da API FIPE (1 = carro, 2 = moto, 3 = caminhão)
+const TIPOS_VEICULO = { 1: 'carro', 2: 'moto', 3: 'caminhao' };
+
+// Score atribuído ao valor obtido pela busca por marca/modelo/ano (sem código FIPE)
+const SCORE_BUSCA_POR_MODELO = 40;
+
+// Registros gravados por operação na importação
+const TAMANHO_LOTE_IMPORTACAO = 1000;
+
+/**
+ * Tabela FIPE local: importação dos arquivos de referência mensais, consulta por
+ * código e navegação por marca/modelo/ano
+ */
+class FipeService {
+  /**
+   * Lê um arquivo da tabela FIPE (JSON ou CSV)
+   * @param {string} conteudo - Conteúdo do arquivo
+   * @param {string} nomeArquivo - Nome do arquivo (a extensão define o formato)
+   * @returns {Object[]} - Registros brutos
+   */
+  lerArquivo(conteudo, nomeArquivo) {
+    if (/\.json$/i.test(nomeArquivo)) {
+      const dados = JSON.parse(conteudo);
+      if (Array.isArray(dados)) return dados;
+      return dados.registros || dados.dados || dados.data || [];
+    }
+
+    return lerCsv(conteudo);
+  }
+
+  /**
+   * Importa registros da tabela FIPE (atualiza os já existentes)
+   * @param {Object[]} registros - Registros brutos do arquivo
+   * @param {Object} opcoes - { mesReferencia: mês usado quando o registro não informa (AAAA-MM) }
+   * @returns {Promise<Object>} - { importados, ignorados, meses }
+   */
+  async importar(registros, opcoes = {}) {
+    const mesPadrao = opcoes.mesReferencia ? this.normalizarMesReferencia(opcoes.mesReferencia) : null;
+    const linhas = [];
+    let ignorados = 0;
+
+    registros.forEach(registro => {
+      const linha = this.normalizarRegistro(registro, mesPadrao);
+      if (linha) {
+        linhas.push(linha);
+      } else {
+        ignorados += 1;
+      }
+    });
+
+    for (let i = 0; i < linhas.length; i += TAMANHO_LOTE_IMPORTACAO) {
+      const operacoes = linhas.slice(i, i + TAMANHO_LOTE_IMPORTACAO).map(linha => ({
+        updateOne: {
+          filter: {
+            codigoFipe: linha.codigoFipe,
+            anoModelo: linha.anoModelo,
+            combustivel: linha.combustivel,
+            mesReferencia: linha.mesReferencia
+          },
+          update: { $set: linha },
+          upsert: true
+        }
+      }));
+      await TabelaFipe.bulkWrite(operacoes, { ordered: false });
+    }
+
+    return {
+      importados: linhas.length,
+      ignorados,
+      meses: [...new Set(linhas.map(linha => linha.mesReferencia))].sort()
+    };
+  }
+
+  /**
+   * Converte um registro bruto em linha da tabela
+   * @param {Object} registro - Registro do arquivo (colunas em português ou inglês)
+   * @param {string|null} mesPadrao - Mês de referência padrão (AAAA-MM)
+   * @returns {Object|null} - Linha normalizada ou null se faltar informação obrigatória
+   */
+  normalizarRegistro(registro, mesPadrao) {
+    const campos = {};
+    Object.keys(registro).forEach(chave => {
+      const nome = normalizarTexto(chave).replace(/-/g, '');
+      const campo = Object.keys(COLUNAS).find(destino => COLUNAS[destino].includes(nome));
+      if (campo && campos[campo] === undefined) {
+        campos[campo] = registro[chave];
+      }
+    });
+
+    const codigoFipe = campos.codigoFipe ? String(campos.codigoFipe).trim() : null;
+    const mesReferencia = this.normalizarMesReferencia(campos.mesReferencia) || mesPadrao;
+    const anoModelo = parseInt(String(campos.anoModelo || '').match(/\d{4,5}/));
+    const valor = this.lerValor(campos.valor);
+
+    if (!codigoFipe || !mesReferencia || !anoModelo || !valor || !campos.marca || !campos.modelo) {
+      return null;
+    }
+
+    const marca = String(campos.marca).trim();
+    const modelo = String(campos.modelo).trim();
+    const marcaSlug = normalizacaoService.resolverMarca(marca).slug;
+
+    // "2015 Gasolina" traz o combustível junto do ano
+    const combustivel = campos.combustivel
+      ? String(campos.combustivel).trim()
+      : (String(campos.anoModelo).replace(/^\s*\d+\s*/, '') || null);
+
+    return {
+      codigoFipe,
+      mesReferencia,
+      tipoVeiculo: TIPOS_VEICULO[campos.tipoVeiculo] || (campos.tipoVeiculo ? normalizarTexto(String(campos.tipoVeiculo)) : 'carro'),
+      marca,
+      marcaSlug,
+      modelo,
+      modeloSlug: normalizacaoService.resolverModelo(modelo, marcaSlug).slug || null,
+      anoModelo,
+      combustivel,
+      valor
+    };
+  }
+
+  /**
+   * Lê o valor numérico (aceita número, "28890.00", "28.890" ou "R$ 28.890,00")
+   * @param {number|string} valor - Valor do arquivo
+   * @returns {number|null}
+   */
+  lerValor(valor) {
+    if (typeof valor === 'number') return valor;
+    if (!valor) return null;
+
+    const texto = String(valor).trim();
+
+    // Pontos em grupos de três dígitos são separador de milhar ("28.890", "1.028.890")
+    if (/^\d{1,3}(\.\d{3})+$/.test(texto)) return parseFloat(texto.replace(/\./g, ''));
+    if (/^\d+(\.\d+)?$/.test(texto)) return parseFloat(texto);
+
+    return olxService.extrairPreco(texto);
+  }
+
+  /**
+   * Normaliza o mês de referência para AAAA-MM
+   * @param {string} texto - "janeiro de 2024", "2024-01" ou "01/2024"
+   * @returns {string|null}
+   */
+  normalizarMesReferencia(texto) {
+    if (!texto) return null;
+    const valor = normalizarTexto(String(texto));
+
+    let match = valor.match(/^(\d{4})-(\d{1,2})$/);
+    if (match) return `${match[1]}-${match[2].padStart(2, '0')}`;
+
+    match = String(texto).trim().match(/^(\d{1,2})\/(\d{4})$/);
+    if (match) return `${match[2]}-${match[1].padStart(2, '0')}`;
+
+    match = valor.match(/^([a-z]+)-de-(\d{4})$/);
+    if (match && MESES.includes(match[1])) {
+      return `${match[2]}-${String(MESES.indexOf(match[1]) + 1).padStart(2, '0')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Formata o mês de referência como na FIPE ("janeiro de 2024")
+   * @param {string} mes - Mês AAAA-MM
+   * @returns {string}
+   */
+  formatarMesReferencia(mes) {
+    const [ano, numero] = mes.split('-');
+    const nome = MESES[parseInt(numero) - 1].replace('marco', 'março');
+    return `${nome} de ${ano}`;
+  }
+
+  /**
+   * Meses de referência disponíveis (mais recente primeiro)
+   * @returns {Promise<string[]>}
+   */
+  async listarMeses() {
+    const meses = await TabelaFipe.distinct('mesReferencia');
+    return meses.sort().reverse();
+  }
+
+  /**
+   * Resolve o mês a consultar: o informado (ou o mais recente anterior a ele) ou o mais recente
+   * @param {string} [mes] - Mês desejado (AAAA-MM ou "janeiro de 2024")
+   * @returns {Promise<string|null>} - Mês disponível ou null se a tabela estiver vazia
+   */
+  async resolverMes(mes) {
+    const meses = await this.listarMeses();
+    const desejado = this.normalizarMesReferencia(mes);
+
+    if (!desejado) return meses[0] || null;
+    return meses.find(disponivel => disponivel <= desejado) || null;
+  }
+
+  /**
+   * Marcas do mês de referência
+   * @param {string} mes - Mês AAAA-MM
+   * @returns {Promise<Object[]>} - [{ marca, marcaSlug, modelos }]
+   */
+  listarMarcas(mes) {
+    return TabelaFipe.aggregate([
+      { $match: { mesReferencia: mes } },
+      { $group: { _id: '$marcaSlug', marca: { $first: '$marca' }, codigos: { $addToSet: '$codigoFipe' } } },
+      { $project: { _id: 0, marcaSlug: '$_id', marca: 1, modelos: { $size: '$codigos' } } },
+      { $sort: { marca: 1 } }
+    ]);
+  }
+
+  /**
+   * Modelos (códigos FIPE) de uma marca no mês de referência
+   * @param {string} marcaSlug - Slug da marca (ex.: "volkswagen")
+   * @param {string} mes - Mês AAAA-MM
+   * @returns {Promise<Object[]>} - [{ codigoFipe, modelo, modeloSlug, anos }]
+   */
+  listarModelos(marcaSlug, mes) {
+    return TabelaFipe.aggregate([
+      { $match: { mesReferencia: mes, marcaSlug } },
+      {
+        $group: {
+          _id: '$codigoFipe',
+          modelo: { $first: '$modelo' },
+          modeloSlug: { $first: '$modeloSlug' },
+          anos: { $addToSet: '$anoModelo' }
+        }
+      },
+      { $project: { _id: 0, codigoFipe: '$_id', modelo: 1, modeloSlug: 1, anos: { $size: '$anos' } } },
+      { $sort: { modelo: 1 } }
+    ]);
+  }
+
+  /**
+   * Anos-modelo e valores de um código FIPE no mês de referência
+   * @param {string} codigoFipe - Código FIPE (ex.: "005340-6")
+   * @param {string} mes - Mês AAAA-MM
+   * @returns {Promise<Object[]>}
+   */
+  listarAnos(codigoFipe, mes) {
+    return TabelaFipe.find({ codigoFipe, mesReferencia: mes })
+      .sort({ anoModelo: -1 })
+      .select('-_id codigoFipe marca modelo anoModelo combustivel valor mesReferencia')
+      .lean();
+  }
+
+  /**
+   * Valores de um código FIPE/ano-modelo em todos os meses importados
+   * @param {string} codigoFipe - Código FIPE
+   * @param {number} anoModelo - Ano-modelo (32000 = zero km)
+   * @returns {Promise<Object[]>}
+   */
+  historicoValor(codigoFipe, anoModelo) {
+    return TabelaFipe.find({ codigoFipe, anoModelo })
+      .sort({ mesReferencia: -1 })
+      .select('-_id codigoFipe marca modelo anoModelo combustivel valor mesReferencia')
+      .lean();
+  }
+
+  /**
+   * Valor de um código FIPE/ano-modelo no mês mais recente disponível (até o mês informado)
+   * @param {string} codigoFipe - Código FIPE
+   * @param {number} anoModelo - Ano-modelo
+   * @param {string} [mes] - Mês máximo AAAA-MM
+   * @returns {Promise<Object|null>} - Linha da tabela
+   */
+  buscarPorCodigo(codigoFipe, anoModelo, mes) {
+    const filtro = { codigoFipe, anoModelo };
+    if (mes) filtro.mesReferencia = { $lte: mes };
+
+    return TabelaFipe.findOne(filtro).sort({ mesReferencia: -1 }).lean();
+  }
+
+  /**
+   * Complementa a consulta com valores da tabela local em veiculoData.fipeLocal
+   * (no formato de dadosFipe). Usa os códigos de dadosFipe quando existem, trocando o
+   * valor pelo do mês de referência mais recente; sem bloco FIPE, busca por marca/modelo/ano.
+   * Não bloqueia se falhar.
+   * @param {Object} veiculoData - Dados do veículo
+   * @returns {Promise<void>}
+   */
+  async complementar(veiculoData) {
+    try {
+      const entradas = (Array.isArray(veiculoData.dadosFipe) ? veiculoData.dadosFipe : [])
+        .filter(entrada => entrada.codigo_fipe);
+
+      const fipeLocal = entradas.length > 0
+        ? await this.complementarPorCodigo(entradas, veiculoData)
+        : await this.complementarPorModelo(veiculoData);
+
+      veiculoData.fipeLocal = fipeLocal.length > 0 ? fipeLocal : null;
+    } catch (dbError) {
+      console.warn('Aviso: Não foi possível consultar a tabela FIPE local:', dbError.message);
+    }
+  }
+
+  /**
+   * Atualiza as entradas de dadosFipe com a tabela local
+   * @param {Object[]} entradas - Entradas de dadosFipe com código
+   * @param {Object} veiculoData - Dados do veículo
+   * @returns {Promise<Object[]>} - Entradas no formato de dadosFipe
+   */
+  async complementarPorCodigo(entradas, veiculoData) {
+    const resultado = [];
+
+    for (const entrada of entradas) {
+      const anoModelo = parseInt(entrada.ano_modelo) || parseInt(veiculoData.anoModelo);
+      if (!anoModelo) continue;
+
+      const linha = await this.buscarPorCodigo(entrada.codigo_fipe, anoModelo);
+      if (!linha) continue;
+
+      // A API pode trazer um mês mais recente que o importado: nesse caso vale o da API
+      const mesApi = this.normalizarMesReferencia(entrada.mes_referencia);
+      if (mesApi && mesApi > linha.mesReferencia) continue;
+
+      resultado.push(this.formatarEntrada(linha, entrada.score || null));
+    }
+
+    return resultado;
+  }
+
+  /**
+   * Busca o valor pela marca/modelo/ano quando a API não trouxe bloco FIPE.
+   * Com várias versões do modelo, usa a mediana dos valores.
+   * @param {Object} veiculoData - Dados do veículo
+   * @returns {Promise<Object[]>} - Zero ou uma entrada no formato de dadosFipe
+   */
+  async complementarPorModelo(veiculoData) {
+    const normalizacao = normalizacaoService.normalizar(veiculoData);
+    const anoModelo = parseInt(veiculoData.anoModelo);
+    const mes = await this.resolverMes();
+
+    if (!normalizacao || !anoModelo || !mes) return [];
+
+    const linhas = await TabelaFipe.find({
+      mesReferencia: mes,
+      marcaSlug: normalizacao.marca.slug,
+      modeloSlug: normalizacao.modelo.slug,
+      anoModelo
+    }).lean();
+
+    if (linhas.length === 0) return [];
+
+    if (linhas.length === 1) {
+      return [this.formatarEntrada(linhas[0], SCORE_BUSCA_POR_MODELO)];
+    }
+
+    const valor = Math.round(mediana(linhas.map(linha => linha.valor)));
+    return [{
+      ...this.formatarEntrada({ ...linhas[0], valor }, SCORE_BUSCA_POR_MODELO),
+      codigo_fipe: null,
+      texto_modelo: `Mediana de ${linhas.length} versões (${normalizacao.modelo.slug})`
+    }];
+  }
+
+  /**
+   * Converte uma linha da tabela para o formato de dadosFipe da API Placas
+   * @param {Object} linha - Linha da tabela
+   * @param {number|null} score - Score da correspondência
+   * @returns {Object}
+   */
+  formatarEntrada(linha, score) {
+    return {
+      codigo_fipe: linha.codigoFipe,
+      texto_marca: linha.marca,
+      texto_modelo: linha.modelo,
+      ano_modelo: linha.anoModelo,
+      combustivel: linha.combustivel,
+      texto_valor: olxService.formatarPreco(linha.valor),
+      mes_referencia: this.formatarMesReferencia(linha.mesReferencia),
+      score,
+      origem: 'tabela_local'
+    };
+  }
+}
+
+module.exports = new FipeService();
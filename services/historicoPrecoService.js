@@ -0,0 +1,256 @@
+const PrecoSnapshot = require('../models/PrecoSnapshot');
+const normalizacaoService = require('./normalizacaoService');
+const avaliacaoService = require('./avaliacaoService');
+const { mediana } = require('../utils/estatisticas');
+
+// Período padrão da série histórica (meses)
+const MESES_PADRAO = 24;
+
+/**
+ * Histórico de preços por modelo (marca/modelo/anoModelo) e taxas de depreciação
+ */
+class HistoricoPrecoService {
+  /**
+   * Gera o identificador do modelo de um veículo
+   * @param {Object} veiculoData - Dados do veículo (marca, modelo, anoModelo)
+   * @returns {string|null} - Ex.: "volkswagen-gol-2015", ou null sem dados suficientes
+   */
+  gerarModeloId(veiculoData) {
+    const normalizacao = normalizacaoService.normalizar(veiculoData);
+    const anoModelo = parseInt(veiculoData.anoModelo);
+
+    if (!normalizacao || !anoModelo) {
+      return null;
+    }
+
+    return `${normalizacao.marca.slug}-${normalizacao.modelo.slug}-${anoModelo}`;
+  }
+
+  /**
+   * Registra (ou atualiza) o snapshot de preços da consulta no dia (não bloqueia se falhar)
+   * @param {Object} veiculoData - Dados do veículo com FIPE e, se houver, preços de mercado
+   * @param {ObjectId|null} veiculoId - Id da consulta salva
+   * @returns {Promise<void>}
+   */
+  async registrar(veiculoData, veiculoId) {
+    if (!veiculoId) return;
+
+    const normalizacao = normalizacaoService.normalizar(veiculoData);
+    const anoModelo = parseInt(veiculoData.anoModelo);
+    if (!normalizacao || !anoModelo) return;
+
+    const fipe = avaliacaoService.selecionarMelhorFipe(veiculoData);
+    const mercado = avaliacaoService.analisarMercado(veiculoData);
+    const valorReal = avaliacaoService.calcularValorReal(veiculoData);
+
+    const agora = new Date();
+    const campos = {
+      modeloId: `${normalizacao.marca.slug}-${normalizacao.modelo.slug}-${anoModelo}`,
+      marca: normalizacao.marca.slug,
+      modelo: normalizacao.modelo.slug,
+      anoModelo,
+      descricao: [veiculoData.marca, veiculoData.modelo].filter(Boolean).join(' '),
+      codigoFipe: fipe ? fipe.codigoFipe : null,
+      valorFipe: fipe ? fipe.valor : null,
+      mesReferenciaFipe: fipe ? fipe.mesReferencia : null,
+      valorEstimado: valorReal ? valorReal.valorEstimado : null,
+      registradoEm: agora
+    };
+
+    // Sem mercado nesta chamada (busca ainda pendente) não apaga o que já foi registrado
+    if (mercado) {
+      campos.mercado = {
+        mediana: mercado.mediana,
+        p25: mercado.p25,
+        p75: mercado.p75,
+        quantidadeAnuncios: mercado.quantidadeAnuncios,
+        fontes: mercado.fontes
+      };
+    }
+
+    try {
+      await PrecoSnapshot.updateOne(
+        { consulta: veiculoId, dia: agora.toISOString().slice(0, 10) },
+        { $set: campos },
+        { upsert: true }
+      );
+    } catch (dbError) {
+      console.warn('Aviso: Não foi possível registrar o histórico de preços:', dbError.message);
+    }
+  }
+
+  /**
+   * Lista os modelos com histórico registrado
+   * @returns {Promise<Object[]>} - [{ modeloId, marca, modelo, anoModelo, descricao, snapshots, ultimoRegistro }]
+   */
+  listarModelos() {
+    return PrecoSnapshot.aggregate([
+      { $sort: { registradoEm: 1 } },
+      {
+        $group: {
+          _id: '$modeloId',
+          marca: { $last: '$marca' },
+          modelo: { $last: '$modelo' },
+          anoModelo: { $last: '$anoModelo' },
+          descricao: { $last: '$descricao' },
+          snapshots: { $sum: 1 },
+          ultimoRegistro: { $last: '$registradoEm' }
+        }
+      },
+      { $sort: { snapshots: -1 } },
+      {
+        $project: {
+          _id: 0,
+          modeloId: '$_id',
+          marca: 1,
+          modelo: 1,
+          anoModelo: 1,
+          descricao: 1,
+          snapshots: 1,
+          ultimoRegistro: 1
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Série mensal de preços de um modelo com a depreciação mês a mês
+   * @param {string} modeloId - Identificador do modelo
+   * @param {Object} opcoes - { meses: tamanho do período }
+   * @returns {Promise<Object|null>} - { modeloId, serie, depreciacao } ou null sem registros
+   */
+  async obterHistorico(modeloId, opcoes = {}) {
+    const meses = parseInt(opcoes.meses) || MESES_PADRAO;
+    const inicio = new Date();
+    inicio.setUTCMonth(inicio.getUTCMonth() - meses + 1, 1);
+    inicio.setUTCHours(0, 0, 0, 0);
+
+    const snapshots = await PrecoSnapshot.find({ modeloId, registradoEm: { $gte: inicio } })
+      .sort({ registradoEm: 1 })
+      .select('marca modelo anoModelo descricao valorFipe mercado registradoEm')
+      .lean();
+
+    if (snapshots.length === 0) {
+      return null;
+    }
+
+    const serie = this.montarSerieMensal(snapshots);
+    const ultimo = snapshots[snapshots.length - 1];
+
+    return {
+      modeloId,
+      marca: ultimo.marca,
+      modelo: ultimo.modelo,
+      anoModelo: ultimo.anoModelo,
+      descricao: ultimo.descricao,
+      periodo: { meses, inicio },
+      serie,
+      depreciacao: {
+        fipe: this.calcularDepreciacao(serie, 'fipe'),
+        mercado: this.calcularDepreciacao(serie, 'mercado')
+      }
+    };
+  }
+
+  /**
+   * Agrupa os snapshots por mês (mediana dos valores) e calcula a variação sobre o mês anterior
+   * @param {Object[]} snapshots - Snapshots ordenados por data
+   * @returns {Object[]} - [{ mes, amostras, fipe: { valor, variacaoPercentual }, mercado: { valor, variacaoPercentual } }]
+   */
+  montarSerieMensal(snapshots) {
+    const porMes = new Map();
+
+    snapshots.forEach(snapshot => {
+      const mes = new Date(snapshot.registradoEm).toISOString().slice(0, 7);
+      if (!porMes.has(mes)) {
+        porMes.set(mes, { fipe: [], mercado: [], amostras: 0 });
+      }
+
+      const grupo = porMes.get(mes);
+      grupo.amostras += 1;
+      if (snapshot.valorFipe) grupo.fipe.push(snapshot.valorFipe);
+      if (snapshot.mercado && snapshot.mercado.mediana) grupo.mercado.push(snapshot.mercado.mediana);
+    });
+
+    const serie = [];
+    porMes.forEach((grupo, mes) => {
+      const anterior = serie[serie.length - 1];
+      const fipe = grupo.fipe.length > 0 ? Math.round(mediana(grupo.fipe)) : null;
+      const mercado = grupo.mercado.length > 0 ? Math.round(mediana(grupo.mercado)) : null;
+
+      serie.push({
+        mes,
+        amostras: grupo.amostras,
+        fipe: {
+          valor: fipe,
+          variacaoPercentual: anterior ? this.variacaoPercentual(anterior.fipe.valor, fipe) : null
+        },
+        mercado: {
+          valor: mercado,
+          variacaoPercentual: anterior ? this.variacaoPercentual(anterior.mercado.valor, mercado) : null
+        }
+      });
+    });
+
+    return serie;
+  }
+
+  /**
+   * Depreciação média mensal (taxa composta) entre o primeiro e o último mês com valor
+   * @param {Object[]} serie - Série mensal
+   * @param {string} campo - 'fipe' ou 'mercado'
+   * @returns {Object|null} - { mensalPercentual, totalPercentual, meses, de, ate } ou null com menos de 2 meses
+   */
+  calcularDepreciacao(serie, campo) {
+    const pontos = serie.filter(ponto => ponto[campo].valor);
+    if (pontos.length < 2) return null;
+
+    const primeiro = pontos[0];
+    const ultimo = pontos[pontos.length - 1];
+    const meses = this.mesesEntre(primeiro.mes, ultimo.mes);
+    const razao = ultimo[campo].valor / primeiro[campo].valor;
+
+    // Depreciação positiva = perda de valor
+    return {
+      mensalPercentual: this.arredondar((1 - Math.pow(razao, 1 / meses)) * 100),
+      totalPercentual: this.arredondar((1 - razao) * 100),
+      meses,
+      de: primeiro.mes,
+      ate: ultimo.mes
+    };
+  }
+
+  /**
+   * Variação percentual entre dois valores
+   * @param {number|null} anterior - Valor anterior
+   * @param {number|null} atual - Valor atual
+   * @returns {number|null}
+   */
+  variacaoPercentual(anterior, atual) {
+    if (!anterior || !atual) return null;
+    return this.arredondar((atual / anterior - 1) * 100);
+  }
+
+  /**
+   * Quantidade de meses entre dois meses AAAA-MM
+   * @param {string} de - Mês inicial
+   * @param {string} ate - Mês final
+   * @returns {number}
+   */
+  mesesEntre(de, ate) {
+    const [anoDe, mesDe] = de.split('-').map(Number);
+    const [anoAte, mesAte] = ate.split('-').map(Number);
+    return (anoAte - anoDe) * 12 + (mesAte - mesDe);
+  }
+
+  /**
+   * Arredonda para duas casas decimais
+   * @param {number} valor - Valor
+   * @returns {number}
+   */
+  arredondar(valor) {
+    return Math.round(valor * 100) / 100;
+  }
+}
+
+module.exports = new HistoricoPrecoService();
@@ -0,0 +1,64 @@
+const MarketplaceAdapter = require('./marketplaceAdapter');
+
+/**
+ * Adaptador do iCarros
+ */
+class IcarrosService extends MarketplaceAdapter {
+  constructor() {
+    super('icarros');
+  }
+
+  /**
+   * Gera URL de pesquisa no iCarros
+   * Formato: https://www.icarros.com.br/comprar/{marca}/{modelo}?anomodeloinicial={ano}&anomodelofinal={ano}
+   * @param {Object} veiculoData - Dados do veículo (marca, modelo, anoModelo)
+   * @returns {string|null} - URL ou null se não houver dados suficientes
+   */
+  gerarUrl(veiculoData) {
+    const slugs = this.obterSlugs(veiculoData);
+
+    if (!slugs) {
+      return null;
+    }
+
+    return `https://www.icarros.com.br/comprar/${slugs.marca}/${slugs.modelo}?anomodeloinicial=${slugs.ano}&anomodelofinal=${slugs.ano}`;
+  }
+
+  /**
+   * Extrai anúncios da página de resultados do iCarros
+   * @param {CheerioAPI} $ - Página carregada pelo cheerio
+   * @returns {Object[]} - Anúncios encontrados
+   */
+  extrairAnuncios($) {
+    const anunciosJsonLd = this.extrairAnunciosJsonLd($);
+    if (anunciosJsonLd.length > 0) {
+      return anunciosJsonLd;
+    }
+
+    const anuncios = [];
+
+    $('[class*="offer-card"], li.anuncio').each((i, element) => {
+      const card = $(element);
+      const url = card.find('a').first().attr('href') || null;
+      const idExterno = card.attr('data-anuncio-id') || (url ? (url.match(/\/d(\d+)/) || [])[1] : null);
+      const localizacao = this.extrairLocalizacao(
+        card.find('[class*="location"], .localizacao').first().text()
+      );
+
+      anuncios.push({
+        idExterno: idExterno || null,
+        titulo: card.find('h2, [class*="title"]').first().text().trim() || null,
+        preco: this.extrairPreco(card.find('[class*="price"], .preco').first().text()),
+        quilometragem: this.extrairQuilometragemCard($, card),
+        cidade: localizacao.cidade,
+        uf: localizacao.uf,
+        url: url && url.startsWith('/') ? `https://www.icarros.com.br${url}` : url,
+        dataPublicacao: null
+      });
+    });
+
+    return anuncios;
+  }
+}
+
+module.exports = new IcarrosService();
@@ -0,0 +1,344 @@
+const ExcelJS = require('exceljs');
+const Lote = require('../models/Lote');
+const consultaService = require('./consultaService');
+const avaliacaoService = require('./avaliacaoService');
+const filaService = require('./filaService');
+const { normalizarPlaca, validarPlaca } = require('../utils/placa');
+const { lerLinhasCsv } = require('../utils/csv');
+
+// Quantidade máxima de placas por lote
+const LOTE_MAXIMO_PLACAS = parseInt(process.env.LOTE_MAXIMO_PLACAS) || 500;
+
+// Colunas dos arquivos de resultado (CSV e XLSX)
+const COLUNAS = [
+  { chave: 'linha', titulo: 'Linha' },
+  { chave: 'placaInformada', titulo: 'Placa informada' },
+  { chave: 'placa', titulo: 'Placa' },
+  { chave: 'status', titulo: 'Status' },
+  { chave: 'erro', titulo: 'Erro' },
+  { chave: 'fonte', titulo: 'Fonte' },
+  { chave: 'marca', titulo: 'Marca' },
+  { chave: 'modelo', titulo: 'Modelo' },
+  { chave: 'ano', titulo: 'Ano' },
+  { chave: 'anoModelo', titulo: 'Ano modelo' },
+  { chave: 'cor', titulo: 'Cor' },
+  { chave: 'uf', titulo: 'UF' },
+  { chave: 'municipio', titulo: 'Município' },
+  { chave: 'situacao', titulo: 'Situação' },
+  { chave: 'risco', titulo: 'Risco' },
+  { chave: 'valorFipe', titulo: 'Valor FIPE' },
+  { chave: 'valorEstimado', titulo: 'Valor estimado' }
+];
+
+/**
+ * Serviço de consultas em lote: recebe placas (JSON ou CSV), processa na fila de
+ * tarefas reaproveitando o cache e gera os arquivos de resultado
+ */
+class LoteService {
+  constructor() {
+    filaService.registrar('lote', tarefa => this.processarTarefa(tarefa), {
+      concorrencia: parseInt(process.env.FILA_CONCORRENCIA_LOTE) || 1,
+      aoCancelar: tarefa => this.marcarFalha(tarefa.dados.loteId, 'Processamento cancelado')
+    });
+  }
+
+  /**
+   * Quantidade máxima de placas aceitas por lote
+   * @returns {number}
+   */
+  get maximoPlacas() {
+    return LOTE_MAXIMO_PLACAS;
+  }
+
+  /**
+   * Extrai a lista de placas do corpo da requisição
+   * @param {Array|Object|string} corpo - Array JSON, { placas: [...] } ou texto CSV
+   * @returns {string[]|null} - Placas informadas ou null se o formato não for reconhecido
+   */
+  extrairPlacas(corpo) {
+    if (Array.isArray(corpo)) {
+      return corpo.map(placa => String(placa || ''));
+    }
+
+    if (corpo && Array.isArray(corpo.placas)) {
+      return corpo.placas.map(placa => String(placa || ''));
+    }
+
+    if (typeof corpo === 'string') {
+      return this.lerCsv(corpo);
+    }
+
+    return null;
+  }
+
+  /**
+   * Lê as placas da primeira coluna de um CSV (cabeçalho opcional; separador ",", ";"
+   * ou tabulação; campos entre aspas)
+   * @param {string} csv - Conteúdo do arquivo
+   * @returns {string[]} - Placas informadas
+   */
+  lerCsv(csv) {
+    const linhas = lerLinhasCsv(csv)
+      .map(campos => campos[0].trim())
+      .filter(Boolean);
+
+    // Ignora cabeçalho ("placa", "Placa do veículo"...)
+    if (linhas.length > 0 && /placa/i.test(linhas[0])) {
+      linhas.shift();
+    }
+
+    return linhas;
+  }
+
+  /**
+   * Conta as placas em formato válido (as que consomem cota)
+   * @param {string[]} placas - Placas informadas
+   * @returns {number}
+   */
+  contarValidas(placas) {
+    return placas.filter(placa => validarPlaca(normalizarPlaca(placa))).length;
+  }
+
+  /**
+   * Cria o lote, validando cada placa, e agenda o processamento na fila
+   * @param {string[]} placas - Placas informadas
+   * @param {ObjectId} clienteId - Cliente dono do lote
+   * @returns {Promise<Object>} - Documento do lote
+   */
+  async criarLote(placas, clienteId) {
+    const itens = placas.map((placaInformada, i) => {
+      const placa = normalizarPlaca(placaInformada);
+
+      if (!validarPlaca(placa)) {
+        return {
+          linha: i + 1,
+          placaInformada,
+          placa,
+          status: 'erro',
+          erro: 'Formato de placa inválido. Use o formato AAA0X00 ou AAA9999'
+        };
+      }
+
+      return { linha: i + 1, placaInformada, placa, status: 'pendente' };
+    });
+
+    const invalidas = itens.filter(item => item.status === 'erro').length;
+
+    const lote = await Lote.create({
+      cliente: clienteId,
+      total: itens.length,
+      processados: invalidas,
+      erros: invalidas,
+      itens
+    });
+
+    // Processa na fila; o andamento fica registrado no próprio lote
+    try {
+      await this.agendar(lote._id);
+    } catch (error) {
+      await this.marcarFalha(lote._id, 'Não foi possível agendar o processamento');
+      throw error;
+    }
+
+    return lote;
+  }
+
+  /**
+   * Agenda o processamento de um lote (um lote com tarefa ativa não é agendado de novo)
+   * @param {ObjectId} loteId - Id do lote
+   * @returns {Promise<Object>} - { tarefa, criada }
+   */
+  agendar(loteId) {
+    return filaService.enfileirar('lote', { loteId }, { chave: `lote:${loteId}` });
+  }
+
+  /**
+   * Agenda os lotes pendentes ou em processamento (chamado na subida do servidor). Cobre lotes
+   * criados antes da fila ou cuja tarefa se perdeu; os que já têm tarefa ativa são ignorados.
+   * @returns {Promise<number>} - Quantidade de lotes agendados
+   */
+  async retomarLotes() {
+    const lotes = await Lote.find({ status: { $in: ['pendente', 'processando'] } }).select('_id').lean();
+
+    let agendados = 0;
+    for (const lote of lotes) {
+      const { criada } = await this.agendar(lote._id);
+      if (criada) agendados += 1;
+    }
+
+    return agendados;
+  }
+
+  /**
+   * Processa uma tarefa de lote. Na última tentativa, uma falha marca o lote como 'falhou'.
+   * @param {Object} tarefa - Tarefa com dados { loteId }
+   * @returns {Promise<Object>} - { status, processados }
+   */
+  async processarTarefa(tarefa) {
+    const lote = await Lote.findById(tarefa.dados.loteId);
+
+    // Lote excluído ou já finalizado depois do agendamento
+    if (!lote || lote.status === 'concluido') {
+      return { status: 'ignorado' };
+    }
+
+    try {
+      await this.processarLote(lote, tarefa);
+    } catch (error) {
+      if (tarefa.tentativas >= tarefa.maxTentativas) {
+        await this.marcarFalha(lote._id, error.message);
+      }
+      throw error;
+    }
+
+    return { status: lote.status, processados: lote.processados };
+  }
+
+  /**
+   * Marca o lote como falho, mantendo os itens já processados (não bloqueia se falhar)
+   * @param {ObjectId} loteId - Id do lote
+   * @param {string} motivo - Motivo da falha
+   * @returns {Promise<void>}
+   */
+  async marcarFalha(loteId, motivo) {
+    try {
+      await Lote.updateOne(
+        { _id: loteId, status: { $in: ['pendente', 'processando'] } },
+        { $set: { status: 'falhou', erroProcessamento: motivo, concluidoEm: new Date() } }
+      );
+    } catch (dbError) {
+      console.warn(`Aviso: Não foi possível marcar o lote ${loteId} como falho:`, dbError.message);
+    }
+  }
+
+  /**
+   * Processa os itens pendentes do lote um a um; numa nova tentativa (ou após um reinício)
+   * continua do primeiro item pendente. O intervalo entre chamadas à API Placas é
+   * controlado pelo apiPlacasService.
+   * @param {Object} lote - Documento do lote
+   * @param {Object} [tarefa] - Tarefa da fila, cuja reserva é prorrogada a cada item
+   */
+  async processarLote(lote, tarefa) {
+    lote.status = 'processando';
+    lote.erroProcessamento = null;
+    lote.iniciadoEm = lote.iniciadoEm || new Date();
+    await lote.save();
+
+    for (const item of lote.itens) {
+      if (item.status !== 'pendente') continue;
+
+      try {
+        const { veiculoData, veiculoId } = await consultaService.obterVeiculo(item.placa, { clienteId: lote.cliente });
+        const valorReal = avaliacaoService.calcularValorReal(veiculoData);
+
+        Object.assign(item, {
+          status: 'sucesso',
+          fonte: veiculoData.fonte,
+          consulta: veiculoId,
+          marca: veiculoData.marca,
+          modelo: veiculoData.modelo,
+          ano: veiculoData.ano,
+          anoModelo: veiculoData.anoModelo,
+          cor: veiculoData.cor,
+          uf: veiculoData.uf,
+          municipio: veiculoData.municipio,
+          situacao: veiculoData.situacao,
+          risco: veiculoData.risco ? veiculoData.risco.nivel : null,
+          valorFipe: veiculoData.valorFipe,
+          valorEstimado: valorReal ? valorReal.valorEstimado : null
+        });
+        lote.sucessos += 1;
+      } catch (error) {
+        item.status = 'erro';
+        item.erro = error.message;
+        lote.erros += 1;
+      }
+
+      lote.processados += 1;
+
+      // Uma falha ao gravar o andamento não interrompe o lote: a próxima gravação leva os itens
+      try {
+        await lote.save();
+      } catch (dbError) {
+        console.warn(`Aviso: Não foi possível gravar o andamento do lote ${lote._id}:`, dbError.message);
+      }
+
+      if (tarefa && !(await this.renovarReserva(tarefa))) {
+        // Cancelada ou assumida por outro servidor
+        return;
+      }
+    }
+
+    lote.status = 'concluido';
+    lote.concluidoEm = new Date();
+    await lote.save();
+  }
+
+  /**
+   * Prorroga a reserva da tarefa do lote na fila
+   * @param {Object} tarefa - Tarefa da fila
+   * @returns {Promise<boolean>} - false se a tarefa não pertence mais a este servidor
+   */
+  async renovarReserva(tarefa) {
+    try {
+      return await filaService.renovar(tarefa);
+    } catch (dbError) {
+      // Banco instável: segue processando; a reserva ainda vale por FILA_BLOQUEIO_MS
+      return true;
+    }
+  }
+
+  /**
+   * Gera o resultado do lote em CSV
+   * @param {Object} lote - Documento do lote
+   * @returns {string} - Conteúdo CSV
+   */
+  gerarCsv(lote) {
+    const escapar = valor => {
+      if (valor === null || valor === undefined) return '';
+      let texto = String(valor);
+
+      // Textos como "=HYPERLINK(...)" virariam fórmula no Excel: o apóstrofo força texto
+      if (typeof valor !== 'number' && /^[=+\-@\t\r]/.test(texto)) {
+        texto = `'${texto}`;
+      }
+
+      return /[",;\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+    };
+
+    const linhas = [COLUNAS.map(coluna => coluna.titulo).join(',')];
+    lote.itens.forEach(item => {
+      linhas.push(COLUNAS.map(coluna => escapar(item[coluna.chave])).join(','));
+    });
+
+    return linhas.join('\n');
+  }
+
+  /**
+   * Gera o resultado do lote em XLSX
+   * @param {Object} lote - Documento do lote
+   * @returns {Promise<Buffer>} - Planilha
+   */
+  async gerarXlsx(lote) {
+    const workbook = new ExcelJS.Workbook();
+    const planilha = workbook.addWorksheet('Consultas');
+
+    planilha.columns = COLUNAS.map(coluna => ({
+      header: coluna.titulo,
+      key: coluna.chave,
+      width: Math.max(coluna.titulo.length + 2, 12)
+    }));
+    planilha.getRow(1).font = { bold: true };
+
+    lote.itens.forEach(item => {
+      planilha.addRow(COLUNAS.reduce((linha, coluna) => {
+        linha[coluna.chave] = item[coluna.chave] === undefined ? null : item[coluna.chave];
+        return linha;
+      }, {}));
+    });
+
+    return workbook.xlsx.writeBuffer();
+  }
+}
+
+module.exports = new LoteService();
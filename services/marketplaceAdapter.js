@@ -0,0 +1,411 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const normalizacaoService = require('./normalizacaoService');
+const { removerOutliersIQR, removerOutliersMAD, resumir } = require('../utils/estatisticas');
+const { normalizarTexto } = require('../utils/texto');
+const LimitadorDominio = require('../utils/limitadorDominio');
+
+// Faixa de preços plausível para um veículo (fora dela: peças, erros de digitação)
+const PRECO_MINIMO = 2000;
+const PRECO_MAXIMO = 10000000;
+
+// Textos de parcela/financiamento capturados pela varredura genérica
+const REGEX_PARCELA = /\d+\s*x\s*(de\s*)?R\$|parcela|\/\s*m[eê]s|entrada|mensa/i;
+
+// Método de remoção de outliers: 'iqr' (padrão) ou 'mad'
+const METODO_OUTLIER = process.env.MERCADO_METODO_OUTLIER === 'mad' ? 'mad' : 'iqr';
+
+// Intervalo mínimo entre requisições ao mesmo domínio (cada adaptador pode definir o seu)
+const MERCADO_INTERVALO_DOMINIO_MS = parseInt(process.env.MERCADO_INTERVALO_DOMINIO_MS) || 0;
+
+// Compartilhado pelos adaptadores: o limite vale por host, não por adaptador
+const limitador = new LimitadorDominio();
+
+/**
+ * Classe base dos adaptadores de marketplace (OLX, Webmotors, Mercado Livre, iCarros).
+ *
+ * Cada adaptador implementa:
+ * - gerarUrl(veiculoData): URL de busca a partir de marca/modelo/anoModelo
+ *   (obterSlugs já resolve marca/modelo para os slugs do catálogo)
+ * - extrairAnuncios($): anúncios da página de resultados já carregada pelo cheerio
+ *
+ * A análise do HTML (analisarHtml) não depende de rede, permitindo testar
+ * os adaptadores com páginas salvas.
+ */
+class MarketplaceAdapter {
+  /**
+   * @param {string} nome - Identificador da fonte (ex.: 'olx')
+   * @param {Object} opcoes - { httpClient, timeout, intervaloDominioMs }
+   */
+  constructor(nome, opcoes = {}) {
+    this.nome = nome;
+    this.httpClient = opcoes.httpClient || axios;
+    this.timeout = opcoes.timeout || 8000;
+    this.intervaloDominioMs = opcoes.intervaloDominioMs ?? MERCADO_INTERVALO_DOMINIO_MS;
+  }
+
+  /**
+   * Gera URL de pesquisa no marketplace
+   * @param {Object} veiculoData - Dados do veículo (marca, modelo, anoModelo)
+   * @returns {string|null} - URL ou null se não houver dados suficientes
+   */
+  gerarUrl(veiculoData) {
+    throw new Error(`Adaptador ${this.nome} não implementa gerarUrl`);
+  }
+
+  /**
+   * Extrai os anúncios da página de resultados
+   * @param {CheerioAPI} $ - Página carregada pelo cheerio
+   * @returns {Object[]} - Anúncios com titulo, preco, quilometragem, cidade, uf, url e dataPublicacao
+   */
+  extrairAnuncios($) {
+    throw new Error(`Adaptador ${this.nome} não implementa extrairAnuncios`);
+  }
+
+  /**
+   * Preços soltos usados quando a página não tem anúncios estruturados.
+   * Por padrão nenhum; adaptadores podem sobrescrever.
+   * @param {CheerioAPI} $ - Página carregada pelo cheerio
+   * @returns {Object[]} - Candidatos { preco, origem: 'varredura', texto }
+   */
+  extrairPrecosAvulsos($) {
+    return [];
+  }
+
+  /**
+   * Busca anúncios no marketplace e retorna estatísticas.
+   * Erros de rede são propagados para que o chamador registre a falha.
+   * @param {Object} veiculoData - Dados do veículo (marca, modelo, anoModelo)
+   * @returns {Promise<Object|null>} - Estatísticas de preços e anúncios, ou null se não houver dados
+   */
+  async buscar(veiculoData) {
+    const url = this.gerarUrl(veiculoData);
+
+    if (!url) {
+      return null;
+    }
+
+    const html = await this.baixarPagina(url);
+    const resultado = this.analisarHtml(html);
+
+    return resultado ? { ...resultado, url } : null;
+  }
+
+  /**
+   * Baixa o HTML da página de resultados, respeitando o intervalo mínimo do domínio
+   * @param {string} url - URL de busca
+   * @returns {Promise<string>} - HTML
+   */
+  async baixarPagina(url) {
+    await limitador.aguardarVez(url, this.intervaloDominioMs);
+
+    const response = await this.httpClient.get(url, {
+      timeout: this.timeout,
+      maxRedirects: 5,
+      validateStatus: function (status) {
+        return status >= 200 && status < 400; // Aceita redirects
+      },
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'pt-BR,pt;q=0.9,en-US;q=0.8,en;q=0.7'
+      }
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Analisa o HTML de uma página de resultados (sem acesso à rede)
+   * @param {string} html - HTML da página
+   * @returns {Object|null} - Estatísticas e anúncios, ou null se não houver preços
+   */
+  analisarHtml(html) {
+    const $ = cheerio.load(html);
+    const anuncios = this.extrairAnuncios($)
+      .filter(anuncio => anuncio.preco)
+      .map(anuncio => ({ ...anuncio, fonte: this.nome }));
+    let candidatos = anuncios.map(anuncio => ({ preco: anuncio.preco, origem: 'anuncio', anuncio }));
+
+    if (candidatos.length === 0) {
+      candidatos = this.extrairPrecosAvulsos($);
+    }
+
+    if (candidatos.length === 0) {
+      return null;
+    }
+
+    return {
+      ...this.calcularEstatisticas(candidatos),
+      anuncios
+    };
+  }
+
+  /**
+   * Extrai anúncios de blocos JSON-LD (schema.org Car/Product/Offer)
+   * @param {CheerioAPI} $ - Página carregada pelo cheerio
+   * @returns {Object[]} - Anúncios encontrados (vazio se não houver JSON-LD)
+   */
+  extrairAnunciosJsonLd($) {
+    const itens = [];
+
+    $('script[type="application/ld+json"]').each((i, element) => {
+      try {
+        const json = JSON.parse($(element).html());
+        const lista = Array.isArray(json) ? json : [json];
+        lista.forEach(item => {
+          if (item && Array.isArray(item.itemListElement)) {
+            item.itemListElement
+              .filter(Boolean)
+              .forEach(elemento => itens.push(elemento.item || elemento));
+          } else if (item) {
+            itens.push(item);
+          }
+        });
+      } catch (error) {
+        // Bloco JSON-LD inválido, ignora
+      }
+    });
+
+    return itens
+      .filter(item => item && typeof item === 'object' && item.offers &&
+        (item['@type'] === 'Car' || item['@type'] === 'Product' || item['@type'] === 'Vehicle'))
+      .map(item => ({ item, oferta: Array.isArray(item.offers) ? item.offers.find(Boolean) : item.offers }))
+      // offers vazio ou só com nulos: anúncio sem preço
+      .filter(({ oferta }) => oferta && typeof oferta === 'object')
+      .map(({ item, oferta }) => {
+        const km = item.mileageFromOdometer;
+        const endereco = (oferta.availableAtOrFrom && oferta.availableAtOrFrom.address) || {};
+
+        return {
+          idExterno: item.sku || item.productID || null,
+          titulo: item.name || null,
+          preco: this.lerPrecoJsonLd(oferta.price),
+          quilometragem: km ? this.extrairQuilometragem(`${km.value || km} km`) : null,
+          cidade: endereco.addressLocality || null,
+          uf: endereco.addressRegion || null,
+          url: item.url || oferta.url || null,
+          dataPublicacao: item.datePosted ? new Date(item.datePosted) : null
+        };
+      })
+      .filter(anuncio => anuncio.preco);
+  }
+
+  /**
+   * Calcula estatísticas robustas descartando preços implausíveis, parcelas e outliers.
+   * Anúncios descartados recebem os campos descartado/motivoDescarte.
+   * @param {Object[]} candidatos - Preços encontrados ({ preco, origem, texto, anuncio })
+   * @returns {Object} - Preços formatados, valores numéricos e relatório de descartes
+   */
+  calcularEstatisticas(candidatos) {
+    const descartes = [];
+    const descartar = (candidato, motivo) => {
+      descartes.push({ preco: candidato.preco, motivo });
+      if (candidato.anuncio) {
+        candidato.anuncio.descartado = true;
+        candidato.anuncio.motivoDescarte = motivo;
+      }
+    };
+
+    // Filtros por anúncio: duplicados, parcelas de financiamento e faixa plausível
+    const vistos = new Set();
+    const validos = [];
+    candidatos.forEach(candidato => {
+      const chave = candidato.anuncio && (candidato.anuncio.idExterno || candidato.anuncio.url);
+
+      if (chave && vistos.has(chave)) {
+        descartar(candidato, 'duplicado');
+      } else if (candidato.origem === 'varredura' && REGEX_PARCELA.test(candidato.texto)) {
+        descartar(candidato, 'parcela_financiamento');
+      } else if (candidato.preco < PRECO_MINIMO || candidato.preco > PRECO_MAXIMO) {
+        descartar(candidato, 'fora_da_faixa');
+      } else {
+        validos.push(candidato);
+      }
+
+      if (chave) vistos.add(chave);
+    });
+
+    // Outliers em relação aos demais preços
+    const removerOutliers = METODO_OUTLIER === 'mad' ? removerOutliersMAD : removerOutliersIQR;
+    const { limiteInferior, limiteSuperior } = removerOutliers(validos.map(c => c.preco));
+    const precos = [];
+    validos.forEach(candidato => {
+      if (limiteInferior !== null && candidato.preco < limiteInferior) {
+        descartar(candidato, 'outlier_abaixo');
+      } else if (limiteSuperior !== null && candidato.preco > limiteSuperior) {
+        descartar(candidato, 'outlier_acima');
+      } else {
+        precos.push(candidato.preco);
+      }
+    });
+
+    const valores = resumir(precos);
+    const motivos = descartes.reduce((contagem, descarte) => {
+      contagem[descarte.motivo] = (contagem[descarte.motivo] || 0) + 1;
+      return contagem;
+    }, {});
+
+    return {
+      menorPreco: valores ? this.formatarPreco(valores.menor) : null,
+      maiorPreco: valores ? this.formatarPreco(valores.maior) : null,
+      mediaPreco: valores ? this.formatarPreco(valores.media) : null,
+      medianaPreco: valores ? this.formatarPreco(valores.mediana) : null,
+      quantidadeAnuncios: precos.length,
+      valores,
+      precos,
+      descartados: {
+        total: descartes.length,
+        metodoOutlier: METODO_OUTLIER,
+        limiteInferior,
+        limiteSuperior,
+        motivos,
+        precos: descartes
+      }
+    };
+  }
+
+  /**
+   * Slugs de marca/modelo e ano usados nas URLs de busca
+   * @param {Object} veiculoData - Dados do veículo (marca, modelo, anoModelo)
+   * @returns {Object|null} - { marca, modelo, ano } ou null se não houver dados suficientes
+   */
+  obterSlugs(veiculoData) {
+    if (!veiculoData.anoModelo) {
+      return null;
+    }
+
+    const normalizacao = normalizacaoService.normalizar(veiculoData);
+    if (!normalizacao) {
+      return null;
+    }
+
+    return {
+      marca: normalizacao.marca.slug,
+      modelo: normalizacao.modelo.slug,
+      ano: this.extrairAno(veiculoData.anoModelo)
+    };
+  }
+
+  /**
+   * Normaliza texto para URL (remove acentos, converte para lowercase, substitui espaços por hífens)
+   * @param {string} texto - Texto a ser normalizado
+   * @returns {string} - Texto normalizado
+   */
+  normalizarTexto(texto) {
+    return normalizarTexto(texto);
+  }
+
+  /**
+   * Extrai apenas o ano de um anoModelo ("2015", "2015/2016", "2015 - Gasolina")
+   * @param {string|number} anoModelo - Ano modelo
+   * @returns {string}
+   */
+  extrairAno(anoModelo) {
+    return anoModelo.toString().trim().split(/[\s\-/]/)[0];
+  }
+
+  /**
+   * Extrai a quilometragem de um texto ("85.000 km")
+   * @param {string} texto - Texto do anúncio
+   * @returns {number|null} - Quilometragem ou null
+   */
+  extrairQuilometragem(texto) {
+    if (!texto) return null;
+
+    const match = texto.match(/(\d{1,3}(?:\.\d{3})+|\d+)\s*km/i);
+    return match ? parseInt(match[1].replace(/\./g, ''), 10) : null;
+  }
+
+  /**
+   * Extrai a quilometragem de um card procurando um elemento folha com "km",
+   * para não grudar no texto do preço
+   * @param {CheerioAPI} $ - Página carregada pelo cheerio
+   * @param {Cheerio} card - Card do anúncio
+   * @returns {number|null} - Quilometragem ou null
+   */
+  extrairQuilometragemCard($, card) {
+    const textoKm = card.find('*')
+      .filter((i, el) => $(el).children().length === 0 && /km/i.test($(el).text()))
+      .first()
+      .text();
+
+    return this.extrairQuilometragem(textoKm);
+  }
+
+  /**
+   * Extrai cidade e UF de um texto de localização ("Campinas, SP" ou "Centro, Campinas - SP")
+   * @param {string} texto - Texto da localização
+   * @returns {Object} - { cidade, uf } (nulos se não reconhecidos)
+   */
+  extrairLocalizacao(texto) {
+    const match = (texto || '').trim().match(/([^,\n-]+?)\s*[-,]\s*([A-Z]{2})$/);
+
+    if (!match) {
+      return { cidade: null, uf: null };
+    }
+
+    return { cidade: match[1].trim(), uf: match[2] };
+  }
+
+  /**
+   * Lê o preço de uma oferta schema.org: número, decimal em texto ("45900.00") ou,
+   * em sites que fogem do padrão, texto em reais ("R$ 45.900,00")
+   * @param {number|string} preco - offers.price
+   * @returns {number|null}
+   */
+  lerPrecoJsonLd(preco) {
+    if (typeof preco === 'number') return Number.isFinite(preco) ? preco : null;
+
+    const texto = String(preco || '').trim();
+
+    // Pontos em grupos de três dígitos são separador de milhar ("45.900")
+    if (/^\d{1,3}(\.\d{3})+$/.test(texto)) return Number(texto.replace(/\./g, ''));
+    if (/^\d+([.,]\d+)?$/.test(texto)) return Number(texto.replace(',', '.'));
+
+    return this.extrairPreco(texto);
+  }
+
+  /**
+   * Extrai valor numérico de um texto de preço
+   * @param {string} texto - Texto contendo o preço
+   * @returns {number|null} - Valor numérico ou null
+   */
+  extrairPreco(texto) {
+    if (!texto) return null;
+
+    // Remove tudo exceto números, vírgulas e pontos
+    const limpo = texto.replace(/[^\d,.-]/g, '');
+
+    // Tenta extrair o número (formato brasileiro: R$ 50.000,00 ou 50000)
+    const match = limpo.match(/(\d{1,3}(?:\.\d{3})*(?:,\d{2})?)/);
+    if (match) {
+      const numero = match[1]
+        .replace(/\./g, '') // Remove pontos (milhares)
+        .replace(',', '.'); // Substitui vírgula por ponto (decimal)
+      return parseFloat(numero);
+    }
+
+    // Tenta formato simples (apenas números)
+    const numeros = texto.replace(/\D/g, '');
+    if (numeros.length >= 4) {
+      return parseFloat(numeros);
+    }
+
+    return null;
+  }
+
+  /**
+   * Formata preço para exibição
+   * @param {number} preco - Preço numérico
+   * @returns {string} - Preço formatado
+   */
+  formatarPreco(preco) {
+    return new Intl.NumberFormat('pt-BR', {
+      style: 'currency',
+      currency: 'BRL'
+    }).format(preco);
+  }
+}
+
+module.exports = MarketplaceAdapter;
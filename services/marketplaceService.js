@@ -0,0 +1,144 @@
+const olxService = require('./olxService');
+const webmotorsService = require('./webmotorsService');
+const mercadoLivreService = require('./mercadoLivreService');
+const icarrosService = require('./icarrosService');
+
+// Adaptadores disponíveis, indexados pelo nome usado em MARKETPLACES
+const ADAPTADORES = {
+  [olxService.nome]: olxService,
+  [webmotorsService.nome]: webmotorsService,
+  [mercadoLivreService.nome]: mercadoLivreService,
+  [icarrosService.nome]: icarrosService
+};
+
+/**
+ * Serviço que consulta todos os marketplaces habilitados e agrupa os resultados por fonte
+ */
+class MarketplaceService {
+  /**
+   * Lista os adaptadores habilitados em MARKETPLACES (padrão: olx)
+   * @returns {string[]} - Nomes dos adaptadores
+   */
+  listarAtivos() {
+    return (process.env.MARKETPLACES || 'olx')
+      .split(',')
+      .map(nome => nome.trim().toLowerCase())
+      .filter(nome => ADAPTADORES[nome]);
+  }
+
+  /**
+   * Retorna um adaptador pelo nome
+   * @param {string} nome - Nome do adaptador (olx, webmotors, mercadolivre, icarros)
+   * @returns {MarketplaceAdapter|null}
+   */
+  obterAdaptador(nome) {
+    return ADAPTADORES[nome] || null;
+  }
+
+  /**
+   * URLs de busca de cada marketplace habilitado
+   * @param {Object} veiculoData - Dados do veículo (marca, modelo, anoModelo)
+   * @returns {Object} - { [fonte]: url } apenas das fontes com dados suficientes
+   */
+  gerarUrls(veiculoData) {
+    return this.listarAtivos().reduce((urls, nome) => {
+      const url = ADAPTADORES[nome].gerarUrl(veiculoData);
+      if (url) {
+        urls[nome] = url;
+      }
+      return urls;
+    }, {});
+  }
+
+  /**
+   * Busca preços em todos os marketplaces habilitados.
+   * A falha de uma fonte não impede as demais.
+   * @param {Object} veiculoData - Dados do veículo (marca, modelo, anoModelo)
+   * @param {Function} [aoConcluirFonte] - Chamada a cada fonte concluída, com (fonte, resultado)
+   * @returns {Promise<Object>} - { status, precosMercado, anuncios, erro }
+   */
+  async buscarPrecos(veiculoData, aoConcluirFonte) {
+    const nomes = this.listarAtivos();
+    const resultados = await Promise.all(
+      nomes.map(nome => ADAPTADORES[nome].buscar(veiculoData)
+        .then(
+          valor => this.montarResultadoFonte(nome, veiculoData, valor, null),
+          error => this.montarResultadoFonte(nome, veiculoData, null, error)
+        )
+        .then(resultado => {
+          if (aoConcluirFonte) {
+            aoConcluirFonte(nome, resultado.precos);
+          }
+          return resultado;
+        }))
+    );
+
+    const precosMercado = {};
+    const erros = [];
+    let anuncios = [];
+
+    resultados.forEach((resultado, i) => {
+      const fonte = nomes[i];
+      precosMercado[fonte] = resultado.precos;
+      anuncios = anuncios.concat(resultado.anuncios);
+      if (resultado.precos.status === 'falhou') {
+        erros.push(`${fonte}: ${resultado.precos.erro}`);
+      }
+    });
+
+    const status = this.resumirStatus(Object.values(precosMercado).map(fonte => fonte.status));
+
+    return {
+      status,
+      precosMercado,
+      anuncios,
+      erro: status === 'falhou' ? erros.join('; ') : null
+    };
+  }
+
+  /**
+   * Resultado de uma fonte no formato de precosMercado
+   * @param {string} fonte - Nome do adaptador
+   * @param {Object} veiculoData - Dados do veículo
+   * @param {Object|null} valor - Retorno do adaptador (estatísticas e anúncios)
+   * @param {Error|null} erro - Falha do adaptador
+   * @returns {Object} - { precos, anuncios }
+   */
+  montarResultadoFonte(fonte, veiculoData, valor, erro) {
+    const url = ADAPTADORES[fonte].gerarUrl(veiculoData);
+
+    if (erro) {
+      return { precos: { status: 'falhou', erro: erro.message, url }, anuncios: [] };
+    }
+
+    if (!valor) {
+      return { precos: { status: 'sem_resultados', url }, anuncios: [] };
+    }
+
+    const { anuncios, ...estatisticas } = valor;
+    return {
+      precos: {
+        status: estatisticas.quantidadeAnuncios > 0 ? 'concluido' : 'sem_resultados',
+        ...estatisticas
+      },
+      anuncios
+    };
+  }
+
+  /**
+   * Status geral a partir do status de cada fonte
+   * @param {string[]} statusFontes - Status por fonte
+   * @returns {string} - 'concluido', 'falhou' ou 'sem_resultados'
+   */
+  resumirStatus(statusFontes) {
+    if (statusFontes.includes('concluido')) {
+      return 'concluido';
+    }
+    if (statusFontes.length > 0 && statusFontes.every(status => status === 'falhou')) {
+      return 'falhou';
+    }
+    return 'sem_resultados';
+  }
+}
+
+module.exports = new MarketplaceService();
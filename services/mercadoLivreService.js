@@ -0,0 +1,68 @@
+const MarketplaceAdapter = require('./marketplaceAdapter');
+
+/**
+ * Adaptador do Mercado Livre (categoria de carros)
+ */
+class MercadoLivreService extends MarketplaceAdapter {
+  constructor() {
+    super('mercadolivre');
+  }
+
+  /**
+   * Gera URL de pesquisa no Mercado Livre
+   * Formato: https://carros.mercadolivre.com.br/{marca}/{modelo}/{ano}/
+   * @param {Object} veiculoData - Dados do veículo (marca, modelo, anoModelo)
+   * @returns {string|null} - URL ou null se não houver dados suficientes
+   */
+  gerarUrl(veiculoData) {
+    const slugs = this.obterSlugs(veiculoData);
+
+    if (!slugs) {
+      return null;
+    }
+
+    return `https://carros.mercadolivre.com.br/${slugs.marca}/${slugs.modelo}/${slugs.ano}/`;
+  }
+
+  /**
+   * Extrai anúncios da página de resultados do Mercado Livre
+   * @param {CheerioAPI} $ - Página carregada pelo cheerio
+   * @returns {Object[]} - Anúncios encontrados
+   */
+  extrairAnuncios($) {
+    const anuncios = [];
+
+    $('li.ui-search-layout__item').each((i, element) => {
+      const card = $(element);
+      const link = card.find('a.poly-component__title, a.ui-search-link').first();
+      const url = link.attr('href') || null;
+      const idExterno = url ? url.match(/(MLB-?\d+)/) : null;
+      const atributos = card.find('.poly-attributes_list__item, .ui-search-card-attributes__attribute')
+        .map((j, atributo) => $(atributo).text())
+        .get()
+        .join(' ');
+      const localizacao = this.extrairLocalizacao(
+        card.find('.poly-component__location, .ui-search-item__location').first().text()
+      );
+
+      anuncios.push({
+        idExterno: idExterno ? idExterno[1].replace('-', '') : null,
+        titulo: (link.text() || card.find('.ui-search-item__title').first().text()).trim() || null,
+        preco: this.extrairPreco(card.find('.andes-money-amount__fraction').first().text()),
+        quilometragem: this.extrairQuilometragem(atributos),
+        cidade: localizacao.cidade,
+        uf: localizacao.uf,
+        url,
+        dataPublicacao: null
+      });
+    });
+
+    if (anuncios.length === 0) {
+      return this.extrairAnunciosJsonLd($);
+    }
+
+    return anuncios;
+  }
+}
+
+module.exports = new MercadoLivreService();
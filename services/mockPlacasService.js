@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const ProvedorPlacas = require('./provedorPlacas');
+const apiPlacasService = require('./apiPlacasService');
+const { placasEquivalentes } = require('../utils/placa');
+const { ErroPlacaNaoEncontrada } = require('../utils/erros');
+
+/**
+ * Provedor mock para desenvolvimento e testes: serve respostas gravadas da
+ * API Placas (um arquivo <PLACA>.json por placa em MOCK_PLACAS_DIR).
+ *
+ * Para gravar respostas reais, rode com API_PLACAS_GRAVAR_RESPOSTAS=<diretório>.
+ */
+class MockPlacasService extends ProvedorPlacas {
+  constructor() {
+    super('mock');
+
+    this.diretorio = process.env.MOCK_PLACAS_DIR || path.join(__dirname, '..', 'data', 'mock-placas');
+
+    // Latência simulada (ms)
+    this.latencia = parseInt(process.env.MOCK_PLACAS_LATENCIA_MS) || 0;
+  }
+
+  /**
+   * Disponível se o diretório de respostas existir
+   * @returns {boolean}
+   */
+  configurado() {
+    return fs.existsSync(this.diretorio);
+  }
+
+  /**
+   * Serve a resposta gravada da placa (em qualquer grafia, antiga ou Mercosul)
+   * @param {string} placa - Placa normalizada
+   * @returns {Promise<Object>} - Dados do veículo
+   */
+  async consultar(placa) {
+    if (this.latencia > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencia));
+    }
+
+    const arquivo = placasEquivalentes(placa)
+      .map(grafia => path.join(this.diretorio, `${grafia}.json`))
+      .find(caminho => fs.existsSync(caminho));
+
+    if (!arquivo) {
+      throw new ErroPlacaNaoEncontrada(`Placa ${placa} sem resposta gravada no provedor mock`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    return apiPlacasService.mapearResposta({ ...data, placa }, placa);
+  }
+}
+
+module.exports = new MockPlacasService();
@@ -0,0 +1,236 @@
+const { normalizarTexto, similaridade } = require('../utils/texto');
+const tabelaMarcas = require('../data/marcas.json');
+const catalogoModelos = require('../data/catalogoModelos.json');
+
+// Aliases de marca que contêm barra ("HYUNDAI/CAOA"), do mais longo ao mais curto:
+// precisam ser reconhecidos antes de separar marca e modelo na barra
+const ALIASES_COM_BARRA = Object.keys(tabelaMarcas.aliases)
+  .filter(chave => chave.includes('/'))
+  .sort((a, b) => b.length - a.length);
+
+// Similaridade mínima para aceitar uma correspondência aproximada
+const SIMILARIDADE_MINIMA = 0.75;
+
+// Termos de versão/acabamento que não fazem parte do modelo base
+const TERMOS_VERSAO = new Set([
+  'flex', 'totalflex', 'tflex', 'flexpower', 'mpi', 'mpfi', 'tsi', 'tdi', 'turbo', 'tb', 'gasolina', 'diesel',
+  'aut', 'auto', 'automatico', 'mec', 'manual', 'cvt', 'at', 'mt', '2p', '4p', '5p', '4x2', '4x4',
+  'city', 'trend', 'trendline', 'comfortline', 'highline', 'track', 'sportline', 'drive', 'attractive',
+  'fire', 'way', 'evo', 'economy', 'celebration', 'special', 'power', 'sport', 'ltz', 'lt', 'ls', 'premier',
+  'joy', 'joyplus', 'activ', 'advantage', 'xls', 'xlt', 'se', 'sel', 'titanium', 'freestyle', 'hatch', 'sedan',
+  'giv', 'gv', 'g4', 'g5', 'g6', 'g7', 'g8', 'cd', 'cs', 'ce', 'gl', 'gli', 'glx', 'xei', 'xli', 'srv', 'exl', 'lx', 'ex'
+]);
+
+/**
+ * Normalização de marca/modelo da API Placas para os slugs usados nos marketplaces.
+ *
+ * Usa a tabela de aliases em data/marcas.json (VW → volkswagen, GM → chevrolet,
+ * prefixo de importação I/) e o catálogo de slugs válidos em data/catalogoModelos.json.
+ */
+class NormalizacaoService {
+  /**
+   * Normaliza marca e modelo de um veículo
+   * @param {Object} veiculoData - Dados do veículo (marca, modelo)
+   * @returns {Object|null} - { marca, modelo, confianca } com o mapeamento escolhido, ou null sem dados
+   */
+  normalizar(veiculoData) {
+    const { marcaTexto, modeloTexto } = this.separarMarcaModelo(veiculoData.marca, veiculoData.modelo);
+
+    if (!marcaTexto || !modeloTexto) {
+      return null;
+    }
+
+    const marca = this.resolverMarca(marcaTexto);
+    const modelo = this.resolverModelo(modeloTexto, marca.slug);
+
+    return {
+      marca: { original: veiculoData.marca, ...marca },
+      modelo: { original: veiculoData.modelo, ...modelo },
+      confianca: Math.round(Math.min(marca.confianca, modelo.confianca) * 100) / 100
+    };
+  }
+
+  /**
+   * Separa marca e modelo de textos como "VW/GOL 1.0 GIV" ou "I/FIAT ARGO DRIVE 1.0"
+   * @param {string} marca - Campo marca da API
+   * @param {string} modelo - Campo modelo da API
+   * @returns {Object} - { marcaTexto, modeloTexto }
+   */
+  separarMarcaModelo(marca, modelo) {
+    let marcaTexto = this.removerPrefixoImportacao(marca || '');
+    let modeloTexto = this.removerPrefixoImportacao(modelo || '');
+
+    // "VW/GOL 1.0" no campo marca
+    if (marcaTexto.includes('/')) {
+      const { antes, depois } = this.separarNaBarra(marcaTexto);
+      marcaTexto = antes;
+      if (!modeloTexto) modeloTexto = depois;
+    }
+
+    // "VW/GOL 1.0" no campo modelo
+    if (modeloTexto.includes('/')) {
+      const { antes, depois } = this.separarNaBarra(modeloTexto);
+      if (!marcaTexto) marcaTexto = antes;
+      modeloTexto = depois;
+    }
+
+    // "FIAT ARGO DRIVE 1.0" sem a marca em campo separado
+    if (!marcaTexto && modeloTexto) {
+      const [primeira, ...resto] = modeloTexto.trim().split(/\s+/);
+      marcaTexto = primeira;
+      modeloTexto = resto.join(' ');
+    }
+
+    // Remove a marca repetida no início do modelo
+    const marcaNormalizada = marcaTexto.trim().toUpperCase();
+    if (marcaNormalizada && modeloTexto.trim().toUpperCase().startsWith(`${marcaNormalizada} `)) {
+      modeloTexto = modeloTexto.trim().slice(marcaNormalizada.length);
+    }
+
+    return { marcaTexto: marcaTexto.trim(), modeloTexto: modeloTexto.trim() };
+  }
+
+  /**
+   * Separa marca e modelo na primeira barra, mantendo inteiro um alias com barra
+   * ("HYUNDAI/CAOA/HB20" → "HYUNDAI/CAOA" e "HB20")
+   * @param {string} texto - Texto com barra
+   * @returns {Object} - { antes, depois }
+   */
+  separarNaBarra(texto) {
+    const maiusculo = texto.toUpperCase();
+    const alias = ALIASES_COM_BARRA.find(chave =>
+      maiusculo === chave || maiusculo.startsWith(`${chave}/`) || maiusculo.startsWith(`${chave} `));
+
+    if (alias) {
+      return { antes: texto.slice(0, alias.length), depois: texto.slice(alias.length).replace(/^[\s/]+/, '') };
+    }
+
+    const [antes, ...depois] = texto.split('/');
+    return { antes, depois: depois.join(' ') };
+  }
+
+  /**
+   * Remove prefixos de importação ("I/", "IMP/")
+   * @param {string} texto - Texto original
+   * @returns {string}
+   */
+  removerPrefixoImportacao(texto) {
+    const prefixos = tabelaMarcas.prefixosImportacao.join('|');
+    return texto.trim().replace(new RegExp(`^(${prefixos})\\s*/\\s*`, 'i'), '');
+  }
+
+  /**
+   * Resolve o slug da marca pela tabela de aliases, catálogo ou similaridade
+   * @param {string} marcaTexto - Marca já separada do modelo
+   * @returns {Object} - { slug, confianca, metodo }
+   */
+  resolverMarca(marcaTexto) {
+    const chave = marcaTexto.toUpperCase().replace(/\s+/g, ' ');
+
+    if (tabelaMarcas.aliases[chave]) {
+      return { slug: tabelaMarcas.aliases[chave], confianca: 1, metodo: 'alias' };
+    }
+
+    const slug = normalizarTexto(marcaTexto);
+    if (catalogoModelos[slug]) {
+      return { slug, confianca: 1, metodo: 'catalogo' };
+    }
+
+    const aproximada = this.melhorCorrespondencia(slug, Object.keys(catalogoModelos));
+    if (aproximada) {
+      return { slug: aproximada.slug, confianca: aproximada.similaridade, metodo: 'aproximado' };
+    }
+
+    return { slug, confianca: 0.3, metodo: 'texto' };
+  }
+
+  /**
+   * Extrai o modelo base e resolve o slug no catálogo da marca
+   * @param {string} modeloTexto - Modelo com versão e motor (ex.: "GOL 1.0 GIV")
+   * @param {string} marcaSlug - Slug da marca já resolvida
+   * @returns {Object} - { base, slug, confianca, metodo }
+   */
+  resolverModelo(modeloTexto, marcaSlug) {
+    const tokens = this.extrairTokensModelo(modeloTexto);
+    const base = tokens.join(' ');
+    const catalogo = catalogoModelos[marcaSlug] || [];
+
+    // Candidatos do mais específico ao mais genérico: "grand siena", "grand"
+    const candidatos = [];
+    for (let tamanho = Math.min(tokens.length, 3); tamanho >= 1; tamanho--) {
+      candidatos.push(normalizarTexto(tokens.slice(0, tamanho).join(' ')));
+    }
+
+    const exato = candidatos.find(candidato => catalogo.includes(candidato));
+    if (exato) {
+      return { base, slug: exato, confianca: 1, metodo: 'catalogo' };
+    }
+
+    let melhor = null;
+    candidatos.forEach(candidato => {
+      const correspondencia = this.melhorCorrespondencia(candidato, catalogo);
+      if (correspondencia && (!melhor || correspondencia.similaridade > melhor.similaridade)) {
+        melhor = correspondencia;
+      }
+    });
+
+    if (melhor) {
+      return { base, slug: melhor.slug, confianca: melhor.similaridade, metodo: 'aproximado' };
+    }
+
+    return {
+      base,
+      slug: candidatos[0] || normalizarTexto(modeloTexto),
+      confianca: 0.3,
+      metodo: 'texto'
+    };
+  }
+
+  /**
+   * Remove motor, válvulas e termos de versão do texto do modelo
+   * @param {string} modeloTexto - Modelo completo
+   * @returns {string[]} - Tokens do modelo base normalizados
+   */
+  extrairTokensModelo(modeloTexto) {
+    const tokens = modeloTexto.trim().split(/\s+/).filter(Boolean);
+
+    // Corta a partir do primeiro termo de motor/versão ("GOL 1.0 GIV" → "GOL")
+    const corte = tokens.findIndex((token, i) => i > 0 && this.ehTermoVersao(token));
+
+    return (corte > 0 ? tokens.slice(0, corte) : tokens)
+      .map(token => normalizarTexto(token))
+      .filter(Boolean);
+  }
+
+  /**
+   * Indica se o token descreve motor, válvulas ou versão
+   * @param {string} token - Palavra do modelo
+   * @returns {boolean}
+   */
+  ehTermoVersao(token) {
+    return /^\d[.,]\d/.test(token) || // Motor: 1.0, 2.0TSI
+      /^\d+V$/i.test(token) || // Válvulas: 8V, 16V
+      TERMOS_VERSAO.has(normalizarTexto(token));
+  }
+
+  /**
+   * Procura a correspondência mais parecida em uma lista de slugs
+   * @param {string} slug - Slug procurado
+   * @param {string[]} opcoes - Slugs válidos
+   * @returns {Object|null} - { slug, similaridade } ou null abaixo de SIMILARIDADE_MINIMA
+   */
+  melhorCorrespondencia(slug, opcoes) {
+    let melhor = null;
+
+    opcoes.forEach(opcao => {
+      const valor = similaridade(slug, opcao);
+      if (valor >= SIMILARIDADE_MINIMA && (!melhor || valor > melhor.similaridade)) {
+        melhor = { slug: opcao, similaridade: Math.round(valor * 100) / 100 };
+      }
+    });
+
+    return melhor;
+  }
+}
+
+module.exports = new NormalizacaoService();
@@ -1,197 +1,223 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
+const MarketplaceAdapter = require('./marketplaceAdapter');
+
+// Abreviações de mês usadas nas datas dos anúncios
+const MESES = ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'];
 
 /**
- * Serviço para gerar URLs de pesquisa no OLX e buscar preços
+ * Adaptador do OLX: gera URLs de pesquisa e extrai anúncios e preços
  */
-class OlxService {
+class OlxService extends MarketplaceAdapter {
+  constructor() {
+    super('olx', {
+      // O OLX bloqueia rajadas de requisições: uma por OLX_INTERVALO_MS
+      intervaloDominioMs: parseInt(process.env.OLX_INTERVALO_MS ?? 2000) || 0
+    });
+  }
+
   /**
    * Gera URL de pesquisa no OLX baseada nos dados do veículo
    * @param {Object} veiculoData - Dados do veículo (marca, modelo, anoModelo)
    * @returns {string|null} - URL do OLX ou null se não houver dados suficientes
    */
-  gerarUrlOlx(veiculoData) {
-    const { marca, modelo, anoModelo } = veiculoData;
+  gerarUrl(veiculoData) {
+    // Resolve marca/modelo para os slugs do catálogo (VW → volkswagen, "GOL 1.0 GIV" → gol)
+    const slugs = this.obterSlugs(veiculoData);
 
     // Verifica se tem os dados mínimos necessários
-    if (!marca || !modelo || !anoModelo) {
+    if (!slugs) {
       return null;
     }
 
-    // Normaliza marca (lowercase, sem acentos, espaços viram hífens)
-    const marcaNormalizada = this.normalizarTexto(marca);
-
-    // Normaliza modelo (lowercase, sem acentos, espaços viram hífens)
-    const modeloNormalizado = this.normalizarTexto(modelo);
-
-    // Extrai apenas o ano (remove "ano" ou outros textos)
-    const ano = anoModelo.toString().trim().split(/[\s-]/)[0];
-
     // Constrói a URL do OLX
     // Formato: https://www.olx.com.br/autos-e-pecas/carros-vans-e-utilitarios/{marca}/{modelo}/{ano}
-    const url = `https://www.olx.com.br/autos-e-pecas/carros-vans-e-utilitarios/${marcaNormalizada}/${modeloNormalizado}/${ano}`;
+    const url = `https://www.olx.com.br/autos-e-pecas/carros-vans-e-utilitarios/${slugs.marca}/${slugs.modelo}/${slugs.ano}`;
 
     return url;
   }
 
   /**
-   * Normaliza texto para URL (remove acentos, converte para lowercase, substitui espaços por hífens)
-   * @param {string} texto - Texto a ser normalizado
-   * @returns {string} - Texto normalizado
+   * Gera URL de pesquisa no OLX (mantido por compatibilidade)
+   * @param {Object} veiculoData - Dados do veículo (marca, modelo, anoModelo)
+   * @returns {string|null}
    */
-  normalizarTexto(texto) {
-    if (!texto) return '';
-
-    return texto
-      .toLowerCase()
-      .normalize('NFD') // Decompõe caracteres acentuados
-      .replace(/[\u0300-\u036f]/g, '') // Remove diacríticos
-      .replace(/[^a-z0-9\s-]/g, '') // Remove caracteres especiais
-      .trim()
-      .replace(/\s+/g, '-') // Substitui espaços por hífens
-      .replace(/-+/g, '-') // Remove hífens duplicados
-      .replace(/^-|-$/g, ''); // Remove hífens no início e fim
+  gerarUrlOlx(veiculoData) {
+    return this.gerarUrl(veiculoData);
   }
 
   /**
-   * Busca preços de veículos no OLX e retorna estatísticas
+   * Busca preços de veículos no OLX e retorna estatísticas (mantido por compatibilidade)
    * @param {Object} veiculoData - Dados do veículo (marca, modelo, anoModelo)
-   * @returns {Promise<Object|null>} - Estatísticas de preços ou null se não houver dados
+   * @returns {Promise<Object|null>} - Estatísticas de preços e anúncios, ou null se não houver dados
    */
   async buscarPrecosOlx(veiculoData) {
-    try {
-      const urlOlx = this.gerarUrlOlx(veiculoData);
-      
-      if (!urlOlx) {
-        return null;
-      }
-
-      // Faz requisição para a página do OLX com timeout reduzido
-      const response = await axios.get(urlOlx, {
-        timeout: 8000, // Reduzido para 8 segundos
-        maxRedirects: 5,
-        validateStatus: function (status) {
-          return status >= 200 && status < 400; // Aceita redirects
-        },
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'Accept-Language': 'pt-BR,pt;q=0.9,en-US;q=0.8,en;q=0.7'
-        }
-      });
+    const resultado = await this.buscar(veiculoData);
+    return resultado ? { ...resultado, urlOlx: resultado.url } : null;
+  }
 
-      const $ = cheerio.load(response.data);
-      const precos = [];
-
-      // Busca preços nos anúncios
-      // O OLX usa diferentes seletores, vamos tentar os mais comuns
-      $('[data-ds-component="DS-AdCard-Link"]').each((i, element) => {
-        const precoTexto = $(element).find('[data-ds-component="DS-AdCard-Price"]').text().trim();
-        if (precoTexto) {
-          const preco = this.extrairPreco(precoTexto);
-          if (preco) {
-            precos.push(preco);
-          }
+  /**
+   * Busca preços soltos em elementos com "R$" quando não há cards (limitado para não travar)
+   * @param {CheerioAPI} $ - Página carregada pelo cheerio
+   * @returns {Object[]} - Candidatos { preco, origem: 'varredura', texto }
+   */
+  extrairPrecosAvulsos($) {
+    const candidatos = [];
+    let count = 0;
+
+    $('*').each((i, element) => {
+      if (count++ > 500) return false; // Limita a 500 elementos para não travar
+      if ($(element).children().length > 0) return; // Só elementos folha, para não contar o mesmo preço duas vezes
+      const texto = $(element).text();
+      if (texto && texto.includes('R$') && texto.length < 100) { // Limita tamanho do texto
+        const preco = this.extrairPreco(texto);
+        if (preco) {
+          candidatos.push({ preco, origem: 'varredura', texto: texto.trim() });
         }
-      });
-
-      // Tenta outro seletor caso o primeiro não funcione
-      if (precos.length === 0) {
-        $('a[href*="/autos-e-pecas/"]').each((i, element) => {
-          const precoTexto = $(element).find('.olx-text').text() || 
-                            $(element).find('[class*="price"]').text() ||
-                            $(element).text();
-          const preco = this.extrairPreco(precoTexto);
-          if (preco) {
-            precos.push(preco);
-          }
-        });
       }
+    });
 
-      // Se ainda não encontrou, tenta buscar em elementos com "R$" (limitado para não travar)
-      if (precos.length === 0) {
-        let count = 0;
-        $('*').each((i, element) => {
-          if (count++ > 500) return false; // Limita a 500 elementos para não travar
-          const texto = $(element).text();
-          if (texto && texto.includes('R$') && texto.length < 100) { // Limita tamanho do texto
-            const preco = this.extrairPreco(texto);
-            if (preco && preco > 1000 && preco < 10000000) { // Filtra valores razoáveis
-              precos.push(preco);
-            }
-          }
-        });
-      }
+    return candidatos;
+  }
 
-      // Remove duplicatas e valores muito discrepantes
-      const precosUnicos = [...new Set(precos)].filter(p => p > 0);
-      
-      if (precosUnicos.length === 0) {
-        return null;
-      }
+  /**
+   * Extrai os anúncios individuais da página de resultados
+   * @param {CheerioAPI} $ - Página carregada pelo cheerio
+   * @returns {Object[]} - Anúncios com titulo, preco, quilometragem, cidade, uf, url e dataPublicacao
+   */
+  extrairAnuncios($) {
+    // O OLX embute os anúncios em JSON no __NEXT_DATA__, mais confiável que o HTML
+    const anunciosNextData = this.extrairAnunciosNextData($);
+    if (anunciosNextData.length > 0) {
+      return anunciosNextData;
+    }
 
-      // Calcula estatísticas
-      const menorPreco = Math.min(...precosUnicos);
-      const maiorPreco = Math.max(...precosUnicos);
-      const mediaPreco = precosUnicos.reduce((sum, p) => sum + p, 0) / precosUnicos.length;
-
-      return {
-        menorPreco: this.formatarPreco(menorPreco),
-        maiorPreco: this.formatarPreco(maiorPreco),
-        mediaPreco: this.formatarPreco(mediaPreco),
-        quantidadeAnuncios: precosUnicos.length,
-        urlOlx: urlOlx
-      };
-    } catch (error) {
-      // Log mais detalhado apenas em desenvolvimento
-      if (process.env.NODE_ENV === 'development') {
-        console.error('Erro ao buscar preços no OLX:', error.message);
+    const anuncios = [];
+
+    // O OLX usa diferentes seletores, vamos tentar os mais comuns
+    $('[data-ds-component="DS-AdCard-Link"]').each((i, element) => {
+      const precoTexto = $(element).find('[data-ds-component="DS-AdCard-Price"]').text().trim();
+      if (precoTexto) {
+        anuncios.push(this.extrairAnuncioCard($, element, precoTexto));
       }
-      return null;
+    });
+
+    // Tenta outro seletor caso o primeiro não funcione
+    if (anuncios.length === 0) {
+      $('a[href*="/autos-e-pecas/"]').each((i, element) => {
+        const precoTexto = $(element).find('.olx-text').text() ||
+                          $(element).find('[class*="price"]').text() ||
+                          $(element).text();
+        if (this.extrairPreco(precoTexto)) {
+          anuncios.push(this.extrairAnuncioCard($, element, precoTexto));
+        }
+      });
     }
+
+    return anuncios.filter(anuncio => anuncio.preco);
   }
 
   /**
-   * Extrai valor numérico de um texto de preço
-   * @param {string} texto - Texto contendo o preço
-   * @returns {number|null} - Valor numérico ou null
+   * Extrai anúncios do JSON __NEXT_DATA__ da página
+   * @param {CheerioAPI} $ - Página carregada pelo cheerio
+   * @returns {Object[]} - Anúncios encontrados (vazio se o JSON não existir)
    */
-  extrairPreco(texto) {
-    if (!texto) return null;
+  extrairAnunciosNextData($) {
+    const script = $('script#__NEXT_DATA__').html();
+    if (!script) return [];
 
-    // Remove tudo exceto números, vírgulas e pontos
-    const limpo = texto.replace(/[^\d,.-]/g, '');
-    
-    // Tenta extrair o número (formato brasileiro: R$ 50.000,00 ou 50000)
-    const match = limpo.match(/(\d{1,3}(?:\.\d{3})*(?:,\d{2})?)/);
-    if (match) {
-      const numero = match[1]
-        .replace(/\./g, '') // Remove pontos (milhares)
-        .replace(',', '.'); // Substitui vírgula por ponto (decimal)
-      return parseFloat(numero);
+    let ads;
+    try {
+      const nextData = JSON.parse(script);
+      ads = nextData.props && nextData.props.pageProps && nextData.props.pageProps.ads;
+    } catch (error) {
+      return [];
     }
 
-    // Tenta formato simples (apenas números)
-    const numeros = texto.replace(/\D/g, '');
-    if (numeros.length >= 4) {
-      return parseFloat(numeros);
-    }
+    if (!Array.isArray(ads)) return [];
+
+    return ads
+      .filter(ad => ad && ad.subject && ad.price)
+      .map(ad => {
+        const propriedades = Array.isArray(ad.properties) ? ad.properties : [];
+        const km = propriedades.find(prop => prop.name === 'mileage');
+        const detalhes = ad.locationDetails || {};
+        const localizacao = this.extrairLocalizacao(ad.location);
+
+        return {
+          idExterno: ad.listId ? String(ad.listId) : null,
+          titulo: ad.subject,
+          preco: this.extrairPreco(ad.price),
+          quilometragem: km ? this.extrairQuilometragem(`${km.value} km`) : null,
+          cidade: detalhes.municipality || localizacao.cidade,
+          uf: detalhes.uf || localizacao.uf,
+          url: ad.url || ad.friendlyUrl || null,
+          dataPublicacao: ad.date ? new Date(ad.date * 1000) : null
+        };
+      })
+      .filter(anuncio => anuncio.preco);
+  }
 
-    return null;
+  /**
+   * Extrai um anúncio a partir do card HTML
+   * @param {CheerioAPI} $ - Página carregada pelo cheerio
+   * @param {Element} element - Elemento do card
+   * @param {string} precoTexto - Texto do preço já localizado no card
+   * @returns {Object} - Anúncio
+   */
+  extrairAnuncioCard($, element, precoTexto) {
+    const card = $(element);
+    const url = card.attr('href') || card.find('a').first().attr('href') || null;
+    const idExterno = url ? url.match(/-(\d+)(?:\?|$)/) : null;
+    const localizacao = this.extrairLocalizacao(
+      card.find('[data-ds-component="DS-AdCard-Location"]').text()
+    );
+
+    return {
+      idExterno: idExterno ? idExterno[1] : null,
+      titulo: card.attr('title') || card.find('h2').first().text().trim() || null,
+      preco: this.extrairPreco(precoTexto),
+      quilometragem: this.extrairQuilometragemCard($, card),
+      cidade: localizacao.cidade,
+      uf: localizacao.uf,
+      url,
+      dataPublicacao: this.extrairDataPublicacao(
+        card.find('[data-ds-component="DS-AdCard-Date"]').text()
+      )
+    };
   }
 
   /**
-   * Formata preço para exibição
-   * @param {number} preco - Preço numérico
-   * @returns {string} - Preço formatado
+   * Converte a data exibida no card ("Hoje, 10:32", "Ontem, 18:00", "12 de mar, 09:15")
+   * @param {string} texto - Texto da data
+   * @param {Date} referencia - Data de referência para "hoje"
+   * @returns {Date|null} - Data de publicação ou null
    */
-  formatarPreco(preco) {
-    return new Intl.NumberFormat('pt-BR', {
-      style: 'currency',
-      currency: 'BRL'
-    }).format(preco);
+  extrairDataPublicacao(texto, referencia = new Date()) {
+    if (!texto) return null;
+
+    const normalizado = texto.toLowerCase().trim();
+    const hora = normalizado.match(/(\d{1,2}):(\d{2})/);
+    let data;
+
+    if (normalizado.startsWith('hoje')) {
+      data = new Date(referencia);
+    } else if (normalizado.startsWith('ontem')) {
+      data = new Date(referencia.getTime() - 24 * 60 * 60 * 1000);
+    } else {
+      const match = normalizado.match(/(\d{1,2})\s+de\s+([a-zç]{3})/);
+      const mes = match ? MESES.indexOf(match[2]) : -1;
+      if (mes < 0) return null;
+
+      data = new Date(referencia.getFullYear(), mes, parseInt(match[1], 10));
+      // Datas "no futuro" são do ano anterior
+      if (data > referencia) {
+        data.setFullYear(data.getFullYear() - 1);
+      }
+    }
+
+    data.setHours(hora ? parseInt(hora[1], 10) : 0, hora ? parseInt(hora[2], 10) : 0, 0, 0);
+    return data;
   }
+
 }
 
 module.exports = new OlxService();
-
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const Vehicle = require('../models/Vehicle');
+const Anuncio = require('../models/Anuncio');
+const PrecoSnapshot = require('../models/PrecoSnapshot');
+const VersaoMercado = require('../models/VersaoMercado');
+const Avaliacao = require('../models/Avaliacao');
+const Lote = require('../models/Lote');
+const Alerta = require('../models/Alerta');
+const Notificacao = require('../models/Notificacao');
+const Auditoria = require('../models/Auditoria');
+const Tarefa = require('../models/Tarefa');
+const { filtroPlaca, normalizarPlaca, placasEquivalentes } = require('../utils/placa');
+const { mascarar } = require('../utils/texto');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Consultas mais antigas que isso são anonimizadas ou excluídas (0 = sem limite)
+const RETENCAO_CONSULTAS_DIAS = parseInt(process.env.RETENCAO_CONSULTAS_DIAS ?? 365) || 0;
+
+// A resposta bruta da API (dadosCompletos) é descartada antes do restante da consulta (0 = sem limite)
+const RETENCAO_DADOS_COMPLETOS_DIAS = parseInt(process.env.RETENCAO_DADOS_COMPLETOS_DIAS ?? 30) || 0;
+
+// anonimizar: mantém marca/modelo/preços sem placa, chassi e renavam; excluir: remove a consulta
+const RETENCAO_MODO = process.env.RETENCAO_MODO === 'excluir' ? 'excluir' : 'anonimizar';
+
+// Consultas tratadas por rodada da retenção
+const RETENCAO_LOTE = 500;
+
+/**
+ * Controles de privacidade (LGPD): máscara de chassi/renavam conforme o cliente,
+ * retenção das consultas antigas e exclusão de todos os registros de uma placa
+ */
+class PrivacidadeService {
+  /**
+   * Indica se o cliente pode ver chassi, renavam e a resposta bruta da API
+   * @param {Object} cliente - Cliente autenticado
+   * @returns {boolean}
+   */
+  podeVerDadosSensiveis(cliente) {
+    return Boolean(cliente && (cliente.admin || cliente.dadosSensiveis));
+  }
+
+  /**
+   * Mascara chassi e renavam e remove a resposta bruta para quem não tem permissão
+   * @param {Object} veiculoData - Consulta (objeto simples)
+   * @param {Object} cliente - Cliente autenticado
+   * @returns {Object} - Cópia protegida (ou o próprio objeto, se o cliente tiver permissão)
+   */
+  proteger(veiculoData, cliente) {
+    if (!veiculoData || this.podeVerDadosSensiveis(cliente)) {
+      return veiculoData;
+    }
+
+    const { dadosCompletos, ...protegido } = veiculoData;
+    protegido.chassi = mascarar(veiculoData.chassi);
+    protegido.renavam = mascarar(veiculoData.renavam);
+    return protegido;
+  }
+
+  /**
+   * Placa exibida na auditoria ("ABC***4")
+   * @param {string} placa - Placa normalizada
+   * @returns {string}
+   */
+  mascararPlaca(placa) {
+    return `${placa.slice(0, 3)}***${placa.slice(-1)}`;
+  }
+
+  /**
+   * Hash da grafia canônica da placa (a mesma para a antiga e a Mercosul)
+   * @param {string} placa - Placa normalizada
+   * @returns {string}
+   */
+  calcularHashPlaca(placa) {
+    const canonica = placasEquivalentes(placa).sort()[0];
+    return crypto.createHash('sha256').update(canonica).digest('hex');
+  }
+
+  /**
+   * Exclui todos os registros de uma placa (em qualquer grafia) e registra a auditoria:
+   * consultas, anúncios, snapshots, versões de mercado, avaliações e tarefas da fila dessas consultas, alertas da placa com suas
+   * notificações; nos lotes, os itens da placa perdem a placa e o vínculo com a consulta.
+   * @param {string} placa - Placa do veículo
+   * @param {Object} opcoes - { clienteId: administrador solicitante, motivo }
+   * @returns {Promise<Object>} - { auditoriaId, placaMascarada, registros }
+   */
+  async excluirPlaca(placa, opcoes = {}) {
+    const placaFormatada = normalizarPlaca(placa);
+    const filtro = filtroPlaca(placaFormatada);
+
+    const consultas = await Vehicle.find({ placa: filtro }).select('_id').lean();
+    const consultaIds = consultas.map(consulta => consulta._id);
+
+    const alertas = await Alerta.find({ placa: filtro }).select('_id').lean();
+    const alertaIds = alertas.map(alerta => alerta._id);
+
+    const [anuncios, snapshots, versoesMercado, avaliacoes, tarefas, notificacoes, lotes] = await Promise.all([
+      Anuncio.deleteMany({ $or: [{ consulta: { $in: consultaIds } }, { placa: filtro }] }),
+      PrecoSnapshot.deleteMany({ consulta: { $in: consultaIds } }),
+      VersaoMercado.deleteMany({ $or: [{ consulta: { $in: consultaIds } }, { placa: filtro }] }),
+      Avaliacao.deleteMany({ $or: [{ consulta: { $in: consultaIds } }, { placa: filtro }] }),
+      Tarefa.deleteMany({ $or: [{ 'dados.veiculoId': { $in: consultaIds } }, { 'dados.placa': filtro }] }),
+      Notificacao.deleteMany({ alerta: { $in: alertaIds } }),
+      Lote.updateMany(
+        { 'itens.placa': filtro },
+        { $set: { 'itens.$[item].placa': null, 'itens.$[item].placaInformada': null, 'itens.$[item].consulta': null } },
+        { arrayFilters: [{ 'item.placa': filtro }] }
+      )
+    ]);
+
+    const [alertasExcluidos, consultasExcluidas] = await Promise.all([
+      Alerta.deleteMany({ _id: { $in: alertaIds } }),
+      Vehicle.deleteMany({ _id: { $in: consultaIds } })
+    ]);
+
+    const registros = {
+      consultas: consultasExcluidas.deletedCount,
+      anuncios: anuncios.deletedCount,
+      snapshots: snapshots.deletedCount,
+      versoesMercado: versoesMercado.deletedCount,
+      avaliacoes: avaliacoes.deletedCount,
+      tarefas: tarefas.deletedCount,
+      alertas: alertasExcluidos.deletedCount,
+      notificacoes: notificacoes.deletedCount,
+      lotes: lotes.modifiedCount
+    };
+
+    const auditoria = await Auditoria.create({
+      acao: 'exclusao_placa',
+      cliente: opcoes.clienteId || null,
+      placaMascarada: this.mascararPlaca(placaFormatada),
+      placaHash: this.calcularHashPlaca(placaFormatada),
+      motivo: opcoes.motivo || null,
+      registros
+    });
+
+    return { auditoriaId: auditoria._id, placaMascarada: auditoria.placaMascarada, registros };
+  }
+
+  /**
+   * Aplica a política de retenção: descarta a resposta bruta após RETENCAO_DADOS_COMPLETOS_DIAS
+   * e anonimiza (ou exclui, com RETENCAO_MODO=excluir) as consultas após RETENCAO_CONSULTAS_DIAS.
+   * Lotes antigos perdem as placas dos itens. Registra a auditoria quando algo muda.
+   * @returns {Promise<Object>} - Registros afetados por coleção
+   */
+  async aplicarRetencao() {
+    const registros = { dadosCompletos: 0, consultas: 0, anuncios: 0, lotes: 0, tarefas: 0 };
+
+    if (RETENCAO_DADOS_COMPLETOS_DIAS > 0) {
+      const limite = new Date(Date.now() - RETENCAO_DADOS_COMPLETOS_DIAS * DIA_MS);
+      const resultado = await Vehicle.updateMany(
+        { dataConsulta: { $lt: limite }, dadosCompletos: { $ne: null } },
+        { $set: { dadosCompletos: null } }
+      );
+      registros.dadosCompletos = resultado.modifiedCount;
+    }
+
+    if (RETENCAO_CONSULTAS_DIAS > 0) {
+      const limite = new Date(Date.now() - RETENCAO_CONSULTAS_DIAS * DIA_MS);
+
+      // Em rodadas, para não carregar todos os ids de uma vez
+      let ids;
+      do {
+        const consultas = await Vehicle.find({ dataConsulta: { $lt: limite }, anonimizadoEm: null })
+          .select('_id')
+          .limit(RETENCAO_LOTE)
+          .lean();
+        ids = consultas.map(consulta => consulta._id);
+        if (ids.length === 0) break;
+
+        const { consultas: afetadas, anuncios } = await this.expirarConsultas(ids);
+        registros.consultas += afetadas;
+        registros.anuncios += anuncios;
+      } while (ids.length === RETENCAO_LOTE);
+
+      const lotes = await Lote.updateMany(
+        { createdAt: { $lt: limite }, 'itens.placa': { $ne: null } },
+        { $set: { 'itens.$[].placa': null, 'itens.$[].placaInformada': null } }
+      );
+      registros.lotes = lotes.modifiedCount;
+
+      // Tarefas finalizadas da fila guardam placa e id da consulta
+      const tarefas = await Tarefa.deleteMany({ finalizadaEm: { $lt: limite } });
+      registros.tarefas = tarefas.deletedCount;
+    }
+
+    if (Object.values(registros).some(total => total > 0)) {
+      await Auditoria.create({
+        acao: 'retencao',
+        motivo: `Retenção (${RETENCAO_MODO}): consultas após ${RETENCAO_CONSULTAS_DIAS || '-'} dias, resposta bruta após ${RETENCAO_DADOS_COMPLETOS_DIAS || '-'} dias`,
+        registros
+      });
+    }
+
+    return registros;
+  }
+
+  /**
+   * Anonimiza ou exclui um grupo de consultas conforme RETENCAO_MODO
+   * @param {ObjectId[]} ids - Consultas expiradas
+   * @returns {Promise<Object>} - { consultas, anuncios }
+   */
+  async expirarConsultas(ids) {
+    if (RETENCAO_MODO === 'excluir') {
+      // Snapshots de preço não têm dados pessoais e continuam no histórico do modelo
+      const anuncios = await Anuncio.deleteMany({ consulta: { $in: ids } });
+      await VersaoMercado.deleteMany({ consulta: { $in: ids } });
+      await Avaliacao.deleteMany({ consulta: { $in: ids } });
+      const consultas = await Vehicle.deleteMany({ _id: { $in: ids } });
+      return { consultas: consultas.deletedCount, anuncios: anuncios.deletedCount };
+    }
+
+    const anuncios = await Anuncio.updateMany({ consulta: { $in: ids } }, { $set: { placa: null } });
+    await VersaoMercado.updateMany({ consulta: { $in: ids } }, { $set: { placa: null } });
+    await Avaliacao.updateMany({ consulta: { $in: ids } }, { $set: { placa: null } });
+    const consultas = await Vehicle.updateMany({ _id: { $in: ids } }, {
+      $set: {
+        placa: null,
+        chassi: null,
+        renavam: null,
+        municipio: null,
+        dadosCompletos: null,
+        anonimizadoEm: new Date()
+      }
+    });
+    return { consultas: consultas.modifiedCount, anuncios: anuncios.modifiedCount };
+  }
+
+  /**
+   * Política de retenção em vigor
+   * @returns {Object} - { consultasDias, dadosCompletosDias, modo }
+   */
+  obterPolitica() {
+    return {
+      consultasDias: RETENCAO_CONSULTAS_DIAS || null,
+      dadosCompletosDias: RETENCAO_DADOS_COMPLETOS_DIAS || null,
+      modo: RETENCAO_MODO
+    };
+  }
+
+  /**
+   * Lista a trilha de auditoria, da mais recente para a mais antiga
+   * @param {Object} filtros - { acao, placa, limit, page }
+   * @returns {Promise<Object>} - { registros, total }
+   */
+  async listarAuditoria({ acao, placa, limit = 20, page = 1 } = {}) {
+    const query = {};
+    if (acao) query.acao = acao;
+    if (placa) query.placaHash = this.calcularHashPlaca(normalizarPlaca(placa));
+
+    const [registros, total] = await Promise.all([
+      Auditoria.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('cliente', 'nome chavePrefixo')
+        .lean(),
+      Auditoria.countDocuments(query)
+    ]);
+
+    return { registros, total };
+  }
+}
+
+module.exports = new PrivacidadeService();
@@ -0,0 +1,42 @@
+/**
+ * Classe base dos provedores de dados de placa.
+ *
+ * Cada provedor implementa consultar(placa) e devolve os dados no formato
+ * padronizado da consulta (placa, marca, modelo, anoModelo, dadosFipe...).
+ * A placa já chega normalizada e validada pelo provedorPlacasService.
+ */
+class ProvedorPlacas {
+  /**
+   * @param {string} nome - Identificador do provedor (usado em PROVEDORES_PLACAS)
+   */
+  constructor(nome) {
+    this.nome = nome;
+  }
+
+  /**
+   * Indica se o provedor tem a configuração necessária (token, diretório...)
+   * @returns {boolean}
+   */
+  configurado() {
+    return true;
+  }
+
+  /**
+   * Situação do disjuntor (circuit breaker), para provedores que usam um
+   * @returns {Object|null}
+   */
+  descreverCircuito() {
+    return null;
+  }
+
+  /**
+   * Consulta os dados do veículo
+   * @param {string} placa - Placa normalizada
+   * @returns {Promise<Object>} - Dados do veículo padronizados
+   */
+  async consultar(placa) {
+    throw new Error(`${this.nome}: consultar() não implementado`);
+  }
+}
+
+module.exports = ProvedorPlacas;
@@ -0,0 +1,201 @@
+const apiPlacasService = require('./apiPlacasService');
+const mockPlacasService = require('./mockPlacasService');
+const { normalizarPlaca, validarPlaca } = require('../utils/placa');
+const {
+  ErroPlacaInvalida,
+  ErroPlacaNaoEncontrada,
+  ErroProvedorIndisponivel,
+  ErroTimeoutProvedor
+} = require('../utils/erros');
+
+// Provedores disponíveis, pelo nome usado em PROVEDORES_PLACAS
+const PROVEDORES = {
+  apiplacas: apiPlacasService,
+  mock: mockPlacasService
+};
+
+// Tempo máximo de cada provedor (incluindo as retentativas) antes de tentar o próximo
+const PROVEDOR_TIMEOUT_MS = parseInt(process.env.PROVEDORES_PLACAS_TIMEOUT_MS) || 30000;
+
+// Peso da última medição na latência média (média móvel exponencial)
+const PESO_LATENCIA = 0.2;
+
+/**
+ * Consulta de placas com provedores em ordem de prioridade (PROVEDORES_PLACAS),
+ * passando ao próximo quando um falha ou excede o tempo, e acompanhando a saúde
+ * e a latência de cada um
+ */
+class ProvedorPlacasService {
+  constructor() {
+    this.saude = {};
+    Object.keys(PROVEDORES).forEach(nome => {
+      this.saude[nome] = {
+        sucessos: 0,
+        falhas: 0,
+        falhasConsecutivas: 0,
+        latenciaMediaMs: null,
+        ultimaLatenciaMs: null,
+        ultimoSucessoEm: null,
+        ultimaFalhaEm: null,
+        ultimoErro: null
+      };
+    });
+  }
+
+  /**
+   * Provedores na ordem de prioridade configurada (padrão: apiplacas)
+   * @returns {Object[]} - Instâncias dos provedores
+   */
+  listarAtivos() {
+    return (process.env.PROVEDORES_PLACAS || 'apiplacas')
+      .split(',')
+      .map(nome => nome.trim().toLowerCase())
+      .filter(nome => PROVEDORES[nome])
+      .map(nome => PROVEDORES[nome]);
+  }
+
+  /**
+   * Consulta a placa no primeiro provedor que responder
+   * @param {string} placa - Placa do veículo (qualquer grafia)
+   * @returns {Promise<Object>} - Dados do veículo, com o campo provedor
+   */
+  async consultarPlaca(placa) {
+    const placaFormatada = normalizarPlaca(placa);
+
+    // Erro de formato não é falha de provedor
+    if (!validarPlaca(placaFormatada)) {
+      throw new ErroPlacaInvalida();
+    }
+
+    const provedores = this.listarAtivos().filter(provedor => provedor.configurado());
+
+    if (provedores.length === 0) {
+      throw new ErroProvedorIndisponivel(
+        'Nenhum provedor de placas configurado (verifique PROVEDORES_PLACAS e API_TOKEN)',
+        { codigo: 'PROVEDOR_NAO_CONFIGURADO' }
+      );
+    }
+
+    const erros = [];
+    for (const provedor of provedores) {
+      try {
+        const veiculoData = await this.consultarProvedor(provedor, placaFormatada);
+        veiculoData.provedor = provedor.nome;
+        return veiculoData;
+      } catch (error) {
+        console.warn(`Aviso: Provedor ${provedor.nome} falhou:`, error.message);
+        erros.push(error);
+      }
+    }
+
+    throw this.combinarErros(erros);
+  }
+
+  /**
+   * Escolhe o erro a devolver quando todos os provedores falharam
+   * @param {Error[]} erros - Erros na ordem dos provedores
+   * @returns {Error}
+   */
+  combinarErros(erros) {
+    // Com um único provedor, preserva o erro original
+    if (erros.length === 1) {
+      return erros[0];
+    }
+
+    // Um provedor que respondeu "não encontrada" deu uma resposta definitiva
+    const naoEncontrada = erros.find(erro => erro instanceof ErroPlacaNaoEncontrada);
+    if (naoEncontrada) {
+      return naoEncontrada;
+    }
+
+    const mensagem = `Todos os provedores falharam: ${erros.map(erro => erro.message).join(' | ')}`;
+    const detalhes = { provedores: erros.map(erro => ({ codigo: erro.codigo || null, erro: erro.message })) };
+
+    if (erros.every(erro => erro instanceof ErroTimeoutProvedor)) {
+      return new ErroTimeoutProvedor(mensagem, { detalhes });
+    }
+    return new ErroProvedorIndisponivel(mensagem, { detalhes });
+  }
+
+  /**
+   * Consulta um provedor com tempo limite, registrando sucesso, falha e latência
+   * @param {Object} provedor - Instância do provedor
+   * @param {string} placa - Placa normalizada
+   * @returns {Promise<Object>} - Dados do veículo
+   */
+  async consultarProvedor(provedor, placa) {
+    const inicio = Date.now();
+    let timer;
+
+    try {
+      const veiculoData = await Promise.race([
+        provedor.consultar(placa),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(
+            () => reject(new ErroTimeoutProvedor(`Provedor ${provedor.nome} excedeu ${PROVEDOR_TIMEOUT_MS} ms`)),
+            PROVEDOR_TIMEOUT_MS
+          );
+        })
+      ]);
+
+      this.registrar(provedor.nome, Date.now() - inicio, null);
+      return veiculoData;
+    } catch (error) {
+      // "Não encontrada" é resposta válida do provedor, não falha
+      this.registrar(provedor.nome, Date.now() - inicio, error instanceof ErroPlacaNaoEncontrada ? null : error);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Atualiza a saúde do provedor
+   * @param {string} nome - Nome do provedor
+   * @param {number} latencia - Duração da chamada (ms)
+   * @param {Error|null} erro - Erro da chamada, se houver
+   */
+  registrar(nome, latencia, erro) {
+    const saude = this.saude[nome];
+    saude.ultimaLatenciaMs = latencia;
+    saude.latenciaMediaMs = saude.latenciaMediaMs === null
+      ? latencia
+      : Math.round(saude.latenciaMediaMs * (1 - PESO_LATENCIA) + latencia * PESO_LATENCIA);
+
+    if (erro) {
+      saude.falhas += 1;
+      saude.falhasConsecutivas += 1;
+      saude.ultimaFalhaEm = new Date();
+      saude.ultimoErro = erro.message;
+    } else {
+      saude.sucessos += 1;
+      saude.falhasConsecutivas = 0;
+      saude.ultimoSucessoEm = new Date();
+    }
+  }
+
+  /**
+   * Situação de todos os provedores (desde o início do processo)
+   * @returns {Object[]} - [{ nome, prioridade, ativo, configurado, circuito, ...saude }]
+   */
+  obterSaude() {
+    const ativos = this.listarAtivos();
+
+    return Object.keys(PROVEDORES).map(nome => {
+      const provedor = PROVEDORES[nome];
+      const total = this.saude[nome].sucessos + this.saude[nome].falhas;
+
+      return {
+        nome,
+        prioridade: ativos.includes(provedor) ? ativos.indexOf(provedor) + 1 : null,
+        ativo: ativos.includes(provedor),
+        configurado: provedor.configurado(),
+        taxaSucesso: total > 0 ? Math.round(this.saude[nome].sucessos / total * 1000) / 10 : null,
+        circuito: provedor.descreverCircuito(),
+        ...this.saude[nome]
+      };
+    });
+  }
+}
+
+module.exports = new ProvedorPlacasService();
@@ -0,0 +1,328 @@
+const PDFDocument = require('pdfkit');
+const avaliacaoService = require('./avaliacaoService');
+const riscoService = require('./riscoService');
+const { mascarar } = require('../utils/texto');
+
+// Identidade visual do relatório
+const COR_MARCA = '#0B5FFF';
+const COR_TEXTO = '#1F2933';
+const COR_SECUNDARIA = '#6B7280';
+const COR_LINHA = '#E5E7EB';
+const COR_ALERTA = '#B91C1C';
+
+const MARGEM = 50;
+
+// Nomes exibidos das fontes de mercado
+const NOMES_FONTES = {
+  olx: 'OLX',
+  webmotors: 'Webmotors',
+  mercadolivre: 'Mercado Livre',
+  icarros: 'iCarros'
+};
+
+/**
+ * Geração local (pdfkit) do relatório de avaliação de uma consulta em PDF
+ */
+class RelatorioService {
+  /**
+   * Gera o relatório de avaliação
+   * @param {Object} veiculoData - Consulta salva (Vehicle.toObject()), já complementada com a FIPE local
+   * @returns {Promise<Buffer>} - Conteúdo do PDF
+   */
+  gerarPdf(veiculoData) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: MARGEM,
+        info: {
+          Title: `Relatório de avaliação - ${veiculoData.placa}`,
+          Author: 'ValorReal'
+        }
+      });
+
+      const partes = [];
+      doc.on('data', parte => partes.push(parte));
+      doc.on('end', () => resolve(Buffer.concat(partes)));
+      doc.on('error', reject);
+
+      const geradoEm = new Date();
+
+      this.escreverCabecalho(doc, veiculoData, geradoEm);
+      this.escreverCadastro(doc, veiculoData);
+      this.escreverRisco(doc, veiculoData);
+      this.escreverValorReal(doc, veiculoData);
+      this.escreverFipe(doc, veiculoData);
+      this.escreverMercado(doc, veiculoData);
+      this.escreverRodape(doc, geradoEm);
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Faixa com a marca, placa e data de geração
+   * @param {PDFDocument} doc - Documento
+   * @param {Object} veiculoData - Dados do veículo
+   * @param {Date} geradoEm - Data de geração
+   */
+  escreverCabecalho(doc, veiculoData, geradoEm) {
+    doc.rect(0, 0, doc.page.width, 90).fill(COR_MARCA);
+    doc.fillColor('#FFFFFF')
+      .font('Helvetica-Bold').fontSize(24).text('ValorReal', MARGEM, 28)
+      .font('Helvetica').fontSize(11).text('Relatório de avaliação de veículo', MARGEM, 58);
+
+    doc.font('Helvetica-Bold').fontSize(20)
+      .text(veiculoData.placa, MARGEM, 30, { width: doc.page.width - MARGEM * 2, align: 'right' })
+      .font('Helvetica').fontSize(9)
+      .text(`Gerado em ${this.formatarData(geradoEm)}`, MARGEM, 60, { width: doc.page.width - MARGEM * 2, align: 'right' });
+
+    doc.fillColor(COR_TEXTO);
+    doc.y = 110;
+  }
+
+  /**
+   * Dados cadastrais, com chassi e renavam mascarados
+   * @param {PDFDocument} doc - Documento
+   * @param {Object} veiculoData - Dados do veículo
+   */
+  escreverCadastro(doc, veiculoData) {
+    this.escreverTitulo(doc, 'Dados cadastrais');
+
+    const anos = [veiculoData.ano, veiculoData.anoModelo].filter(Boolean).join('/');
+    const local = [veiculoData.municipio, veiculoData.uf].filter(Boolean).join(' - ');
+
+    [
+      ['Marca', veiculoData.marca],
+      ['Modelo', veiculoData.modelo],
+      ['Ano fabricação/modelo', anos],
+      ['Cor', veiculoData.cor],
+      ['Município', local],
+      ['Situação', veiculoData.situacao],
+      ['Chassi', mascarar(veiculoData.chassi)],
+      ['Renavam', mascarar(veiculoData.renavam)],
+      ['Data da consulta', veiculoData.dataConsulta ? this.formatarData(veiculoData.dataConsulta) : null]
+    ].forEach(([rotulo, valor]) => this.escreverCampo(doc, rotulo, valor));
+
+    doc.moveDown();
+  }
+
+  /**
+   * Nível de risco e avisos de restrição (roubo/furto em destaque)
+   * @param {PDFDocument} doc - Documento
+   * @param {Object} veiculoData - Dados do veículo
+   */
+  escreverRisco(doc, veiculoData) {
+    const risco = veiculoData.risco && veiculoData.risco.nivel
+      ? veiculoData.risco
+      : riscoService.analisar(veiculoData).risco;
+
+    this.escreverTitulo(doc, 'Restrições e risco');
+    this.escreverCampo(doc, 'Nível de risco', risco.nivel);
+
+    if (risco.avisos.length === 0) {
+      this.escreverAviso(doc, 'Nenhuma restrição informada pelo provedor.');
+      return;
+    }
+
+    doc.moveDown(0.3);
+    risco.avisos.forEach((aviso, indice) => {
+      // Os avisos vêm do mais grave para o menos grave
+      const destaque = indice === 0 && (risco.rouboFurto || risco.chassiRemarcado);
+      doc.font(destaque ? 'Helvetica-Bold' : 'Helvetica').fontSize(10)
+        .fillColor(destaque ? COR_ALERTA : COR_TEXTO)
+        .text(`• ${aviso}`, MARGEM);
+    });
+    doc.fillColor(COR_TEXTO).moveDown();
+  }
+
+  /**
+   * Valor real estimado (FIPE + mercado) com intervalo e explicação
+   * @param {PDFDocument} doc - Documento
+   * @param {Object} veiculoData - Dados do veículo
+   */
+  escreverValorReal(doc, veiculoData) {
+    const valorReal = avaliacaoService.calcularValorReal(veiculoData);
+    if (!valorReal) return;
+
+    this.escreverTitulo(doc, 'Valor real estimado');
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(COR_MARCA)
+      .text(valorReal.valorEstimadoFormatado)
+      .font('Helvetica').fontSize(10).fillColor(COR_TEXTO)
+      .text(`Entre ${valorReal.intervalo.minimoFormatado} e ${valorReal.intervalo.maximoFormatado} (confiança ${valorReal.confianca})`);
+
+    doc.moveDown(0.3).fontSize(9).fillColor(COR_SECUNDARIA);
+    valorReal.explicacao.forEach(frase => doc.text(`• ${frase}`));
+    doc.fillColor(COR_TEXTO).moveDown();
+  }
+
+  /**
+   * Candidatos FIPE retornados na consulta, do maior para o menor score
+   * @param {PDFDocument} doc - Documento
+   * @param {Object} veiculoData - Dados do veículo
+   */
+  escreverFipe(doc, veiculoData) {
+    this.escreverTitulo(doc, 'Tabela FIPE');
+
+    const candidatos = (Array.isArray(veiculoData.dadosFipe) ? [...veiculoData.dadosFipe] : [])
+      .sort((a, b) => (b.score || 0) - (a.score || 0));
+
+    if (candidatos.length === 0) {
+      this.escreverAviso(doc, veiculoData.valorFipe
+        ? `Valor FIPE: ${veiculoData.valorFipe} (sem detalhamento dos candidatos)`
+        : 'Nenhum valor FIPE retornado para esta placa');
+      return;
+    }
+
+    this.escreverTabela(doc, [
+      { titulo: 'Código', largura: 70 },
+      { titulo: 'Modelo', largura: 215 },
+      { titulo: 'Referência', largura: 90 },
+      { titulo: 'Valor', largura: 70, alinhamento: 'right' },
+      { titulo: 'Score', largura: 50, alinhamento: 'right' }
+    ], candidatos.map(item => [
+      item.codigo_fipe,
+      item.texto_modelo,
+      item.mes_referencia,
+      item.texto_valor,
+      item.score !== undefined && item.score !== null ? String(item.score) : null
+    ]));
+  }
+
+  /**
+   * Resumo dos preços de anúncios por fonte (OLX e demais marketplaces)
+   * @param {PDFDocument} doc - Documento
+   * @param {Object} veiculoData - Dados do veículo
+   */
+  escreverMercado(doc, veiculoData) {
+    this.escreverTitulo(doc, 'Preços de mercado');
+
+    const origem = veiculoData.precosMercado || (veiculoData.precosOlx ? { olx: veiculoData.precosOlx } : {});
+    const fontes = Object.keys(origem).filter(nome => origem[nome] && origem[nome].quantidadeAnuncios > 0);
+
+    if (fontes.length === 0) {
+      this.escreverAviso(doc, veiculoData.statusOlx === 'pendente'
+        ? 'Busca de preços de mercado em andamento; gere o relatório novamente em instantes'
+        : 'Nenhum anúncio encontrado para este veículo');
+      return;
+    }
+
+    this.escreverTabela(doc, [
+      { titulo: 'Fonte', largura: 105 },
+      { titulo: 'Anúncios', largura: 60, alinhamento: 'right' },
+      { titulo: 'Menor', largura: 80, alinhamento: 'right' },
+      { titulo: 'Mediana', largura: 80, alinhamento: 'right' },
+      { titulo: 'Média', largura: 80, alinhamento: 'right' },
+      { titulo: 'Maior', largura: 90, alinhamento: 'right' }
+    ], fontes.map(nome => [
+      NOMES_FONTES[nome] || nome,
+      String(origem[nome].quantidadeAnuncios),
+      origem[nome].menorPreco,
+      origem[nome].medianaPreco,
+      origem[nome].mediaPreco,
+      origem[nome].maiorPreco
+    ]));
+
+    if (veiculoData.olxAtualizadoEm) {
+      this.escreverAviso(doc, `Preços coletados em ${this.formatarData(veiculoData.olxAtualizadoEm)}, sem outliers`);
+    }
+  }
+
+  /**
+   * Observação ao pé da última página
+   * @param {PDFDocument} doc - Documento
+   * @param {Date} geradoEm - Data de geração
+   */
+  escreverRodape(doc, geradoEm) {
+    const y = doc.page.height - MARGEM - 20;
+    doc.moveTo(MARGEM, y - 8).lineTo(doc.page.width - MARGEM, y - 8).strokeColor(COR_LINHA).stroke();
+    doc.font('Helvetica').fontSize(8).fillColor(COR_SECUNDARIA)
+      .text(
+        `Valores de referência sujeitos a variação de mercado. Relatório gerado pelo ValorReal em ${this.formatarData(geradoEm)}.`,
+        MARGEM, y, { width: doc.page.width - MARGEM * 2, align: 'center', lineBreak: false }
+      );
+  }
+
+  /**
+   * Título de seção
+   * @param {PDFDocument} doc - Documento
+   * @param {string} titulo - Texto do título
+   */
+  escreverTitulo(doc, titulo) {
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(COR_MARCA).text(titulo, MARGEM);
+    doc.moveTo(MARGEM, doc.y + 2).lineTo(doc.page.width - MARGEM, doc.y + 2).strokeColor(COR_LINHA).stroke();
+    doc.moveDown(0.5).fillColor(COR_TEXTO);
+  }
+
+  /**
+   * Linha "rótulo: valor"
+   * @param {PDFDocument} doc - Documento
+   * @param {string} rotulo - Rótulo do campo
+   * @param {string|null} valor - Valor (traço quando ausente)
+   */
+  escreverCampo(doc, rotulo, valor) {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(10).fillColor(COR_SECUNDARIA).text(rotulo, MARGEM, y, { width: 150 });
+    doc.fillColor(COR_TEXTO).text(valor || '-', MARGEM + 150, y);
+    doc.moveDown(0.2);
+  }
+
+  /**
+   * Texto auxiliar em cinza
+   * @param {PDFDocument} doc - Documento
+   * @param {string} texto - Texto
+   */
+  escreverAviso(doc, texto) {
+    doc.font('Helvetica').fontSize(9).fillColor(COR_SECUNDARIA).text(texto, MARGEM);
+    doc.fillColor(COR_TEXTO).moveDown();
+  }
+
+  /**
+   * Tabela simples com cabeçalho em negrito
+   * @param {PDFDocument} doc - Documento
+   * @param {Object[]} colunas - [{ titulo, largura, alinhamento }]
+   * @param {Array[]} linhas - Valores por linha, na ordem das colunas
+   */
+  escreverTabela(doc, colunas, linhas) {
+    const escreverLinha = (valores, negrito) => {
+      const y = doc.y;
+      let x = MARGEM;
+      let altura = 0;
+
+      doc.font(negrito ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      colunas.forEach((coluna, i) => {
+        const texto = valores[i] || '-';
+        const opcoes = { width: coluna.largura - 6, align: coluna.alinhamento || 'left' };
+        altura = Math.max(altura, doc.heightOfString(texto, opcoes));
+        doc.text(texto, x, y, opcoes);
+        x += coluna.largura;
+      });
+
+      doc.y = y + altura + 4;
+      doc.moveTo(MARGEM, doc.y - 2).lineTo(doc.page.width - MARGEM, doc.y - 2).strokeColor(COR_LINHA).stroke();
+    };
+
+    escreverLinha(colunas.map(coluna => coluna.titulo), true);
+    linhas.forEach(linha => {
+      // Quebra de página antes de uma linha que não cabe
+      if (doc.y > doc.page.height - MARGEM - 60) {
+        doc.addPage();
+      }
+      escreverLinha(linha, false);
+    });
+
+    doc.x = MARGEM;
+    doc.moveDown();
+  }
+
+  /**
+   * Data e hora no formato brasileiro (horário de Brasília)
+   * @param {Date|string} data - Data
+   * @returns {string}
+   */
+  formatarData(data) {
+    return new Date(data).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+  }
+}
+
+module.exports = new RelatorioService();
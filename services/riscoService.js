@@ -0,0 +1,201 @@
+const { normalizarTexto } = require('../utils/texto');
+
+// Níveis de risco em ordem crescente ('indeterminado': a consulta não trouxe a situação)
+const NIVEIS = ['nenhum', 'baixo', 'medio', 'alto', 'critico'];
+
+// Textos de situação/restrição que indicam veículo sem restrição (já normalizados)
+const SEM_RESTRICAO = /^(sem-(restric(ao|oes)|alertas?|impedimentos?)|nada-consta|nenhuma?(-restricao)?|normal|regular|ativo|(em-)?circulacao|nao-ha(-restricao)?|nao|n|0|false)$/;
+
+// Formas negadas que indicam ausência de restrição mesmo citando uma (já normalizadas):
+// "Sem restrição de roubo/furto", "NÃO CONSTA", "Veículo não possui restrição", "Roubo/Furto: Não".
+// Valem só para a cláusula em que aparecem.
+const NEGACOES = [
+  /^sem-/,
+  /(^|-)sem-(restric|registro|alerta|impediment|ocorrenc|bloqueio|pendenc)/,
+  /(^|-)(nao|nada)-consta(-|$)/,
+  /(^|-)nao-(possui|ha|existe|tem|apresenta)(-|$)/,
+  /-(nao|n)$/
+];
+
+// Separadores de cláusulas ("ROUBO/FURTO - SEM RESTRICAO JUDICIAL"). Barra e hífen só separam
+// com espaço dos dois lados: "roubo/furto" e "nada-consta" são uma cláusula só.
+const SEPARADOR_CLAUSULAS = /\s+[-–/|]\s+|[;,]|\.\s+/;
+
+// Classificação das restrições, na ordem de verificação (a primeira que casar vale).
+// Os padrões são aplicados ao texto normalizado (minúsculo, sem acentos, com hífens).
+const REGRAS = [
+  { tipo: 'roubo_furto_recuperado', gravidade: 'alto', padrao: /(?<!nao-)recuperad|devolvid/, aviso: 'Veículo com histórico de roubo/furto (consta como recuperado)' },
+  { tipo: 'roubo_furto', gravidade: 'critico', padrao: /roub|furt/, aviso: 'ATENÇÃO: veículo com registro de roubo/furto ativo' },
+  { tipo: 'chassi_remarcado', gravidade: 'alto', padrao: /remarcad|adulterad/, aviso: 'Chassi remarcado' },
+  { tipo: 'judicial', gravidade: 'alto', padrao: /judic|renajud|penhor|bloqueio/, aviso: 'Restrição judicial: a transferência pode ser impedida' },
+  { tipo: 'baixa_sinistro', gravidade: 'alto', padrao: /baixad|baixa-|sinistr|perda-total|sucata|desmonte/, aviso: 'Veículo baixado ou com registro de sinistro' },
+  { tipo: 'leilao', gravidade: 'medio', padrao: /leilao/, aviso: 'Veículo com passagem por leilão' },
+  { tipo: 'alienacao_fiduciaria', gravidade: 'medio', padrao: /aliena|fiduci|arrendament|leasing|reserva-de-dominio|financ/, aviso: 'Alienação fiduciária ou arrendamento: exige quitação para transferir' },
+  { tipo: 'tributaria', gravidade: 'medio', padrao: /tribut|beneficio|isencao|ipi|icms|ipva/, aviso: 'Restrição tributária (benefício fiscal ou débito de imposto)' },
+  { tipo: 'administrativa', gravidade: 'baixo', padrao: /administrat|detran|multa|debito|licenciament/, aviso: 'Restrição administrativa' }
+];
+
+// Restrição que não casou com nenhuma regra: tratada como relevante, para não passar despercebida
+const REGRA_OUTRA = { tipo: 'outra', gravidade: 'medio', aviso: 'Restrição não classificada' };
+
+/**
+ * Extrai restrições e indicadores de roubo/furto da resposta do provedor de placas
+ * (situacao e bloco extra da API Placas) e calcula o nível de risco da consulta
+ */
+class RiscoService {
+  get niveis() {
+    return NIVEIS;
+  }
+
+  get tiposRestricao() {
+    return REGRAS.map(regra => regra.tipo).concat(REGRA_OUTRA.tipo);
+  }
+
+  /**
+   * Analisa a situação do veículo
+   * @param {Object} veiculoData - Dados do veículo (situacao e, se houver, dadosCompletos)
+   * @returns {Object} - { restricoes: [{ tipo, gravidade, descricao, origem }], risco: { nivel, rouboFurto, chassiRemarcado, avisos, analisadoEm } }
+   */
+  analisar(veiculoData) {
+    const textos = this.coletarTextos(veiculoData);
+    const restricoes = [];
+
+    textos.forEach(({ origem, texto }) => {
+      const restricao = this.classificar(texto, origem);
+      if (restricao && !restricoes.some(r => r.tipo === restricao.tipo && r.descricao === restricao.descricao)) {
+        restricoes.push(restricao);
+      }
+    });
+
+    const extra = this.obterExtra(veiculoData);
+    if (extra && /^r$/i.test(String(extra.situacao_chassi || '').trim()) && !restricoes.some(r => r.tipo === 'chassi_remarcado')) {
+      restricoes.push({ tipo: 'chassi_remarcado', gravidade: 'alto', descricao: 'Chassi remarcado', origem: 'extra.situacao_chassi' });
+    }
+
+    // Sem nenhum texto de situação o risco não pode ser afirmado
+    const nivel = textos.length === 0 && restricoes.length === 0
+      ? 'indeterminado'
+      : restricoes.reduce((maior, r) => (NIVEIS.indexOf(r.gravidade) > NIVEIS.indexOf(maior) ? r.gravidade : maior), 'nenhum');
+
+    const avisos = restricoes
+      .sort((a, b) => NIVEIS.indexOf(b.gravidade) - NIVEIS.indexOf(a.gravidade))
+      .map(restricao => this.descreverAviso(restricao));
+    if (nivel === 'indeterminado') {
+      avisos.push('Situação do veículo não informada pelo provedor: confirme roubo/furto e restrições antes da compra');
+    }
+
+    return {
+      restricoes,
+      risco: {
+        nivel,
+        rouboFurto: restricoes.some(r => r.tipo === 'roubo_furto'),
+        chassiRemarcado: restricoes.some(r => r.tipo === 'chassi_remarcado'),
+        avisos,
+        analisadoEm: new Date()
+      }
+    };
+  }
+
+  /**
+   * Textos de situação e restrição da consulta: situacao e, do bloco extra,
+   * restricao_N, situacao_veiculo e campos de roubo/furto e alerta
+   * @param {Object} veiculoData - Dados do veículo
+   * @returns {Object[]} - [{ origem, texto }]
+   */
+  coletarTextos(veiculoData) {
+    const textos = [];
+    const adicionar = (origem, valor) => {
+      if (valor === null || valor === undefined || typeof valor === 'object') return;
+      const texto = String(valor).trim();
+      if (texto) textos.push({ origem, texto });
+    };
+
+    const dados = veiculoData.dadosCompletos || {};
+    adicionar('situacao', veiculoData.situacao || dados.situacao);
+
+    const extra = this.obterExtra(veiculoData);
+    if (extra) {
+      Object.keys(extra)
+        .filter(campo => /^restricao/.test(campo) || campo === 'situacao_veiculo')
+        .sort()
+        .forEach(campo => adicionar(`extra.${campo}`, extra[campo]));
+
+      // Indicadores de roubo/furto e alertas (ex.: roubo_furto: "S", alerta: "...")
+      Object.keys(extra)
+        .filter(campo => /roubo|furto|alerta/.test(campo))
+        .forEach(campo => {
+          const valor = extra[campo];
+          if (valor === true || /^(s|sim|1)$/i.test(String(valor).trim())) {
+            adicionar(`extra.${campo}`, campo.replace(/_/g, ' '));
+          } else {
+            adicionar(`extra.${campo}`, valor);
+          }
+        });
+    }
+
+    return textos;
+  }
+
+  /**
+   * Classifica um texto de situação/restrição. Cada cláusula negada ("sem restrição judicial")
+   * é descartada; as demais são classificadas juntas.
+   * @param {string} texto - Texto original
+   * @param {string} origem - Campo de onde veio
+   * @returns {Object|null} - { tipo, gravidade, descricao, origem } ou null se não houver restrição
+   */
+  classificar(texto, origem) {
+    const afirmadas = String(texto)
+      .split(SEPARADOR_CLAUSULAS)
+      .map(clausula => normalizarTexto(clausula))
+      .filter(clausula => clausula && !this.clausulaNegada(clausula));
+    if (afirmadas.length === 0) return null;
+
+    const normalizado = afirmadas.join('-');
+
+    // situacao_veiculo traz códigos curtos (ex.: "S") que não são restrição por si
+    if (origem === 'extra.situacao_veiculo' && normalizado.length <= 2) return null;
+
+    const regra = REGRAS.find(item => item.padrao.test(normalizado)) || REGRA_OUTRA;
+    return { tipo: regra.tipo, gravidade: regra.gravidade, descricao: texto, origem };
+  }
+
+  /**
+   * Indica se a cláusula (já normalizada) afirma a ausência de restrição
+   * @param {string} clausula - Cláusula normalizada
+   * @returns {boolean}
+   */
+  clausulaNegada(clausula) {
+    return SEM_RESTRICAO.test(clausula) || NEGACOES.some(negacao => negacao.test(clausula));
+  }
+
+  /**
+   * Texto do aviso exibido na consulta
+   * @param {Object} restricao - Restrição classificada
+   * @returns {string}
+   */
+  descreverAviso(restricao) {
+    const regra = REGRAS.find(item => item.tipo === restricao.tipo) || REGRA_OUTRA;
+    return regra.aviso === restricao.descricao ? regra.aviso : `${regra.aviso} (${restricao.descricao})`;
+  }
+
+  /**
+   * Bloco extra da resposta da API Placas, se houver
+   * @param {Object} veiculoData - Dados do veículo
+   * @returns {Object|null}
+   */
+  obterExtra(veiculoData) {
+    const dados = veiculoData.dadosCompletos;
+    return dados && dados.extra && typeof dados.extra === 'object' ? dados.extra : null;
+  }
+
+  /**
+   * Níveis iguais ou acima do informado (para o filtro riscoMin)
+   * @param {string} nivel - Nível mínimo
+   * @returns {string[]}
+   */
+  niveisAPartirDe(nivel) {
+    return NIVEIS.slice(NIVEIS.indexOf(nivel));
+  }
+}
+
+module.exports = new RiscoService();
@@ -0,0 +1,273 @@
+const Uso = require('../models/Uso');
+const Cliente = require('../models/Cliente');
+const { ErroCotaExcedida } = require('../utils/erros');
+
+/**
+ * Serviço de medição de uso e cotas por cliente (chave de API)
+ */
+class UsoService {
+  /**
+   * Dia (AAAA-MM-DD, UTC) de uma data
+   * @param {Date} data - Data de referência
+   * @returns {string}
+   */
+  obterDia(data = new Date()) {
+    return data.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Consumo do cliente no dia e no mês atuais
+   * @param {ObjectId} clienteId - Id do cliente
+   * @returns {Promise<Object>} - { diario, mensal }
+   */
+  async obterConsumo(clienteId) {
+    const dia = this.obterDia();
+
+    const [usoDia, usoMes] = await Promise.all([
+      Uso.findOne({ cliente: clienteId, dia }).select('total'),
+      Uso.aggregate([
+        { $match: { cliente: clienteId, mes: dia.slice(0, 7) } },
+        { $group: { _id: null, total: { $sum: '$total' } } }
+      ])
+    ]);
+
+    return {
+      diario: usoDia ? usoDia.total : 0,
+      mensal: usoMes.length > 0 ? usoMes[0].total : 0
+    };
+  }
+
+  /**
+   * Calcula a cota disponível considerando a janela mais restritiva
+   * @param {Object} cliente - Documento do cliente (limiteDiario, limiteMensal)
+   * @param {Object} consumo - { diario, mensal }
+   * @returns {Object} - { limite, restante, reinicio, janela }; limite null se o cliente não tiver cota
+   */
+  calcularCota(cliente, consumo) {
+    const janelas = [];
+
+    if (cliente.limiteDiario) {
+      janelas.push({
+        janela: 'diaria',
+        limite: cliente.limiteDiario,
+        restante: Math.max(cliente.limiteDiario - consumo.diario, 0),
+        reinicio: this.obterReinicio('diaria')
+      });
+    }
+
+    if (cliente.limiteMensal) {
+      janelas.push({
+        janela: 'mensal',
+        limite: cliente.limiteMensal,
+        restante: Math.max(cliente.limiteMensal - consumo.mensal, 0),
+        reinicio: this.obterReinicio('mensal')
+      });
+    }
+
+    if (janelas.length === 0) {
+      return { limite: null, restante: null, reinicio: null, janela: null };
+    }
+
+    return janelas.sort((a, b) => a.restante - b.restante)[0];
+  }
+
+  /**
+   * Início da próxima janela de cota (meia-noite UTC ou primeiro dia do mês seguinte)
+   * @param {string} janela - 'diaria' ou 'mensal'
+   * @returns {Date}
+   */
+  obterReinicio(janela) {
+    const agora = new Date();
+    return janela === 'diaria'
+      ? new Date(Date.UTC(agora.getUTCFullYear(), agora.getUTCMonth(), agora.getUTCDate() + 1))
+      : new Date(Date.UTC(agora.getUTCFullYear(), agora.getUTCMonth() + 1, 1));
+  }
+
+  /**
+   * Reserva cota antes de consultar a placa: o uso já entra no total, então requisições
+   * simultâneas do mesmo cliente não passam do limite. O diário é garantido por um $inc
+   * condicional no documento do dia; o mensal é conferido depois do incremento, e a reserva
+   * é desfeita se o ultrapassar. Falha do banco não bloqueia a consulta (sem reserva).
+   * @param {ObjectId|null} clienteId - Id do cliente
+   * @param {number} quantidade - Consultas a reservar
+   * @returns {Promise<Object|null>} - Reserva { dia, quantidade } (ver registrar e liberar) ou null
+   * @throws {ErroCotaExcedida} - Sem cota na janela diária ou mensal
+   */
+  async reservar(clienteId, quantidade = 1) {
+    if (!clienteId) return null;
+
+    const dia = this.obterDia();
+    let cliente;
+    let janelaExcedida = null;
+
+    try {
+      cliente = await Cliente.findById(clienteId).select('limiteDiario limiteMensal').lean();
+      if (!cliente) return null;
+
+      // O $inc condicional não pode criar o documento do dia (conflitaria com o índice único)
+      await Uso.updateOne(
+        { cliente: clienteId, dia },
+        { $setOnInsert: { mes: dia.slice(0, 7) } },
+        { upsert: true }
+      ).catch(dbError => {
+        // Outra requisição criou o documento ao mesmo tempo
+        if (dbError.code !== 11000) throw dbError;
+      });
+
+      const filtro = { cliente: clienteId, dia };
+      if (cliente.limiteDiario) {
+        filtro.total = { $lte: cliente.limiteDiario - quantidade };
+      }
+
+      const { matchedCount } = await Uso.updateOne(filtro, { $inc: { total: quantidade } });
+
+      if (matchedCount === 0) {
+        janelaExcedida = 'diaria';
+      } else if (cliente.limiteMensal) {
+        const { mensal } = await this.obterConsumo(clienteId);
+        if (mensal > cliente.limiteMensal) {
+          await this.liberar(clienteId, { dia, quantidade });
+          janelaExcedida = 'mensal';
+        }
+      }
+    } catch (dbError) {
+      console.warn('Aviso: Não foi possível reservar a cota:', dbError.message);
+      return null;
+    }
+
+    if (janelaExcedida) {
+      const limite = janelaExcedida === 'diaria' ? cliente.limiteDiario : cliente.limiteMensal;
+      const reinicio = this.obterReinicio(janelaExcedida);
+      throw new ErroCotaExcedida(
+        `Cota ${janelaExcedida} de ${limite} consultas esgotada; renova em ${reinicio.toISOString()}`,
+        { retryAfter: Math.max(Math.ceil((reinicio.getTime() - Date.now()) / 1000), 1) }
+      );
+    }
+
+    return { dia, quantidade };
+  }
+
+  /**
+   * Desfaz a reserva de cota de uma consulta que não foi concluída (não bloqueia se falhar)
+   * @param {ObjectId|null} clienteId - Id do cliente
+   * @param {Object|null} reserva - Retorno de reservar
+   * @returns {Promise<void>}
+   */
+  async liberar(clienteId, reserva) {
+    if (!clienteId || !reserva) return;
+
+    try {
+      await Uso.updateOne({ cliente: clienteId, dia: reserva.dia }, { $inc: { total: -reserva.quantidade } });
+    } catch (dbError) {
+      console.warn('Aviso: Não foi possível liberar a cota reservada:', dbError.message);
+    }
+  }
+
+  /**
+   * Registra uma consulta de placa do cliente (não bloqueia se falhar)
+   * @param {ObjectId} clienteId - Id do cliente
+   * @param {string} fonte - 'cache' ou 'api'
+   * @param {Object|null} [reserva] - Reserva de cota da consulta (já entrou no total)
+   * @returns {Promise<void>}
+   */
+  async registrar(clienteId, fonte, reserva = null) {
+    if (!clienteId) return;
+
+    const dia = reserva ? reserva.dia : this.obterDia();
+    const incremento = { [fonte === 'cache' ? 'cache' : 'api']: 1 };
+    if (!reserva) incremento.total = 1;
+
+    try {
+      await Uso.updateOne(
+        { cliente: clienteId, dia },
+        {
+          $inc: incremento,
+          $setOnInsert: { mes: dia.slice(0, 7) }
+        },
+        { upsert: true }
+      );
+    } catch (dbError) {
+      console.warn('Aviso: Não foi possível registrar o uso:', dbError.message);
+    }
+  }
+
+  /**
+   * Registra uma falha dos provedores de placa na consulta do cliente (não conta na cota)
+   * @param {ObjectId} clienteId - Id do cliente
+   * @returns {Promise<void>}
+   */
+  async registrarErro(clienteId) {
+    if (!clienteId) return;
+
+    const dia = this.obterDia();
+
+    try {
+      await Uso.updateOne(
+        { cliente: clienteId, dia },
+        {
+          $inc: { erros: 1 },
+          $setOnInsert: { mes: dia.slice(0, 7) }
+        },
+        { upsert: true }
+      );
+    } catch (dbError) {
+      console.warn('Aviso: Não foi possível registrar o erro:', dbError.message);
+    }
+  }
+
+  /**
+   * Resume o uso por cliente em um período, separando cache, chamadas cobradas e falhas
+   * @param {Object} filtros - { cliente, de, ate } (dias AAAA-MM-DD)
+   * @returns {Promise<Object[]>} - [{ cliente, total, cache, api, erros, dias }]
+   */
+  async resumir(filtros = {}) {
+    const match = {};
+    if (filtros.cliente) match.cliente = filtros.cliente;
+    if (filtros.de || filtros.ate) {
+      match.dia = {};
+      if (filtros.de) match.dia.$gte = filtros.de;
+      if (filtros.ate) match.dia.$lte = filtros.ate;
+    }
+
+    return Uso.aggregate([
+      { $match: match },
+      { $sort: { dia: 1 } },
+      {
+        $group: {
+          _id: '$cliente',
+          total: { $sum: '$total' },
+          cache: { $sum: '$cache' },
+          api: { $sum: '$api' },
+          erros: { $sum: { $ifNull: ['$erros', 0] } },
+          dias: { $push: { dia: '$dia', total: '$total', cache: '$cache', api: '$api', erros: { $ifNull: ['$erros', 0] } } }
+        }
+      },
+      {
+        $lookup: {
+          from: 'clientes',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'cliente'
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          cliente: {
+            id: '$_id',
+            nome: { $arrayElemAt: ['$cliente.nome', 0] },
+            chavePrefixo: { $arrayElemAt: ['$cliente.chavePrefixo', 0] }
+          },
+          total: 1,
+          cache: 1,
+          api: 1,
+          erros: 1,
+          dias: 1
+        }
+      },
+      { $sort: { api: -1 } }
+    ]);
+  }
+}
+
+module.exports = new UsoService();
@@ -0,0 +1,102 @@
+const VersaoMercado = require('../models/VersaoMercado');
+const avaliacaoService = require('./avaliacaoService');
+
+/**
+ * Histórico versionado dos preços de mercado de cada consulta: cada busca nos
+ * marketplaces gera uma versão com o momento da coleta e a URL de cada fonte
+ */
+class VersaoMercadoService {
+  /**
+   * Registra a versão de uma busca concluída (não bloqueia se falhar)
+   * @param {Object} dados - { consultaId, placa, versao, buscaId, status, erro, iniciadoEm, coletadoEm, precosOlx, precosMercado }
+   * @returns {Promise<Object|null>} - Versão salva ou null
+   */
+  async registrar(dados) {
+    if (!dados.consultaId || !dados.versao) return null;
+
+    const mercado = avaliacaoService.analisarMercado({
+      precosOlx: dados.precosOlx,
+      precosMercado: dados.precosMercado
+    });
+
+    try {
+      return await VersaoMercado.create({
+        consulta: dados.consultaId,
+        placa: dados.placa,
+        versao: dados.versao,
+        buscaId: dados.buscaId,
+        status: dados.status,
+        erro: dados.erro || null,
+        iniciadoEm: dados.iniciadoEm,
+        coletadoEm: dados.coletadoEm,
+        resumo: mercado
+          ? {
+            mediana: mercado.mediana,
+            p25: mercado.p25,
+            p75: mercado.p75,
+            quantidadeAnuncios: mercado.quantidadeAnuncios
+          }
+          : null,
+        fontes: this.resumirFontes(dados.precosMercado),
+        precosOlx: dados.precosOlx,
+        precosMercado: dados.precosMercado
+      });
+    } catch (dbError) {
+      console.warn('Aviso: Não foi possível registrar a versão dos preços de mercado:', dbError.message);
+      return null;
+    }
+  }
+
+  /**
+   * Resumo por fonte (sem a lista de preços)
+   * @param {Object|null} precosMercado - Resultado de cada marketplace
+   * @returns {Object[]} - [{ fonte, status, url, quantidadeAnuncios, menor, mediana, maior, erro }]
+   */
+  resumirFontes(precosMercado) {
+    if (!precosMercado) return [];
+
+    return Object.keys(precosMercado).map(fonte => {
+      const resultado = precosMercado[fonte] || {};
+      return {
+        fonte,
+        status: resultado.status || null,
+        url: resultado.url || null,
+        quantidadeAnuncios: resultado.quantidadeAnuncios || 0,
+        menor: resultado.valores ? resultado.valores.menor : null,
+        mediana: resultado.valores ? resultado.valores.mediana : null,
+        maior: resultado.valores ? resultado.valores.maior : null,
+        erro: resultado.erro || null
+      };
+    });
+  }
+
+  /**
+   * Versões das consultas informadas, em ordem cronológica de coleta, com a variação
+   * da mediana em relação à versão anterior (de qualquer uma das consultas)
+   * @param {ObjectId[]} consultaIds - Consultas da placa
+   * @returns {Promise<Object[]>} - Versões sem a lista de preços
+   */
+  async listarPorConsultas(consultaIds) {
+    if (consultaIds.length === 0) return [];
+
+    const versoes = await VersaoMercado.find({ consulta: { $in: consultaIds } })
+      .sort({ coletadoEm: 1, versao: 1 })
+      .select('-precosOlx -precosMercado -placa -__v')
+      .lean();
+
+    let medianaAnterior = null;
+    return versoes.map(versao => {
+      const medianaAtual = versao.resumo ? versao.resumo.mediana : null;
+      const item = {
+        ...versao,
+        variacaoPercentual: medianaAtual && medianaAnterior
+          ? Math.round((medianaAtual - medianaAnterior) / medianaAnterior * 1000) / 10
+          : null
+      };
+      if (medianaAtual) medianaAnterior = medianaAtual;
+      return item;
+    });
+  }
+}
+
+module.exports = new VersaoMercadoService();
@@ -0,0 +1,98 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { validarUrlPublica, lookupPublico } = require('../utils/rede');
+
+// Tempo limite de cada tentativa de entrega
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Tentativas de entrega (com espera de 1s, 2s, 4s... entre elas)
+const WEBHOOK_TENTATIVAS = parseInt(process.env.WEBHOOK_TENTATIVAS) || 3;
+
+/**
+ * Entrega de webhooks assinados com HMAC-SHA256.
+ *
+ * Cabeçalhos enviados:
+ * - X-ValorReal-Evento: nome do evento
+ * - X-ValorReal-Timestamp: epoch em segundos
+ * - X-ValorReal-Assinatura: "sha256=" + HMAC-SHA256(segredo, "<timestamp>.<corpo>") em hexadecimal
+ */
+class WebhookService {
+  /**
+   * Gera um segredo de assinatura
+   * @returns {string}
+   */
+  gerarSegredo() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Calcula a assinatura do corpo
+   * @param {string} segredo - Segredo do webhook
+   * @param {number} timestamp - Epoch em segundos
+   * @param {string} corpo - Corpo JSON enviado
+   * @returns {string} - "sha256=<hex>"
+   */
+  assinar(segredo, timestamp, corpo) {
+    const hmac = crypto.createHmac('sha256', segredo).update(`${timestamp}.${corpo}`).digest('hex');
+    return `sha256=${hmac}`;
+  }
+
+  /**
+   * Envia o evento ao webhook, repetindo em caso de falha
+   * @param {string} url - URL do webhook
+   * @param {string} segredo - Segredo de assinatura
+   * @param {string} evento - Nome do evento
+   * @param {Object} payload - Corpo do evento
+   * @returns {Promise<Object>} - { statusEntrega, tentativas, respostaStatus, erro } (nunca rejeita)
+   */
+  async enviar(url, segredo, evento, payload) {
+    // O destino é validado de novo na entrega (o DNS pode ter mudado desde o cadastro)
+    const erroUrl = await validarUrlPublica(url);
+    if (erroUrl) {
+      console.warn('Aviso: Webhook com destino não permitido:', url, erroUrl);
+      return { statusEntrega: 'falhou', tentativas: 0, respostaStatus: null, erro: erroUrl };
+    }
+
+    const corpo = JSON.stringify(payload);
+    let ultimoErro = null;
+    let respostaStatus = null;
+
+    for (let tentativa = 1; tentativa <= WEBHOOK_TENTATIVAS; tentativa++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      try {
+        const response = await axios.post(url, corpo, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'ValorReal-Webhooks/1.0',
+            'X-ValorReal-Evento': evento,
+            'X-ValorReal-Timestamp': String(timestamp),
+            'X-ValorReal-Assinatura': this.assinar(segredo, timestamp, corpo)
+          },
+          timeout: WEBHOOK_TIMEOUT_MS,
+          maxRedirects: 0,
+          lookup: lookupPublico,
+          validateStatus: () => true
+        });
+
+        respostaStatus = response.status;
+        if (response.status >= 200 && response.status < 300) {
+          return { statusEntrega: 'enviada', tentativas: tentativa, respostaStatus, erro: null };
+        }
+        ultimoErro = `Webhook respondeu ${response.status}`;
+      } catch (error) {
+        respostaStatus = null;
+        ultimoErro = error.message;
+      }
+
+      if (tentativa < WEBHOOK_TENTATIVAS) {
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (tentativa - 1)));
+      }
+    }
+
+    console.warn('Aviso: Não foi possível entregar o webhook:', url, ultimoErro);
+    return { statusEntrega: 'falhou', tentativas: WEBHOOK_TENTATIVAS, respostaStatus, erro: ultimoErro };
+  }
+}
+
+module.exports = new WebhookService();
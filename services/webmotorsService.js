@@ -0,0 +1,66 @@
+const MarketplaceAdapter = require('./marketplaceAdapter');
+
+/**
+ * Adaptador da Webmotors
+ */
+class WebmotorsService extends MarketplaceAdapter {
+  constructor() {
+    super('webmotors');
+  }
+
+  /**
+   * Gera URL de pesquisa na Webmotors
+   * Formato: https://www.webmotors.com.br/carros/estoque/{marca}/{modelo}?anode={ano}&anoate={ano}
+   * @param {Object} veiculoData - Dados do veículo (marca, modelo, anoModelo)
+   * @returns {string|null} - URL ou null se não houver dados suficientes
+   */
+  gerarUrl(veiculoData) {
+    const slugs = this.obterSlugs(veiculoData);
+
+    if (!slugs) {
+      return null;
+    }
+
+    return `https://www.webmotors.com.br/carros/estoque/${slugs.marca}/${slugs.modelo}?anode=${slugs.ano}&anoate=${slugs.ano}`;
+  }
+
+  /**
+   * Extrai anúncios da página de resultados da Webmotors
+   * @param {CheerioAPI} $ - Página carregada pelo cheerio
+   * @returns {Object[]} - Anúncios encontrados
+   */
+  extrairAnuncios($) {
+    const anunciosJsonLd = this.extrairAnunciosJsonLd($);
+    if (anunciosJsonLd.length > 0) {
+      return anunciosJsonLd;
+    }
+
+    const anuncios = [];
+
+    $('[data-testid="card-vehicle"], [class*="ContainerCardVehicle"]').each((i, element) => {
+      const card = $(element);
+      const url = card.find('a').first().attr('href') || null;
+      const idExterno = url ? url.match(/\/(\d+)\/?(?:\?|$)/) : null;
+      const localizacao = this.extrairLocalizacao(
+        card.find('[class*="Location"], [data-testid="card-location"]').first().text()
+      );
+
+      anuncios.push({
+        idExterno: idExterno ? idExterno[1] : null,
+        titulo: card.find('h2').first().text().trim() || null,
+        preco: this.extrairPreco(card.find('[class*="Price"], [data-testid="card-price"]').first().text()),
+        quilometragem: this.extrairQuilometragem(
+          card.find('[class*="KM"], [data-testid="card-km"]').first().text()
+        ),
+        cidade: localizacao.cidade,
+        uf: localizacao.uf,
+        url: url && url.startsWith('/') ? `https://www.webmotors.com.br${url}` : url,
+        dataPublicacao: null
+      });
+    });
+
+    return anuncios;
+  }
+}
+
+module.exports = new WebmotorsService();
@@ -0,0 +1,91 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const alertaService = require('../services/alertaService');
+const webhookService = require('../services/webhookService');
+const { enderecoInterno } = require('../utils/rede');
+
+describe('utils/rede.enderecoInterno', () => {
+  it('reconhece loopback, link-local e redes privadas', () => {
+    [
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.0.10', '169.254.169.254',
+      '0.0.0.0', '100.64.0.1', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', 'não-é-ip'
+    ].forEach(endereco => assert.equal(enderecoInterno(endereco), true, endereco));
+  });
+
+  it('aceita endereços públicos', () => {
+    ['8.8.8.8', '172.32.0.1', '200.147.67.142', '2001:4860:4860::8888', '::ffff:8.8.8.8']
+      .forEach(endereco => assert.equal(enderecoInterno(endereco), false, endereco));
+  });
+});
+
+describe('alertaService.validar (webhookUrl)', () => {
+  const ambiente = process.env.NODE_ENV;
+  const alerta = { tipo: 'placa', placa: 'ABC1D23', condicao: { metrica: 'fipe', operador: 'abaixo', valor: 30000 } };
+
+  afterEach(() => {
+    mock.restoreAll();
+    process.env.NODE_ENV = ambiente;
+  });
+
+  it('recusa hosts que resolvem para endereços internos', async () => {
+    mock.method(dns.promises, 'lookup', async host => (host === 'interno.exemplo.com.br'
+      ? [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]
+      : [{ address: '127.0.0.1', family: 4 }]));
+
+    for (const url of [
+      'https://interno.exemplo.com.br/webhook',
+      'https://localhost/webhook',
+      'https://127.0.0.1/webhook',
+      'https://169.254.169.254/latest/meta-data',
+      'https://[::1]:8080/webhook'
+    ]) {
+      assert.match(await alertaService.validar({ ...alerta, webhookUrl: url }), /endereço interno/, url);
+    }
+  });
+
+  it('aceita hosts públicos', async () => {
+    mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+
+    assert.equal(await alertaService.validar({ ...alerta, webhookUrl: 'https://exemplo.com.br/webhooks/valorreal' }), null);
+  });
+
+  it('exige https fora do ambiente de desenvolvimento', async () => {
+    mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+
+    process.env.NODE_ENV = 'production';
+    assert.match(await alertaService.validar({ ...alerta, webhookUrl: 'http://exemplo.com.br/webhook' }), /https/);
+
+    process.env.NODE_ENV = 'development';
+    assert.equal(await alertaService.validar({ ...alerta, webhookUrl: 'http://exemplo.com.br/webhook' }), null);
+  });
+
+  it('recusa URLs malformadas, com credenciais ou host sem resolução', async () => {
+    mock.method(dns.promises, 'lookup', async () => {
+      throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+    });
+
+    assert.match(await alertaService.validar({ ...alerta, webhookUrl: 'exemplo.com.br' }), /URL inválida/);
+    assert.match(await alertaService.validar({ ...alerta, webhookUrl: 'ftp://exemplo.com.br' }), /http/);
+    assert.match(await alertaService.validar({ ...alerta, webhookUrl: 'https://u:s@exemplo.com.br' }), /usuário ou senha/);
+    assert.match(await alertaService.validar({ ...alerta, webhookUrl: 'https://nao-existe.invalid' }), /resolver o host/);
+    assert.match(await alertaService.validar({ ...alerta, webhookUrl: { url: 'https://exemplo.com.br' } }), /webhookUrl/);
+  });
+});
+
+describe('webhookService.enviar', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('não entrega quando o host passou a apontar para um endereço interno', async () => {
+    mock.method(dns.promises, 'lookup', async () => [{ address: '192.168.0.1', family: 4 }]);
+    mock.method(console, 'warn', () => {});
+
+    const entrega = await webhookService.enviar('https://exemplo.com.br/webhook', 'whsec_teste', 'alerta.disparado', {});
+
+    assert.equal(entrega.statusEntrega, 'falhou');
+    assert.equal(entrega.tentativas, 0);
+    assert.match(entrega.erro, /endereço interno/);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Anuncio = require('../models/Anuncio');
+const anuncioController = require('../controllers/anuncioController');
+
+describe('anuncioController.listar', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const listar = async query => {
+    const resposta = { statusCode: 200, corpo: null };
+    const res = {
+      status(codigo) {
+        resposta.statusCode = codigo;
+        return this;
+      },
+      json(corpo) {
+        resposta.corpo = corpo;
+        return this;
+      }
+    };
+    const next = mock.fn();
+
+    await anuncioController.listar({ query }, res, next);
+
+    assert.equal(next.mock.callCount(), 0, 'não deve cair no tratador de erros (500)');
+    return resposta;
+  };
+
+  it('responde 400 para parâmetros repetidos ou em formato de objeto', async () => {
+    for (const query of [{ ordenar: ['preco', '-preco'] }, { uf: ['SP', 'RJ'] }, { cidade: { $ne: null } }]) {
+      const { statusCode } = await listar(query);
+      assert.equal(statusCode, 400, JSON.stringify(query));
+    }
+  });
+
+  it('limita page e limit', async () => {
+    const limite = mock.fn(() => ({ skip: () => ({ lean: async () => [] }) }));
+    mock.method(Anuncio, 'find', () => ({ sort: () => ({ limit: limite }) }));
+    mock.method(Anuncio, 'countDocuments', async () => 0);
+
+    const { statusCode, corpo } = await listar({ limit: '5000', page: '-3' });
+
+    assert.equal(statusCode, 200);
+    assert.equal(limite.mock.calls[0].arguments[0], 100);
+    assert.equal(corpo.pagination.page, 1);
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const apiPlacasService = require('../services/apiPlacasService');
+const Disjuntor = require('../utils/disjuntor');
+const { ErroAutorizacaoProvedor, ErroProvedorIndisponivel } = require('../utils/erros');
+
+describe('apiPlacasService.consultar e o disjuntor', () => {
+  beforeEach(() => {
+    apiPlacasService.token = 'token-de-teste';
+    apiPlacasService.disjuntor = new Disjuntor({ limiteFalhas: 2, tempoAbertoMs: 60000 });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('erro de autorização não conta como falha do serviço', async () => {
+    mock.method(apiPlacasService, 'requisitarComTentativas', async () => {
+      throw new ErroAutorizacaoProvedor();
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(apiPlacasService.consultar('ABC1D23'), ErroAutorizacaoProvedor);
+    }
+
+    assert.equal(apiPlacasService.disjuntor.estado, 'fechado');
+    assert.equal(apiPlacasService.disjuntor.falhasConsecutivas, 0);
+  });
+
+  it('erro de autorização libera a chamada de teste do meio-aberto', async () => {
+    apiPlacasService.disjuntor.estado = 'aberto';
+    apiPlacasService.disjuntor.abertoEm = Date.now() - 60000;
+    mock.method(apiPlacasService, 'requisitarComTentativas', async () => {
+      throw new ErroAutorizacaoProvedor();
+    });
+
+    await assert.rejects(apiPlacasService.consultar('ABC1D23'), ErroAutorizacaoProvedor);
+
+    assert.equal(apiPlacasService.disjuntor.estado, 'meio-aberto');
+    assert.equal(apiPlacasService.disjuntor.permitir(), true);
+  });
+
+  it('provedor fora do ar abre o circuito no limite de falhas', async () => {
+    mock.method(apiPlacasService, 'requisitarComTentativas', async () => {
+      throw new ErroProvedorIndisponivel();
+    });
+
+    await assert.rejects(apiPlacasService.consultar('ABC1D23'), ErroProvedorIndisponivel);
+    await assert.rejects(apiPlacasService.consultar('ABC1D23'), ErroProvedorIndisponivel);
+
+    assert.equal(apiPlacasService.disjuntor.estado, 'aberto');
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const avaliacaoService = require('../services/avaliacaoService');
+
+describe('avaliacaoService.validarCondicoes', () => {
+  it('aceita os opcionais conhecidos', () => {
+    assert.equal(avaliacaoService.validarCondicoes({ quilometragem: 50000, opcionais: ['teto_solar', 'kit_gnv'] }), null);
+  });
+
+  ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'inexistente'].forEach(opcional => {
+    it(`recusa o opcional "${opcional}"`, () => {
+      assert.match(avaliacaoService.validarCondicoes({ quilometragem: 50000, opcionais: [opcional] }), /Opcionais desconhecidos/);
+    });
+  });
+
+  it('recusa opcionais que não são texto', () => {
+    assert.match(avaliacaoService.validarCondicoes({ quilometragem: 50000, opcionais: [1, null, { teto_solar: true }] }), /Opcionais desconhecidos/);
+  });
+
+  it('exige quilometragem numérica e não negativa', () => {
+    assert.match(avaliacaoService.validarCondicoes({}), /quilometragem/);
+    assert.match(avaliacaoService.validarCondicoes({ quilometragem: 'abc' }), /quilometragem/);
+    assert.match(avaliacaoService.validarCondicoes({ quilometragem: -1 }), /quilometragem/);
+  });
+
+  it('recusa conservação e UF desconhecidas', () => {
+    assert.match(avaliacaoService.validarCondicoes({ quilometragem: 1, conservacao: 'constructor' }), /conservacao/);
+    assert.match(avaliacaoService.validarCondicoes({ quilometragem: 1, uf: 'XX' }), /uf/);
+  });
+});
+
+describe('avaliacaoService.calcularValorAjustado', () => {
+  const veiculo = { anoModelo: '2018', valorFipe: 'R$ 55.000,00' };
+
+  it('sempre devolve valores numéricos nos fatores', () => {
+    const resultado = avaliacaoService.calcularValorAjustado(
+      veiculo,
+      { quilometragem: 60000, conservacao: 'bom', opcionais: ['teto_solar'], uf: null },
+      []
+    );
+
+    assert.ok(Number.isFinite(resultado.valorAjustado));
+    assert.ok(resultado.fatores.every(fator => Number.isFinite(fator.valor) && Number.isFinite(fator.percentual)));
+    assert.deepEqual(resultado.fatores.map(fator => fator.fator), ['quilometragem', 'conservacao', 'opcionais']);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const cacheService = require('../services/cacheService');
+const consultaService = require('../services/consultaService');
+const provedorPlacasService = require('../services/provedorPlacasService');
+const usoService = require('../services/usoService');
+const Vehicle = require('../models/Vehicle');
+
+const HORA_MS = 60 * 60 * 1000;
+
+describe('cacheService.avaliar', () => {
+  it('separa fresco, obsoleto e expirado pelo TTL do grupo e pela janela de revalidação', () => {
+    const ttlMercado = cacheService.obterTtl('mercado');
+    const atras = ms => new Date(Date.now() - ms);
+
+    assert.equal(cacheService.avaliar(atras(ttlMercado - HORA_MS), 'mercado'), 'fresco');
+    assert.equal(cacheService.avaliar(atras(ttlMercado + HORA_MS), 'mercado'), 'obsoleto');
+    assert.equal(cacheService.avaliar(atras(ttlMercado + 25 * HORA_MS), 'mercado'), 'expirado');
+    assert.equal(cacheService.avaliar(null, 'mercado'), 'expirado');
+
+    // O mesmo dado ainda vale para um grupo de TTL maior
+    assert.equal(cacheService.avaliar(atras(ttlMercado + HORA_MS), 'cadastro'), 'fresco');
+  });
+});
+
+describe('cacheService.compartilhar', () => {
+  it('executa uma única busca por chave enquanto ela está em andamento', async () => {
+    let liberar;
+    const executar = mock.fn(() => new Promise(resolve => { liberar = resolve; }));
+
+    const primeira = cacheService.compartilhar('placa:ABC1234', executar);
+    const segunda = cacheService.compartilhar('placa:ABC1234', executar);
+    await new Promise(setImmediate);
+    liberar({ ok: true });
+
+    assert.deepEqual(await primeira, { resultado: { ok: true }, compartilhado: false });
+    assert.deepEqual(await segunda, { resultado: { ok: true }, compartilhado: true });
+    assert.equal(executar.mock.callCount(), 1);
+
+    // Terminada a busca, a chave é liberada
+    const nova = await cacheService.compartilhar('placa:ABC1234', async () => ({ ok: false }));
+    assert.deepEqual(nova, { resultado: { ok: false }, compartilhado: false });
+  });
+});
+
+describe('consultaService (cache)', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('compartilha a chamada ao provedor entre as grafias antiga e Mercosul da placa', async () => {
+    const consultarPlaca = mock.method(provedorPlacasService, 'consultarPlaca', async placa => {
+      await new Promise(setImmediate);
+      return { placa, marca: 'FIAT', modelo: 'UNO' };
+    });
+    mock.method(consultaService, 'salvarConsulta', async () => 'consulta-1');
+
+    const [antiga, mercosul] = await Promise.all([
+      consultaService.consultarApi('ABC1234'),
+      consultaService.consultarApi('ABC1C34')
+    ]);
+
+    assert.equal(consultarPlaca.mock.callCount(), 1);
+    assert.equal(antiga.compartilhado, false);
+    assert.equal(mercosul.compartilhado, true);
+    assert.equal(mercosul.resultado.veiculoId, 'consulta-1');
+  });
+
+  it('responde com a consulta obsoleta e agenda a revalidação sem chamar o provedor', async () => {
+    const ttl = Math.min(cacheService.obterTtl('cadastro'), cacheService.obterTtl('fipe'));
+    mock.method(Vehicle, 'findLatestByPlaca', async () => ({
+      _id: 'consulta-1',
+      placa: 'ABC1D23',
+      marca: 'FIAT',
+      dataConsulta: new Date(Date.now() - ttl - HORA_MS),
+      toObject() { return { placa: this.placa, marca: this.marca, dataConsulta: this.dataConsulta }; }
+    }));
+    mock.method(usoService, 'reservar', async () => null);
+    mock.method(usoService, 'registrar', async () => {});
+    const agendar = mock.method(consultaService, 'agendarRevalidacao', () => {});
+    const consultarApi = mock.method(consultaService, 'consultarApi', async () => ({}));
+
+    const { veiculoData } = await consultaService.resolverVeiculo('ABC1D23');
+
+    assert.equal(veiculoData.cache.situacao, 'obsoleto');
+    assert.equal(veiculoData.cache.revalidando, true);
+    assert.deepEqual(agendar.mock.calls[0].arguments, ['ABC1D23']);
+    assert.equal(consultarApi.mock.callCount(), 0);
+  });
+});
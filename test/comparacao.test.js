@@ -0,0 +1,58 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const comparacaoService = require('../services/comparacaoService');
+const consultaService = require('../services/consultaService');
+const { ErroPlacaInvalida, ErroPlacaNaoEncontrada } = require('../utils/erros');
+
+describe('comparacaoService.extrairPlacas', () => {
+  it('normaliza e descarta repetidas, inclusive a grafia Mercosul da mesma placa', () => {
+    assert.deepEqual(comparacaoService.extrairPlacas('abc-1234, ABC1C34,def5g67,,DEF5G67'), ['ABC1234', 'DEF5G67']);
+    assert.deepEqual(comparacaoService.extrairPlacas(['ABC1234', 'XYZ9876']), ['ABC1234', 'XYZ9876']);
+  });
+});
+
+describe('comparacaoService.comparar', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('calcula a diferença para o mais barato e marca os campos divergentes', async () => {
+    const resumos = {
+      ABC1234: { placa: 'ABC1234', marca: 'FIAT', modelo: 'UNO', ano: 2015, valorFipe: 32000, valorEstimado: 30000 },
+      DEF5G67: { placa: 'DEF5G67', marca: 'fiat', modelo: 'PALIO', ano: 2015, valorFipe: 36000, valorEstimado: null }
+    };
+    mock.method(comparacaoService, 'obterVeiculo', async placa => ({ ...resumos[placa] }));
+
+    const { veiculos, campos, maisBarato, erros } = await comparacaoService.comparar(['ABC1234', 'DEF5G67']);
+
+    assert.equal(maisBarato, 'ABC1234');
+    assert.deepEqual(erros, []);
+    assert.equal(veiculos[0].diferencaMaisBarato.valor, 0);
+    // Sem valor estimado, compara pela FIPE
+    const { valor, percentual, referencia } = veiculos[1].diferencaMaisBarato;
+    assert.deepEqual({ valor, percentual, referencia }, { valor: 6000, percentual: 20, referencia: 'valorFipe' });
+
+    const diferentes = campos.filter(campo => campo.diferente).map(campo => campo.campo);
+    assert.deepEqual(diferentes, ['modelo', 'valorFipe', 'valorEstimado']);
+  });
+
+  it('devolve a falha de uma placa em erros sem interromper as demais', async () => {
+    mock.method(consultaService, 'obterVeiculo', async placa => {
+      if (placa === 'DEF5G67') throw new ErroPlacaNaoEncontrada();
+      return { veiculoData: { placa, marca: 'FIAT', modelo: 'UNO', precosOlx: [] }, veiculoId: 'consulta-1' };
+    });
+    mock.method(comparacaoService, 'completarPrecosMercado', async () => {});
+
+    const { veiculos, erros } = await comparacaoService.comparar(['ABC1234', 'DEF5G67']);
+
+    assert.deepEqual(veiculos.map(veiculo => veiculo.placa), ['ABC1234']);
+    assert.equal(erros.length, 1);
+    assert.equal(erros[0].placa, 'DEF5G67');
+    assert.equal(erros[0].codigo, 'PLACA_NAO_ENCONTRADA');
+  });
+
+  it('rejeita a comparação inteira se uma placa tiver formato inválido', async () => {
+    const obterVeiculo = mock.method(consultaService, 'obterVeiculo', async () => ({}));
+
+    await assert.rejects(comparacaoService.comparar(['ABC1234', 'AB12']), ErroPlacaInvalida);
+    assert.equal(obterVeiculo.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Vehicle = require('../models/Vehicle');
+const consultaController = require('../controllers/consultaController');
+
+describe('consultaController.listarConsultas', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const listar = async query => {
+    const resposta = { statusCode: 200, corpo: null };
+    const res = {
+      status(codigo) {
+        resposta.statusCode = codigo;
+        return this;
+      },
+      json(corpo) {
+        resposta.corpo = corpo;
+        return this;
+      }
+    };
+    const next = mock.fn();
+
+    await consultaController.listarConsultas({ query, cliente: { admin: true } }, res, next);
+
+    assert.equal(next.mock.callCount(), 0, 'não deve cair no tratador de erros (500)');
+    return resposta;
+  };
+
+  it('responde 400 para parâmetros repetidos ou em formato de objeto', async () => {
+    const find = mock.method(Vehicle, 'find', () => {
+      throw new Error('não deveria consultar o banco');
+    });
+
+    for (const query of [
+      { ordenar: ['dataConsulta', 'placa'] },
+      { marca: ['VW', 'FIAT'] },
+      { marca: { $ne: null } },
+      { busca: ['gol'] },
+      { cursor: ['abc'] }
+    ]) {
+      const { statusCode, corpo } = await listar(query);
+      assert.equal(statusCode, 400, JSON.stringify(query));
+      assert.equal(corpo.error, 'Filtro inválido');
+    }
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('aceita os filtros em texto', async () => {
+    const find = mock.method(Vehicle, 'find', () => ({
+      sort: () => ({ limit: () => ({ select: () => ({ lean: async () => [] }) }) })
+    }));
+
+    const { statusCode, corpo } = await listar({ marca: ' vw ', ordenar: '-placa', limit: '5' });
+
+    assert.equal(statusCode, 200);
+    assert.equal(find.mock.calls[0].arguments[0].marca, 'VW');
+    assert.deepEqual(corpo.pagination, { limit: 5, ordenar: '-placa', temMais: false, proximoCursor: null });
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { codificarCursor, decodificarCursor, filtroAposCursor } = require('../utils/cursor');
+
+describe('utils/cursor', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  it('lê de volta o cursor gerado para valores de texto, número, data e nulo', () => {
+    const data = new Date('2024-06-01T12:00:00Z');
+
+    assert.equal(decodificarCursor(codificarCursor({ _id: id, marca: 'VW' }, 'marca')).valor, 'VW');
+    assert.equal(decodificarCursor(codificarCursor({ _id: id, valorFipeNumero: 41500 }, 'valorFipeNumero')).valor, 41500);
+    assert.deepEqual(decodificarCursor(codificarCursor({ _id: id, dataConsulta: data }, 'dataConsulta')).valor, data);
+    assert.equal(decodificarCursor(codificarCursor({ _id: id }, 'placa')).valor, null);
+    assert.ok(decodificarCursor(codificarCursor({ _id: id }, 'placa')).id.equals(id));
+  });
+
+  // Cursores montados à mão, como um cliente poderia enviar
+  it('recusa valores que não são escalares', () => {
+    [
+      { v: { $ne: null }, d: false, id: String(id) },
+      { v: { $gt: '' }, d: false, id: String(id) },
+      { v: ['VW'], d: false, id: String(id) }
+    ].forEach(conteudo => {
+      const cursor = Buffer.from(JSON.stringify(conteudo)).toString('base64url');
+      assert.equal(decodificarCursor(cursor), null, JSON.stringify(conteudo));
+    });
+  });
+
+  it('recusa datas inválidas, ids inválidos e conteúdo que não é JSON', () => {
+    [
+      { v: 'ontem', d: true, id: String(id) },
+      { v: 5, d: true, id: String(id) },
+      { v: 'VW', d: false, id: { $ne: null } },
+      { v: 'VW', d: false, id: 'abc' }
+    ].forEach(conteudo => {
+      const cursor = Buffer.from(JSON.stringify(conteudo)).toString('base64url');
+      assert.equal(decodificarCursor(cursor), null, JSON.stringify(conteudo));
+    });
+    assert.equal(decodificarCursor('não é base64'), null);
+  });
+
+  it('monta o filtro da próxima página com o _id como desempate', () => {
+    assert.deepEqual(filtroAposCursor('marca', 1, { valor: 'VW', id }), {
+      $or: [{ marca: { $gt: 'VW' } }, { marca: 'VW', _id: { $gt: id } }]
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Uso = require('../models/Uso');
+const Vehicle = require('../models/Vehicle');
+const estatisticaService = require('../services/estatisticaService');
+const consultaController = require('../controllers/consultaController');
+
+describe('estatisticaService.montarSerie', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('calcula as taxas de cache e de erro da API por período e no total', async () => {
+    let pipeline;
+    mock.method(Uso, 'aggregate', async etapas => {
+      pipeline = etapas;
+      return [
+        { _id: '2026-W41', total: 10, cache: 4, api: 6, erros: 2 },
+        { _id: '2026-W42', total: 0, cache: 0, api: 0, erros: 0 }
+      ];
+    });
+
+    const { serie, totais } = await estatisticaService.montarSerie({
+      de: '2026-10-05', ate: '2026-10-18', agrupamento: 'semana', clienteId: 'cliente-1'
+    });
+
+    assert.deepEqual(pipeline[0].$match, { dia: { $gte: '2026-10-05', $lte: '2026-10-18' }, cliente: 'cliente-1' });
+    assert.equal(pipeline[1].$group._id.$dateToString.format, '%G-W%V');
+    assert.deepEqual(serie[0], { periodo: '2026-W41', total: 10, cache: 4, api: 6, erros: 2, taxaCache: 40, taxaErroApi: 25 });
+    assert.equal(serie[1].taxaCache, null);
+    assert.equal(serie[1].taxaErroApi, null);
+    assert.deepEqual(totais, { total: 10, cache: 4, api: 6, erros: 2, taxaCache: 40, taxaErroApi: 25 });
+  });
+});
+
+describe('estatisticaService.resumirBuscasMercado', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('conta sem resultados como sucesso e deixa as pendentes fora da taxa', async () => {
+    mock.method(Vehicle, 'aggregate', async () => [
+      { _id: 'concluido', total: 6 },
+      { _id: 'sem_resultados', total: 1 },
+      { _id: 'falhou', total: 1 },
+      { _id: 'pendente', total: 2 }
+    ]);
+
+    const mercado = await estatisticaService.resumirBuscasMercado({});
+
+    assert.deepEqual(mercado, {
+      buscas: 10,
+      porStatus: { concluido: 6, sem_resultados: 1, falhou: 1, pendente: 2 },
+      taxaSucesso: 87.5
+    });
+  });
+});
+
+describe('consultaController.estatisticas', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('restringe o uso ao próprio cliente, limita o top e valida o agrupamento', async () => {
+    const obter = mock.method(estatisticaService, 'obter', async () => ({}));
+    const res = {
+      status(codigo) { this.statusCode = codigo; return this; },
+      json(corpo) { this.body = corpo; return this; }
+    };
+
+    await consultaController.estatisticas(
+      { query: { de: '2026-10-01', ate: '2026-10-18', top: '500' }, cliente: { _id: 'cliente-1', admin: false } },
+      res,
+      mock.fn()
+    );
+    const filtros = obter.mock.calls[0].arguments[0];
+    assert.equal(filtros.clienteId, 'cliente-1');
+    assert.equal(filtros.top, 50);
+    assert.equal(filtros.agrupamento, 'dia');
+
+    await consultaController.estatisticas({ query: { agrupamento: 'ano' }, cliente: { admin: true } }, res, mock.fn());
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Agrupamento inválido');
+    assert.equal(obter.mock.callCount(), 1);
+  });
+});
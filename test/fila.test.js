@@ -0,0 +1,116 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Tarefa = require('../models/Tarefa');
+const filaService = require('../services/filaService');
+
+describe('filaService.executar', () => {
+  let processar;
+
+  beforeEach(() => {
+    processar = mock.fn(async () => ({ ok: true }));
+    filaService.registrar('teste', processar, { backoffMs: 1000 });
+    filaService.finalizacoesPendentes = [];
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('grava a conclusão quando o processador termina', async () => {
+    const updateOne = mock.method(Tarefa, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const tarefa = { _id: 'tarefa-1', tipo: 'teste', tentativas: 1, maxTentativas: 3 };
+
+    await filaService.executar(tarefa);
+
+    assert.equal(processar.mock.callCount(), 1);
+    assert.equal(updateOne.mock.callCount(), 1);
+    assert.equal(updateOne.mock.calls[0].arguments[1].$set.status, 'concluido');
+  });
+
+  it('não reprocessa nem rejeita quando a gravação da conclusão falha', async () => {
+    mock.method(Tarefa, 'updateOne', async () => {
+      throw new Error('MongoDB indisponível');
+    });
+    mock.method(console, 'warn', () => {});
+    const tarefa = { _id: 'tarefa-2', tipo: 'teste', tentativas: 1, maxTentativas: 3 };
+
+    await filaService.executar(tarefa);
+
+    assert.equal(processar.mock.callCount(), 1);
+    assert.equal(filaService.finalizacoesPendentes.length, 1);
+    assert.equal(filaService.finalizacoesPendentes[0].atualizacao.$set.status, 'concluido');
+  });
+
+  it('regrava na rodada seguinte os fins pendentes e avisa quem aguarda a tarefa', async () => {
+    let falhar = true;
+    const updateOne = mock.method(Tarefa, 'updateOne', async () => {
+      if (falhar) throw new Error('MongoDB indisponível');
+      return { modifiedCount: 1 };
+    });
+    mock.method(console, 'warn', () => {});
+    const tarefa = { _id: 'tarefa-3', tipo: 'teste', tentativas: 1, maxTentativas: 3 };
+
+    await filaService.executar(tarefa);
+    falhar = false;
+
+    const fim = mock.fn();
+    filaService.eventos.once(`fim:${tarefa._id}`, fim);
+    await filaService.gravarFinalizacoesPendentes();
+
+    assert.equal(updateOne.mock.callCount(), 2);
+    assert.equal(updateOne.mock.calls[1].arguments[1].$set.status, 'concluido');
+    assert.equal(filaService.finalizacoesPendentes.length, 0);
+    assert.equal(fim.mock.callCount(), 1);
+    assert.equal(processar.mock.callCount(), 1);
+  });
+
+  it('não rejeita quando a gravação de uma falha do processador também falha', async () => {
+    processar.mock.mockImplementation(async () => {
+      throw new Error('site fora do ar');
+    });
+    mock.method(Tarefa, 'updateOne', async () => {
+      throw new Error('MongoDB indisponível');
+    });
+    mock.method(console, 'warn', () => {});
+
+    await filaService.executar({ _id: 'tarefa-4', tipo: 'teste', tentativas: 1, maxTentativas: 3 });
+
+    assert.equal(filaService.finalizacoesPendentes.length, 1);
+    assert.equal(filaService.finalizacoesPendentes[0].atualizacao.$set.status, 'pendente');
+  });
+});
+
+describe('filaService.verificar', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    filaService.tipos = {};
+    filaService.ativas = {};
+  });
+
+  it('não deixa rejeição sem tratamento quando uma execução falha', async () => {
+    filaService.tipos = {};
+    filaService.ativas = {};
+    filaService.registrar('teste', async () => null);
+    filaService.finalizacoesPendentes = [];
+
+    let reservas = 0;
+    mock.method(filaService, 'recuperarAbandonadas', async () => {});
+    mock.method(filaService, 'reservar', async () => (reservas++ === 0 ? { _id: 'tarefa-5', tipo: 'teste', tentativas: 1, maxTentativas: 3 } : null));
+    mock.method(filaService, 'executar', async () => {
+      throw new Error('falha inesperada');
+    });
+    const warn = mock.method(console, 'warn', () => {});
+
+    const rejeicoes = [];
+    const aoRejeitar = motivo => rejeicoes.push(motivo);
+    process.on('unhandledRejection', aoRejeitar);
+
+    await filaService.verificar();
+    await new Promise(resolve => setImmediate(resolve));
+    process.off('unhandledRejection', aoRejeitar);
+
+    assert.deepEqual(rejeicoes, []);
+    assert.equal(filaService.ativas.teste, 0);
+    assert.ok(warn.mock.calls.some(chamada => /falha inesperada/.test(chamada.arguments[1])));
+  });
+});
@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fipeService = require('../services/fipeService');
+
+describe('fipeService.lerValor', () => {
+  it('lê pontos em grupos de três dígitos como separador de milhar', () => {
+    assert.equal(fipeService.lerValor('28.890'), 28890);
+    assert.equal(fipeService.lerValor('1.028.890'), 1028890);
+    assert.equal(fipeService.lerValor('100.000'), 100000);
+  });
+
+  it('mantém o ponto decimal dos valores sem agrupamento', () => {
+    assert.equal(fipeService.lerValor('28890.00'), 28890);
+    assert.equal(fipeService.lerValor('28890.5'), 28890.5);
+    assert.equal(fipeService.lerValor('28890'), 28890);
+  });
+
+  it('aceita números e o formato brasileiro com R$', () => {
+    assert.equal(fipeService.lerValor(28890), 28890);
+    assert.equal(fipeService.lerValor('R$ 28.890,00'), 28890);
+    assert.equal(fipeService.lerValor(' 28.890,50 '), 28890.5);
+    assert.equal(fipeService.lerValor(''), null);
+    assert.equal(fipeService.lerValor(null), null);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const PrecoSnapshot = require('../models/PrecoSnapshot');
+const historicoPrecoService = require('../services/historicoPrecoService');
+
+describe('historicoPrecoService.obterHistorico', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('agrupa por mês pela mediana e calcula variação e depreciação composta', async () => {
+    const snapshots = [
+      { registradoEm: '2026-01-05T10:00:00Z', valorFipe: 50000, mercado: { mediana: 48000 } },
+      { registradoEm: '2026-01-20T10:00:00Z', valorFipe: 52000, mercado: { mediana: 50000 } },
+      { registradoEm: '2026-02-10T10:00:00Z', valorFipe: 50000, mercado: null },
+      {
+        registradoEm: '2026-03-10T10:00:00Z', valorFipe: 48020, mercado: { mediana: 45000 },
+        marca: 'volkswagen', modelo: 'gol', anoModelo: 2015, descricao: 'VW GOL'
+      }
+    ];
+    let filtro;
+    mock.method(PrecoSnapshot, 'find', consulta => {
+      filtro = consulta;
+      return { sort: () => ({ select: () => ({ lean: async () => snapshots }) }) };
+    });
+
+    const historico = await historicoPrecoService.obterHistorico('volkswagen-gol-2015', { meses: 6 });
+
+    assert.equal(filtro.modeloId, 'volkswagen-gol-2015');
+    assert.equal(historico.descricao, 'VW GOL');
+    assert.deepEqual(historico.serie.map(ponto => [ponto.mes, ponto.amostras, ponto.fipe.valor, ponto.mercado.valor]), [
+      ['2026-01', 2, 51000, 49000],
+      ['2026-02', 1, 50000, null],
+      ['2026-03', 1, 48020, 45000]
+    ]);
+    assert.equal(historico.serie[0].fipe.variacaoPercentual, null);
+    assert.equal(historico.serie[1].fipe.variacaoPercentual, -1.96);
+    assert.equal(historico.serie[2].mercado.variacaoPercentual, null);
+
+    // 51000 -> 48020 em 2 meses; o mercado pula fevereiro (sem anúncios)
+    assert.deepEqual(historico.depreciacao.fipe, { mensalPercentual: 2.97, totalPercentual: 5.84, meses: 2, de: '2026-01', ate: '2026-03' });
+    assert.equal(historico.depreciacao.mercado.totalPercentual, 8.16);
+  });
+
+  it('retorna null para modelo sem registros no período', async () => {
+    mock.method(PrecoSnapshot, 'find', () => ({ sort: () => ({ select: () => ({ lean: async () => [] }) }) }));
+
+    assert.equal(await historicoPrecoService.obterHistorico('fiat-uno-2010'), null);
+  });
+});
+
+describe('historicoPrecoService.registrar', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('grava um snapshot por consulta e dia sem apagar o mercado quando a busca ainda não terminou', async () => {
+    const gravacoes = mock.method(PrecoSnapshot, 'updateOne', async () => ({}));
+    const veiculoData = {
+      marca: 'VOLKSWAGEN',
+      modelo: 'GOL 1.0',
+      anoModelo: '2015',
+      dadosFipe: [{ codigo_fipe: '005340-6', texto_valor: 'R$ 32.500,00', mes_referencia: 'outubro de 2026', score: 100 }]
+    };
+
+    await historicoPrecoService.registrar(veiculoData, 'consulta-1');
+
+    const [filtro, { $set: campos }] = gravacoes.mock.calls[0].arguments;
+    assert.deepEqual(filtro, { consulta: 'consulta-1', dia: new Date().toISOString().slice(0, 10) });
+    assert.equal(campos.modeloId, 'volkswagen-gol-2015');
+    assert.equal(campos.valorFipe, 32500);
+    assert.equal('mercado' in campos, false);
+  });
+});
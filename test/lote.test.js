@@ -0,0 +1,161 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Lote = require('../models/Lote');
+const loteService = require('../services/loteService');
+const consultaService = require('../services/consultaService');
+const avaliacaoService = require('../services/avaliacaoService');
+const filaService = require('../services/filaService');
+
+describe('loteService.processarLote', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('segue para as próximas placas quando a gravação do andamento falha', async () => {
+    mock.method(consultaService, 'obterVeiculo', async placa => ({ veiculoData: { marca: 'VW', placa }, veiculoId: placa }));
+    mock.method(avaliacaoService, 'calcularValorReal', () => null);
+    const warn = mock.method(console, 'warn', () => {});
+
+    let gravacoes = 0;
+    const lote = {
+      _id: 'lote-1', status: 'pendente', processados: 0, sucessos: 0, erros: 0,
+      itens: [
+        { linha: 1, placaInformada: 'ABC1D23', placa: 'ABC1D23', status: 'pendente' },
+        { linha: 2, placaInformada: 'DEF4G56', placa: 'DEF4G56', status: 'pendente' }
+      ],
+      save: async () => {
+        if (++gravacoes === 2) throw new Error('MongoDB indisponível');
+      }
+    };
+
+    await loteService.processarLote(lote);
+
+    assert.equal(lote.status, 'concluido');
+    assert.equal(lote.sucessos, 2);
+    assert.deepEqual(lote.itens.map(item => item.status), ['sucesso', 'sucesso']);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it('para quando a reserva da tarefa passou para outro servidor', async () => {
+    const obterVeiculo = mock.method(consultaService, 'obterVeiculo', async () => ({ veiculoData: {}, veiculoId: null }));
+    mock.method(avaliacaoService, 'calcularValorReal', () => null);
+    mock.method(filaService, 'renovar', async () => false);
+    const lote = {
+      _id: 'lote-1', status: 'pendente', processados: 0, sucessos: 0, erros: 0,
+      itens: [
+        { linha: 1, placaInformada: 'ABC1D23', placa: 'ABC1D23', status: 'pendente' },
+        { linha: 2, placaInformada: 'DEF4G56', placa: 'DEF4G56', status: 'pendente' }
+      ],
+      save: async () => {}
+    };
+
+    await loteService.processarLote(lote, { _id: 'tarefa-1' });
+
+    assert.equal(obterVeiculo.mock.callCount(), 1);
+    assert.equal(lote.status, 'processando');
+  });
+});
+
+describe('loteService.processarTarefa', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('marca o lote como falho na última tentativa', async () => {
+    // Lote sem banco cuja gravação do andamento falha
+    const lote = {
+      _id: 'lote-1', status: 'pendente', processados: 0, sucessos: 0, erros: 0,
+      itens: [{ linha: 1, placaInformada: 'ABC1D23', placa: 'ABC1D23', status: 'pendente' }],
+      save: async () => {
+        throw new Error('MongoDB indisponível');
+      }
+    };
+    mock.method(Lote, 'findById', async () => lote);
+    const updateOne = mock.method(Lote, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await assert.rejects(
+      loteService.processarTarefa({ dados: { loteId: lote._id }, tentativas: 3, maxTentativas: 3 }),
+      /MongoDB indisponível/
+    );
+
+    assert.equal(updateOne.mock.callCount(), 1);
+    assert.equal(updateOne.mock.calls[0].arguments[1].$set.status, 'falhou');
+    assert.equal(updateOne.mock.calls[0].arguments[1].$set.erroProcessamento, 'MongoDB indisponível');
+  });
+
+  it('mantém o lote em aberto enquanto restam tentativas', async () => {
+    const lote = {
+      _id: 'lote-1', status: 'pendente', processados: 0, sucessos: 0, erros: 0,
+      itens: [{ linha: 1, placaInformada: 'ABC1D23', placa: 'ABC1D23', status: 'pendente' }],
+      save: async () => {
+        throw new Error('MongoDB indisponível');
+      }
+    };
+    mock.method(Lote, 'findById', async () => lote);
+    const updateOne = mock.method(Lote, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await assert.rejects(loteService.processarTarefa({ dados: { loteId: lote._id }, tentativas: 1, maxTentativas: 3 }));
+
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it('ignora lotes já concluídos', async () => {
+    const concluido = { _id: 'lote-2', status: 'concluido', itens: [], save: mock.fn(async () => {}) };
+    mock.method(Lote, 'findById', async () => concluido);
+
+    assert.deepEqual(await loteService.processarTarefa({ dados: { loteId: concluido._id } }), { status: 'ignorado' });
+    assert.equal(concluido.save.mock.callCount(), 0);
+  });
+});
+
+describe('loteService.retomarLotes', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('agenda os lotes em aberto e conta só as tarefas novas', async () => {
+    mock.method(Lote, 'find', () => ({
+      select: () => ({ lean: async () => [{ _id: 'a' }, { _id: 'b' }] })
+    }));
+    const enfileirar = mock.method(filaService, 'enfileirar', async (tipo, dados) => ({ criada: dados.loteId === 'a' }));
+
+    assert.equal(await loteService.retomarLotes(), 1);
+    assert.deepEqual(enfileirar.mock.calls.map(chamada => chamada.arguments[2].chave), ['lote:a', 'lote:b']);
+  });
+});
+
+describe('loteService.lerCsv', () => {
+  it('lê a primeira coluna de CSVs do Excel (";", aspas e BOM)', () => {
+    const csv = '\uFEFFPlaca;Observação\r\n"ABC-1234";"cliente; antigo"\r\nBRA2E19;"diz ""urgente"""\r\n\r\n';
+
+    assert.deepEqual(loteService.lerCsv(csv), ['ABC-1234', 'BRA2E19']);
+  });
+
+  it('aceita vírgula com campos entre aspas, tabulação e arquivo sem cabeçalho', () => {
+    assert.deepEqual(loteService.lerCsv('placa,obs\n"ABC1234","a, b"\nBRA2E19,c'), ['ABC1234', 'BRA2E19']);
+    assert.deepEqual(loteService.lerCsv('ABC1234\tx\nBRA2E19\ty'), ['ABC1234', 'BRA2E19']);
+    assert.deepEqual(loteService.lerCsv('ABC1234\nBRA2E19\n'), ['ABC1234', 'BRA2E19']);
+  });
+
+  it('não corta a placa numa vírgula entre aspas', () => {
+    assert.deepEqual(loteService.lerCsv('"ABC1234, cliente antigo";obs\nBRA2E19;x'), ['ABC1234, cliente antigo', 'BRA2E19']);
+  });
+});
+
+describe('loteService.gerarCsv', () => {
+  it('neutraliza textos que o Excel leria como fórmula', () => {
+    const csv = loteService.gerarCsv({
+      itens: [
+        { linha: 1, placaInformada: '=HYPERLINK("http://exemplo.com","x")', status: 'erro', erro: '+55 11 99999-0000' },
+        { linha: 2, placaInformada: '@SOMA(A1:A2)', placa: 'ABC1234', status: 'sucesso', modelo: '-GOL', valorFipe: 41500 }
+      ]
+    });
+    const [, primeira, segunda] = csv.split('\n');
+
+    assert.ok(primeira.startsWith('1,"\'=HYPERLINK(""http://exemplo.com"",""x"")",'));
+    assert.ok(primeira.includes(",'+55 11 99999-0000,"));
+    assert.ok(segunda.startsWith("2,'@SOMA(A1:A2),ABC1234,sucesso,"));
+    assert.ok(segunda.includes(",'-GOL,"));
+    assert.ok(segunda.includes(',41500,'));
+  });
+});
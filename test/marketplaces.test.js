@@ -0,0 +1,138 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const olxService = require('../services/olxService');
+const webmotorsService = require('../services/webmotorsService');
+const mercadoLivreService = require('../services/mercadoLivreService');
+const icarrosService = require('../services/icarrosService');
+
+/**
+ * Páginas de resultados salvas em test/fixtures/marketplaces (sem acesso à rede)
+ * @param {string} nome - Nome do arquivo sem extensão
+ * @returns {string} - HTML
+ */
+function lerFixture(nome) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'marketplaces', `${nome}.html`), 'utf8');
+}
+
+/**
+ * Campos comparáveis dos anúncios extraídos
+ * @param {Object[]} anuncios - Anúncios de analisarHtml
+ * @returns {Array[]}
+ */
+function resumirAnuncios(anuncios) {
+  return anuncios.map(anuncio => [anuncio.idExterno, anuncio.preco, anuncio.quilometragem, anuncio.cidade, anuncio.uf]);
+}
+
+describe('olxService.analisarHtml', () => {
+  const resultado = olxService.analisarHtml(lerFixture('olx'));
+
+  it('extrai os anúncios do __NEXT_DATA__, ignorando itens nulos e sem preço', () => {
+    assert.deepEqual(resumirAnuncios(resultado.anuncios), [
+      ['1234567801', 38900, 85000, 'São Paulo', 'SP'],
+      ['1234567802', 41500, 62000, 'Campinas', 'SP'],
+      ['1234567803', 39990, 98000, 'Belo Horizonte', 'MG'],
+      ['1234567801', 38900, null, 'São Paulo', 'SP'],
+      ['1234567804', 1500, null, 'Guarulhos', 'SP']
+    ]);
+    assert.ok(resultado.anuncios.every(anuncio => anuncio.fonte === 'olx'));
+    assert.equal(resultado.anuncios[0].dataPublicacao.toISOString(), '2024-06-01T12:00:00.000Z');
+  });
+
+  it('descarta duplicados e preços fora da faixa antes das estatísticas', () => {
+    assert.deepEqual(resultado.precos, [38900, 41500, 39990]);
+    assert.equal(resultado.quantidadeAnuncios, 3);
+    assert.deepEqual(resultado.descartados.motivos, { duplicado: 1, fora_da_faixa: 1 });
+    assert.equal(resultado.anuncios[3].motivoDescarte, 'duplicado');
+    assert.equal(resultado.anuncios[4].motivoDescarte, 'fora_da_faixa');
+    assert.equal(resultado.valores.mediana, 39990);
+  });
+});
+
+describe('webmotorsService.analisarHtml', () => {
+  const resultado = webmotorsService.analisarHtml(lerFixture('webmotors'));
+
+  it('extrai os anúncios dos cards', () => {
+    assert.deepEqual(resumirAnuncios(resultado.anuncios), [
+      ['53011223', 42490, 71300, 'Curitiba', 'PR'],
+      ['53011987', 45900, 58000, 'São Paulo', 'SP'],
+      ['53012450', 40000, 104500, 'Porto Alegre', 'RS']
+    ]);
+    assert.equal(
+      resultado.anuncios[0].url,
+      'https://www.webmotors.com.br/comprar/volkswagen/gol/10-mpi-trendline-8v-flex-4p-manual/4-portas/2015-2015/53011223/'
+    );
+  });
+
+  it('calcula as estatísticas dos preços', () => {
+    assert.equal(resultado.quantidadeAnuncios, 3);
+    assert.equal(resultado.valores.menor, 40000);
+    assert.equal(resultado.valores.maior, 45900);
+    assert.equal(resultado.descartados.total, 0);
+  });
+});
+
+describe('mercadoLivreService.analisarHtml', () => {
+  const resultado = mercadoLivreService.analisarHtml(lerFixture('mercadolivre'));
+
+  it('extrai os anúncios da lista de resultados', () => {
+    assert.deepEqual(resumirAnuncios(resultado.anuncios), [
+      ['MLB4123456789', 39800, 88000, 'Ribeirão Preto', 'SP'],
+      ['MLB4123456790', 44700, 67450, 'Goiânia', 'GO']
+    ]);
+    assert.equal(resultado.anuncios[1].titulo, 'Volkswagen Gol 1.6 Highline 2015');
+    assert.equal(resultado.quantidadeAnuncios, 2);
+  });
+});
+
+describe('icarrosService.analisarHtml', () => {
+  const resultado = icarrosService.analisarHtml(lerFixture('icarros'));
+
+  it('extrai os anúncios do JSON-LD, ignorando itens nulos e ofertas vazias', () => {
+    assert.deepEqual(resumirAnuncios(resultado.anuncios), [
+      ['43876001', 40990, 79000, 'Salvador', 'BA'],
+      ['43876003', 46500, 55200, null, null],
+      ['43876005', 45900, 91200, 'Feira de Santana', 'BA'],
+      ['43876006', 43750, null, null, null]
+    ]);
+    assert.equal(resultado.quantidadeAnuncios, 4);
+  });
+});
+
+describe('MarketplaceAdapter.extrairAnunciosJsonLd', () => {
+  /**
+   * Página com um único bloco JSON-LD
+   * @param {*} json - Conteúdo do bloco
+   * @returns {CheerioAPI}
+   */
+  const carregar = json => cheerio.load(`<script type="application/ld+json">${JSON.stringify(json)}</script>`);
+
+  it('ignora elementos nulos no array e na lista de ofertas', () => {
+    const $ = carregar([
+      null,
+      { '@type': 'Car', name: 'Sem oferta válida', offers: [null] },
+      { '@type': 'Car', name: 'Sem ofertas', offers: [] },
+      { '@type': 'Car', name: 'Gol', offers: [null, { price: 41000 }] }
+    ]);
+
+    const anuncios = icarrosService.extrairAnunciosJsonLd($);
+    assert.deepEqual(anuncios.map(anuncio => [anuncio.titulo, anuncio.preco]), [['Gol', 41000]]);
+  });
+
+  it('lê o preço decimal em texto do schema.org sem confundir com milhar', () => {
+    assert.equal(icarrosService.lerPrecoJsonLd('45900.00'), 45900);
+    assert.equal(icarrosService.lerPrecoJsonLd('45900'), 45900);
+    assert.equal(icarrosService.lerPrecoJsonLd('45900,50'), 45900.5);
+    assert.equal(icarrosService.lerPrecoJsonLd('45.900'), 45900);
+    assert.equal(icarrosService.lerPrecoJsonLd('R$ 45.900,00'), 45900);
+    assert.equal(icarrosService.lerPrecoJsonLd(45900), 45900);
+    assert.equal(icarrosService.lerPrecoJsonLd(null), null);
+  });
+
+  it('retorna vazio para páginas sem anúncios estruturados', () => {
+    assert.deepEqual(icarrosService.extrairAnunciosJsonLd(carregar({ '@type': 'WebSite' })), []);
+    assert.equal(icarrosService.analisarHtml('<html><body><p>Nenhum resultado</p></body></html>'), null);
+  });
+});
@@ -0,0 +1,148 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Anuncio = require('../models/Anuncio');
+const VersaoMercado = require('../models/VersaoMercado');
+const consultaService = require('../services/consultaService');
+const marketplaceService = require('../services/marketplaceService');
+const versaoMercadoService = require('../services/versaoMercadoService');
+const historicoPrecoService = require('../services/historicoPrecoService');
+
+describe('consultaService.executarBuscaMercado', () => {
+  const veiculoId = new mongoose.Types.ObjectId();
+  const veiculoData = { placa: 'ABC1D23', marca: 'VW', modelo: 'GOL 1.0', anoModelo: '2015' };
+  let insertMany;
+  let registrarVersao;
+  let registrarHistorico;
+
+  beforeEach(() => {
+    mock.method(marketplaceService, 'buscarPrecos', async () => ({
+      status: 'concluido',
+      precosMercado: { olx: { status: 'concluido', url: 'https://olx.com.br/gol', valores: { mediana: 40000 } } },
+      anuncios: [{ fonte: 'olx', idExterno: '1', preco: 40000 }],
+      erro: null
+    }));
+    mock.method(Vehicle, 'updateOne', async () => ({ modifiedCount: 1 }));
+    insertMany = mock.method(Anuncio, 'insertMany', async documentos => documentos);
+    mock.method(Anuncio, 'deleteMany', async () => ({ deletedCount: 0 }));
+    mock.method(Anuncio, 'exists', async () => null);
+    registrarVersao = mock.method(versaoMercadoService, 'registrar', async () => null);
+    registrarHistorico = mock.method(historicoPrecoService, 'registrar', async () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('busca substituída por outra mais recente não grava anúncios, versão nem histórico', async () => {
+    mock.method(Vehicle, 'findOneAndUpdate', () => ({ lean: async () => null }));
+
+    const resultado = await consultaService.executarBuscaMercado(veiculoData, veiculoId);
+
+    assert.equal(resultado.status, 'concluido');
+    assert.equal(insertMany.mock.callCount(), 0);
+    assert.equal(registrarVersao.mock.callCount(), 0);
+    assert.equal(registrarHistorico.mock.callCount(), 0);
+    // Só a marcação de pendente do início; o resultado não é gravado na consulta
+    assert.equal(Vehicle.updateOne.mock.callCount(), 1);
+  });
+
+  it('busca atual grava os anúncios com a versão e substitui os das versões anteriores', async () => {
+    mock.method(Vehicle, 'findOneAndUpdate', () => ({ lean: async () => ({ mercadoVersao: 3 }) }));
+
+    const resultado = await consultaService.executarBuscaMercado(veiculoData, veiculoId);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(resultado.precosOlx.versao, 3);
+    assert.equal(insertMany.mock.callCount(), 1);
+    const [documento] = insertMany.mock.calls[0].arguments[0];
+    assert.equal(documento.versao, 3);
+    assert.ok(documento.buscaId instanceof mongoose.Types.ObjectId);
+    assert.deepEqual(Anuncio.deleteMany.mock.calls[0].arguments[0], {
+      consulta: veiculoId,
+      $or: [{ versao: { $lt: 3 } }, { versao: null }]
+    });
+    assert.equal(registrarVersao.mock.calls[0].arguments[0].versao, 3);
+    assert.equal(registrarHistorico.mock.callCount(), 1);
+  });
+
+  it('busca que falhou mantém os anúncios da versão anterior', async () => {
+    marketplaceService.buscarPrecos.mock.mockImplementation(async () => ({
+      status: 'falhou', precosMercado: null, anuncios: [], erro: 'site fora do ar'
+    }));
+    mock.method(Vehicle, 'findOneAndUpdate', () => ({ lean: async () => ({ mercadoVersao: 2 }) }));
+
+    await consultaService.executarBuscaMercado(veiculoData, veiculoId);
+
+    assert.equal(insertMany.mock.callCount(), 0);
+    assert.equal(Anuncio.deleteMany.mock.callCount(), 0);
+    assert.equal(registrarVersao.mock.calls[0].arguments[0].status, 'falhou');
+  });
+});
+
+describe('consultaService.salvarAnuncios', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('descarta os anúncios gravados quando uma busca mais nova já gravou os seus', async () => {
+    const veiculoId = new mongoose.Types.ObjectId();
+    mock.method(Anuncio, 'insertMany', async documentos => documentos);
+    const deleteMany = mock.method(Anuncio, 'deleteMany', async () => ({ deletedCount: 0 }));
+    mock.method(Anuncio, 'exists', async () => ({ _id: 'mais-novo' }));
+
+    await consultaService.salvarAnuncios({ placa: 'ABC1D23' }, veiculoId, [{ preco: 40000 }], { buscaId: null, versao: 1 });
+
+    assert.deepEqual(deleteMany.mock.calls[1].arguments[0], { consulta: veiculoId, versao: 1 });
+  });
+});
+
+describe('versaoMercadoService', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('registra a versão com o resumo do mercado e de cada fonte, sem a lista de preços no resumo', async () => {
+    const create = mock.method(VersaoMercado, 'create', async documento => documento);
+    const precosMercado = {
+      olx: { status: 'concluido', url: 'https://olx.com.br/gol', quantidadeAnuncios: 3, valores: { menor: 38000, mediana: 40000, maior: 42000 }, precos: [38000, 40000, 42000] },
+      webmotors: { status: 'falhou', erro: 'timeout' }
+    };
+
+    const versao = await versaoMercadoService.registrar({ consultaId: 'consulta-1', placa: 'ABC1D23', versao: 2, status: 'concluido', precosMercado });
+
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(versao.versao, 2);
+    assert.deepEqual(versao.fontes, [
+      { fonte: 'olx', status: 'concluido', url: 'https://olx.com.br/gol', quantidadeAnuncios: 3, menor: 38000, mediana: 40000, maior: 42000, erro: null },
+      { fonte: 'webmotors', status: 'falhou', url: null, quantidadeAnuncios: 0, menor: null, mediana: null, maior: null, erro: 'timeout' }
+    ]);
+    assert.equal(await versaoMercadoService.registrar({ consultaId: 'consulta-1', versao: null }), null);
+  });
+
+  it('lista as versões em ordem de coleta com a variação da mediana sobre a última versão com preços', async () => {
+    let filtro;
+    mock.method(VersaoMercado, 'find', consulta => {
+      filtro = consulta;
+      return {
+        sort: () => ({
+          select: () => ({
+            lean: async () => [
+              { versao: 1, resumo: { mediana: 40000 } },
+              { versao: 2, resumo: null, status: 'falhou' },
+              { versao: 3, resumo: { mediana: 38000 } }
+            ]
+          })
+        })
+      };
+    });
+
+    const versoes = await versaoMercadoService.listarPorConsultas(['consulta-1', 'consulta-2']);
+
+    assert.deepEqual(filtro, { consulta: { $in: ['consulta-1', 'consulta-2'] } });
+    assert.deepEqual(versoes.map(versao => versao.variacaoPercentual), [null, null, -5]);
+    assert.deepEqual(await versaoMercadoService.listarPorConsultas([]), []);
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const normalizacaoService = require('../services/normalizacaoService');
+
+describe('normalizacaoService.separarMarcaModelo', () => {
+  it('separa marca e modelo na barra', () => {
+    assert.deepEqual(normalizacaoService.separarMarcaModelo('VW/GOL 1.0', ''), { marcaTexto: 'VW', modeloTexto: 'GOL 1.0' });
+    assert.deepEqual(normalizacaoService.separarMarcaModelo('', 'I/FIAT/ARGO DRIVE 1.0'), { marcaTexto: 'FIAT', modeloTexto: 'ARGO DRIVE 1.0' });
+  });
+
+  it('mantém inteiro o alias com barra ("HYUNDAI/CAOA")', () => {
+    assert.deepEqual(
+      normalizacaoService.separarMarcaModelo('HYUNDAI/CAOA/HB20 1.0', ''),
+      { marcaTexto: 'HYUNDAI/CAOA', modeloTexto: 'HB20 1.0' }
+    );
+    assert.deepEqual(
+      normalizacaoService.separarMarcaModelo('', 'HYUNDAI/CAOA HB20 1.0'),
+      { marcaTexto: 'HYUNDAI/CAOA', modeloTexto: 'HB20 1.0' }
+    );
+  });
+});
+
+describe('normalizacaoService.normalizar', () => {
+  it('resolve "HYUNDAI/CAOA" pelo alias', () => {
+    const { marca, modelo } = normalizacaoService.normalizar({ marca: 'HYUNDAI/CAOA', modelo: 'HB20 1.0M COMFORT' });
+
+    assert.equal(marca.slug, 'hyundai');
+    assert.equal(marca.metodo, 'alias');
+    assert.equal(modelo.slug, 'hb20');
+  });
+
+  it('resolve o modelo depois do alias com barra no campo marca', () => {
+    const { marca, modelo } = normalizacaoService.normalizar({ marca: 'HYUNDAI/CAOA/HB20 1.0M', modelo: '' });
+
+    assert.equal(marca.slug, 'hyundai');
+    assert.equal(modelo.slug, 'hb20');
+  });
+});
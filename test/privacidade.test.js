@@ -0,0 +1,59 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Vehicle = require('../models/Vehicle');
+const Anuncio = require('../models/Anuncio');
+const VersaoMercado = require('../models/VersaoMercado');
+const Avaliacao = require('../models/Avaliacao');
+const Lote = require('../models/Lote');
+const Tarefa = require('../models/Tarefa');
+const Auditoria = require('../models/Auditoria');
+const privacidadeService = require('../services/privacidadeService');
+
+describe('privacidadeService.proteger', () => {
+  const veiculoData = { placa: 'ABC1D23', chassi: '9BWAA05U0EP123456', renavam: '01234567890', dadosCompletos: { bruto: true } };
+
+  it('mascara chassi e renavam e remove a resposta bruta para clientes sem permissão', () => {
+    const protegido = privacidadeService.proteger(veiculoData, { admin: false });
+
+    assert.equal(protegido.chassi, '*************3456');
+    assert.equal(protegido.renavam, '*******7890');
+    assert.equal('dadosCompletos' in protegido, false);
+    assert.equal(veiculoData.chassi, '9BWAA05U0EP123456');
+  });
+
+  it('mantém os dados para administradores e clientes com dadosSensiveis', () => {
+    assert.equal(privacidadeService.proteger(veiculoData, { admin: true }), veiculoData);
+    assert.equal(privacidadeService.proteger(veiculoData, { dadosSensiveis: true }), veiculoData);
+  });
+});
+
+describe('privacidadeService.aplicarRetencao (anonimizar)', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('anula a placa em Anuncio, VersaoMercado e Avaliacao e os dados pessoais da consulta', async () => {
+    const ids = ['consulta-1', 'consulta-2'];
+    mock.method(Vehicle, 'find', () => ({ select: () => ({ limit: () => ({ lean: async () => ids.map(_id => ({ _id })) }) }) }));
+    const consultas = mock.method(Vehicle, 'updateMany', async () => ({ modifiedCount: 2 }));
+    const anuncios = mock.method(Anuncio, 'updateMany', async () => ({ modifiedCount: 7 }));
+    const versoes = mock.method(VersaoMercado, 'updateMany', async () => ({ modifiedCount: 2 }));
+    const avaliacoes = mock.method(Avaliacao, 'updateMany', async () => ({ modifiedCount: 1 }));
+    mock.method(Lote, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(Tarefa, 'deleteMany', async () => ({ deletedCount: 0 }));
+    const auditoria = mock.method(Auditoria, 'create', async () => ({}));
+
+    const registros = await privacidadeService.aplicarRetencao();
+
+    [anuncios, versoes, avaliacoes].forEach(({ mock: { calls } }) => {
+      assert.deepEqual(calls[0].arguments, [{ consulta: { $in: ids } }, { $set: { placa: null } }]);
+    });
+
+    const anonimizacao = consultas.mock.calls.find(chamada => chamada.arguments[0]._id);
+    const { $set } = anonimizacao.arguments[1];
+    ['placa', 'chassi', 'renavam', 'municipio', 'dadosCompletos'].forEach(campo => assert.equal($set[campo], null, campo));
+    assert.ok($set.anonimizadoEm instanceof Date);
+
+    assert.equal(registros.consultas, 2);
+    assert.equal(registros.anuncios, 7);
+    assert.equal(auditoria.mock.calls[0].arguments[0].acao, 'retencao');
+  });
+});
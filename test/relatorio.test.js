@@ -0,0 +1,85 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const relatorioService = require('../services/relatorioService');
+const consultaController = require('../controllers/consultaController');
+const fipeService = require('../services/fipeService');
+const Vehicle = require('../models/Vehicle');
+
+const veiculoData = {
+  placa: 'ABC1D23',
+  marca: 'VOLKSWAGEN',
+  modelo: 'GOL 1.0',
+  ano: 2014,
+  anoModelo: 2015,
+  uf: 'SP',
+  situacao: 'ROUBO/FURTO',
+  chassi: '9BWAA05U0EP123456',
+  renavam: '01234567890',
+  dataConsulta: new Date('2026-10-01T12:00:00Z'),
+  dadosFipe: [{ codigo_fipe: '005340-6', texto_modelo: 'Gol 1.0', texto_valor: 'R$ 32.500,00', mes_referencia: 'outubro de 2026', score: 90 }],
+  precosMercado: {
+    olx: { quantidadeAnuncios: 8, menorPreco: 'R$ 28.000', medianaPreco: 'R$ 31.000', mediaPreco: 'R$ 31.200', maiorPreco: 'R$ 35.000' }
+  }
+};
+
+describe('relatorioService.gerarPdf', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('gera um PDF com o cadastro mascarado, o nível de risco e as seções de valor', async () => {
+    const campos = mock.method(relatorioService, 'escreverCampo');
+    const titulos = mock.method(relatorioService, 'escreverTitulo');
+
+    const pdf = await relatorioService.gerarPdf(veiculoData);
+
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.match(pdf.subarray(-8).toString(), /%%EOF/);
+
+    const valores = Object.fromEntries(campos.mock.calls.map(chamada => chamada.arguments.slice(1)));
+    assert.equal(valores.Chassi, '*************3456');
+    assert.equal(valores.Renavam, '*******7890');
+    assert.equal(valores['Ano fabricação/modelo'], '2014/2015');
+    assert.equal(valores['Nível de risco'], 'critico');
+
+    assert.deepEqual(titulos.mock.calls.map(chamada => chamada.arguments[1]), [
+      'Dados cadastrais', 'Restrições e risco', 'Valor real estimado', 'Tabela FIPE', 'Preços de mercado'
+    ]);
+  });
+});
+
+describe('consultaController.relatorio', () => {
+  afterEach(() => mock.restoreAll());
+
+  const criarRes = () => ({
+    headers: {},
+    setHeader(nome, valor) { this.headers[nome] = valor; },
+    type(tipo) { this.tipo = tipo; return this; },
+    status(codigo) { this.statusCode = codigo; return this; },
+    json(corpo) { this.body = corpo; return this; },
+    send(corpo) { this.body = corpo; return this; }
+  });
+
+  it('responde o PDF da última consulta da placa', async () => {
+    mock.method(Vehicle, 'findLatestByPlaca', async () => ({ placa: 'ABC1D23', toObject: () => ({ ...veiculoData }) }));
+    mock.method(fipeService, 'complementar', async () => {});
+    mock.method(relatorioService, 'gerarPdf', async () => Buffer.from('%PDF-1.3'));
+    const res = criarRes();
+
+    await consultaController.relatorio({ params: { placa: 'ABC1D23' } }, res, mock.fn());
+
+    assert.equal(res.tipo, 'application/pdf');
+    assert.equal(res.headers['Content-Disposition'], 'inline; filename="relatorio-ABC1D23.pdf"');
+    assert.equal(res.body.toString(), '%PDF-1.3');
+  });
+
+  it('responde 404 sem consulta anterior da placa', async () => {
+    mock.method(Vehicle, 'findLatestByPlaca', async () => null);
+    const gerarPdf = mock.method(relatorioService, 'gerarPdf', async () => Buffer.alloc(0));
+    const res = criarRes();
+
+    await consultaController.relatorio({ params: { placa: 'ABC1D23' } }, res, mock.fn());
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(gerarPdf.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,140 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const riscoService = require('../services/riscoService');
+
+describe('riscoService.analisar', () => {
+  describe('situações negadas não geram restrição', () => {
+    [
+      'Sem restrição de roubo/furto',
+      'Sem registro de roubo/furto',
+      'Sem alerta de roubo ou furto',
+      'Roubo/Furto: Não',
+      'Roubo/Furto: N',
+      'NÃO CONSTA',
+      'Nada consta',
+      'Veículo não possui restrição',
+      'SEM RESTRICAO'
+    ].forEach(situacao => {
+      it(`"${situacao}"`, () => {
+        const { restricoes, risco } = riscoService.analisar({ situacao });
+
+        assert.deepEqual(restricoes, []);
+        assert.equal(risco.nivel, 'nenhum');
+        assert.equal(risco.rouboFurto, false);
+        assert.deepEqual(risco.avisos, []);
+      });
+    });
+
+    it('indicador de roubo/furto "N" no bloco extra', () => {
+      const { risco } = riscoService.analisar({
+        situacao: 'Sem restrição',
+        dadosCompletos: { extra: { roubo_furto: 'N', restricao_1: 'SEM RESTRICAO' } }
+      });
+
+      assert.equal(risco.nivel, 'nenhum');
+      assert.equal(risco.rouboFurto, false);
+    });
+  });
+
+  describe('restrições continuam detectadas', () => {
+    it('roubo/furto ativo é crítico', () => {
+      const { restricoes, risco } = riscoService.analisar({ situacao: 'ROUBO/FURTO' });
+
+      assert.equal(restricoes[0].tipo, 'roubo_furto');
+      assert.equal(risco.nivel, 'critico');
+      assert.equal(risco.rouboFurto, true);
+      assert.match(risco.avisos[0], /roubo\/furto ativo/);
+    });
+
+    it('"não recuperado" continua sendo roubo/furto ativo', () => {
+      const { risco } = riscoService.analisar({ situacao: 'ROUBO/FURTO - NAO RECUPERADO' });
+
+      assert.equal(risco.nivel, 'critico');
+      assert.equal(risco.rouboFurto, true);
+    });
+
+    it('veículo recuperado é alto, sem o indicador de roubo/furto ativo', () => {
+      const { restricoes, risco } = riscoService.analisar({ situacao: 'Recuperado de furto' });
+
+      assert.equal(restricoes[0].tipo, 'roubo_furto_recuperado');
+      assert.equal(risco.nivel, 'alto');
+      assert.equal(risco.rouboFurto, false);
+    });
+
+    it('indicador de roubo/furto "S" no bloco extra', () => {
+      const { risco } = riscoService.analisar({
+        situacao: 'Sem restrição',
+        dadosCompletos: { extra: { roubo_furto: 'S' } }
+      });
+
+      assert.equal(risco.nivel, 'critico');
+      assert.equal(risco.rouboFurto, true);
+    });
+
+    it('combina restrições e ordena os avisos pela gravidade', () => {
+      const { restricoes, risco } = riscoService.analisar({
+        situacao: 'Alienação fiduciária',
+        dadosCompletos: { extra: { restricao_1: 'RESTRICAO JUDICIAL RENAJUD', situacao_chassi: 'R' } }
+      });
+
+      assert.deepEqual(restricoes.map(r => r.tipo), ['judicial', 'chassi_remarcado', 'alienacao_fiduciaria']);
+      assert.equal(risco.nivel, 'alto');
+      assert.equal(risco.chassiRemarcado, true);
+      assert.equal(risco.avisos.length, 3);
+    });
+
+    it('texto não reconhecido vira "outra" com gravidade média', () => {
+      const { restricoes, risco } = riscoService.analisar({ situacao: 'Comunicação de venda' });
+
+      assert.equal(restricoes[0].tipo, 'outra');
+      assert.equal(risco.nivel, 'medio');
+    });
+  });
+
+  describe('textos combinados do provedor: a negação vale só para a própria cláusula', () => {
+    [
+      ['ROUBO/FURTO - SEM RESTRICAO JUDICIAL', ['roubo_furto'], 'critico', true],
+      ['Roubo/Furto - Sem restrição administrativa', ['roubo_furto'], 'critico', true],
+      ['ALERTA DE ROUBO/FURTO; NAO CONSTA ALIENACAO', ['roubo_furto'], 'critico', true],
+      ['ROUBO/FURTO - NAO RECUPERADO - SEM RESTRICAO JUDICIAL', ['roubo_furto'], 'critico', true],
+      ['Sem restrição, roubo/furto', ['roubo_furto'], 'critico', true],
+      ['RESTRICAO JUDICIAL - SEM REGISTRO DE ROUBO/FURTO', ['judicial'], 'alto', false],
+      ['SEM RESTRICAO DE ROUBO/FURTO, ALIENACAO FIDUCIARIA', ['alienacao_fiduciaria'], 'medio', false],
+      ['Nada consta roubo/furto. Restrição administrativa (DETRAN)', ['administrativa'], 'baixo', false],
+      ['SEM RESTRICAO DE ROUBO/FURTO - NAO POSSUI RESTRICAO JUDICIAL', [], 'nenhum', false],
+      ['NADA CONSTA / SEM RESTRICAO', [], 'nenhum', false]
+    ].forEach(([situacao, tipos, nivel, rouboFurto]) => {
+      it(`"${situacao}"`, () => {
+        const { restricoes, risco } = riscoService.analisar({ situacao });
+
+        assert.deepEqual(restricoes.map(r => r.tipo), tipos);
+        assert.equal(risco.nivel, nivel);
+        assert.equal(risco.rouboFurto, rouboFurto);
+      });
+    });
+
+    it('restrições do bloco extra com cláusula negada', () => {
+      const { restricoes, risco } = riscoService.analisar({
+        situacao: 'Sem restrição',
+        dadosCompletos: {
+          extra: {
+            restricao_1: 'ALIENACAO FIDUCIARIA - SEM RESERVA DE DOMINIO',
+            restricao_2: 'SEM RESTRICAO',
+            restricao_3: 'ROUBO/FURTO - SEM BLOQUEIO RENAJUD'
+          }
+        }
+      });
+
+      assert.deepEqual(restricoes.map(r => r.tipo), ['roubo_furto', 'alienacao_fiduciaria']);
+      assert.equal(risco.nivel, 'critico');
+      assert.equal(risco.rouboFurto, true);
+    });
+  });
+
+  it('sem situação informada o nível é indeterminado', () => {
+    const { risco } = riscoService.analisar({});
+
+    assert.equal(risco.nivel, 'indeterminado');
+    assert.equal(risco.avisos.length, 1);
+  });
+});
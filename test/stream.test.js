@@ -0,0 +1,59 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const consultaController = require('../controllers/consultaController');
+const consultaService = require('../services/consultaService');
+const { ErroPlacaInvalida, ErroProvedorIndisponivel } = require('../utils/erros');
+
+describe('consultaController.stream', () => {
+  afterEach(() => mock.restoreAll());
+
+  const abrir = async (placa, obterVeiculo) => {
+    mock.method(consultaService, 'obterVeiculo', obterVeiculo);
+    mock.method(console, 'error', () => {});
+
+    const saida = [];
+    const req = Object.assign(new EventEmitter(), { params: { placa }, query: {}, cliente: { _id: 'cliente-1' } });
+    const res = {
+      status() { return this; },
+      set(cabecalhos) { this.cabecalhos = cabecalhos; return this; },
+      flushHeaders() {},
+      write(trecho) { saida.push(trecho); },
+      end() { saida.push(null); }
+    };
+
+    await consultaController.stream(req, res);
+
+    // Cada evento vira { evento, dados }; o fim do stream vira 'fim'
+    const eventos = saida.map(trecho => {
+      if (trecho === null) return 'fim';
+      const [, evento, dados] = /event: (.+)\ndata: (.+)\n\n$/.exec(trecho);
+      return { evento, dados: JSON.parse(dados) };
+    });
+    return { eventos, res };
+  };
+
+  it('emite erro seguido do fim do stream para placa inválida', async () => {
+    const obterVeiculo = mock.fn(async () => ({}));
+    const { eventos, res } = await abrir('AB-12', obterVeiculo);
+
+    assert.equal(res.cabecalhos['Content-Type'], 'text/event-stream; charset=utf-8');
+    assert.deepEqual(eventos, [
+      { evento: 'validacao', dados: { placa: 'AB12', valida: false } },
+      { evento: 'erro', dados: { error: new ErroPlacaInvalida().message, codigo: 'PLACA_INVALIDA', status: 400 } },
+      'fim'
+    ]);
+    assert.equal(obterVeiculo.mock.callCount(), 0);
+  });
+
+  it('repassa as etapas da consulta e encerra com erro quando o provedor falha', async () => {
+    const { eventos } = await abrir('abc1d23', async (placa, opcoes) => {
+      opcoes.aoProgredir('cache', { encontrado: false });
+      throw new ErroProvedorIndisponivel();
+    });
+
+    assert.deepEqual(eventos.map(evento => evento.evento || evento), ['validacao', 'cache', 'erro', 'fim']);
+    assert.equal(eventos[2].dados.codigo, 'PROVEDOR_INDISPONIVEL');
+    assert.equal(eventos[2].dados.status, 502);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Uso = require('../models/Uso');
+const Cliente = require('../models/Cliente');
+const Vehicle = require('../models/Vehicle');
+const usoService = require('../services/usoService');
+const consultaService = require('../services/consultaService');
+const { ErroCotaExcedida, ErroProvedorIndisponivel } = require('../utils/erros');
+
+const clienteId = '665f00000000000000000001';
+
+describe('usoService.reservar', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('incrementa o total só se o documento do dia ainda couber no limite diário', async () => {
+    mock.method(Cliente, 'findById', () => ({ select: () => ({ lean: async () => ({ limiteDiario: 10 }) }) }));
+    const atualizacoes = mock.method(Uso, 'updateOne', async () => ({ matchedCount: 1 }));
+
+    const reserva = await usoService.reservar(clienteId);
+
+    assert.deepEqual(reserva, { dia: usoService.obterDia(), quantidade: 1 });
+    const [filtro, alteracao] = atualizacoes.mock.calls[1].arguments;
+    assert.deepEqual(filtro, { cliente: clienteId, dia: reserva.dia, total: { $lte: 9 } });
+    assert.deepEqual(alteracao, { $inc: { total: 1 } });
+  });
+
+  it('lança COTA_EXCEDIDA com Retry-After quando o $inc condicional não encontra o documento', async () => {
+    mock.method(Cliente, 'findById', () => ({ select: () => ({ lean: async () => ({ limiteDiario: 10 }) }) }));
+    mock.method(Uso, 'updateOne', async (filtro) => ({ matchedCount: filtro.total ? 0 : 1 }));
+
+    await assert.rejects(usoService.reservar(clienteId), erro => {
+      assert.ok(erro instanceof ErroCotaExcedida);
+      assert.equal(erro.status, 429);
+      assert.equal(erro.codigo, 'COTA_EXCEDIDA');
+      assert.ok(erro.retryAfter >= 1);
+      assert.match(erro.message, /Cota diaria de 10 consultas esgotada/);
+      return true;
+    });
+  });
+
+  it('desfaz o incremento quando o mês passa do limite mensal', async () => {
+    mock.method(Cliente, 'findById', () => ({ select: () => ({ lean: async () => ({ limiteMensal: 100 }) }) }));
+    const atualizacoes = mock.method(Uso, 'updateOne', async () => ({ matchedCount: 1 }));
+    mock.method(usoService, 'obterConsumo', async () => ({ diario: 4, mensal: 101 }));
+
+    await assert.rejects(usoService.reservar(clienteId), { codigo: 'COTA_EXCEDIDA', message: /Cota mensal de 100/ });
+
+    const ultima = atualizacoes.mock.calls.at(-1).arguments;
+    assert.deepEqual(ultima[1], { $inc: { total: -1 } });
+  });
+
+  it('não reserva (nem bloqueia) sem cliente ou com o banco fora do ar', async () => {
+    assert.equal(await usoService.reservar(null), null);
+
+    mock.method(console, 'warn', () => {});
+    mock.method(Cliente, 'findById', () => ({ select: () => ({ lean: async () => { throw new Error('sem conexão'); } }) }));
+    assert.equal(await usoService.reservar(clienteId), null);
+  });
+});
+
+describe('usoService.registrar com reserva', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('não soma de novo ao total o que já foi reservado', async () => {
+    const atualizacoes = mock.method(Uso, 'updateOne', async () => ({}));
+
+    await usoService.registrar(clienteId, 'api', { dia: '2026-10-18', quantidade: 1 });
+    await usoService.registrar(clienteId, 'cache');
+
+    const [comReserva, semReserva] = atualizacoes.mock.calls.map(chamada => chamada.arguments);
+    assert.equal(comReserva[0].dia, '2026-10-18');
+    assert.deepEqual(comReserva[1].$inc, { api: 1 });
+    assert.deepEqual(semReserva[1].$inc, { cache: 1, total: 1 });
+  });
+});
+
+describe('consultaService.resolverVeiculo (cota)', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('reserva antes de chamar o provedor e devolve a reserva se ele falhar', async () => {
+    const reserva = { dia: usoService.obterDia(), quantidade: 1 };
+    const etapas = [];
+    mock.method(usoService, 'reservar', async () => { etapas.push('reservar'); return reserva; });
+    mock.method(usoService, 'registrarErro', async () => {});
+    const liberar = mock.method(usoService, 'liberar', async () => {});
+    mock.method(Vehicle, 'findLatestByPlaca', async () => null);
+    mock.method(consultaService, 'consultarApi', async () => {
+      etapas.push('provedor');
+      throw new ErroProvedorIndisponivel();
+    });
+
+    await assert.rejects(consultaService.resolverVeiculo('ABC1D23', { clienteId }), ErroProvedorIndisponivel);
+
+    assert.deepEqual(etapas, ['reservar', 'provedor']);
+    assert.deepEqual(liberar.mock.calls[0].arguments, [clienteId, reserva]);
+  });
+
+  it('não chama o provedor sem cota', async () => {
+    mock.method(usoService, 'reservar', async () => { throw new ErroCotaExcedida(); });
+    const consultarApi = mock.method(consultaService, 'consultarApi', async () => ({}));
+
+    await assert.rejects(consultaService.resolverVeiculo('ABC1D23', { clienteId }), ErroCotaExcedida);
+    assert.equal(consultarApi.mock.callCount(), 0);
+  });
+});
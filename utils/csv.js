@@ -0,0 +1,96 @@
+/**
+ * Leitura de arquivos CSV (separador ",", ";" ou tabulação, campos entre aspas)
+ */
+
+/**
+ * Detecta o separador pela linha de cabeçalho
+ * @param {string} linha - Primeira linha do arquivo
+ * @returns {string} - ";", "," ou tabulação
+ */
+function detectarSeparador(linha) {
+  const pontoVirgula = (linha.match(/;/g) || []).length;
+  const virgula = (linha.match(/,/g) || []).length;
+  if (pontoVirgula === 0 && virgula === 0 && linha.includes('\t')) return '\t';
+  return pontoVirgula >= virgula && pontoVirgula > 0 ? ';' : ',';
+}
+
+/**
+ * Divide o conteúdo em linhas de campos, respeitando aspas (inclusive quebras de linha entre aspas)
+ * @param {string} conteudo - Conteúdo do arquivo
+ * @param {string} separador - Separador de campos
+ * @returns {string[][]} - Linhas com os campos
+ */
+function dividirLinhas(conteudo, separador) {
+  const linhas = [];
+  let linha = [];
+  let campo = '';
+  let entreAspas = false;
+
+  for (let i = 0; i < conteudo.length; i++) {
+    const caractere = conteudo[i];
+
+    if (entreAspas) {
+      if (caractere === '"' && conteudo[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (caractere === '"') {
+        entreAspas = false;
+      } else {
+        campo += caractere;
+      }
+    } else if (caractere === '"') {
+      entreAspas = true;
+    } else if (caractere === separador) {
+      linha.push(campo);
+      campo = '';
+    } else if (caractere === '\n' || caractere === '\r') {
+      if (caractere === '\r' && conteudo[i + 1] === '\n') i++;
+      linha.push(campo);
+      linhas.push(linha);
+      linha = [];
+      campo = '';
+    } else {
+      campo += caractere;
+    }
+  }
+
+  if (campo || linha.length > 0) {
+    linha.push(campo);
+    linhas.push(linha);
+  }
+
+  return linhas.filter(campos => campos.some(valor => valor.trim() !== ''));
+}
+
+/**
+ * Lê um CSV sem interpretar o cabeçalho
+ * @param {string} conteudo - Conteúdo do arquivo
+ * @returns {string[][]} - Linhas com os campos (linhas em branco são ignoradas)
+ */
+function lerLinhasCsv(conteudo) {
+  const texto = conteudo.replace(/^\uFEFF/, ''); // Remove BOM
+  const separador = detectarSeparador(texto.split(/\r?\n/)[0] || '');
+  return dividirLinhas(texto, separador);
+}
+
+/**
+ * Lê um CSV com cabeçalho e retorna um objeto por linha
+ * @param {string} conteudo - Conteúdo do arquivo
+ * @returns {Object[]} - Registros com as chaves do cabeçalho
+ */
+function lerCsv(conteudo) {
+  const [cabecalho, ...linhas] = lerLinhasCsv(conteudo);
+
+  if (!cabecalho) return [];
+
+  const chaves = cabecalho.map(chave => chave.trim());
+  return linhas.map(campos => chaves.reduce((registro, chave, i) => {
+    registro[chave] = campos[i] !== undefined ? campos[i].trim() : '';
+    return registro;
+  }, {}));
+}
+
+module.exports = {
+  lerCsv,
+  lerLinhasCsv
+};
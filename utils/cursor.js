@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * Paginação por cursor (keyset): em vez de skip, a próxima página começa depois
+ * do último documento retornado, usando o campo de ordenação e o _id como desempate.
+ * O cursor é opaco para o cliente (JSON em base64url).
+ */
+
+/**
+ * Gera o cursor a partir do último documento da página
+ * @param {Object} documento - Último documento retornado
+ * @param {string} campo - Campo de ordenação
+ * @returns {string}
+ */
+function codificarCursor(documento, campo) {
+  const valor = documento[campo] === undefined ? null : documento[campo];
+
+  return Buffer.from(JSON.stringify({
+    v: valor instanceof Date ? valor.toISOString() : valor,
+    d: valor instanceof Date,
+    id: String(documento._id)
+  })).toString('base64url');
+}
+
+/**
+ * Indica se o valor do cursor é escalar (null, texto, número finito ou booleano)
+ * @param {*} valor - Valor lido do cursor
+ * @returns {boolean}
+ */
+function valorEscalar(valor) {
+  return valor === null
+    || typeof valor === 'string'
+    || typeof valor === 'boolean'
+    || (typeof valor === 'number' && Number.isFinite(valor));
+}
+
+/**
+ * Lê um cursor gerado por codificarCursor
+ * @param {string} cursor - Cursor recebido na query string
+ * @returns {Object|null} - { valor, id } ou null se o cursor for inválido
+ */
+function decodificarCursor(cursor) {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+    // Só valores escalares: um objeto ({"$ne": null}) viraria operador no filtro
+    if (!valorEscalar(v)) return null;
+
+    const valor = d ? new Date(v) : v;
+    if (d && (typeof v !== 'string' || Number.isNaN(valor.getTime()))) return null;
+
+    return {
+      valor,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Filtro dos documentos depois do cursor na ordenação { [campo]: direcao, _id: direcao }.
+ * Valores nulos vêm primeiro na ordem crescente e por último na decrescente (como no MongoDB).
+ * @param {string} campo - Campo de ordenação
+ * @param {number} direcao - 1 (crescente) ou -1 (decrescente)
+ * @param {Object} posicao - { valor, id } de decodificarCursor
+ * @returns {Object} - Filtro do MongoDB
+ */
+function filtroAposCursor(campo, direcao, posicao) {
+  const depois = direcao === 1 ? '$gt' : '$lt';
+  const mesmoValorDepois = { [campo]: posicao.valor, _id: { [depois]: posicao.id } };
+
+  if (posicao.valor === null) {
+    return direcao === 1
+      ? { $or: [mesmoValorDepois, { [campo]: { $ne: null } }] }
+      : mesmoValorDepois;
+  }
+
+  const condicoes = [{ [campo]: { [depois]: posicao.valor } }, mesmoValorDepois];
+  if (direcao === -1) {
+    condicoes.push({ [campo]: null });
+  }
+  return { $or: condicoes };
+}
+
+module.exports = {
+  codificarCursor,
+  decodificarCursor,
+  filtroAposCursor
+};
@@ -0,0 +1,95 @@
+/**
+ * Disjuntor (circuit breaker) para chamadas a serviços externos.
+ *
+ * fechado: chamadas passam normalmente; após limiteFalhas falhas seguidas, abre.
+ * aberto: chamadas são recusadas até passar tempoAbertoMs.
+ * meio-aberto: uma única chamada de teste passa; sucesso fecha, falha reabre.
+ */
+class Disjuntor {
+  /**
+   * @param {Object} opcoes - { limiteFalhas, tempoAbertoMs }
+   */
+  constructor(opcoes = {}) {
+    this.limiteFalhas = opcoes.limiteFalhas || 5;
+    this.tempoAbertoMs = opcoes.tempoAbertoMs || 30000;
+
+    this.estado = 'fechado';
+    this.falhasConsecutivas = 0;
+    this.abertoEm = null;
+    this.testeEmAndamento = false;
+  }
+
+  /**
+   * Indica se a chamada pode seguir (no meio-aberto, só a chamada de teste)
+   * @returns {boolean}
+   */
+  permitir() {
+    if (this.estado === 'aberto' && Date.now() - this.abertoEm >= this.tempoAbertoMs) {
+      this.estado = 'meio-aberto';
+    }
+
+    if (this.estado === 'fechado') return true;
+
+    if (this.estado === 'meio-aberto' && !this.testeEmAndamento) {
+      this.testeEmAndamento = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Registra uma chamada bem-sucedida
+   */
+  registrarSucesso() {
+    this.estado = 'fechado';
+    this.falhasConsecutivas = 0;
+    this.abertoEm = null;
+    this.testeEmAndamento = false;
+  }
+
+  /**
+   * Registra uma falha; abre o circuito no limite ou se a chamada de teste falhar
+   */
+  registrarFalha() {
+    this.falhasConsecutivas += 1;
+
+    if (this.estado === 'meio-aberto' || this.falhasConsecutivas >= this.limiteFalhas) {
+      this.estado = 'aberto';
+      this.abertoEm = Date.now();
+    }
+    this.testeEmAndamento = false;
+  }
+
+  /**
+   * Libera a chamada de teste sem contar sucesso nem falha
+   * (ex.: erro que não diz nada sobre a saúde do serviço)
+   */
+  liberar() {
+    this.testeEmAndamento = false;
+  }
+
+  /**
+   * Segundos até a próxima chamada de teste (0 se o circuito não estiver aberto)
+   * @returns {number}
+   */
+  segundosParaTeste() {
+    if (this.estado !== 'aberto') return 0;
+    return Math.max(Math.ceil((this.abertoEm + this.tempoAbertoMs - Date.now()) / 1000), 0);
+  }
+
+  /**
+   * Situação do circuito para o endpoint de saúde
+   * @returns {Object} - { estado, falhasConsecutivas, abertoEm, proximoTesteEm }
+   */
+  descrever() {
+    return {
+      estado: this.estado,
+      falhasConsecutivas: this.falhasConsecutivas,
+      abertoEm: this.abertoEm ? new Date(this.abertoEm) : null,
+      proximoTesteEm: this.estado === 'aberto' ? new Date(this.abertoEm + this.tempoAbertoMs) : null
+    };
+  }
+}
+
+module.exports = Disjuntor;
@@ -0,0 +1,101 @@
+/**
+ * Erros de domínio com status HTTP e código estável.
+ *
+ * O middleware de erro do server.js responde { error, codigo } com o status do erro;
+ * erros sem status continuam virando 500 (ERRO_INTERNO).
+ */
+
+/**
+ * Erro base da aplicação
+ */
+class ErroAplicacao extends Error {
+  /**
+   * @param {string} mensagem - Mensagem para o cliente
+   * @param {Object} opcoes - { status, codigo, transitorio, detalhes, retryAfter }
+   */
+  constructor(mensagem, opcoes = {}) {
+    super(mensagem);
+    this.name = this.constructor.name;
+    this.status = opcoes.status || 500;
+    this.codigo = opcoes.codigo || 'ERRO_INTERNO';
+    // Transitório: vale a pena tentar de novo (timeout, rede, 429, 5xx)
+    this.transitorio = Boolean(opcoes.transitorio);
+    this.detalhes = opcoes.detalhes || null;
+    // Segundos sugeridos no cabeçalho Retry-After
+    this.retryAfter = opcoes.retryAfter || null;
+  }
+}
+
+/**
+ * Placa fora dos formatos antigo (AAA9999) e Mercosul (AAA0X00)
+ */
+class ErroPlacaInvalida extends ErroAplicacao {
+  constructor(mensagem = 'Formato de placa inválido. Use o formato AAA0X00 ou AAA9999', opcoes = {}) {
+    super(mensagem, { status: 400, codigo: 'PLACA_INVALIDA', ...opcoes });
+  }
+}
+
+/**
+ * Placa válida sem cadastro no provedor
+ */
+class ErroPlacaNaoEncontrada extends ErroAplicacao {
+  constructor(mensagem = 'Veículo não encontrado para a placa informada', opcoes = {}) {
+    super(mensagem, { status: 404, codigo: 'PLACA_NAO_ENCONTRADA', ...opcoes });
+  }
+}
+
+/**
+ * Token do provedor inválido, expirado ou sem créditos
+ */
+class ErroAutorizacaoProvedor extends ErroAplicacao {
+  constructor(mensagem = 'Token do provedor de placas inválido, expirado ou sem créditos', opcoes = {}) {
+    super(mensagem, { status: 402, codigo: 'PROVEDOR_NAO_AUTORIZADO', ...opcoes });
+  }
+}
+
+/**
+ * Provedor fora do ar, com resposta inesperada ou não configurado
+ */
+class ErroProvedorIndisponivel extends ErroAplicacao {
+  constructor(mensagem = 'Provedor de placas indisponível. Tente novamente.', opcoes = {}) {
+    super(mensagem, { status: 502, codigo: 'PROVEDOR_INDISPONIVEL', ...opcoes });
+  }
+}
+
+/**
+ * Provedor não respondeu dentro do tempo limite
+ */
+class ErroTimeoutProvedor extends ErroAplicacao {
+  constructor(mensagem = 'O provedor de placas não respondeu a tempo. Tente novamente.', opcoes = {}) {
+    super(mensagem, { status: 504, codigo: 'PROVEDOR_TIMEOUT', transitorio: true, ...opcoes });
+  }
+}
+
+/**
+ * Circuito aberto: o provedor falhou seguidamente e as chamadas estão suspensas
+ */
+class ErroCircuitoAberto extends ErroAplicacao {
+  constructor(mensagem = 'Provedor de placas temporariamente suspenso após falhas seguidas', opcoes = {}) {
+    super(mensagem, { status: 503, codigo: 'CIRCUITO_ABERTO', ...opcoes });
+  }
+}
+
+/**
+ * Cliente sem cota de consultas na janela (diária ou mensal)
+ */
+class ErroCotaExcedida extends ErroAplicacao {
+  constructor(mensagem = 'Cota de consultas excedida', opcoes = {}) {
+    super(mensagem, { status: 429, codigo: 'COTA_EXCEDIDA', ...opcoes });
+  }
+}
+
+module.exports = {
+  ErroAplicacao,
+  ErroPlacaInvalida,
+  ErroPlacaNaoEncontrada,
+  ErroAutorizacaoProvedor,
+  ErroProvedorIndisponivel,
+  ErroTimeoutProvedor,
+  ErroCircuitoAberto,
+  ErroCotaExcedida
+};
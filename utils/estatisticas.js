@@ -0,0 +1,191 @@
+/**
+ * Funções estatísticas usadas na análise de preços de mercado
+ */
+
+/**
+ * Retorna cópia ordenada (crescente) dos valores numéricos válidos
+ * @param {number[]} valores - Lista de valores
+ * @returns {number[]} - Valores ordenados
+ */
+function ordenar(valores) {
+  return (valores || [])
+    .filter(v => typeof v === 'number' && Number.isFinite(v))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Calcula a média aritmética
+ * @param {number[]} valores - Lista de valores
+ * @returns {number|null}
+ */
+function media(valores) {
+  if (!valores || valores.length === 0) return null;
+  return valores.reduce((soma, v) => soma + v, 0) / valores.length;
+}
+
+/**
+ * Calcula um percentil por interpolação linear
+ * @param {number[]} valores - Lista de valores
+ * @param {number} p - Percentil entre 0 e 100
+ * @returns {number|null}
+ */
+function percentil(valores, p) {
+  const ordenados = ordenar(valores);
+  if (ordenados.length === 0) return null;
+
+  const posicao = (ordenados.length - 1) * (p / 100);
+  const inferior = Math.floor(posicao);
+  const superior = Math.ceil(posicao);
+
+  if (inferior === superior) {
+    return ordenados[inferior];
+  }
+
+  return ordenados[inferior] + (ordenados[superior] - ordenados[inferior]) * (posicao - inferior);
+}
+
+/**
+ * Calcula a mediana
+ * @param {number[]} valores - Lista de valores
+ * @returns {number|null}
+ */
+function mediana(valores) {
+  return percentil(valores, 50);
+}
+
+/**
+ * Calcula o desvio padrão amostral
+ * @param {number[]} valores - Lista de valores
+ * @returns {number|null}
+ */
+function desvioPadrao(valores) {
+  if (!valores || valores.length === 0) return null;
+  if (valores.length === 1) return 0;
+
+  const m = media(valores);
+  const somaQuadrados = valores.reduce((soma, v) => soma + (v - m) ** 2, 0);
+  return Math.sqrt(somaQuadrados / (valores.length - 1));
+}
+
+/**
+ * Remove outliers pelo critério do intervalo interquartil (IQR)
+ * @param {number[]} valores - Lista de valores
+ * @param {number} fator - Multiplicador do IQR (padrão 1.5)
+ * @returns {Object} - { mantidos, descartados, limiteInferior, limiteSuperior }
+ */
+function removerOutliersIQR(valores, fator = 1.5) {
+  const ordenados = ordenar(valores);
+
+  // Com poucos valores os quartis não são confiáveis
+  if (ordenados.length < 4) {
+    return {
+      mantidos: ordenados,
+      descartados: [],
+      limiteInferior: null,
+      limiteSuperior: null
+    };
+  }
+
+  const q1 = percentil(ordenados, 25);
+  const q3 = percentil(ordenados, 75);
+  const iqr = q3 - q1;
+  const limiteInferior = q1 - fator * iqr;
+  const limiteSuperior = q3 + fator * iqr;
+
+  return {
+    mantidos: ordenados.filter(v => v >= limiteInferior && v <= limiteSuperior),
+    descartados: ordenados.filter(v => v < limiteInferior || v > limiteSuperior),
+    limiteInferior,
+    limiteSuperior
+  };
+}
+
+/**
+ * Remove outliers pelo desvio absoluto da mediana (MAD / z-score modificado)
+ * @param {number[]} valores - Lista de valores
+ * @param {number} limite - z-score modificado máximo (padrão 3.5)
+ * @returns {Object} - { mantidos, descartados, limiteInferior, limiteSuperior }
+ */
+function removerOutliersMAD(valores, limite = 3.5) {
+  const ordenados = ordenar(valores);
+  const med = mediana(ordenados);
+  const mad = mediana(ordenados.map(v => Math.abs(v - med)));
+
+  // MAD zero (maioria dos valores iguais) não permite calcular o z-score
+  if (ordenados.length < 4 || !mad) {
+    return {
+      mantidos: ordenados,
+      descartados: [],
+      limiteInferior: null,
+      limiteSuperior: null
+    };
+  }
+
+  // 0.6745 aproxima o MAD do desvio padrão em distribuições normais
+  const distancia = limite * mad / 0.6745;
+  const limiteInferior = med - distancia;
+  const limiteSuperior = med + distancia;
+
+  return {
+    mantidos: ordenados.filter(v => v >= limiteInferior && v <= limiteSuperior),
+    descartados: ordenados.filter(v => v < limiteInferior || v > limiteSuperior),
+    limiteInferior,
+    limiteSuperior
+  };
+}
+
+/**
+ * Resume uma amostra de preços com medidas robustas
+ * @param {number[]} valores - Lista de valores (já sem outliers)
+ * @returns {Object|null} - { menor, maior, media, mediana, p25, p75, desvioPadrao } ou null se vazia
+ */
+function resumir(valores) {
+  const ordenados = ordenar(valores);
+  if (ordenados.length === 0) return null;
+
+  return {
+    menor: ordenados[0],
+    maior: ordenados[ordenados.length - 1],
+    media: media(ordenados),
+    mediana: mediana(ordenados),
+    p25: percentil(ordenados, 25),
+    p75: percentil(ordenados, 75),
+    desvioPadrao: desvioPadrao(ordenados)
+  };
+}
+
+/**
+ * Regressão linear simples (mínimos quadrados) de y em função de x
+ * @param {Object[]} pontos - [{ x, y }]
+ * @returns {Object|null} - { inclinacao, intercepto } ou null com menos de 2 pontos ou x constante
+ */
+function regressaoLinear(pontos) {
+  if (!pontos || pontos.length < 2) return null;
+
+  const mediaX = media(pontos.map(p => p.x));
+  const mediaY = media(pontos.map(p => p.y));
+
+  let covariancia = 0;
+  let varianciaX = 0;
+  pontos.forEach(p => {
+    covariancia += (p.x - mediaX) * (p.y - mediaY);
+    varianciaX += (p.x - mediaX) ** 2;
+  });
+
+  if (varianciaX === 0) return null;
+
+  const inclinacao = covariancia / varianciaX;
+  return { inclinacao, intercepto: mediaY - inclinacao * mediaX };
+}
+
+module.exports = {
+  ordenar,
+  media,
+  percentil,
+  mediana,
+  desvioPadrao,
+  removerOutliersIQR,
+  removerOutliersMAD,
+  resumir,
+  regressaoLinear
+};
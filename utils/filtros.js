@@ -0,0 +1,41 @@
+/**
+ * Funções auxiliares para montar filtros do MongoDB a partir da query string
+ */
+
+/**
+ * Monta filtro de intervalo numérico ($gte/$lte)
+ * @param {string} minimo - Valor mínimo
+ * @param {string} maximo - Valor máximo
+ * @returns {Object|null}
+ */
+function montarIntervalo(minimo, maximo) {
+  const intervalo = {};
+  if (minimo !== undefined && !isNaN(parseFloat(minimo))) intervalo.$gte = parseFloat(minimo);
+  if (maximo !== undefined && !isNaN(parseFloat(maximo))) intervalo.$lte = parseFloat(maximo);
+  return Object.keys(intervalo).length > 0 ? intervalo : null;
+}
+
+/**
+ * Escapa caracteres especiais para uso em RegExp
+ * @param {string} texto - Texto informado pelo usuário
+ * @returns {string}
+ */
+function escaparRegex(texto) {
+  return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Primeiro parâmetro da query string que não é texto simples
+ * (?marca=a&marca=b vira array e ?marca[x]=1 vira objeto no Express)
+ * @param {Object} query - req.query
+ * @returns {string|null} - Nome do parâmetro ou null se todos forem texto
+ */
+function parametroNaoEscalar(query) {
+  return Object.keys(query).find(chave => typeof query[chave] !== 'string') || null;
+}
+
+module.exports = {
+  montarIntervalo,
+  escaparRegex,
+  parametroNaoEscalar
+};
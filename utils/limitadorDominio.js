@@ -0,0 +1,35 @@
+/**
+ * Limitador de requisições por domínio: garante um intervalo mínimo entre
+ * requisições ao mesmo host, enfileirando as chamadas em ordem de chegada.
+ * Vale para o processo atual (cada servidor tem o seu).
+ */
+class LimitadorDominio {
+  constructor() {
+    this.filas = {};
+    this.ultimaChamada = {};
+  }
+
+  /**
+   * Espera a vez de requisitar a URL
+   * @param {string} url - URL da requisição
+   * @param {number} intervaloMs - Intervalo mínimo entre requisições ao host (0 = sem limite)
+   * @returns {Promise<void>}
+   */
+  aguardarVez(url, intervaloMs) {
+    if (!intervaloMs) return Promise.resolve();
+
+    const host = new URL(url).hostname;
+    const vez = (this.filas[host] || Promise.resolve()).then(async () => {
+      const espera = (this.ultimaChamada[host] || 0) + intervaloMs - Date.now();
+      if (espera > 0) {
+        await new Promise(resolve => setTimeout(resolve, espera));
+      }
+      this.ultimaChamada[host] = Date.now();
+    });
+
+    this.filas[host] = vez;
+    return vez;
+  }
+}
+
+module.exports = LimitadorDominio;
@@ -0,0 +1,84 @@
+/**
+ * Funções de normalização e conversão de placas (padrão antigo AAA9999 e Mercosul AAA0X00)
+ */
+
+// Formato antigo: AAA9999
+const FORMATO_ANTIGO = /^[A-Z]{3}[0-9]{4}$/;
+
+// Formato Mercosul: AAA0X00
+const FORMATO_MERCOSUL = /^[A-Z]{3}[0-9][A-Z][0-9]{2}$/;
+
+// Na conversão para o Mercosul o segundo dígito vira letra: 0 → A, 1 → B ... 9 → J
+const LETRAS_MERCOSUL = 'ABCDEFGHIJ';
+
+/**
+ * Normaliza a placa informada (remove espaços, hífens e pontos; converte para maiúsculas)
+ * @param {string} placa - Placa informada (ex.: "abc-1234", "BRA 2E19")
+ * @returns {string} - Placa normalizada
+ */
+function normalizarPlaca(placa) {
+  if (!placa) return '';
+  return String(placa).replace(/[\s.-]/g, '').toUpperCase();
+}
+
+/**
+ * Valida se a placa (normalizada) está no formato antigo ou Mercosul
+ * @param {string} placa - Placa normalizada
+ * @returns {boolean}
+ */
+function validarPlaca(placa) {
+  return FORMATO_ANTIGO.test(placa) || FORMATO_MERCOSUL.test(placa);
+}
+
+/**
+ * Converte uma placa do formato antigo para o Mercosul (ABC1234 → ABC1C34)
+ * @param {string} placa - Placa normalizada
+ * @returns {string|null} - Placa Mercosul ou null se não estiver no formato antigo
+ */
+function paraMercosul(placa) {
+  if (!FORMATO_ANTIGO.test(placa)) return null;
+  return placa.slice(0, 4) + LETRAS_MERCOSUL[Number(placa[4])] + placa.slice(5);
+}
+
+/**
+ * Converte uma placa Mercosul para o formato antigo (ABC1C34 → ABC1234)
+ * @param {string} placa - Placa normalizada
+ * @returns {string|null} - Placa antiga ou null se a letra não tiver equivalente numérico
+ */
+function paraAntiga(placa) {
+  if (!FORMATO_MERCOSUL.test(placa)) return null;
+
+  const digito = LETRAS_MERCOSUL.indexOf(placa[4]);
+  if (digito === -1) return null;
+
+  return placa.slice(0, 4) + digito + placa.slice(5);
+}
+
+/**
+ * Lista as grafias equivalentes de uma placa (ela própria e a conversão, se houver)
+ * @param {string} placa - Placa em qualquer formato
+ * @returns {string[]} - Ex.: ["ABC1234", "ABC1C34"]
+ */
+function placasEquivalentes(placa) {
+  const normalizada = normalizarPlaca(placa);
+  const convertida = paraMercosul(normalizada) || paraAntiga(normalizada);
+  return convertida ? [normalizada, convertida] : [normalizada];
+}
+
+/**
+ * Filtro MongoDB que encontra a placa em qualquer uma das grafias equivalentes
+ * @param {string} placa - Placa em qualquer formato
+ * @returns {Object} - { $in: [...] }
+ */
+function filtroPlaca(placa) {
+  return { $in: placasEquivalentes(placa) };
+}
+
+module.exports = {
+  normalizarPlaca,
+  validarPlaca,
+  paraMercosul,
+  paraAntiga,
+  placasEquivalentes,
+  filtroPlaca
+};
@@ -0,0 +1,119 @@
+/**
+ * Funções de rede para URLs informadas por clientes (webhooks): bloqueiam destinos
+ * internos (loopback, link-local, redes privadas) para evitar SSRF
+ */
+const dns = require('dns');
+const net = require('net');
+
+// Faixas que não podem ser destino de requisições feitas pelo servidor
+const FAIXAS_INTERNAS = new net.BlockList();
+[
+  ['0.0.0.0', 8],        // "esta" rede
+  ['10.0.0.0', 8],       // privada
+  ['100.64.0.0', 10],    // CGNAT
+  ['127.0.0.0', 8],      // loopback
+  ['169.254.0.0', 16],   // link-local (inclui metadados de nuvem)
+  ['172.16.0.0', 12],    // privada
+  ['192.0.0.0', 24],     // reservada IETF
+  ['192.168.0.0', 16],   // privada
+  ['198.18.0.0', 15],    // testes de desempenho
+  ['224.0.0.0', 4],      // multicast
+  ['240.0.0.0', 4]       // reservada e broadcast
+].forEach(([rede, prefixo]) => FAIXAS_INTERNAS.addSubnet(rede, prefixo, 'ipv4'));
+[
+  ['::', 128],           // não especificado
+  ['::1', 128],          // loopback
+  ['64:ff9b::', 96],     // NAT64 (embute endereço IPv4)
+  ['fc00::', 7],         // ULA (privada)
+  ['fe80::', 10],        // link-local
+  ['ff00::', 8]          // multicast
+].forEach(([rede, prefixo]) => FAIXAS_INTERNAS.addSubnet(rede, prefixo, 'ipv6'));
+
+// IPv4 mapeado em IPv6 (::ffff:127.0.0.1)
+const IPV4_MAPEADO = /^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/i;
+
+/**
+ * Indica se o endereço IP pertence a uma faixa interna
+ * @param {string} endereco - Endereço IPv4 ou IPv6
+ * @returns {boolean} - true também para endereços inválidos
+ */
+function enderecoInterno(endereco) {
+  const mapeado = IPV4_MAPEADO.exec(endereco);
+  if (mapeado) return enderecoInterno(mapeado[1]);
+
+  const familia = net.isIP(endereco);
+  if (familia === 0) return true;
+
+  return FAIXAS_INTERNAS.check(endereco, familia === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve o host e garante que todos os endereços são públicos
+ * @param {string} host - Nome ou IP (IPv6 com ou sem colchetes)
+ * @returns {Promise<Object[]>} - Endereços { address, family }
+ * @throws {Error} - Host sem resolução ou com endereço interno
+ */
+async function resolverEnderecosPublicos(host) {
+  const nome = host.replace(/^\[|\]$/g, '');
+  const enderecos = net.isIP(nome)
+    ? [{ address: nome, family: net.isIP(nome) }]
+    : await dns.promises.lookup(nome, { all: true, verbatim: true });
+
+  if (enderecos.length === 0 || enderecos.some(({ address }) => enderecoInterno(address))) {
+    throw new Error(`O host ${nome} aponta para um endereço interno`);
+  }
+
+  return enderecos;
+}
+
+/**
+ * Valida uma URL de webhook: http(s), sem credenciais e com destino público.
+ * Fora do ambiente de desenvolvimento exige https.
+ * @param {string} url - URL informada
+ * @returns {Promise<string|null>} - Mensagem de erro ou null se válida
+ */
+async function validarUrlPublica(url) {
+  let destino;
+  try {
+    destino = new URL(url);
+  } catch (error) {
+    return 'URL inválida';
+  }
+
+  const desenvolvimento = (process.env.NODE_ENV || 'development') === 'development';
+  const protocolos = desenvolvimento ? ['https:', 'http:'] : ['https:'];
+
+  if (!protocolos.includes(destino.protocol)) {
+    return desenvolvimento ? 'A URL deve ser http(s)' : 'A URL deve usar https';
+  }
+
+  if (destino.username || destino.password) {
+    return 'A URL não pode conter usuário ou senha';
+  }
+
+  try {
+    await resolverEnderecosPublicos(destino.hostname);
+  } catch (error) {
+    return error.code ? `Não foi possível resolver o host ${destino.hostname}` : error.message;
+  }
+
+  return null;
+}
+
+/**
+ * Função lookup para o axios/http que só conecta em endereços públicos
+ * (a validação vale na conexão, não apenas no cadastro: evita DNS rebinding)
+ * @param {string} host - Host da requisição
+ * @returns {Promise<Array>} - [endereço, família]
+ */
+async function lookupPublico(host) {
+  const [endereco] = await resolverEnderecosPublicos(host);
+  return [endereco.address, endereco.family];
+}
+
+module.exports = {
+  enderecoInterno,
+  resolverEnderecosPublicos,
+  validarUrlPublica,
+  lookupPublico
+};
@@ -0,0 +1,56 @@
+// Intervalo do comentário enviado para manter a conexão aberta em proxies
+const SSE_PING_MS = parseInt(process.env.SSE_PING_MS) || 15000;
+
+/**
+ * Abre uma resposta Server-Sent Events (text/event-stream).
+ * Depois que o cliente desconecta, os envios são ignorados.
+ * @param {Object} req - Requisição
+ * @param {Object} res - Resposta
+ * @returns {Object} - { enviar(evento, dados), encerrar(), fechado }
+ */
+function abrirStream(req, res) {
+  let fechado = false;
+  let sequencia = 0;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Desativa o buffer do nginx, que seguraria os eventos até o fim
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const ping = setInterval(() => {
+    if (!fechado) res.write(': ping\n\n');
+  }, SSE_PING_MS);
+  ping.unref();
+
+  const fechar = () => {
+    fechado = true;
+    clearInterval(ping);
+  };
+  req.on('close', fechar);
+
+  return {
+    get fechado() {
+      return fechado;
+    },
+
+    enviar(evento, dados) {
+      if (fechado) return;
+      sequencia += 1;
+      res.write(`id: ${sequencia}\nevent: ${evento}\ndata: ${JSON.stringify(dados)}\n\n`);
+    },
+
+    encerrar() {
+      if (fechado) return;
+      fechar();
+      res.end();
+    }
+  };
+}
+
+module.exports = {
+  abrirStream
+};
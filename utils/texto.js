@@ -0,0 +1,67 @@
+/**
+ * Funções de normalização de texto compartilhadas
+ */
+
+/**
+ * Normaliza texto para URL (remove acentos, converte para lowercase, substitui espaços por hífens)
+ * @param {string} texto - Texto a ser normalizado
+ * @returns {string} - Texto normalizado
+ */
+function normalizarTexto(texto) {
+  if (!texto) return '';
+
+  return texto
+    .toLowerCase()
+    .normalize('NFD') // Decompõe caracteres acentuados
+    .replace(/[\u0300-\u036f]/g, '') // Remove diacríticos
+    .replace(/[^a-z0-9\s-]/g, '') // Remove caracteres especiais
+    .trim()
+    .replace(/\s+/g, '-') // Substitui espaços por hífens
+    .replace(/-+/g, '-') // Remove hífens duplicados
+    .replace(/^-|-$/g, ''); // Remove hífens no início e fim
+}
+
+/**
+ * Similaridade entre dois textos pela distância de Levenshtein
+ * @param {string} a - Primeiro texto
+ * @param {string} b - Segundo texto
+ * @returns {number} - Similaridade entre 0 e 1
+ */
+function similaridade(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  // Distância de edição com duas linhas da matriz
+  let anterior = Array.from({ length: b.length + 1 }, (v, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const atual = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const custo = a[i - 1] === b[j - 1] ? 0 : 1;
+      atual[j] = Math.min(anterior[j] + 1, atual[j - 1] + 1, anterior[j - 1] + custo);
+    }
+    anterior = atual;
+  }
+
+  return 1 - anterior[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Mascara um texto mantendo apenas os últimos caracteres (ex.: chassi, renavam)
+ * @param {string} texto - Texto original
+ * @param {number} visiveis - Quantidade de caracteres finais mantidos (padrão 4)
+ * @returns {string|null} - Texto mascarado ("*********1234") ou null sem texto
+ */
+function mascarar(texto, visiveis = 4) {
+  if (!texto) return null;
+
+  const valor = String(texto);
+  if (valor.length <= visiveis) return '*'.repeat(valor.length);
+
+  return '*'.repeat(valor.length - visiveis) + valor.slice(-visiveis);
+}
+
+module.exports = {
+  normalizarTexto,
+  similaridade,
+  mascarar
+};